@@ -0,0 +1,207 @@
+/**
+ * Little Library - Accounts and Logging In
+ * Users are saved in the "users" collection of the store and logins in
+ * the "sessions" collection. Passwords are never saved, only a salted
+ * scrypt hash of them. The browser gets a random session key in an
+ * HttpOnly cookie; the store only keeps a SHA-256 hash of that key, so a
+ * copy of the library file can't be used to log in.
+ *
+ * Functions in this file:
+ * - hashPassword(): Turns a password into a hash that is safe to save
+ * - checkPassword(): Checks a password against a saved hash
+ * - publicUser(): The parts of a user that may be sent to the browser
+ * - createSessions(): Sets up logging in and out on top of the store
+ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+// Name of the login cookie
+const COOKIE_NAME = 'session';
+
+// Length of the scrypt hash and of its random salt, in bytes
+const HASH_LENGTH = 64;
+const SALT_LENGTH = 16;
+
+// One day in milliseconds
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Turns a password into a hash that is safe to save
+ * Returns: A promise of text like "scrypt$<salt>$<hash>" (both in hex)
+ */
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(SALT_LENGTH).toString('hex');
+    const hash = await scrypt(password, salt, HASH_LENGTH);
+    return 'scrypt$' + salt + '$' + hash.toString('hex');
+}
+
+/**
+ * Checks a password against a hash made by hashPassword()
+ * Returns: A promise of true when the password is right
+ */
+async function checkPassword(password, savedHash) {
+    const parts = String(savedHash || '').split('$');
+    if (parts.length !== 3 || parts[0] !== 'scrypt') {
+        return false;
+    }
+    const expected = Buffer.from(parts[2], 'hex');
+    const actual = await scrypt(password, parts[1], expected.length);
+    // timingSafeEqual takes as long for a wrong first letter as for a wrong last one
+    return crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * The parts of a user that may be sent to the browser (never the password hash)
+ */
+function publicUser(user) {
+    return {
+        id: user.id,
+        username: user.username,
+        role: user.role,
+        readingGoal: user.readingGoal || null,
+        dateCreated: user.dateCreated
+    };
+}
+
+/**
+ * Reads the cookies a browser sent, e.g. "a=1; b=2" becomes { a: '1', b: '2' }
+ */
+function parseCookies(header) {
+    const cookies = {};
+    String(header || '').split(';').forEach(pair => {
+        const index = pair.indexOf('=');
+        if (index > 0) {
+            const name = pair.slice(0, index).trim();
+            try {
+                cookies[name] = decodeURIComponent(pair.slice(index + 1).trim());
+            } catch (error) {
+                // A cookie we can't read is not one of ours
+            }
+        }
+    });
+    return cookies;
+}
+
+/**
+ * Hashes a session key before it is saved or looked up
+ */
+function hashKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Sets up logging in and out on top of the store
+ * Parameters:
+ * - store: the library store (see storage/index.js)
+ * - options: { sessionDays, secureCookies } from config.js
+ * Returns: An object with these functions:
+ * - start(res, user): Logs a user in and sends the session cookie
+ * - end(req, res): Logs out and removes the cookie
+ * - loadUser: Middleware that sets req.user (null when not logged in)
+ * - requireUser: Middleware that answers 401 unless someone is logged in
+ * - requireAdmin: Middleware that answers 403 unless an admin is logged in
+ */
+function createSessions(store, options) {
+    const maxAge = options.sessionDays * DAY;
+
+    /**
+     * Builds the Set-Cookie header value
+     * HttpOnly keeps page scripts away from the key and SameSite=Lax stops
+     * other sites from sending it along with their own form posts
+     */
+    function cookie(value, age) {
+        const parts = [
+            COOKIE_NAME + '=' + encodeURIComponent(value),
+            'Path=/',
+            'HttpOnly',
+            'SameSite=Lax',
+            'Max-Age=' + Math.floor(age / 1000)
+        ];
+        if (options.secureCookies) {
+            parts.push('Secure');
+        }
+        return parts.join('; ');
+    }
+
+    /**
+     * Finds the saved session for a request's cookie
+     * Returns: The session, or null when there is none or it has run out
+     */
+    function findSession(req) {
+        const key = parseCookies(req.get('Cookie'))[COOKIE_NAME];
+        if (!key) {
+            return null;
+        }
+        const session = store.query('sessions', { keyHash: hashKey(key) })[0];
+        if (!session || Date.parse(session.expiresAt) < Date.now()) {
+            return null;
+        }
+        return session;
+    }
+
+    /**
+     * Removes sessions that have run out, so the list doesn't keep growing
+     */
+    function removeExpiredSessions() {
+        const now = Date.now();
+        store.list('sessions')
+            .filter(session => Date.parse(session.expiresAt) < now)
+            .forEach(session => store.delete('sessions', session.id));
+    }
+
+    return {
+        start(res, user) {
+            removeExpiredSessions();
+            const key = crypto.randomBytes(32).toString('hex');
+            const now = Date.now();
+            store.create('sessions', {
+                keyHash: hashKey(key),
+                userId: user.id,
+                dateCreated: new Date(now).toISOString(),
+                expiresAt: new Date(now + maxAge).toISOString()
+            });
+            res.set('Set-Cookie', cookie(key, maxAge));
+        },
+
+        end(req, res) {
+            const session = findSession(req);
+            if (session) {
+                store.delete('sessions', session.id);
+            }
+            res.set('Set-Cookie', cookie('', 0));
+        },
+
+        loadUser(req, res, next) {
+            const session = findSession(req);
+            req.user = session ? store.get('users', session.userId) : null;
+            next();
+        },
+
+        requireUser(req, res, next) {
+            if (!req.user) {
+                return res.status(401).json({ error: 'Please log in first' });
+            }
+            next();
+        },
+
+        requireAdmin(req, res, next) {
+            if (!req.user) {
+                return res.status(401).json({ error: 'Please log in first' });
+            }
+            if (req.user.role !== 'admin') {
+                return res.status(403).json({ error: 'Only an admin can do this' });
+            }
+            next();
+        }
+    };
+}
+
+module.exports = {
+    hashPassword,
+    checkPassword,
+    publicUser,
+    createSessions
+};
@@ -0,0 +1,168 @@
+/**
+ * Little Library - Change History
+ * Every time a book is added, changed or deleted the server saves an entry
+ * in the "audit" collection of the store:
+ *   { date, action, bookId, title, userId, username, revision,
+ *     changes: [{ field: 'title', before: 'Dune', after: 'Dune Messiah' }] }
+ * Each reader's own fields are listed as "readers.<user id>.<field>",
+ * e.g. readers.1727000000000.status.
+ *
+ * Because every change keeps the value from before, a book can be taken
+ * back to any earlier version by undoing the newer changes one by one.
+ *
+ * Functions in this file:
+ * - auditEntry(): Builds a change history entry for a book
+ * - diffBooks(): Lists the fields that differ between two versions of a book
+ * - undoChanges(): Puts the "before" values of a list of changes back
+ * - entryForUser(): Builds the version of an entry that a user may see
+ */
+
+const { READER_DEFAULTS } = require('./readers');
+
+// Fields that change with every save, so they are not worth listing
+const IGNORED_FIELDS = ['revision', 'dateModified'];
+
+/**
+ * Checks if two field values are the same (lists and objects included)
+ */
+function sameValue(first, second) {
+    return JSON.stringify(first) === JSON.stringify(second);
+}
+
+/**
+ * Lists the fields that differ between two versions of a book
+ * Parameters: before - the old version (null for a new book),
+ *   after - the new version (null for a book removed for good)
+ * Returns: A list of { field, before, after } - a value that didn't
+ *   exist is left out, so JSON keeps it as "missing"
+ */
+function diffBooks(before, after) {
+    before = before || {};
+    after = after || {};
+    const changes = [];
+
+    const fields = new Set(Object.keys(before).concat(Object.keys(after)));
+    fields.forEach(field => {
+        if (IGNORED_FIELDS.includes(field) || field === 'readers') {
+            return;
+        }
+        if (!sameValue(before[field], after[field])) {
+            changes.push({ field: field, before: before[field], after: after[field] });
+        }
+    });
+
+    // Each reader's fields are listed one by one, so the history says who changed what
+    const beforeReaders = before.readers || {};
+    const afterReaders = after.readers || {};
+    const readerIds = new Set(Object.keys(beforeReaders).concat(Object.keys(afterReaders)));
+    readerIds.forEach(userId => {
+        const old = beforeReaders[userId] || {};
+        const now = afterReaders[userId] || {};
+        new Set(Object.keys(old).concat(Object.keys(now))).forEach(field => {
+            // A missing field reads as its default, so filling those in is no change
+            const oldValue = field in old ? old[field] : READER_DEFAULTS[field];
+            const newValue = field in now ? now[field] : READER_DEFAULTS[field];
+            if (!sameValue(oldValue, newValue)) {
+                changes.push({ field: 'readers.' + userId + '.' + field, before: old[field], after: now[field] });
+            }
+        });
+    });
+
+    return changes;
+}
+
+/**
+ * Builds a change history entry for a book
+ * Parameters:
+ * - user: who made the change, or null when the server did it by itself
+ * - action: create, update, delete, restore, purge, revert or merge
+ * - before, after: the saved book before and after the change (null when
+ *   there is none, e.g. before a book was created)
+ */
+function auditEntry(user, action, before, after) {
+    const book = after || before;
+    return {
+        date: new Date().toISOString(),
+        action: action,
+        bookId: book.id,
+        title: book.title,
+        userId: user ? user.id : null,
+        username: user ? user.username : 'Little Library',
+        revision: after ? after.revision : null,
+        changes: diffBooks(before, after)
+    };
+}
+
+/**
+ * Puts the "before" values of a list of changes back into a book
+ * Parameter: changes - from diffBooks(), for one saved change
+ * Returns: A copy of the book as it was before that change
+ */
+function undoChanges(book, changes) {
+    const result = Object.assign({}, book);
+    result.readers = Object.assign({}, book.readers);
+
+    changes.forEach(change => {
+        let target = result;
+        let field = change.field;
+
+        // "readers.<user id>.<field>" lives in the reader's own entry
+        const readerMatch = /^readers\.([^.]+)\.(.+)$/.exec(field);
+        if (readerMatch) {
+            target = result.readers[readerMatch[1]] = Object.assign({}, result.readers[readerMatch[1]]);
+            field = readerMatch[2];
+        }
+
+        if (change.before === undefined) {
+            delete target[field];
+        } else {
+            target[field] = change.before;
+        }
+    });
+
+    // Readers without any fields left are dropped, so they read as "never touched"
+    Object.keys(result.readers).forEach(userId => {
+        if (Object.keys(result.readers[userId]).length === 0) {
+            delete result.readers[userId];
+        }
+    });
+    if (Object.keys(result.readers).length === 0 && !book.readers) {
+        delete result.readers;
+    }
+    return result;
+}
+
+/**
+ * Builds the version of an entry that a user may see
+ * Everyone sees the shared fields and their own reading data; only admins
+ * see what other readers changed (named by their user name)
+ * Parameters: entry - a saved entry, user - the logged in user,
+ *   usernames - a Map of user id (as text) to user name
+ * Returns: The entry with its fields renamed, or null when nothing is left to show
+ */
+function entryForUser(entry, user, usernames) {
+    const changes = [];
+    entry.changes.forEach(change => {
+        const readerMatch = /^readers\.([^.]+)\.(.+)$/.exec(change.field);
+        if (!readerMatch) {
+            changes.push(change);
+        } else if (readerMatch[1] === String(user.id)) {
+            changes.push(Object.assign({}, change, { field: readerMatch[2] }));
+        } else if (user.role === 'admin') {
+            const name = usernames.get(readerMatch[1]) || 'user ' + readerMatch[1];
+            changes.push(Object.assign({}, change, { field: readerMatch[2] + ' (' + name + ')' }));
+        }
+    });
+
+    if (changes.length === 0 && entry.action === 'update') {
+        return null;
+    }
+    return Object.assign({}, entry, { changes: changes });
+}
+
+module.exports = {
+    auditEntry,
+    diffBooks,
+    undoChanges,
+    entryForUser
+};
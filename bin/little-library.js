@@ -0,0 +1,554 @@
+#!/usr/bin/env node
+/**
+ * Little Library - Command Line Tool
+ * Manages the library from a terminal or a script. It uses the same store
+ * (books.json or the SQLite database, see config.js) and the same checks as
+ * the server (books are saved by catalog.js for both), so a book the
+ * website would refuse is refused here too.
+ *
+ * The server can keep running while it is used: each command changes the
+ * library while holding its lock (see storage/index.js), so neither
+ * program overwrites what the other saved, and the server tells open
+ * pages about the tool's changes within a few seconds.
+ *
+ * Usage:
+ *   little-library <command> [options]      (or: npm run cli -- <command> [options])
+ *   little-library help                     (lists every command and option)
+ *
+ * A new library has no accounts yet: create the first one (the admin) with
+ *   echo "$PASSWORD" | little-library add-user <name>
+ *
+ * Exit codes: 0 when it worked, 1 when the library refused (a book that is
+ * not valid, an unknown book or account, ...), 2 when the command is wrong.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { parseArgs } = require('util');
+
+const config = require('../config');
+const { createStore } = require('../storage');
+const { STATUSES, validateBook, validateAccount } = require('../validation');
+const { hashPassword, publicUser } = require('../accounts');
+const { personalize } = require('../readers');
+const { parseBrowseOptions, browseBooks } = require('../browse');
+const { IMPORT_FORMATS, exportBooks, planImport } = require('../importExport');
+const { parseAuthorText } = require('../contributors');
+const { createCatalog } = require('../catalog');
+
+// Shown by "little-library help"
+const USAGE = [
+    'Usage: little-library <command> [options]',
+    '',
+    'Commands:',
+    '  list [--status S] [--tag T] [--sort title|author|dateAdded|rating|dateFinished] [--order asc|desc]',
+    '  search <words>                 Search like the search box, e.g. series:expanse author:corey',
+    '  add --title T [--author A] [--translator A] [--editor A] [--series S] [--number N]',
+    '      [--isbn I] [--tags "a, b"] [--status S] [--rating R] [--pages P]',
+    '      [--description D] [--cover URL]',
+    '                                 --author, --translator and --editor can be repeated',
+    '  set-status <book id> <status>',
+    '  delete <book id>               Move a book to the trash (admins only)',
+    '  import <file> [--format auto|csv|json|goodreads] [--dry-run] [--allow-duplicates]',
+    '  export [--format json|csv] [--output file]',
+    '  backup                         Copy the library into the backup folder',
+    '  add-user <name> [--admin]      Create an account, with the password read from stdin,',
+    '                                 e.g. echo "$PASSWORD" | little-library add-user ann',
+    '                                 (the first account is always an admin)',
+    '',
+    'Options for every command:',
+    '  --json                         Print the answer as JSON, like the answers of the server',
+    '  --user <name>                  The account whose status, rating and reviews are used,',
+    '                                 and who is named in the history (default: the first admin)'
+].join('\n');
+
+// Every option, for parseArgs() - each command only reads the ones it needs
+const OPTIONS = {
+    'json': { type: 'boolean' },
+    'user': { type: 'string' },
+    'help': { type: 'boolean', short: 'h' },
+    'status': { type: 'string' },
+    'tag': { type: 'string', multiple: true },
+    'sort': { type: 'string' },
+    'order': { type: 'string' },
+    'title': { type: 'string' },
+    'author': { type: 'string', multiple: true },
+    'translator': { type: 'string', multiple: true },
+    'editor': { type: 'string', multiple: true },
+    'series': { type: 'string' },
+    'number': { type: 'string' },
+    'isbn': { type: 'string' },
+    'tags': { type: 'string' },
+    'rating': { type: 'string' },
+    'pages': { type: 'string' },
+    'description': { type: 'string' },
+    'cover': { type: 'string' },
+    'format': { type: 'string' },
+    'output': { type: 'string' },
+    'dry-run': { type: 'boolean' },
+    'allow-duplicates': { type: 'boolean' },
+    'admin': { type: 'boolean' }
+};
+
+// The commands that change the library; they run while holding its lock
+// (add-user takes it itself, once the password is hashed)
+const CHANGING_COMMANDS = ['add', 'set-status', 'delete', 'import'];
+
+// Widest a table column gets before its text is cut short
+const MAX_COLUMN_WIDTH = 40;
+
+/**
+ * Prints one line of the answer to stdout
+ */
+function print(text) {
+    process.stdout.write(text + '\n');
+}
+
+/**
+ * Builds the answer for a command that can't run as typed (exit code 2)
+ */
+function usageError(message) {
+    return { error: message, usage: true };
+}
+
+/**
+ * Finds the account the command works for
+ * Parameters: store - the library's store, userName - the --user option
+ * Returns: { user } - user is null when there are no accounts yet - or { error }
+ */
+function findUser(store, userName) {
+    const users = store.list('users');
+    if (userName) {
+        const user = users.find(other => other.username.toLowerCase() === userName.toLowerCase());
+        return user ? { user: user } : { error: 'No account called "' + userName + '"' };
+    }
+    return { user: users.find(other => other.role === 'admin') || null };
+}
+
+/**
+ * Prints a message from the store, like "Books file written", to stderr,
+ * so it never mixes with the answer on stdout
+ */
+function logToStderr(...parts) {
+    console.error(...parts);
+}
+
+/**
+ * Turns the --author, --translator and --editor options into the authors list
+ * An --author text can hold several people, e.g. "Neil Gaiman & Terry Pratchett"
+ * Returns: The list of { name, role }, or undefined when none were given
+ */
+function authorsFromOptions(options) {
+    if (!options.author && !options.translator && !options.editor) {
+        return undefined;
+    }
+    const authors = [];
+    ['author', 'translator', 'editor'].forEach(role => {
+        (options[role] || []).forEach(text => {
+            parseAuthorText(text).forEach(person => {
+                authors.push({ name: person.name, role: role === 'author' ? person.role : role });
+            });
+        });
+    });
+    return authors;
+}
+
+/**
+ * Shows the books the user asked for, or every book
+ */
+function listCommand(library, options, words) {
+    if (options.status && !STATUSES.includes(options.status)) {
+        return usageError('Status must be one of: ' + STATUSES.join(', '));
+    }
+    if (options.order && options.order !== 'asc' && options.order !== 'desc') {
+        return usageError('Order must be asc or desc');
+    }
+
+    const books = library.catalog.listLiveBooks().map(book => personalize(book, library.userId));
+    const view = browseBooks(books, parseBrowseOptions({
+        q: words.join(' '),
+        status: options.status,
+        tag: options.tag,
+        sort: options.sort,
+        order: options.order
+    }));
+    return { success: true, totalBooks: view.matches, books: view.books };
+}
+
+/**
+ * Searches the library the way the search box on the bookshelf does
+ */
+function searchCommand(library, options, words) {
+    if (words.length === 0) {
+        return usageError('Type what to search for, e.g. little-library search dune');
+    }
+    return listCommand(library, options, words);
+}
+
+/**
+ * Adds a book, with the same checks as POST /books
+ */
+function addCommand(library, options) {
+    if (!library.user) {
+        return { error: 'Create the first account before adding books (on the website, or with add-user)' };
+    }
+
+    const input = {
+        title: options.title,
+        authors: authorsFromOptions(options),
+        series: options.series,
+        seriesNumber: options.number,
+        isbn: options.isbn,
+        tags: options.tags === undefined ? undefined : options.tags.split(','),
+        status: options.status,
+        rating: options.rating,
+        pageCount: options.pages,
+        description: options.description,
+        coverImage: options.cover
+    };
+    Object.keys(input).forEach(field => {
+        if (input[field] === undefined) {
+            delete input[field];
+        }
+    });
+
+    const { book: fields, errors } = validateBook(input, false);
+    if (errors.length > 0) {
+        return { error: 'Book is not valid', errors: errors };
+    }
+    return { success: true, book: library.catalog.addBook(fields, library.user) };
+}
+
+/**
+ * Changes the user's status of one book, like the status menu on the detail page
+ */
+function setStatusCommand(library, options, args) {
+    if (args.length !== 2) {
+        return usageError('Give a book id and a status, e.g. little-library set-status 12 read');
+    }
+    if (!library.user) {
+        return { error: 'Create the first account before changing books (on the website, or with add-user)' };
+    }
+
+    const saved = library.catalog.getLiveBook(args[0]);
+    if (!saved) {
+        return { error: 'Book not found' };
+    }
+
+    const { book: changes, errors } = validateBook({ status: args[1] }, true, personalize(saved, library.userId));
+    if (errors.length > 0) {
+        return { error: 'Book is not valid', errors: errors };
+    }
+    return { success: true, book: library.catalog.changeBook(saved.id, changes, library.user).book };
+}
+
+/**
+ * Moves a book to the trash, like DELETE /books/:id - only admins can
+ */
+function deleteCommand(library, options, args) {
+    if (args.length !== 1) {
+        return usageError('Give the id of the book to delete, e.g. little-library delete 12');
+    }
+    if (!library.user || library.user.role !== 'admin') {
+        return { error: 'Only an admin can do this' };
+    }
+
+    const book = library.catalog.trashBook(args[0], library.user);
+    if (!book) {
+        return { error: 'Book not found' };
+    }
+    return { success: true, book: personalize(book, library.userId) };
+}
+
+/**
+ * Imports books from a CSV, JSON or Goodreads file, like POST /import
+ * Duplicates are only imported with --allow-duplicates, and nothing is
+ * saved with --dry-run. Rows that are not valid are skipped, and make
+ * the command end with exit code 1.
+ */
+function importCommand(library, options, args) {
+    if (args.length !== 1) {
+        return usageError('Give the file to import, e.g. little-library import books.csv');
+    }
+    const format = options.format || 'auto';
+    if (!IMPORT_FORMATS.includes(format)) {
+        return usageError('Format must be one of: ' + IMPORT_FORMATS.join(', '));
+    }
+    const dryRun = Boolean(options['dry-run']);
+    if (!library.user && !dryRun) {
+        return { error: 'Create the first account before importing books (on the website, or with add-user)' };
+    }
+
+    let plan;
+    try {
+        const content = fs.readFileSync(path.resolve(args[0]), 'utf8');
+        const books = library.catalog.listLiveBooks().map(book => personalize(book, library.userId));
+        plan = planImport(content, format, books);
+    } catch (error) {
+        return { error: 'Could not read the file: ' + error.message };
+    }
+
+    const result = library.catalog.importBooks(plan, {
+        dryRun: dryRun,
+        allowDuplicates: Boolean(options['allow-duplicates'])
+    }, library.user);
+    return Object.assign({ success: result.summary.invalid === 0 }, result);
+}
+
+/**
+ * Builds an export file of the library, with the user's own statuses and ratings
+ * Returns: { success, file } - the file from exportBooks() in importExport.js
+ */
+function exportCommand(library, options) {
+    const format = options.format || 'json';
+    if (format !== 'csv' && format !== 'json') {
+        return usageError('Format must be csv or json');
+    }
+    const books = library.catalog.listLiveBooks().map(book => personalize(book, library.userId));
+    return { success: true, totalBooks: books.length, file: exportBooks(books, format) };
+}
+
+/**
+ * Copies the library into the backup folder (see config.js)
+ */
+function backupCommand(library) {
+    const file = library.store.backup();
+    return file ? { success: true, file: file } : { error: 'There is no library file to back up yet' };
+}
+
+/**
+ * Reads the password for a new account: the first line of stdin, so it
+ * never shows in the shell history or the list of running programs
+ * Returns: A promise of the password ('' when there was none)
+ */
+function readPassword() {
+    if (process.stdin.isTTY) {
+        process.stderr.write('Password for the new account (shown as you type): ');
+    }
+    return new Promise(resolve => {
+        const lines = readline.createInterface({ input: process.stdin });
+        let password = '';
+        lines.once('line', line => {
+            password = line;
+            lines.close();
+        });
+        lines.once('close', () => resolve(password));
+    });
+}
+
+/**
+ * Creates an account, with the same checks as POST /register
+ * The first account is an admin and gets the reading data saved before
+ * accounts existed; after that only an admin (see --user) can add accounts.
+ */
+async function addUserCommand(library, options, args) {
+    if (args.length !== 1) {
+        return usageError('Give the new account\'s user name, e.g. echo "$PASSWORD" | little-library add-user ann');
+    }
+    const { account, errors } = validateAccount({ username: args[0], password: await readPassword() });
+    if (errors.length > 0) {
+        return { error: 'Account is not valid', errors: errors };
+    }
+
+    // Hashing takes a moment, so the accounts are only read once it is done
+    const passwordHash = await hashPassword(account.password);
+    return library.store.transaction(() => {
+        const users = library.store.list('users');
+        const firstUser = users.length === 0;
+        if (!firstUser && (!library.user || library.user.role !== 'admin')) {
+            return { error: 'Only an admin can do this' };
+        }
+        if (users.some(user => user.username.toLowerCase() === account.username.toLowerCase())) {
+            return { error: 'Account is not valid', errors: [{ field: 'username', message: 'The user name "' + account.username + '" is taken' }] };
+        }
+
+        const user = library.store.create('users', {
+            username: account.username,
+            passwordHash: passwordHash,
+            role: firstUser || options.admin ? 'admin' : 'member',
+            dateCreated: new Date().toISOString()
+        });
+        if (firstUser) {
+            library.catalog.claimOldReadingData(user);
+        }
+        return { success: true, user: publicUser(user) };
+    });
+}
+
+// The commands, by the name typed after little-library
+const COMMANDS = {
+    'list': listCommand,
+    'search': searchCommand,
+    'add': addCommand,
+    'set-status': setStatusCommand,
+    'delete': deleteCommand,
+    'import': importCommand,
+    'export': exportCommand,
+    'backup': backupCommand,
+    'add-user': addUserCommand
+};
+
+/**
+ * Cuts a text to fit a table column: "A Very Long Title" becomes "A Very Lo…"
+ */
+function fitColumn(text, width) {
+    return text.length > width ? text.slice(0, width - 1) + '…' : text;
+}
+
+/**
+ * Prints books as a table with one line per book
+ */
+function printBookTable(books) {
+    if (books.length === 0) {
+        print('No books found.');
+        return;
+    }
+    const columns = [
+        ['ID', book => book.id],
+        ['Title', book => book.title],
+        ['Author', book => book.author],
+        ['Series', book => book.series ? book.series + (book.seriesNumber !== null && book.seriesNumber !== undefined ? ' #' + book.seriesNumber : '') : ''],
+        ['Status', book => book.status],
+        ['Rating', book => book.rating ? book.rating + '/5' : '']
+    ];
+    const rows = books.map(book => columns.map(column => fitColumn(String(column[1](book) || ''), MAX_COLUMN_WIDTH)));
+    const widths = columns.map((column, index) => Math.max(column[0].length, ...rows.map(row => row[index].length)));
+    const line = cells => cells.map((cell, index) => cell.padEnd(widths[index])).join('  ').trimEnd();
+
+    print(line(columns.map(column => column[0])));
+    print(line(widths.map(width => '-'.repeat(width))));
+    rows.forEach(row => print(line(row)));
+}
+
+/**
+ * Prints a command's answer for people reading the terminal
+ * Parameters: command - the command's name, result - its answer
+ */
+function printResult(command, result) {
+    if (command === 'list' || command === 'search') {
+        printBookTable(result.books);
+        if (result.books.length > 0) {
+            print('\n' + result.totalBooks + (result.totalBooks === 1 ? ' book' : ' books'));
+        }
+    } else if (command === 'add') {
+        print('Added "' + result.book.title + '" with id ' + result.book.id);
+    } else if (command === 'set-status') {
+        print('"' + result.book.title + '" is now ' + result.book.status);
+    } else if (command === 'delete') {
+        print('Moved "' + result.book.title + '" to the trash');
+    } else if (command === 'import') {
+        result.rows.filter(row => row.result !== 'new').forEach(row => {
+            const title = row.book && row.book.title ? '"' + row.book.title + '"' : '(no title)';
+            if (row.result === 'duplicate') {
+                print('Row ' + row.row + ': ' + title + ' is already in the library as "' + row.duplicateOf.title + '"' +
+                    (row.imported ? ' - imported anyway' : ''));
+            } else {
+                print('Row ' + row.row + ': ' + title + ' is not valid - ' + row.errors.map(error => error.message).join(', '));
+            }
+        });
+        const summary = result.summary;
+        print((result.dryRun ? 'Dry run: ' : '') + summary.total + ' rows read (' + result.format + '), ' +
+            summary.new + ' new, ' + summary.duplicate + ' duplicates, ' + summary.invalid + ' not valid. ' +
+            (result.dryRun ? 'Nothing was imported.' : summary.imported + ' imported.'));
+    } else if (command === 'backup') {
+        print('Backed up the library to ' + result.file);
+    } else if (command === 'add-user') {
+        print('Created the account "' + result.user.username + '" (' + result.user.role + ')');
+    }
+}
+
+/**
+ * Prints why a command didn't work
+ * With --json the answer goes to stdout like any other answer, so scripts can read it
+ */
+function printError(result, asJson) {
+    if (asJson) {
+        print(JSON.stringify({ error: result.error, errors: result.errors }, null, 2));
+        return;
+    }
+    console.error('Error: ' + result.error);
+    (result.errors || []).forEach(error => console.error('  ' + error.field + ': ' + error.message));
+    if (result.usage) {
+        console.error('\nRun "little-library help" to see every command.');
+    }
+}
+
+/**
+ * Runs the command typed on the command line
+ * Parameter: argv - the words after "little-library"
+ * Returns: A promise of the exit code
+ */
+async function main(argv) {
+    let parsed;
+    try {
+        parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+    } catch (error) {
+        printError(usageError(error.message), argv.includes('--json'));
+        return 2;
+    }
+    const options = parsed.values;
+    const [command, ...args] = parsed.positionals;
+
+    if (!command || command === 'help' || options.help) {
+        print(USAGE);
+        return command || options.help ? 0 : 2;
+    }
+    if (!COMMANDS[command]) {
+        printError(usageError('Unknown command "' + command + '"'), options.json);
+        return 2;
+    }
+
+    let store = null;
+    let result;
+    try {
+        store = createStore(config, logToStderr);
+        const found = findUser(store, options.user);
+        if (found.error) {
+            result = { error: found.error };
+        } else {
+            const library = {
+                store: store,
+                catalog: createCatalog(store),
+                user: found.user,
+                userId: found.user ? found.user.id : null
+            };
+            const run = () => COMMANDS[command](library, options, args);
+            result = CHANGING_COMMANDS.includes(command) ? store.transaction(run) : await run();
+        }
+    } catch (error) {
+        // The library couldn't be read or saved, e.g. the server kept it locked too long
+        result = { error: error.message };
+    } finally {
+        if (store && store.close) {
+            store.close();
+        }
+    }
+
+    if (result.error) {
+        printError(result, options.json);
+        return result.usage ? 2 : 1;
+    }
+
+    if (command === 'export') {
+        if (options.output) {
+            fs.writeFileSync(options.output, result.file.body);
+            console.error('Exported ' + result.totalBooks + ' books to ' + options.output);
+        } else {
+            process.stdout.write(result.file.body);
+        }
+    } else if (options.json) {
+        print(JSON.stringify(result, null, 2));
+    } else {
+        printResult(command, result);
+    }
+    return result.success ? 0 : 1;
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).then(code => {
+        process.exitCode = code;
+    });
+}
+
+module.exports = { main };
@@ -0,0 +1,236 @@
+/**
+ * Little Library - Browsing the Shelf
+ * Sorts, filters and splits the library into pages for GET /books
+ *
+ * Functions in this file:
+ * - parseBrowseOptions(): Reads the sort, filter and page settings from a URL query
+ * - browseBooks(): Applies those settings to the library
+ *
+ * The settings, all optional:
+ * - q: a search (see search.js) - results come best match first
+ * - shelf: the id of a shelf - only its books are shown
+ * - sort: title, author, dateAdded, rating, dateFinished, relevance or
+ *   shelf (the shelf's own order)
+ * - order: asc or desc (each sort has its own natural default)
+ * - status: statuses to show, comma separated ("read,currently reading")
+ * - tag: tags a book must all have, comma separated (upper/lower case doesn't matter)
+ * - rating: the lowest rating to show (1 to 5), or "unrated"
+ * - page, pageSize: which page of books to send (pages count from 1)
+ */
+
+const { STATUSES } = require('./validation');
+const { lastFinishedAt } = require('./readingLog');
+const { searchBooks } = require('./search');
+const { tagKey, hasTag } = require('./tagIndex');
+
+// The ways the shelf can be sorted, and the order each one starts in
+const SORTS = {
+    relevance: 'asc',
+    shelf: 'asc',
+    title: 'asc',
+    author: 'asc',
+    dateAdded: 'desc',
+    rating: 'desc',
+    dateFinished: 'desc'
+};
+
+// Most books sent in one page
+const MAX_PAGE_SIZE = 500;
+
+/**
+ * Splits a comma separated setting into a list, e.g. "a, b" becomes ['a', 'b']
+ * Repeated settings (?tag=a&tag=b) are joined too
+ */
+function listSetting(value) {
+    return [].concat(value || [])
+        .join(',')
+        .split(',')
+        .map(item => item.trim())
+        .filter(item => item);
+}
+
+/**
+ * Reads the sort, filter and page settings from a URL query (req.query)
+ * Unknown values are ignored rather than refused, so an old bookmark still works
+ * Returns: { q, shelf, sort, order, status, tags, rating, page, pageSize } -
+ *   page and pageSize are null when every book should be sent. The server
+ *   adds shelfBookIds, the shelf's books in order, when a shelf is picked.
+ */
+function parseBrowseOptions(query) {
+    const defaultSort = query.q ? 'relevance' : (query.shelf ? 'shelf' : 'dateAdded');
+    let sort = SORTS[query.sort] ? query.sort : defaultSort;
+    if (sort === 'shelf' && !query.shelf) {
+        sort = 'dateAdded';
+    }
+    const order = query.order === 'asc' || query.order === 'desc' ? query.order : SORTS[sort];
+    const rating = query.rating === 'unrated' ? 'unrated' : (Number(query.rating) || null);
+
+    let page = null;
+    let pageSize = null;
+    if (query.page !== undefined || query.pageSize !== undefined) {
+        page = Math.max(1, Math.floor(Number(query.page)) || 1);
+        pageSize = Math.min(MAX_PAGE_SIZE, Math.max(1, Math.floor(Number(query.pageSize)) || 50));
+    }
+
+    return {
+        q: String(query.q || '').trim(),
+        shelf: String(query.shelf || '').trim(),
+        sort: sort,
+        order: order,
+        status: listSetting(query.status).filter(status => STATUSES.includes(status)),
+        tags: listSetting(query.tag),
+        rating: rating,
+        page: page,
+        pageSize: pageSize
+    };
+}
+
+/**
+ * Gets the value a book is sorted by
+ * Text is lowercased so "apple" and "Banana" sort the way people expect
+ */
+function sortValue(book, sort) {
+    if (sort === 'title' || sort === 'author') {
+        return String(book[sort] || '').trim().toLowerCase() || null;
+    }
+    if (sort === 'dateFinished') {
+        return lastFinishedAt(book);
+    }
+    return book[sort] || null;
+}
+
+/**
+ * Sorts books in place by one of the SORTS
+ * Books without a value (no rating, never finished) always go last
+ * Parameter: shelfBookIds - the shelf's books in order, for the "shelf" sort
+ */
+function sortBooks(books, sort, order, shelfBookIds) {
+    if (sort === 'shelf') {
+        const positions = new Map(shelfBookIds.map((id, index) => [String(id), index]));
+        books.sort((a, b) => positions.get(String(a.id)) - positions.get(String(b.id)));
+    }
+    if (sort === 'relevance' || sort === 'shelf') {
+        if (order === 'desc') {
+            books.reverse();
+        }
+        return books;
+    }
+    const direction = order === 'desc' ? -1 : 1;
+    return books.sort((a, b) => {
+        const first = sortValue(a, sort);
+        const second = sortValue(b, sort);
+        if (first === null || second === null) {
+            return (first === null) - (second === null);
+        }
+        const compared = typeof first === 'number' ? first - second : String(first).localeCompare(String(second), undefined, { numeric: true });
+        return compared * direction;
+    });
+}
+
+/**
+ * Checks a book against the rating filter
+ */
+function matchesRating(book, rating) {
+    if (rating === 'unrated') {
+        return !book.rating;
+    }
+    return !rating || (book.rating || 0) >= rating;
+}
+
+/**
+ * Counts how many books have each status and each tag
+ * Each count leaves out its own filter, so it tells how many books
+ * picking that status or tag would show
+ * Returns: { status: { 'read': 3, ... }, tags: [{ tag, count }] } -
+ *   tags are sorted by count, most used first; spellings of one tag that
+ *   only differ in upper/lower case are counted together
+ */
+function countFacets(books, options) {
+    const status = {};
+    STATUSES.forEach(name => {
+        status[name] = 0;
+    });
+    const tagCounts = new Map();
+
+    books.forEach(book => {
+        const hasTags = options.tags.every(tag => hasTag(book, tag));
+        const hasStatus = options.status.length === 0 || options.status.includes(book.status);
+
+        if (hasTags && status[book.status] !== undefined) {
+            status[book.status]++;
+        }
+        if (hasStatus) {
+            // Picking a tag adds to the tags already picked
+            const counted = hasTags ? (book.tags || []) : [];
+            counted.forEach(tag => {
+                // The first spelling seen is the one shown
+                const counts = tagCounts.get(tagKey(tag)) || { tag: tag, count: 0 };
+                counts.count++;
+                tagCounts.set(tagKey(tag), counts);
+            });
+        }
+    });
+
+    const tags = [...tagCounts.values()]
+        .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+    return { status: status, tags: tags };
+}
+
+/**
+ * Applies the settings from parseBrowseOptions() to the library
+ * Returns: { books, results, matches, facets, page, pageSize, pages } -
+ *   books is the current page, results holds the search scores and
+ *   highlights for those books (only when searching), matches counts
+ *   every book that passed the filters
+ */
+function browseBooks(allBooks, options) {
+    // Search first: it decides which books are left and their relevance order
+    let books = allBooks;
+    if (options.shelfBookIds) {
+        const onShelf = new Set(options.shelfBookIds.map(id => String(id)));
+        books = allBooks.filter(book => onShelf.has(String(book.id)));
+    }
+
+    let found = options.q ? searchBooks(books, options.q) : books.map(book => ({ book: book }));
+    found = found.filter(result => matchesRating(result.book, options.rating));
+
+    const facets = countFacets(found.map(result => result.book), options);
+
+    const filtered = found.filter(result => {
+        const book = result.book;
+        return (options.status.length === 0 || options.status.includes(book.status)) &&
+            options.tags.every(tag => hasTag(book, tag));
+    });
+
+    // Sort the results rather than the books, so highlights stay with their book
+    const order = filtered.map(result => result.book);
+    sortBooks(order, options.sort, options.order, options.shelfBookIds);
+    const byBook = new Map(filtered.map(result => [result.book, result]));
+    let sorted = order.map(book => byBook.get(book));
+
+    let pages = 1;
+    if (options.pageSize) {
+        pages = Math.max(1, Math.ceil(sorted.length / options.pageSize));
+        const start = (options.page - 1) * options.pageSize;
+        sorted = sorted.slice(start, start + options.pageSize);
+    }
+
+    return {
+        books: sorted.map(result => result.book),
+        results: options.q ? sorted.map(result => ({
+            id: result.book.id,
+            score: result.score,
+            highlights: result.highlights
+        })) : undefined,
+        matches: filtered.length,
+        facets: facets,
+        page: options.page || 1,
+        pageSize: options.pageSize,
+        pages: pages
+    };
+}
+
+module.exports = {
+    parseBrowseOptions,
+    browseBooks
+};
@@ -0,0 +1,305 @@
+/**
+ * Little Library - Changing the Books
+ * The steps for adding, changing, importing and deleting books, shared by
+ * the server (server.js) and the command line tool (bin/little-library.js)
+ * so both save a book the same way: tags and series spelled like the rest
+ * of the library, the reading log kept up to date, each reader's own
+ * fields in their place and an entry in the change history.
+ * Checking what was sent (validation.js) and who may do it stays with
+ * each program, as they answer in their own way.
+ *
+ * Functions in this file:
+ * - keepCoverFiles(): Decides what happens to a book's saved cover when it changes
+ * - createCatalog(): Sets up the shared steps for one store
+ */
+
+const { personalize, saveReaderFields, claimReaderFields } = require('./readers');
+const { applyStatusChange } = require('./readingLog');
+const { isTrashed } = require('./deletion');
+const { auditEntry } = require('./audit');
+const { buildTagIndex, useLibrarySpelling } = require('./tagIndex');
+const { useLibrarySeriesSpelling } = require('./contributors');
+
+// How often the server looks for changes saved by other programs, in milliseconds
+const WATCH_INTERVAL = 3000;
+
+/**
+ * Decides what happens to a book's saved cover when the book changes:
+ * the same cover address keeps the saved files, a new one drops them
+ * Returns: The cover files that are no longer used (to delete once the
+ *   book is saved), or null
+ */
+function keepCoverFiles(existing, newBook) {
+    if (!existing.coverFiles) {
+        return null;
+    }
+    if (newBook.coverImage === existing.coverImage) {
+        newBook.coverFiles = existing.coverFiles;
+        return null;
+    }
+    delete newBook.coverFiles;
+    return existing.coverFiles;
+}
+
+/**
+ * Sets up the shared steps for one store
+ * Parameters: store - from storage/index.js, onChange - (optional) called
+ *   with the history entries of every change and the browser tab that made
+ *   it, to tell open pages (see liveUpdates.js)
+ * Returns: An object with these functions:
+ * - getLiveBook(id): A book, unless it is in the trash
+ * - listLiveBooks(): Every book that is not in the trash
+ * - recordChanges(entries, clientId): Saves change history entries
+ * - spellTagsLikeLibrary(tags, bookId) and spellSeriesLikeLibrary(series, bookId)
+ * - addBook(fields, user, options): Saves a new book
+ * - changeBook(id, changes, user, options): Saves some fields of a book
+ * - trashBook(id, user, clientId): Moves a book to the trash
+ * - importBooks(plan, options, user): Saves the books of an import
+ * - claimOldReadingData(user): Gives the first account the reading data
+ *   saved before accounts existed
+ * - watchOtherPrograms(): Passes changes saved by other programs to onChange
+ * options can hold clientId (the browser tab, see liveUpdates.js) and
+ * keepReadings (true when a reading log was sent, so none is started)
+ * Each change reads what it needs and saves inside one store.transaction(),
+ * so another program can't save in between. A program that checks a book
+ * first (like the If-Match revision) does that in its own transaction
+ * around the change.
+ */
+function createCatalog(store, onChange) {
+    const notify = onChange || (() => {});
+
+    // Ids of the history entries this program saved, while it watches for
+    // the entries of other programs (see watchOtherPrograms())
+    let ownEntryIds = null;
+
+    function getLiveBook(id) {
+        const book = store.get('books', id);
+        return book && !isTrashed(book) ? book : null;
+    }
+
+    function listLiveBooks() {
+        return store.list('books').filter(book => !isTrashed(book));
+    }
+
+    // Updates that didn't change anything are left out of the history, but
+    // still passed on because the book has a new revision
+    function recordChanges(entries, clientId) {
+        const worthKeeping = entries.filter(entry => entry.action !== 'update' || entry.changes.length > 0);
+        if (worthKeeping.length > 0) {
+            const saved = store.createMany('audit', worthKeeping);
+            if (ownEntryIds) {
+                saved.forEach(entry => ownEntryIds.add(entry.id));
+            }
+        }
+        notify(entries, clientId || null);
+    }
+
+    // "scifi" becomes "SciFi" when other books already have that tag (see
+    // tagIndex.js); the book's own tags are left out of the library's spellings
+    function spellTagsLikeLibrary(tags, bookId) {
+        const otherBooks = listLiveBooks().filter(book => String(book.id) !== String(bookId));
+        return useLibrarySpelling(tags, buildTagIndex(otherBooks));
+    }
+
+    function spellSeriesLikeLibrary(series, bookId) {
+        return useLibrarySeriesSpelling(series, listLiveBooks().filter(book => String(book.id) !== String(bookId)));
+    }
+
+    // fields come from validateBook(); the status, rating and reviews in
+    // them are the new book's first reader's
+    // Returns: The saved book as the user sees it
+    function addBook(fields, user, options) {
+        options = options || {};
+        return store.transaction(() => {
+            fields.tags = spellTagsLikeLibrary(fields.tags);
+            fields.series = spellSeriesLikeLibrary(fields.series);
+
+            const now = new Date().toISOString();
+            const newBook = Object.assign({}, fields, {
+                dateAdded: fields.dateAdded || now,
+                revision: 1
+            });
+            if (!options.keepReadings) {
+                applyStatusChange(null, newBook, now);
+            }
+
+            // The store decides the id, so two programs can't create clashing books
+            const book = store.create('books', saveReaderFields(newBook, null, user.id));
+            recordChanges([auditEntry(user, 'create', null, book)], options.clientId);
+            return personalize(book, user.id);
+        });
+    }
+
+    // changes come from validateBook() - only the fields in it are changed
+    // Returns: { book, oldCover } - the saved book as the user sees it, and
+    //   the cover files it no longer uses (see keepCoverFiles()) - or null
+    //   when there is no such book
+    function changeBook(id, changes, user, options) {
+        options = options || {};
+        return store.transaction(() => {
+            const saved = getLiveBook(id);
+            if (!saved) {
+                return null;
+            }
+            const existing = personalize(saved, user.id);
+            if (changes.tags) {
+                changes.tags = spellTagsLikeLibrary(changes.tags, existing.id);
+            }
+            if (changes.series) {
+                changes.series = spellSeriesLikeLibrary(changes.series, existing.id);
+            }
+
+            const now = new Date().toISOString();
+            const newBook = Object.assign({}, existing, changes, {
+                dateModified: now,
+                revision: (existing.revision || 0) + 1
+            });
+
+            // The review list replaces the old single review text
+            if ('reviews' in changes) {
+                delete newBook.review;
+            }
+
+            // A new status stamps the start or finish date in the reading log
+            if (!options.keepReadings) {
+                applyStatusChange(existing, newBook, now);
+            }
+            const oldCover = keepCoverFiles(existing, newBook);
+
+            const book = store.update('books', existing.id, saveReaderFields(newBook, saved, user.id));
+            recordChanges([auditEntry(user, 'update', saved, book)], options.clientId);
+            return { book: personalize(book, user.id), oldCover: oldCover };
+        });
+    }
+
+    // The book stays on its shelves, so restoring it puts it back there too
+    // Returns: The book as stored, now in the trash - or null when there
+    //   is no such book
+    function trashBook(id, user, clientId) {
+        return store.transaction(() => {
+            const existing = getLiveBook(id);
+            if (!existing) {
+                return null;
+            }
+            const book = store.update('books', existing.id, Object.assign({}, existing, {
+                deletedAt: new Date().toISOString(),
+                deletedBy: user.id,
+                revision: (existing.revision || 0) + 1
+            }));
+            recordChanges([auditEntry(user, 'delete', existing, book)], clientId);
+            return book;
+        });
+    }
+
+    // plan comes from planImport() in importExport.js. New books are saved,
+    // duplicates only with options.allowDuplicates, and nothing with
+    // options.dryRun. Statuses, ratings and reviews in the file belong to
+    // the user importing it.
+    // Returns: { dryRun, format, summary, rows } - the rows that were saved
+    //   have imported: true and the saved book
+    function importBooks(plan, options, user) {
+        const toImport = plan.rows.filter(row => {
+            return row.result === 'new' || (row.result === 'duplicate' && options.allowDuplicates);
+        });
+
+        if (!options.dryRun && toImport.length > 0) {
+            store.transaction(() => {
+                const now = new Date().toISOString();
+                const otherBooks = listLiveBooks();
+                const tagIndex = buildTagIndex(otherBooks);
+                toImport.forEach(row => {
+                    row.book.tags = useLibrarySpelling(row.book.tags || [], tagIndex);
+                    if (row.book.series) {
+                        row.book.series = useLibrarySeriesSpelling(row.book.series, otherBooks);
+                    }
+                });
+                const saved = store.createMany('books', toImport.map(row => saveReaderFields(Object.assign({}, row.book, {
+                    dateAdded: row.book.dateAdded || now,
+                    revision: 1
+                }), null, user.id)));
+                recordChanges(saved.map(book => auditEntry(user, 'create', null, book)), options.clientId);
+                toImport.forEach((row, index) => {
+                    row.book = personalize(saved[index], user.id);
+                    row.imported = true;
+                });
+            });
+        }
+
+        const count = result => plan.rows.filter(row => row.result === result).length;
+        return {
+            dryRun: Boolean(options.dryRun),
+            format: plan.format,
+            summary: {
+                total: plan.rows.length,
+                new: count('new'),
+                duplicate: count('duplicate'),
+                invalid: count('invalid'),
+                imported: options.dryRun ? 0 : toImport.length
+            },
+            rows: plan.rows
+        };
+    }
+
+    // Called once, when the first account (the admin) is created
+    // Returns: How many books were changed
+    function claimOldReadingData(user) {
+        return store.transaction(() => {
+            const books = store.list('books');
+            const claimed = books
+                .map(book => claimReaderFields(book, user.id))
+                .filter(book => book);
+            if (claimed.length > 0) {
+                store.importRecords('books', claimed);
+                recordChanges(claimed.map(book => {
+                    const before = books.find(other => other.id === book.id);
+                    return auditEntry(user, 'update', before, book);
+                }));
+            }
+            return claimed.length;
+        });
+    }
+
+    // Every change is saved with a history entry, so new entries this
+    // program didn't save itself are changes made by another program, like
+    // the command line tool. The history is only ever added to, so the
+    // entries after the ones already seen are the new ones.
+    function watchOtherPrograms() {
+        ownEntryIds = new Set();
+        let seen = store.list('audit').length;
+
+        const timer = setInterval(() => {
+            try {
+                const entries = store.query('audit', {}, { offset: seen });
+                seen += entries.length;
+                const others = entries.filter(entry => !ownEntryIds.delete(entry.id));
+                if (others.length > 0) {
+                    notify(others, null);
+                }
+            } catch (error) {
+                console.log('Error looking for changes by other programs:', error.message);
+            }
+        }, WATCH_INTERVAL);
+
+        // Watching alone shouldn't keep the program running
+        timer.unref();
+    }
+
+    return {
+        getLiveBook,
+        listLiveBooks,
+        recordChanges,
+        spellTagsLikeLibrary,
+        spellSeriesLikeLibrary,
+        addBook,
+        changeBook,
+        trashBook,
+        importBooks,
+        claimOldReadingData,
+        watchOtherPrograms
+    };
+}
+
+module.exports = {
+    keepCoverFiles,
+    createCatalog
+};
@@ -0,0 +1,52 @@
+/**
+ * Little Library - Server Settings
+ * All settings can be changed with environment variables, for example:
+ *   STORAGE=sqlite npm start
+ *
+ * Settings in this file:
+ * - port: which port the server listens on (PORT)
+ * - storage: where books are kept, "json" or "sqlite" (STORAGE)
+ * - booksFile: the JSON file used by the "json" storage (BOOKS_FILE)
+ * - sqliteFile: the database file used by the "sqlite" storage (SQLITE_FILE)
+ * - backupDir: folder for old copies of the library (BACKUP_DIR)
+ * - maxBackups: how many old copies to keep (MAX_BACKUPS)
+ * - isbnProviders: where to look up ISBNs, in order, comma separated:
+ *   "offline" and/or "openlibrary" (ISBN_PROVIDERS)
+ * - isbnCatalogFile: the local catalog for the "offline" provider,
+ *   a .json or .csv file (ISBN_CATALOG)
+ * - loanDays: how many days a book is lent for when no due date is given (LOAN_DAYS)
+ * - readingGoal: how many books a year the stats page aims for, until a
+ *   user picks their own goal (READING_GOAL)
+ * - trashDays: how many days deleted books stay in the trash before they
+ *   are removed for good, 0 to keep them until the trash is emptied (TRASH_DAYS)
+ * - uploadDir: folder for uploaded and downloaded book covers (UPLOAD_DIR)
+ * - maxCoverBytes: biggest cover picture accepted, set in megabytes (MAX_COVER_MB)
+ * - sessionDays: how many days a login lasts (SESSION_DAYS)
+ * - secureCookies: "true" to only send the login cookie over https (SECURE_COOKIES)
+ * - allowSignup: "false" to stop people creating their own accounts - the
+ *   first account can always be created, and becomes the admin (ALLOW_SIGNUP)
+ */
+
+const path = require('path');
+
+module.exports = {
+    port: Number(process.env.PORT) || 3000,
+    storage: process.env.STORAGE || 'json',
+    booksFile: path.resolve(__dirname, process.env.BOOKS_FILE || 'books.json'),
+    sqliteFile: path.resolve(__dirname, process.env.SQLITE_FILE || 'library.db'),
+    backupDir: path.resolve(__dirname, process.env.BACKUP_DIR || 'backups'),
+    maxBackups: Number(process.env.MAX_BACKUPS) || 10,
+    isbnProviders: (process.env.ISBN_PROVIDERS || 'offline')
+        .split(',')
+        .map(name => name.trim())
+        .filter(name => name),
+    isbnCatalogFile: path.resolve(__dirname, process.env.ISBN_CATALOG || 'catalog.json'),
+    loanDays: Number(process.env.LOAN_DAYS) || 14,
+    readingGoal: Number(process.env.READING_GOAL) || 12,
+    trashDays: process.env.TRASH_DAYS !== undefined ? Number(process.env.TRASH_DAYS) || 0 : 30,
+    uploadDir: path.resolve(__dirname, process.env.UPLOAD_DIR || 'uploads'),
+    maxCoverBytes: (Number(process.env.MAX_COVER_MB) || 5) * 1024 * 1024,
+    sessionDays: Number(process.env.SESSION_DAYS) || 30,
+    secureCookies: process.env.SECURE_COOKIES === 'true',
+    allowSignup: process.env.ALLOW_SIGNUP !== 'false'
+};
@@ -0,0 +1,169 @@
+/**
+ * Little Library - Authors and Series
+ * A book can have several people behind it, each with a role, and can be
+ * one volume of a series.
+ *
+ * How a book stores them:
+ *   authors: [{ name: 'Stieg Larsson', role: 'author' }, { name: 'Reg Keeland', role: 'translator' }]
+ *   author: 'Stieg Larsson'      (the main authors as one text, kept up to date by the server)
+ *   series: 'Millennium', seriesNumber: 1
+ * The authors stay in the order they were typed, like on the cover. The
+ * "author" text is what the shelf sorts and shows, and what older pages
+ * and files still use.
+ *
+ * Functions in this file:
+ * - personKey(): Turns a name into the text used to compare it
+ * - parseAuthorText(): Splits an author text like "Neil Gaiman & Terry Pratchett" into people
+ * - mainAuthors(): Picks the people shown as a book's authors
+ * - authorSummary(): Joins the main authors into one text
+ * - authorText(): Writes every person and their role as one text, for files
+ * - contributorRoles(): Finds what a person did on a book
+ * - compareSeriesOrder(): Sorts books by series and volume number, then title
+ * - useLibrarySeriesSpelling(): Spells a series the way the library already does
+ * - upgradeAuthors(): Adds the authors list to a book saved before books had one
+ */
+
+// What a person can have done on a book, main role first
+const CONTRIBUTOR_ROLES = ['author', 'translator', 'editor'];
+
+// How roles may be written after a name in an author text, e.g. "Reg Keeland (translator)"
+const ROLE_SPELLINGS = {
+    'author': 'author',
+    'translator': 'translator',
+    'trans.': 'translator',
+    'tr.': 'translator',
+    'editor': 'editor',
+    'ed.': 'editor',
+    'eds.': 'editor'
+};
+
+/**
+ * Turns a name into the text used to compare it: "  Ursula K.  Le Guin" becomes "ursula k. le guin"
+ */
+function personKey(name) {
+    return String(name || '').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+/**
+ * Reads one person from an author text, with the role in brackets if there is one
+ * Returns: { name, role }
+ */
+function parsePerson(text) {
+    const match = text.match(/^(.*?)\s*\(([^)]*)\)$/);
+    const role = match && ROLE_SPELLINGS[match[2].trim().toLowerCase()];
+    return role ? { name: match[1].trim(), role: role } : { name: text, role: 'author' };
+}
+
+/**
+ * Splits an author text into people
+ * People can be separated by ";", "&" or "and". Commas only separate
+ * people when every part is a full name, so "Herbert, Frank" stays one
+ * person but "Neil Gaiman, Terry Pratchett" becomes two.
+ * A role can follow a name in brackets: "Reg Keeland (translator)"
+ * Returns: A list of { name, role } - empty for an empty text
+ */
+function parseAuthorText(text) {
+    const people = [];
+    String(text || '').split(/\s*;\s*|\s+&\s+|\s+and\s+/i).forEach(part => {
+        const commaParts = part.split(',').map(name => name.trim());
+        const names = commaParts.length > 1 && commaParts.every(name => name.includes(' ')) ? commaParts : [part.trim()];
+        names.filter(name => name).forEach(name => people.push(parsePerson(name)));
+    });
+    return people;
+}
+
+/**
+ * Picks the people shown as a book's authors: everyone with the author
+ * role, or everyone when nobody has it (like an anthology with only editors)
+ */
+function mainAuthors(authors) {
+    const list = authors || [];
+    const writers = list.filter(person => person.role === 'author');
+    return writers.length > 0 ? writers : list;
+}
+
+/**
+ * Joins the main authors into one text, e.g. "Neil Gaiman & Terry Pratchett"
+ * or "Larry Niven, Jerry Pournelle & Steven Barnes"
+ * Returns: The text, or '' when the book has no authors
+ */
+function authorSummary(authors) {
+    const names = mainAuthors(authors).map(person => person.name);
+    return names.length > 1 ? names.slice(0, -1).join(', ') + ' & ' + names[names.length - 1] : names.join('');
+}
+
+/**
+ * Writes every person and their role as one text that parseAuthorText()
+ * reads back the same, e.g. "Stieg Larsson; Reg Keeland (translator)"
+ * Used for the author column of CSV files
+ */
+function authorText(authors) {
+    return (authors || []).map(person => person.role === 'author' ? person.name : person.name + ' (' + person.role + ')').join('; ');
+}
+
+/**
+ * Finds what a person did on a book, in any spelling of their name
+ * Returns: A list of roles, empty when they are not one of the book's people
+ */
+function contributorRoles(book, name) {
+    const key = personKey(name);
+    return (book.authors || []).filter(person => personKey(person.name) === key).map(person => person.role);
+}
+
+/**
+ * Sorts books the way they belong on a shelf: each series together in
+ * volume order (books without a number at the end of their series),
+ * series and books outside a series by name
+ * Use with sort(): books.sort(compareSeriesOrder)
+ */
+function compareSeriesOrder(a, b) {
+    const nameA = personKey(a.series || a.title);
+    const nameB = personKey(b.series || b.title);
+    if (nameA !== nameB) {
+        return nameA.localeCompare(nameB);
+    }
+    const numberA = typeof a.seriesNumber === 'number' ? a.seriesNumber : Infinity;
+    const numberB = typeof b.seriesNumber === 'number' ? b.seriesNumber : Infinity;
+    if (numberA !== numberB) {
+        return numberA < numberB ? -1 : 1;
+    }
+    return personKey(a.title).localeCompare(personKey(b.title));
+}
+
+/**
+ * Spells a series the way the library already does, so "the expanse"
+ * becomes "The Expanse" when other books are already in that series
+ * Parameters: series - the series being saved, books - the other books
+ * Returns: The series, respelled when needed
+ */
+function useLibrarySeriesSpelling(series, books) {
+    const key = personKey(series);
+    const other = key && books.find(book => book.series && personKey(book.series) === key);
+    return other ? other.series : series;
+}
+
+/**
+ * Adds the authors list to a book saved before books had one, by
+ * splitting its author text (see parseAuthorText())
+ * Returns: The upgraded copy of the book, or null when it already has a list
+ */
+function upgradeAuthors(book) {
+    if (Array.isArray(book.authors)) {
+        return null;
+    }
+    const authors = parseAuthorText(book.author);
+    return Object.assign({}, book, { authors: authors, author: authorSummary(authors) });
+}
+
+module.exports = {
+    CONTRIBUTOR_ROLES,
+    personKey,
+    parseAuthorText,
+    mainAuthors,
+    authorSummary,
+    authorText,
+    contributorRoles,
+    compareSeriesOrder,
+    useLibrarySeriesSpelling,
+    upgradeAuthors
+};
@@ -0,0 +1,307 @@
+/**
+ * Little Library - Book Covers
+ * Keeps a copy of a book's cover in the uploads folder, so it still shows
+ * when the website it came from goes away (or the computer is offline).
+ *
+ * Every saved cover is three files in <uploads>/covers:
+ *   <book id>-<random>.jpg         the picture as it was uploaded or downloaded
+ *   <book id>-<random>-shelf.webp  a small copy for the shelf on the main page
+ *   <book id>-<random>-detail.webp a bigger copy for the detail page
+ * The book remembers them in "coverFiles":
+ *   coverFiles: { original: '/uploads/covers/...', shelf: '...', detail: '...',
+ *                 sourceUrl: 'https://...' or null, contentType, size, dateSaved }
+ *
+ * Functions in this file:
+ * - detectImageType(): Works out what kind of picture a file is from its first bytes
+ * - isPublicAddress(): Checks that an IP address is on the public internet
+ * - createCoverStore(): Sets up saving, downloading and removing covers
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const http = require('http');
+const https = require('https');
+const sharp = require('sharp');
+
+// The kinds of pictures we accept, and the file name ending for each
+const IMAGE_TYPES = {
+    'image/jpeg': '.jpg',
+    'image/png': '.png',
+    'image/gif': '.gif',
+    'image/webp': '.webp'
+};
+
+// Thumbnail sizes in pixels - twice the size they are shown at, for sharp screens
+const THUMBNAILS = {
+    shelf: { width: 100, height: 130 },
+    detail: { width: 300, height: 400 }
+};
+
+// Biggest picture we try to read, in pixels (about 8000 x 5000)
+const MAX_PIXELS = 40000000;
+
+// How long to wait for a cover download, in milliseconds
+const FETCH_TIMEOUT = 15000;
+
+// How many times a cover website may send us on to another address
+const MAX_REDIRECTS = 5;
+
+// Addresses a cover is never downloaded from: this computer, the local
+// network, link-local addresses (like the cloud metadata service at
+// 169.254.169.254) and other addresses that are not on the public internet.
+// Without this, anyone with an account could make the server look around
+// the network it runs in.
+const PRIVATE_ADDRESSES = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+    ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+    ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+    // IPv4 addresses written as IPv6 (::ffff:127.0.0.1) are checked with the
+    // IPv4 rules above by BlockList itself; 64:ff9b::/96 hides them too
+    ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Works out what kind of picture a file is from its first bytes
+ * The type the browser claims is not trusted - anyone can send any file
+ * Returns: 'image/jpeg', 'image/png', 'image/gif', 'image/webp', or null
+ */
+function detectImageType(buffer) {
+    if (!Buffer.isBuffer(buffer) || buffer.length < 12) {
+        return null;
+    }
+    if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+        return 'image/jpeg';
+    }
+    if (buffer.slice(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+        return 'image/png';
+    }
+    if (buffer.slice(0, 6).toString('ascii') === 'GIF87a' || buffer.slice(0, 6).toString('ascii') === 'GIF89a') {
+        return 'image/gif';
+    }
+    if (buffer.slice(0, 4).toString('ascii') === 'RIFF' && buffer.slice(8, 12).toString('ascii') === 'WEBP') {
+        return 'image/webp';
+    }
+    return null;
+}
+
+/**
+ * Checks that an IP address is on the public internet, see PRIVATE_ADDRESSES
+ * Returns: true for public addresses, false for private ones and for text
+ *   that is not an IP address
+ */
+function isPublicAddress(address) {
+    const version = net.isIP(address);
+    if (version === 0) {
+        return false;
+    }
+    return !PRIVATE_ADDRESSES.check(address, version === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Looks up a host name like dns.lookup(), but fails when it leads to an
+ * address that is not public. Used as the "lookup" of each download, so
+ * the address checked is the one connected to.
+ */
+function publicLookup(hostname, options, callback) {
+    dns.lookup(hostname, Object.assign({}, options, { all: true }), (error, addresses) => {
+        if (error) {
+            return callback(error);
+        }
+        if (addresses.length === 0 || addresses.some(entry => !isPublicAddress(entry.address))) {
+            return callback(new Error(hostname + ' is not on the public internet'));
+        }
+        if (options.all) {
+            return callback(null, addresses);
+        }
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+}
+
+/**
+ * Asks a cover website for one address, without following redirects
+ * Parameters: url - a URL object, signal - stops the request when it takes too long
+ * Returns: A promise of the response (a readable stream with statusCode and headers)
+ */
+function requestOnce(url, signal) {
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+        return Promise.reject(new Error('only http and https addresses can be downloaded'));
+    }
+    // Addresses typed as numbers are never looked up, so check them here
+    const host = url.hostname.replace(/^\[|\]$/g, '');
+    if (net.isIP(host) && !isPublicAddress(host)) {
+        return Promise.reject(new Error(host + ' is not on the public internet'));
+    }
+
+    return new Promise((resolve, reject) => {
+        const client = url.protocol === 'https:' ? https : http;
+        const request = client.get(url, {
+            headers: { Accept: 'image/*' },
+            lookup: publicLookup,
+            signal: signal
+        }, resolve);
+        request.on('error', reject);
+    });
+}
+
+/**
+ * Sets up saving, downloading and removing covers
+ * Parameter: options - { uploadDir, maxCoverBytes } from config.js
+ * Returns: An object with these functions:
+ * - save(bookId, buffer, sourceUrl): Checks a picture and saves it with its thumbnails
+ * - download(bookId, url): Downloads a cover from the web and saves it
+ * - remove(coverFiles): Deletes a book's saved cover files
+ * Both save() and download() return a promise of { coverFiles } or { error }
+ */
+function createCoverStore(options) {
+    const coverDir = path.join(options.uploadDir, 'covers');
+
+    // Covers are served from /uploads, see server.js
+    function publicPath(fileName) {
+        return '/uploads/covers/' + fileName;
+    }
+
+    async function save(bookId, buffer, sourceUrl) {
+        const contentType = detectImageType(buffer);
+        if (!contentType) {
+            return { error: 'The cover must be a JPEG, PNG, GIF or WebP picture' };
+        }
+        if (buffer.length > options.maxCoverBytes) {
+            return { error: 'The cover can be at most ' + Math.floor(options.maxCoverBytes / 1024 / 1024) + ' MB' };
+        }
+
+        // Reading the size also checks that the picture isn't broken
+        try {
+            const metadata = await sharp(buffer, { limitInputPixels: MAX_PIXELS }).metadata();
+            if (!metadata.width || !metadata.height) {
+                return { error: 'The cover picture could not be read' };
+            }
+        } catch (error) {
+            return { error: 'The cover picture could not be read' };
+        }
+
+        // A random part in the name, so a new cover never shows an old cached one
+        const baseName = bookId + '-' + crypto.randomBytes(6).toString('hex');
+        const fileNames = {
+            original: baseName + IMAGE_TYPES[contentType],
+            shelf: baseName + '-shelf.webp',
+            detail: baseName + '-detail.webp'
+        };
+
+        fs.mkdirSync(coverDir, { recursive: true });
+        try {
+            fs.writeFileSync(path.join(coverDir, fileNames.original), buffer);
+            for (const size of Object.keys(THUMBNAILS)) {
+                // rotate() turns phone photos the right way up
+                await sharp(buffer, { limitInputPixels: MAX_PIXELS })
+                    .rotate()
+                    .resize(THUMBNAILS[size].width, THUMBNAILS[size].height, { fit: 'cover' })
+                    .webp({ quality: 80 })
+                    .toFile(path.join(coverDir, fileNames[size]));
+            }
+        } catch (error) {
+            Object.values(fileNames).forEach(fileName => fs.rmSync(path.join(coverDir, fileName), { force: true }));
+            console.log('Error making cover thumbnails:', error.message);
+            return { error: 'The cover picture could not be read' };
+        }
+
+        return {
+            coverFiles: {
+                original: publicPath(fileNames.original),
+                shelf: publicPath(fileNames.shelf),
+                detail: publicPath(fileNames.detail),
+                sourceUrl: sourceUrl || null,
+                contentType: contentType,
+                size: buffer.length,
+                dateSaved: new Date().toISOString()
+            }
+        };
+    }
+
+    async function download(bookId, url) {
+        // Why a download failed is only logged: telling the user whether a
+        // host answered, or with which status, would let them map the network
+        const failed = { error: 'Could not download the cover from that address' };
+        const signal = AbortSignal.timeout(FETCH_TIMEOUT);
+
+        // Redirects are followed one by one, so each new address is checked too
+        let response;
+        let address = url;
+        try {
+            for (let redirects = 0; ; redirects++) {
+                response = await requestOnce(new URL(address), signal);
+                const location = response.headers.location;
+                if (response.statusCode < 300 || response.statusCode >= 400 || !location) {
+                    break;
+                }
+                response.resume();
+                if (redirects >= MAX_REDIRECTS) {
+                    throw new Error('too many redirects');
+                }
+                address = new URL(location, address).href;
+            }
+        } catch (error) {
+            console.log('Cover download from ' + address + ' failed:', error.message);
+            return failed;
+        }
+        if (response.statusCode !== 200) {
+            console.log('Cover download from ' + address + ' failed: the website answered ' + response.statusCode);
+            response.resume();
+            return failed;
+        }
+
+        // Stop reading as soon as the file is too big, rather than after
+        const tooBig = { error: 'The cover can be at most ' + Math.floor(options.maxCoverBytes / 1024 / 1024) + ' MB' };
+        if (Number(response.headers['content-length']) > options.maxCoverBytes) {
+            response.destroy();
+            return tooBig;
+        }
+        const chunks = [];
+        let size = 0;
+        try {
+            for await (const chunk of response) {
+                size += chunk.length;
+                if (size > options.maxCoverBytes) {
+                    response.destroy();
+                    return tooBig;
+                }
+                chunks.push(chunk);
+            }
+        } catch (error) {
+            console.log('Cover download from ' + address + ' failed:', error.message);
+            return failed;
+        }
+
+        return save(bookId, Buffer.concat(chunks), url);
+    }
+
+    function remove(coverFiles) {
+        if (!coverFiles) {
+            return;
+        }
+        ['original', 'shelf', 'detail'].forEach(size => {
+            // Only ever delete files inside the covers folder
+            const fileName = path.basename(String(coverFiles[size] || ''));
+            if (fileName) {
+                fs.rmSync(path.join(coverDir, fileName), { force: true });
+            }
+        });
+    }
+
+    return {
+        save,
+        download,
+        remove
+    };
+}
+
+module.exports = {
+    detectImageType,
+    isPublicAddress,
+    createCoverStore
+};
@@ -0,0 +1,134 @@
+/**
+ * Little Library - CSV Helpers
+ * Reads and writes comma separated files, like the ones spreadsheets export
+ *
+ * Functions in this file:
+ * - parseCsv(): Turns CSV text into a list of rows (each row a list of cells)
+ * - csvToObjects(): Turns CSV text into objects, using the first row as names
+ * - toCsv(): Turns a list of rows back into CSV text
+ * - removeFormulaGuard(): Takes off the quote mark toCsv() puts before formulas
+ * - splitList(): Splits a cell like "fiction; classic" into a list
+ */
+
+// Spreadsheets run a cell starting with one of these as a formula, so a
+// book titled "=HYPERLINK(...)" could do things when the export is opened
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+/**
+ * Turns CSV text into a list of rows
+ * Handles quoted cells with commas, line breaks and "" for a quote inside
+ */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+
+    // Skip the invisible byte order mark some programs put at the start
+    text = String(text || '').replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"'; // Two quotes in a row stand for one quote
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            // Treat \r\n as one line break
+            if (char === '\r' && text[i + 1] === '\n') {
+                i++;
+            }
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+
+    // The last line might not end with a line break
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+
+    // Drop completely empty lines
+    return rows.filter(cells => cells.some(value => value.trim() !== ''));
+}
+
+/**
+ * Turns CSV text into objects, using the first row as the names
+ * For example "title,author\nDune,Herbert" gives [{ title: 'Dune', author: 'Herbert' }]
+ */
+function csvToObjects(text) {
+    const rows = parseCsv(text);
+    if (rows.length === 0) {
+        return [];
+    }
+
+    const headers = rows[0].map(header => header.trim());
+    return rows.slice(1).map(cells => {
+        const object = {};
+        headers.forEach((header, index) => {
+            object[header] = cells[index] !== undefined ? cells[index] : '';
+        });
+        return object;
+    });
+}
+
+/**
+ * Turns a list of rows into CSV text
+ * Cells with commas, quotes or line breaks are put in quotes. Cells that
+ * a spreadsheet would run as a formula get a ' in front, which spreadsheets
+ * show as plain text instead.
+ */
+function toCsv(rows) {
+    return rows.map(cells => cells.map(value => {
+        const text = value === undefined || value === null ? '' : String(value);
+        if (FORMULA_START.test(text)) {
+            return '"\'' + text.replace(/"/g, '""') + '"';
+        }
+        return /[",\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+    }).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Takes off the ' that toCsv() puts before a cell that looks like a formula,
+ * so exporting and importing again gives back the same text
+ */
+function removeFormulaGuard(text) {
+    return typeof text === 'string' && text.startsWith("'") && FORMULA_START.test(text.substring(1))
+        ? text.substring(1)
+        : text;
+}
+
+/**
+ * Splits a cell that holds a list, like tags, into its parts
+ * Parts can be separated by commas or semicolons; blanks are dropped
+ */
+function splitList(text) {
+    return String(text || '')
+        .split(/[,;]/)
+        .map(part => part.trim())
+        .filter(part => part);
+}
+
+module.exports = {
+    parseCsv,
+    csvToObjects,
+    toCsv,
+    removeFormulaGuard,
+    splitList
+};
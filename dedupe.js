@@ -0,0 +1,261 @@
+/**
+ * Little Library - Duplicate Books
+ * Spots books that are probably in the library more than once, and merges
+ * them into one.
+ *
+ * Two books count as duplicates when:
+ * - they have the same ISBN, or
+ * - their titles and authors match, forgiving upper/lower case, accents,
+ *   punctuation, a leading "The"/"A"/"An", small typos and the author's
+ *   names in a different order ("Tolkien, J.R.R." and "J.R.R. Tolkien"),
+ *   or only part of them ("Tolkien")
+ * Two different ISBNs always mean two different books (e.g. two editions).
+ *
+ * Functions in this file:
+ * - duplicateReason(): Says why two books look like the same book
+ * - findDuplicates(): Finds the books that look like the same book as one book
+ * - findDuplicateClusters(): Groups every book in the library with its duplicates
+ * - mergeReaders(): Combines the reading data of the books being merged
+ */
+
+const { normalize, editDistance } = require('./search');
+
+// Words at the start of a title that don't tell books apart
+const LEADING_ARTICLES = /^(the|a|an) /;
+
+// Most typos allowed between two titles, and between two authors
+const MAX_TITLE_TYPOS = 2;
+const MAX_AUTHOR_TYPOS = 1;
+
+/**
+ * Simplifies a title for comparing: "The Hobbit: or There & Back Again!"
+ * becomes "hobbit or there and back again"
+ */
+function titleKey(title) {
+    return normalize(title)
+        .replace(/&/g, ' and ')
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim()
+        .replace(LEADING_ARTICLES, '');
+}
+
+/**
+ * Simplifies an author for comparing, with the names sorted so their
+ * order doesn't matter. Initials are written together, so
+ * "Tolkien, J. R. R." and "J.R.R. Tolkien" both become "jrr tolkien"
+ */
+function authorKey(author) {
+    const words = [];
+    normalize(author)
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim()
+        .split(' ')
+        .filter(word => word)
+        .forEach((word, index, all) => {
+            const afterInitial = index > 0 && all[index - 1].length === 1;
+            if (word.length === 1 && afterInitial) {
+                words[words.length - 1] += word;
+            } else {
+                words.push(word);
+            }
+        });
+    return words.sort().join(' ');
+}
+
+/**
+ * Checks if every name of one author is also part of the other,
+ * e.g. "tolkien" and "jrr tolkien"
+ */
+function sameNames(first, second) {
+    const shorter = first.length < second.length ? first : second;
+    const longer = (shorter === first ? second : first).split(' ');
+    return shorter.split(' ').every(word => longer.includes(word));
+}
+
+/**
+ * How many typos two texts of this length may differ by
+ * Short texts must match exactly, or "Emma" and "Gemma" would be duplicates
+ */
+function allowedTypos(text, most) {
+    if (text.length >= 12) {
+        return most;
+    }
+    return text.length >= 6 ? Math.min(1, most) : 0;
+}
+
+/**
+ * Gets the numbers in a title, e.g. "2 1" for "Volume 2, Part 1"
+ */
+function titleNumbers(title) {
+    return (title.match(/[0-9]+/g) || []).join(' ');
+}
+
+/**
+ * Checks if two simplified texts are the same, apart from a few typos
+ */
+function closeEnough(first, second, most) {
+    if (first === second) {
+        return true;
+    }
+    const limit = allowedTypos(first.length < second.length ? first : second, most);
+    return limit > 0 && editDistance(first, second, limit) <= limit;
+}
+
+/**
+ * Works out the keys of a book once, so comparing many books stays quick
+ */
+function bookKeys(book) {
+    return {
+        isbn: book.isbn13 || '',
+        title: titleKey(book.title),
+        author: authorKey(book.author)
+    };
+}
+
+/**
+ * Compares the keys of two books (see bookKeys())
+ * Returns: 'isbn', 'title and author', or null when they are different books
+ */
+function compareKeys(first, second) {
+    if (first.isbn && second.isbn) {
+        return first.isbn === second.isbn ? 'isbn' : null;
+    }
+    if (!first.title || !second.title) {
+        return null;
+    }
+
+    // A book without an author only matches on the exact same title
+    if (!first.author || !second.author) {
+        return first.title === second.title ? 'title and author' : null;
+    }
+    // "Volume 1" and "Volume 2" are one typo apart, but never the same book
+    if (titleNumbers(first.title) !== titleNumbers(second.title)) {
+        return null;
+    }
+    const authorsMatch = closeEnough(first.author, second.author, MAX_AUTHOR_TYPOS) || sameNames(first.author, second.author);
+    if (closeEnough(first.title, second.title, MAX_TITLE_TYPOS) && authorsMatch) {
+        return 'title and author';
+    }
+    return null;
+}
+
+/**
+ * Says why two books look like the same book
+ * Returns: 'isbn', 'title and author', or null when they look different
+ */
+function duplicateReason(first, second) {
+    return compareKeys(bookKeys(first), bookKeys(second));
+}
+
+/**
+ * Finds the books that look like the same book as one book
+ * Parameters: book - the book to look for (it doesn't need an id yet),
+ *   books - the books in the library
+ * Returns: A list of { book, reason }, same ISBN first
+ */
+function findDuplicates(book, books) {
+    const keys = bookKeys(book);
+    return books
+        .filter(other => String(other.id) !== String(book.id))
+        .map(other => ({ book: other, reason: compareKeys(keys, bookKeys(other)) }))
+        .filter(match => match.reason)
+        .sort((a, b) => (a.reason === 'isbn' ? 0 : 1) - (b.reason === 'isbn' ? 0 : 1));
+}
+
+/**
+ * Groups every book in the library with its duplicates
+ * When A matches B and B matches C, all three end up in one group
+ * Returns: A list of { reason, books } with two or more books each,
+ *   the oldest book first in every group. reason is 'isbn' when the whole
+ *   group shares one ISBN
+ */
+function findDuplicateClusters(books) {
+    const keys = books.map(bookKeys);
+
+    // Every book starts in its own group; matching books join groups
+    const group = books.map((book, index) => index);
+    function root(index) {
+        while (group[index] !== index) {
+            group[index] = group[group[index]];
+            index = group[index];
+        }
+        return index;
+    }
+    for (let i = 0; i < books.length; i++) {
+        for (let j = i + 1; j < books.length; j++) {
+            if (root(i) !== root(j) && compareKeys(keys[i], keys[j])) {
+                group[root(j)] = root(i);
+            }
+        }
+    }
+
+    const clusters = new Map();
+    books.forEach((book, index) => {
+        const cluster = clusters.get(root(index)) || [];
+        cluster.push(index);
+        clusters.set(root(index), cluster);
+    });
+
+    return Array.from(clusters.values())
+        .filter(indexes => indexes.length > 1)
+        .map(indexes => {
+            const sameIsbn = keys[indexes[0]].isbn && indexes.every(index => keys[index].isbn === keys[indexes[0]].isbn);
+            return {
+                reason: sameIsbn ? 'isbn' : 'title and author',
+                books: indexes
+                    .map(index => books[index])
+                    .sort((a, b) => String(a.dateAdded || '').localeCompare(String(b.dateAdded || '')))
+            };
+        });
+}
+
+/**
+ * Adds the items of a list that aren't in it yet (compared as JSON)
+ */
+function addMissing(list, items) {
+    const seen = new Set(list.map(item => JSON.stringify(item)));
+    (items || []).forEach(item => {
+        if (!seen.has(JSON.stringify(item))) {
+            seen.add(JSON.stringify(item));
+            list.push(item);
+        }
+    });
+    return list;
+}
+
+/**
+ * Combines the reading data of the books being merged (see readers.js)
+ * For every reader the first book they have an entry on wins for status,
+ * rating and current page; their reviews and readings from all books are kept
+ * Parameter: books - the saved books, the one being kept first
+ * Returns: The combined readers object
+ */
+function mergeReaders(books) {
+    const readers = {};
+    books.forEach(book => {
+        Object.keys(book.readers || {}).forEach(userId => {
+            const entry = book.readers[userId];
+            if (!readers[userId]) {
+                readers[userId] = Object.assign({}, entry, {
+                    reviews: addMissing([], entry.reviews),
+                    readings: addMissing([], entry.readings)
+                });
+                return;
+            }
+            addMissing(readers[userId].reviews, entry.reviews);
+            addMissing(readers[userId].readings, entry.readings);
+        });
+    });
+
+    Object.keys(readers).forEach(userId => {
+        readers[userId].readings.sort((a, b) => String(a.finishedAt || a.startedAt || '').localeCompare(String(b.finishedAt || b.startedAt || '')));
+    });
+    return readers;
+}
+
+module.exports = {
+    duplicateReason,
+    findDuplicates,
+    findDuplicateClusters,
+    mergeReaders
+};
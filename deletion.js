@@ -0,0 +1,52 @@
+/**
+ * Little Library - Deleting Books
+ * Deleting a book doesn't remove it straight away: it gets a "deletedAt"
+ * date and is hidden everywhere except the trash page, where it can be
+ * restored. After config.trashDays days it is removed for good.
+ *
+ * Functions in this file:
+ * - isTrashed(): Checks if a book is in the trash
+ * - purgeDate(): Works out when a book in the trash will be removed for good
+ * - expiredBooks(): Finds the books that have been in the trash too long
+ */
+
+// One day in milliseconds
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Checks if a book is in the trash
+ */
+function isTrashed(book) {
+    return Boolean(book && book.deletedAt);
+}
+
+/**
+ * Works out when a book in the trash will be removed for good
+ * Parameter: trashDays - how long books stay in the trash (0 means forever)
+ * Returns: An ISO date, or null when books are never removed
+ */
+function purgeDate(book, trashDays) {
+    if (!isTrashed(book) || !trashDays) {
+        return null;
+    }
+    return new Date(Date.parse(book.deletedAt) + trashDays * DAY).toISOString();
+}
+
+/**
+ * Finds the books that have been in the trash for longer than trashDays
+ * Parameters: books - every book, now - the current time (ISO date),
+ *   trashDays - how long books stay in the trash (0 means forever)
+ * Returns: The books to remove for good
+ */
+function expiredBooks(books, now, trashDays) {
+    return books.filter(book => {
+        const date = purgeDate(book, trashDays);
+        return date !== null && date <= now;
+    });
+}
+
+module.exports = {
+    isTrashed,
+    purgeDate,
+    expiredBooks
+};
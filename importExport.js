@@ -0,0 +1,291 @@
+/**
+ * Little Library - Import and Export
+ * Turns the library into CSV or JSON files, and reads such files back in
+ *
+ * Functions in this file:
+ * - exportBooks(): Builds a CSV or JSON file from a list of books
+ * - planImport(): Reads an import file and works out what would happen to each row
+ *
+ * Three kinds of files can be imported:
+ * - "json": a list of books, or a library file like books.json
+ * - "csv": our own export, with one column per book field
+ * - "goodreads": the CSV export from goodreads.com (found automatically
+ *   when a CSV file has Goodreads' column names)
+ */
+
+const { csvToObjects, toCsv, splitList, removeFormulaGuard } = require('./csv');
+const { validateBook, STATUSES } = require('./validation');
+const { lastFinishedAt } = require('./readingLog');
+const { authorText } = require('./contributors');
+
+// The formats an import file can be read as ("auto" guesses from the file)
+const IMPORT_FORMATS = ['auto', 'csv', 'json', 'goodreads'];
+
+// Columns of our own CSV export, in order
+const CSV_COLUMNS = [
+    'id', 'title', 'author', 'series', 'seriesNumber', 'isbn13', 'isbn10', 'status', 'rating', 'tags',
+    'description', 'review', 'coverImage', 'pageCount', 'dateAdded', 'dateRead'
+];
+
+// Goodreads' "Exclusive Shelf" values and the status each one stands for
+const GOODREADS_SHELVES = {
+    'to-read': 'want to read',
+    'currently-reading': 'currently reading',
+    'read': 'read'
+};
+
+/**
+ * Gets the text of a book's newest review, for the single CSV review column
+ * Returns: The text, or '' when the book has no reviews
+ */
+function latestReviewText(book) {
+    const reviews = (book.reviews || []).slice().sort((a, b) => String(a.date || '').localeCompare(String(b.date || '')));
+    return reviews.length > 0 ? reviews[reviews.length - 1].text : (book.review || '');
+}
+
+/**
+ * Builds an export file from a list of books
+ * Parameter: format - "csv" or "json"
+ * Returns: { contentType, extension, body }
+ */
+function exportBooks(books, format) {
+    if (format === 'csv') {
+        const rows = [CSV_COLUMNS].concat(books.map(book => CSV_COLUMNS.map(column => {
+            if (column === 'tags') {
+                return (book.tags || []).join(', ');
+            }
+            if (column === 'dateRead') {
+                return lastFinishedAt(book);
+            }
+            if (column === 'review') {
+                return latestReviewText(book);
+            }
+            if (column === 'author' && book.authors) {
+                return authorText(book.authors);
+            }
+            return book[column];
+        })));
+        return { contentType: 'text/csv; charset=utf-8', extension: 'csv', body: toCsv(rows) };
+    }
+
+    const data = {
+        library: 'Little Library',
+        exportedAt: new Date().toISOString(),
+        totalBooks: books.length,
+        books: books
+    };
+    return { contentType: 'application/json; charset=utf-8', extension: 'json', body: JSON.stringify(data, null, 2) };
+}
+
+/**
+ * Turns a status written in a file into one of our statuses
+ * Accepts spellings like "Read", "to-read" or "currently_reading"
+ */
+function importStatus(value) {
+    const status = String(value || '').trim().toLowerCase().replace(/[-_]+/g, ' ');
+    if (status === 'to read') {
+        return 'want to read';
+    }
+    return STATUSES.includes(status) || status === '' ? status : value;
+}
+
+/**
+ * Turns a date written in a file into an ISO date
+ * Goodreads writes dates like "2024/01/31"; empty dates are left out
+ */
+function importDate(value) {
+    const text = String(value || '').trim();
+    if (!text) {
+        return undefined;
+    }
+    const slashDate = text.match(/^(\d{4})\/(\d{1,2})\/(\d{1,2})$/);
+    if (slashDate) {
+        return slashDate[1] + '-' + slashDate[2].padStart(2, '0') + '-' + slashDate[3].padStart(2, '0');
+    }
+    return text;
+}
+
+/**
+ * Builds a reading log from the date a book was finished
+ * Returns: A list with one finished reading, or undefined if there is no date
+ */
+function importReadings(dateRead) {
+    const finishedAt = importDate(dateRead);
+    return finishedAt ? [{ startedAt: null, finishedAt: finishedAt }] : undefined;
+}
+
+/**
+ * Builds a review list from a single review text
+ * The review is dated on the day the book was read, or else the day it was added
+ * Returns: A list with one review, or undefined if there is no text
+ */
+function importReviews(text, dateRead, dateAdded) {
+    const trimmed = String(text || '').trim();
+    if (!trimmed) {
+        return undefined;
+    }
+    return [{ date: importDate(dateRead) || importDate(dateAdded) || null, text: trimmed }];
+}
+
+/**
+ * Splits a Goodreads title like "Abaddon's Gate (The Expanse, #3)" into
+ * the title and the series
+ * Returns: { title, series, seriesNumber } - series is '' when there is none
+ */
+function splitGoodreadsTitle(text) {
+    const match = String(text || '').match(/^(.*\S)\s+\(([^()]+),\s*#(\d+(?:\.\d+)?)\)$/);
+    if (!match) {
+        return { title: text, series: '', seriesNumber: null };
+    }
+    return { title: match[1], series: match[2].trim(), seriesNumber: match[3] };
+}
+
+/**
+ * Turns one row of a Goodreads export into a book
+ */
+function fromGoodreadsRow(row) {
+    // Goodreads wraps ISBNs like ="0441172717" so spreadsheets keep the zeros
+    const isbn = String(row['ISBN13'] || row['ISBN'] || '').replace(/[="]/g, '');
+    const authors = [row['Author']].concat(splitList(row['Additional Authors'])).filter(name => name);
+    const { title, series, seriesNumber } = splitGoodreadsTitle(row['Title']);
+    const shelf = String(row['Exclusive Shelf'] || '').trim();
+
+    // Every shelf except the reading status shelf becomes a tag
+    const tags = splitList(row['Bookshelves']).filter(name => !GOODREADS_SHELVES[name]);
+
+    return {
+        title: title,
+        authors: authors,
+        series: series,
+        seriesNumber: seriesNumber,
+        isbn: isbn,
+        status: GOODREADS_SHELVES[shelf] || importStatus(shelf),
+        tags: tags,
+        // Goodreads uses 0 for "not rated"
+        rating: row['My Rating'] === '0' ? null : row['My Rating'],
+        reviews: importReviews(row['My Review'], row['Date Read'], row['Date Added']),
+        pageCount: row['Number of Pages'],
+        readings: importReadings(row['Date Read']),
+        dateAdded: importDate(row['Date Added'])
+    };
+}
+
+/**
+ * Turns one row of our own CSV format into a book
+ * Column names are matched without caring about upper/lower case
+ */
+function fromCsvRow(row) {
+    const columns = {};
+    Object.keys(row).forEach(name => {
+        columns[name.trim().toLowerCase()] = removeFormulaGuard(row[name]);
+    });
+
+    return {
+        title: columns['title'],
+        author: columns['author'],
+        series: columns['series'],
+        seriesNumber: columns['seriesnumber'],
+        isbn: columns['isbn13'] || columns['isbn'] || columns['isbn10'],
+        status: importStatus(columns['status']),
+        rating: columns['rating'],
+        tags: splitList(columns['tags']),
+        description: columns['description'],
+        reviews: importReviews(columns['review'], columns['dateread'], columns['dateadded']),
+        coverImage: columns['coverimage'],
+        pageCount: columns['pagecount'],
+        readings: importReadings(columns['dateread']),
+        dateAdded: importDate(columns['dateadded'])
+    };
+}
+
+/**
+ * Reads an import file into a list of book objects (not yet checked)
+ * Parameter: format - "json", "csv", "goodreads" or "auto" to guess
+ * Returns: { format, books } with the format that was actually used
+ */
+function readImportFile(content, format) {
+    if (typeof content !== 'string') {
+        throw new Error('The file must be sent as text');
+    }
+    if (format && !IMPORT_FORMATS.includes(format)) {
+        throw new Error('Format must be one of: ' + IMPORT_FORMATS.join(', '));
+    }
+
+    const text = content.trim();
+    if (format === 'auto' || !format) {
+        format = text.startsWith('[') || text.startsWith('{') ? 'json' : 'csv';
+    }
+
+    if (format === 'json') {
+        const data = JSON.parse(text);
+        const books = Array.isArray(data) ? data : (data.books || []);
+        return { format: 'json', books: books };
+    }
+
+    const rows = csvToObjects(text);
+    const isGoodreads = rows.length > 0 && 'Exclusive Shelf' in rows[0] && 'Book Id' in rows[0];
+    if (format === 'goodreads' || isGoodreads) {
+        return { format: 'goodreads', books: rows.map(fromGoodreadsRow) };
+    }
+    return { format: 'csv', books: rows.map(fromCsvRow) };
+}
+
+/**
+ * Builds the keys used to spot a book that is already in the library:
+ * its ISBN, and its title plus author (ignoring case and extra spaces)
+ */
+function duplicateKeys(book) {
+    const simplify = text => String(text || '').trim().toLowerCase().replace(/\s+/g, ' ');
+    const keys = [];
+    if (book.isbn13) {
+        keys.push('isbn:' + book.isbn13);
+    }
+    if (book.title) {
+        keys.push('title:' + simplify(book.title) + '|' + simplify(book.author));
+    }
+    return keys;
+}
+
+/**
+ * Works out what importing a file would do, without saving anything
+ * Parameters:
+ * - content: the text of the file
+ * - format: "json", "csv", "goodreads" or "auto"
+ * - existingBooks: the books already in the library
+ * Returns: { format, rows } where each row is
+ *   { row, result: 'new' | 'duplicate' | 'invalid', book, errors, duplicateOf }
+ *   Row numbers count from 1, like a spreadsheet without its header row.
+ */
+function planImport(content, format, existingBooks) {
+    const file = readImportFile(content, format);
+
+    // Remember every book we know about, including earlier rows of this file
+    const known = new Map();
+    existingBooks.forEach(book => {
+        duplicateKeys(book).forEach(key => known.set(key, { id: book.id, title: book.title }));
+    });
+
+    const rows = file.books.map((input, index) => {
+        const { book, errors } = validateBook(input, false);
+        if (errors.length > 0) {
+            return { row: index + 1, result: 'invalid', book: input, errors: errors };
+        }
+
+        const keys = duplicateKeys(book);
+        const match = keys.map(key => known.get(key)).find(found => found);
+        if (match) {
+            return { row: index + 1, result: 'duplicate', book: book, errors: [], duplicateOf: match };
+        }
+
+        keys.forEach(key => known.set(key, { row: index + 1, title: book.title }));
+        return { row: index + 1, result: 'new', book: book, errors: [] };
+    });
+
+    return { format: file.format, rows: rows };
+}
+
+module.exports = {
+    IMPORT_FORMATS,
+    exportBooks,
+    planImport
+};
@@ -0,0 +1,103 @@
+/**
+ * Little Library - ISBN Helpers
+ * Checks ISBN numbers and converts between the 10 and 13 digit forms
+ *
+ * Functions in this file:
+ * - cleanIsbn(): Removes spaces and dashes from an ISBN
+ * - isValidIsbn10(): Checks the check digit of a 10 digit ISBN
+ * - isValidIsbn13(): Checks the check digit of a 13 digit ISBN
+ * - parseIsbn(): Turns any valid ISBN into { isbn13, isbn10 }
+ */
+
+/**
+ * Removes spaces and dashes, e.g. "0-441-17271-7" becomes "0441172717"
+ * A lowercase x check digit is turned into X
+ */
+function cleanIsbn(value) {
+    return String(value || '').replace(/[\s-]/g, '').toUpperCase();
+}
+
+/**
+ * Checks a 10 digit ISBN
+ * The digits are multiplied by 10, 9, 8 ... 1 and the total must divide by 11.
+ * The last digit can be X, which stands for 10.
+ */
+function isValidIsbn10(isbn) {
+    if (!/^\d{9}[\dX]$/.test(isbn)) {
+        return false;
+    }
+    let total = 0;
+    for (let i = 0; i < 10; i++) {
+        const digit = isbn[i] === 'X' ? 10 : Number(isbn[i]);
+        total += digit * (10 - i);
+    }
+    return total % 11 === 0;
+}
+
+/**
+ * Checks a 13 digit ISBN
+ * The digits are multiplied by 1, 3, 1, 3 ... and the total must divide by 10
+ */
+function isValidIsbn13(isbn) {
+    if (!/^97[89]\d{10}$/.test(isbn)) {
+        return false;
+    }
+    let total = 0;
+    for (let i = 0; i < 13; i++) {
+        total += Number(isbn[i]) * (i % 2 === 0 ? 1 : 3);
+    }
+    return total % 10 === 0;
+}
+
+/**
+ * Turns a 10 digit ISBN into the 13 digit form
+ * Adds "978" in front and works out a new check digit
+ */
+function isbn10To13(isbn10) {
+    const start = '978' + isbn10.slice(0, 9);
+    let total = 0;
+    for (let i = 0; i < 12; i++) {
+        total += Number(start[i]) * (i % 2 === 0 ? 1 : 3);
+    }
+    return start + ((10 - (total % 10)) % 10);
+}
+
+/**
+ * Turns a 13 digit ISBN into the 10 digit form
+ * Only ISBNs starting with "978" have a 10 digit form - returns '' for others
+ */
+function isbn13To10(isbn13) {
+    if (!isbn13.startsWith('978')) {
+        return '';
+    }
+    const start = isbn13.slice(3, 12);
+    let total = 0;
+    for (let i = 0; i < 9; i++) {
+        total += Number(start[i]) * (10 - i);
+    }
+    const check = (11 - (total % 11)) % 11;
+    return start + (check === 10 ? 'X' : String(check));
+}
+
+/**
+ * Reads an ISBN in either form
+ * Returns: { isbn13, isbn10 } (isbn10 is '' when there is none),
+ *   or null if the ISBN is not valid
+ */
+function parseIsbn(value) {
+    const isbn = cleanIsbn(value);
+    if (isValidIsbn13(isbn)) {
+        return { isbn13: isbn, isbn10: isbn13To10(isbn) };
+    }
+    if (isValidIsbn10(isbn)) {
+        return { isbn13: isbn10To13(isbn), isbn10: isbn };
+    }
+    return null;
+}
+
+module.exports = {
+    cleanIsbn,
+    isValidIsbn10,
+    isValidIsbn13,
+    parseIsbn
+};
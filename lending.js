@@ -0,0 +1,91 @@
+/**
+ * Little Library - Lending
+ * Keeps track of who has borrowed a book and when it is due back
+ *
+ * Every book has a list of "loans", oldest first:
+ *   loans: [{ borrower: 'Sam', checkedOutAt: '...', dueAt: '...', returnedAt: null }]
+ * A loan without returnedAt is still out - a book can only be lent to
+ * one person at a time.
+ *
+ * Functions in this file:
+ * - currentLoan(): Gets the loan that is still out, if any
+ * - checkOut(): Builds the loan list after lending a book to someone
+ * - checkIn(): Builds the loan list after a book was returned
+ * - daysOverdue(): Counts how many days late a loan is
+ */
+
+// One day in milliseconds
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Gets the loan that is still out (not returned yet)
+ * Returns: The loan, or null when the book is on the shelf
+ */
+function currentLoan(book) {
+    return (book.loans || []).find(loan => !loan.returnedAt) || null;
+}
+
+/**
+ * Builds the loan list after lending a book to someone
+ * Parameters:
+ * - book: the book being lent
+ * - loan: { borrower, checkedOutAt, dueAt } from the browser - checkedOutAt
+ *   defaults to now and dueAt to "loanDays" days after it
+ * - now: the current time, as an ISO date
+ * - loanDays: how long a loan lasts when no due date is given
+ * Returns: { loans } with the new list (to be checked by validateBook),
+ *   or { error } when the book is already on loan
+ */
+function checkOut(book, loan, now, loanDays) {
+    const current = currentLoan(book);
+    if (current) {
+        return { error: 'This book is already on loan to ' + current.borrower };
+    }
+
+    const checkedOutAt = loan.checkedOutAt || now;
+    let dueAt = loan.dueAt;
+    if (!dueAt && !isNaN(Date.parse(checkedOutAt))) {
+        dueAt = new Date(Date.parse(checkedOutAt) + loanDays * DAY).toISOString();
+    }
+
+    const newLoan = {
+        borrower: loan.borrower,
+        checkedOutAt: checkedOutAt,
+        dueAt: dueAt,
+        returnedAt: null
+    };
+    return { loans: (book.loans || []).concat([newLoan]) };
+}
+
+/**
+ * Builds the loan list after a book was returned
+ * Parameters: book - the book, returnedAt - when it came back (an ISO date)
+ * Returns: { loans } with the new list, or { error } when it wasn't on loan
+ */
+function checkIn(book, returnedAt) {
+    if (!currentLoan(book)) {
+        return { error: 'This book is not on loan' };
+    }
+    const loans = book.loans.map(loan => {
+        return loan.returnedAt ? loan : Object.assign({}, loan, { returnedAt: returnedAt });
+    });
+    return { loans: loans };
+}
+
+/**
+ * Counts how many days late a loan is - a part of a day counts as a day
+ * Returns: The number of days past the due date, or 0 when it isn't late
+ */
+function daysOverdue(loan, now) {
+    if (!loan || loan.returnedAt || !loan.dueAt) {
+        return 0;
+    }
+    return Math.max(0, Math.ceil((Date.parse(now) - Date.parse(loan.dueAt)) / DAY));
+}
+
+module.exports = {
+    currentLoan,
+    checkOut,
+    checkIn,
+    daysOverdue
+};
@@ -0,0 +1,136 @@
+/**
+ * Little Library - Live Updates
+ * Tells open pages straight away when a book is added, changed or deleted,
+ * using Server-Sent Events: the browser keeps GET /events open and the
+ * server writes a short message down it for every change.
+ *
+ * A message only says which book changed and its new revision, never the
+ * book itself - every reader sees their own status and rating, so each
+ * page loads the book again as its user sees it.
+ *
+ * Message format (the "data" of a "book" event):
+ *   { type, action, bookId, title, revision, clientId }
+ * - type: "created", "updated" or "deleted" (moved to the trash or removed)
+ * - action: the change history action it came from (see audit.js)
+ * - clientId: the browser tab that made the change, so it can skip its own
+ *   changes (sent by library.js in the X-Client-Id header), or null
+ *
+ * Functions in this file:
+ * - createLiveUpdates(): Keeps the open connections and sends them messages
+ */
+
+// How often an empty comment is sent, so proxies don't close quiet connections (milliseconds)
+const HEARTBEAT_INTERVAL = 25000;
+
+// How long the browser waits before connecting again after losing the connection (milliseconds)
+const RETRY_DELAY = 5000;
+
+// How many recent messages are kept for pages that lost the connection for a moment
+const MAX_RECENT_EVENTS = 200;
+
+// Change history actions and the message type they are sent as
+const EVENT_TYPES = {
+    create: 'created',
+    restore: 'created',
+    update: 'updated',
+    revert: 'updated',
+    merge: 'updated',
+    delete: 'deleted',
+    purge: 'deleted'
+};
+
+/**
+ * Turns a change history action into a message type
+ * Returns: 'created', 'updated' or 'deleted'
+ */
+function eventType(action) {
+    return EVENT_TYPES[action] || 'updated';
+}
+
+/**
+ * Writes one message in the Server-Sent Events format
+ */
+function writeEvent(res, event) {
+    res.write('id: ' + event.id + '\nevent: ' + event.name + '\ndata: ' + JSON.stringify(event.data) + '\n\n');
+}
+
+/**
+ * Sets up live updates
+ * Returns: An object with these functions:
+ * - subscribe(req, res): Keeps a GET /events request open and sends it every new message
+ * - broadcast(entries, clientId): Sends a message for each change history
+ *   entry to every open page
+ */
+function createLiveUpdates() {
+    const clients = new Set();
+    const recentEvents = [];
+
+    // Message ids look like "<when the server started>-<number>", so a page
+    // can tell that the server was restarted while it was away
+    const startId = Date.now().toString(36);
+    let lastNumber = 0;
+
+    function subscribe(req, res) {
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive'
+        });
+        res.flushHeaders();
+        res.write('retry: ' + RETRY_DELAY + '\n\n');
+
+        // After losing the connection the browser sends the last message it got;
+        // send what it missed, or tell it to load everything again when that
+        // is too long ago or the server was restarted in between
+        const lastSeen = req.get('Last-Event-ID');
+        if (lastSeen) {
+            const [seenStart, seenNumber] = lastSeen.split('-');
+            const missed = recentEvents.filter(event => event.number > Number(seenNumber));
+            if (seenStart !== startId || (missed.length > 0 && missed[0].number !== Number(seenNumber) + 1)) {
+                writeEvent(res, { id: startId + '-' + lastNumber, name: 'reload', data: {} });
+            } else {
+                missed.forEach(event => writeEvent(res, event));
+            }
+        }
+
+        const heartbeat = setInterval(() => res.write(': still here\n\n'), HEARTBEAT_INTERVAL);
+        clients.add(res);
+        req.on('close', () => {
+            clearInterval(heartbeat);
+            clients.delete(res);
+        });
+    }
+
+    function broadcast(entries, clientId) {
+        entries.forEach(entry => {
+            lastNumber++;
+            const event = {
+                id: startId + '-' + lastNumber,
+                number: lastNumber,
+                name: 'book',
+                data: {
+                    type: eventType(entry.action),
+                    action: entry.action,
+                    bookId: entry.bookId,
+                    title: entry.title,
+                    revision: entry.revision,
+                    clientId: clientId || null
+                }
+            };
+            recentEvents.push(event);
+            if (recentEvents.length > MAX_RECENT_EVENTS) {
+                recentEvents.shift();
+            }
+            clients.forEach(res => writeEvent(res, event));
+        });
+    }
+
+    return {
+        subscribe,
+        broadcast
+    };
+}
+
+module.exports = {
+    createLiveUpdates
+};
@@ -0,0 +1,69 @@
+/**
+ * Little Library - ISBN Lookup
+ * Finds book details (title, author, ...) for an ISBN
+ *
+ * Lookups go through a list of providers, set with the "isbnProviders"
+ * setting in config.js. The first provider that knows the ISBN wins.
+ * - "offline": a local catalog file (metadata/offlineProvider.js)
+ * - "openlibrary": openlibrary.org (metadata/openLibraryProvider.js)
+ *
+ * A provider is an object with a name and an async lookup(isbn13) function
+ * that returns { title, author, description, coverImage, tags } or null.
+ * A provider that knows the separate people can send them as "authors"
+ * instead of "author" (a list of { name, role }, see contributors.js).
+ */
+
+const { parseIsbn } = require('../isbn');
+const { parseAuthorText, authorSummary } = require('../contributors');
+const { createOfflineProvider } = require('./offlineProvider');
+const { createOpenLibraryProvider } = require('./openLibraryProvider');
+
+/**
+ * Creates the ISBN lookup with the providers chosen in the settings
+ * Parameter: config - the settings from config.js
+ * Returns: { lookup(isbn) } - see below
+ */
+function createIsbnLookup(config) {
+    const providers = config.isbnProviders.map(name => {
+        if (name === 'offline') {
+            return createOfflineProvider({ file: config.isbnCatalogFile });
+        }
+        if (name === 'openlibrary') {
+            return createOpenLibraryProvider({});
+        }
+        throw new Error('Unknown ISBN provider "' + name + '" - use "offline" or "openlibrary"');
+    });
+
+    return {
+        /**
+         * Looks up an ISBN (10 or 13 digits, dashes allowed)
+         * Returns: { isbn13, isbn10, source, book } or null if no provider knows it.
+         * Throws an error if the ISBN is not valid.
+         */
+        async lookup(value) {
+            const isbn = parseIsbn(value);
+            if (!isbn) {
+                throw new Error('Not a valid ISBN');
+            }
+
+            for (const provider of providers) {
+                try {
+                    const book = await provider.lookup(isbn.isbn13, isbn.isbn10);
+                    if (book) {
+                        // Every lookup answers with both the list of people and the author text
+                        book.authors = book.authors || parseAuthorText(book.author);
+                        book.author = authorSummary(book.authors);
+                        console.log('ISBN ' + isbn.isbn13 + ' found by ' + provider.name);
+                        return { isbn13: isbn.isbn13, isbn10: isbn.isbn10, source: provider.name, book: book };
+                    }
+                } catch (error) {
+                    // One provider failing (e.g. no internet) shouldn't stop the others
+                    console.log('ISBN provider ' + provider.name + ' failed:', error.message);
+                }
+            }
+            return null;
+        }
+    };
+}
+
+module.exports = { createIsbnLookup };
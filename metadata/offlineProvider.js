@@ -0,0 +1,83 @@
+/**
+ * Little Library - Offline ISBN Lookup
+ * Looks up ISBNs in a local catalog file, so lookups work without internet
+ *
+ * The catalog can be a JSON file (a list of books, or { books: [...] })
+ * or a CSV file with a header row. Each book needs an "isbn" (10 or 13
+ * digits) and can have title, author, description, coverImage and tags.
+ * In a CSV file, tags are separated by commas or semicolons.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseIsbn } = require('../isbn');
+const { csvToObjects, splitList } = require('../csv');
+
+/**
+ * Reads the catalog file into a list of books
+ * Returns an empty list if the file does not exist
+ */
+function readCatalog(file) {
+    if (!fs.existsSync(file)) {
+        console.log('ISBN catalog not found:', file);
+        return [];
+    }
+
+    const text = fs.readFileSync(file, 'utf8');
+    if (path.extname(file).toLowerCase() === '.csv') {
+        return csvToObjects(text).map(entry => Object.assign({}, entry, {
+            tags: splitList(entry.tags)
+        }));
+    }
+
+    const data = JSON.parse(text);
+    return Array.isArray(data) ? data : (data.books || []);
+}
+
+/**
+ * Creates the offline provider
+ * Parameter: options - { file } the catalog file to search
+ * The catalog is read again whenever the file changes
+ */
+function createOfflineProvider(options) {
+    let catalog = null;
+    let catalogTime = 0;
+
+    /**
+     * Builds a map from ISBN-13 to catalog entry, re-reading the file if it changed
+     */
+    function loadCatalog() {
+        const modified = fs.existsSync(options.file) ? fs.statSync(options.file).mtimeMs : 0;
+        if (!catalog || modified !== catalogTime) {
+            catalog = new Map();
+            readCatalog(options.file).forEach(entry => {
+                const isbn = parseIsbn(entry.isbn);
+                if (isbn) {
+                    catalog.set(isbn.isbn13, entry);
+                }
+            });
+            catalogTime = modified;
+        }
+        return catalog;
+    }
+
+    return {
+        name: 'offline',
+
+        async lookup(isbn13) {
+            const entry = loadCatalog().get(isbn13);
+            if (!entry) {
+                return null;
+            }
+            return {
+                title: entry.title || '',
+                author: entry.author || '',
+                description: entry.description || '',
+                coverImage: entry.coverImage || '',
+                tags: Array.isArray(entry.tags) ? entry.tags : []
+            };
+        }
+    };
+}
+
+module.exports = { createOfflineProvider };
@@ -0,0 +1,45 @@
+/**
+ * Little Library - Open Library ISBN Lookup
+ * Looks up ISBNs on openlibrary.org (needs an internet connection)
+ */
+
+// How long to wait for Open Library before giving up
+const TIMEOUT_MS = 5000;
+
+/**
+ * Creates the Open Library provider
+ * Parameter: options - { baseUrl } (optional, defaults to https://openlibrary.org)
+ */
+function createOpenLibraryProvider(options) {
+    const baseUrl = (options && options.baseUrl) || 'https://openlibrary.org';
+
+    return {
+        name: 'openlibrary',
+
+        async lookup(isbn13) {
+            const url = baseUrl + '/api/books?format=json&jscmd=data&bibkeys=ISBN:' + isbn13;
+            const response = await fetch(url, { signal: AbortSignal.timeout(TIMEOUT_MS) });
+            if (!response.ok) {
+                throw new Error('Open Library replied with status ' + response.status);
+            }
+
+            // The reply is keyed by the ISBN we asked for, e.g. { "ISBN:978...": { ... } }
+            const data = await response.json();
+            const entry = data['ISBN:' + isbn13];
+            if (!entry) {
+                return null;
+            }
+
+            const excerpt = entry.excerpts && entry.excerpts[0] && entry.excerpts[0].text;
+            return {
+                title: entry.subtitle ? entry.title + ': ' + entry.subtitle : (entry.title || ''),
+                authors: (entry.authors || []).map(author => ({ name: author.name, role: 'author' })),
+                description: excerpt || '',
+                coverImage: (entry.cover && (entry.cover.large || entry.cover.medium)) || '',
+                tags: []
+            };
+        }
+    };
+}
+
+module.exports = { createOpenLibraryProvider };
@@ -0,0 +1,293 @@
+/**
+ * Little Library - Add Book Page JavaScript
+ * This file handles the add book form functionality
+ * 
+ * Features:
+ * - Fill in the form from an ISBN
+ * - Several authors, translators and editors, and the book's series
+ * - Warn when the book looks like one that is already in the library
+ * - Suggest the tags the library already uses
+ * - Upload a cover picture, or keep a copy of the one at the cover address
+ * - Process form submission
+ * - Validate book data
+ * - Show validation errors next to each field
+ * - Save new book to server (or on this device while offline)
+ * - Redirect back to main library
+ */
+
+/**
+ * Looks up the ISBN typed in the form and fills in the other fields
+ * Only empty fields are filled, so nothing the user typed is lost
+ */
+async function handleIsbnLookup() {
+    const isbnField = document.getElementById('isbn');
+    const status = document.getElementById('isbnLookupStatus');
+    clearFieldErrors();
+    
+    if (!isbnField.value.trim()) {
+        showFieldErrors([{ field: 'isbn', message: 'Please enter an ISBN to look up' }]);
+        return;
+    }
+    
+    status.textContent = 'Looking up...';
+    const result = await lookupIsbn(isbnField.value);
+    console.log('ISBN lookup result:', result);
+    
+    if (!result.success) {
+        status.textContent = '';
+        showFieldErrors(result.errors || [{ field: 'isbn', message: result.error || 'Lookup failed' }]);
+        return;
+    }
+    
+    // Show the ISBN in its 13 digit form
+    isbnField.value = result.isbn13;
+    
+    // Copy each detail into its field, unless the user already typed something there
+    const filled = [];
+    ['title', 'description', 'coverImage'].forEach(field => {
+        const input = document.getElementById(field);
+        if (result.book[field] && !input.value.trim()) {
+            input.value = result.book[field];
+            filled.push(field);
+        }
+    });
+    
+    if (result.book.authors && result.book.authors.length > 0 && readAuthorRows('authorRows').length === 0) {
+        fillAuthorRows('authorRows', result.book.authors); // From library.js
+        filled.push('authors');
+    }
+    
+    const tagsField = document.getElementById('tags');
+    if (result.book.tags && result.book.tags.length > 0 && !tagsField.value.trim()) {
+        tagsField.value = result.book.tags.join(', ');
+        filled.push('tags');
+    }
+    
+    status.textContent = filled.length > 0 
+        ? 'Found "' + result.book.title + '" - filled in: ' + filled.join(', ')
+        : 'Found "' + result.book.title + '" - all fields were already filled in';
+    updateDuplicateWarning();
+}
+
+/**
+ * Describes one possible duplicate, e.g. "Dune" by Frank Herbert (same ISBN)
+ * Parameter: match - { reason, book } from checkDuplicates()
+ */
+function describeDuplicate(match) {
+    return '"' + match.book.title + '"' + (match.book.author ? ' by ' + match.book.author : '') +
+        (match.reason === 'isbn' ? ' (same ISBN)' : ' (similar title and author)');
+}
+
+/**
+ * Shows the books that look like the one being added, with links to them
+ * Parameter: duplicates - from checkDuplicates(), empty hides the warning
+ */
+function showDuplicateWarning(duplicates) {
+    const warning = document.getElementById('duplicateWarning');
+    clearElement(warning); // From dom.js
+    warning.style.display = duplicates.length > 0 ? 'block' : 'none';
+    if (duplicates.length === 0) {
+        return;
+    }
+    
+    warning.appendChild(document.createTextNode('This book may already be in your library:'));
+    const list = document.createElement('ul');
+    duplicates.forEach(match => {
+        // textContent keeps titles from being read as HTML
+        const link = document.createElement('a');
+        link.href = 'detailpage.html?id=' + encodeURIComponent(match.book.id);
+        link.target = '_blank';
+        link.textContent = describeDuplicate(match);
+        list.appendChild(document.createElement('li')).appendChild(link);
+    });
+    warning.appendChild(list);
+}
+
+/**
+ * Checks the title, author and ISBN typed so far against the library
+ * and shows a warning when the book seems to be there already
+ */
+async function updateDuplicateWarning() {
+    const book = {
+        title: document.getElementById('title').value.trim(),
+        author: formatAuthors(readAuthorRows('authorRows')), // From library.js
+        isbn: document.getElementById('isbn').value.trim()
+    };
+    if (!book.title && !book.isbn) {
+        showDuplicateWarning([]);
+        return;
+    }
+    showDuplicateWarning(await checkDuplicates(book)); // From library.js
+}
+
+// The kinds of cover pictures the server accepts
+const COVER_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+
+/**
+ * Saves the cover picture of a book that was just added
+ * A chosen file wins over the "keep a copy" box
+ * Parameter: book - the saved book, from the server
+ * Returns: An error message, or '' when it worked (or there was nothing to save)
+ */
+async function saveNewCover(book) {
+    const file = document.getElementById('coverFile').files[0];
+    let result = null;
+    
+    if (file) {
+        result = await uploadCover(book.id, file, book.revision); // From library.js
+    } else if (document.getElementById('cacheCover').checked && book.coverImage) {
+        result = await downloadCover(book.id, null, book.revision); // From library.js
+    }
+    
+    if (!result || result.success) {
+        return '';
+    }
+    return result.errors ? result.errors.map(error => error.message).join(' ') : (result.error || 'Unknown error');
+}
+
+/**
+ * Handles the form submission when user adds a new book
+ * Parameter: event - the form submit event
+ */
+async function handleAddBook(event) {
+    // Prevent the form from submitting the traditional way
+    event.preventDefault();
+    console.log('Add book form submitted');
+    clearFieldErrors();
+    
+    const form = event.target;
+    const formData = new FormData(form); // Extract all form field values
+    
+    // Create a book object with all the form data
+    // The server gives the book its id when it is saved
+    const now = new Date().toISOString();
+    const reviewText = formData.get('review').trim();
+    const authors = readAuthorRows('authorRows'); // From library.js
+    const book = {
+        title: formData.get('title').trim(),
+        isbn: formData.get('isbn').trim(),
+        authors: authors,
+        author: formatAuthors(authors), // Shown on the shelf while the book waits offline
+        series: formData.get('series').trim(),
+        seriesNumber: formData.get('seriesNumber'), // Empty if not in a series
+        description: formData.get('description').trim(),
+        coverImage: formData.get('coverImage').trim(),
+        rating: formData.get('rating'), // Empty means no rating
+        reviews: reviewText ? [{ date: now, text: reviewText }] : [],
+        
+        // Split tags by comma and clean up each tag
+        tags: formData.get('tags')
+            .split(',')
+            .map(tag => tag.trim())
+            .filter(tag => tag), // Remove empty tags
+            
+        pageCount: formData.get('pageCount'), // Empty if not known
+        status: formData.get('status'), // Reading status from dropdown
+        dateAdded: now // Current date/time
+    };
+
+    console.log('New book data:', book);
+
+    // Validate that title is provided (required field)
+    // The server checks everything else and tells us what is wrong
+    if (!book.title) {
+        showFieldErrors([{ field: 'title', message: 'Please enter a book title' }]);
+        return;
+    }
+    
+    // Check the picture type before the book is saved, so it can still be changed
+    const coverFile = document.getElementById('coverFile').files[0];
+    if (coverFile && !COVER_TYPES.includes(coverFile.type)) {
+        showFieldErrors([{ field: 'coverFile', message: 'The cover must be a JPEG, PNG, GIF or WebP picture' }]);
+        return;
+    }
+
+    try {
+        // Adding the same book twice is usually a mistake - ask first
+        const duplicates = await checkDuplicates(book); // From library.js
+        if (duplicates.length > 0) {
+            showDuplicateWarning(duplicates);
+            if (!confirm('This book may already be in your library:\n' +
+                duplicates.map(match => '- ' + describeDuplicate(match)).join('\n') + '\n\nAdd it anyway?')) {
+                return;
+            }
+        }
+        
+        // Send just the new book to the server
+        const result = await createBook(book);
+        console.log('Result of adding book:', result);
+        
+        if (result.queued) {
+            // Offline: the book waits on this device, and a cover can only be added later
+            alert('You are offline. "' + book.title + '" is saved on this device and will be added to your library ' +
+                'when the server can be reached again.' + (document.getElementById('coverFile').files[0] ? '\n\nThe cover can be added after that.' : ''));
+            form.reset();
+            window.location.href = 'index.html';
+        } else if (result.success) {
+            // The book is saved - now its cover, if one was picked
+            const coverError = await saveNewCover(result.book);
+            
+            // Success! Show confirmation and redirect
+            alert('"' + book.title + '" has been added to your library!' +
+                (coverError ? '\n\nThe cover could not be saved: ' + coverError : ''));
+            form.reset(); // Clear the form
+            window.location.href = 'index.html'; // Go back to main page
+        } else if (result.errors) {
+            // The server didn't accept some fields - show what is wrong
+            showFieldErrors(result.errors);
+        } else {
+            // Something went wrong with saving
+            showFieldErrors([{ field: 'form', message: 'Error saving book. Please try again.' }]);
+        }
+        
+    } catch (error) {
+        console.error('Error in handleAddBook:', error);
+        showFieldErrors([{ field: 'form', message: 'Error adding book. Please try again.' }]);
+    }
+}
+
+/**
+ * Page initialization
+ * This runs when the page finishes loading
+ */
+document.addEventListener('DOMContentLoaded', function() {
+    console.log('Add book page loaded');
+    
+    // Adding books needs an account
+    setupAccountButton(true);
+    
+    // Find the form and set up the submit handler
+    const form = document.getElementById('addBookForm');
+    if (form) {
+        form.addEventListener('submit', handleAddBook);
+        console.log('Form submit handler attached');
+    } else {
+        console.error('Could not find add book form!');
+    }
+    
+    // Set up the ISBN lookup button
+    const lookupButton = document.getElementById('isbnLookupButton');
+    if (lookupButton) {
+        lookupButton.addEventListener('click', handleIsbnLookup);
+    }
+    
+    // Start with one empty row for the author, more people can be added
+    fillAuthorRows('authorRows', []); // From library.js
+    document.getElementById('addAuthorButton').addEventListener('click', function() {
+        addAuthorRow('authorRows').querySelector('.authorName').focus(); // From library.js
+    });
+    
+    // Warn about duplicates as soon as the title, an author or the ISBN is filled in
+    ['title', 'authorRows', 'isbn'].forEach(field => {
+        document.getElementById(field).addEventListener('change', updateDuplicateWarning);
+    });
+    
+    // Suggest existing tags, so the same tag isn't added in another spelling
+    setupTagAutocomplete('tags'); // From library.js
+    
+    // Focus on the title field for better user experience
+    const titleField = document.getElementById('title');
+    if (titleField) {
+        titleField.focus();
+    }
+});
\ No newline at end of file
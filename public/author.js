@@ -0,0 +1,80 @@
+/**
+ * Little Library - Author Page JavaScript
+ * This file shows every book by one person: author.html?name=Ursula K. Le Guin
+ *
+ * Features:
+ * - List every book the person wrote, translated or edited
+ * - Books in a series come together, in volume order
+ * - Say what the person did on books they didn't write themselves
+ * - Link to each book and to its series
+ */
+
+/**
+ * Shows "1 book" or "3 books"
+ */
+function countBooks(count) {
+    return count + (count === 1 ? ' book' : ' books');
+}
+
+/**
+ * Fills the table with the person's books
+ * Parameters: name - the person, books - from the server, in series and volume order
+ */
+function drawAuthorBooks(name, books) {
+    const table = document.getElementById('authorBooks');
+    clearElement(table); // From dom.js
+
+    const header = table.insertRow();
+    ['Title', 'Series', 'With', 'Role', 'Status'].forEach(text => {
+        header.appendChild(buildElement('th', {}, [text])); // From dom.js
+    });
+
+    books.forEach(book => {
+        const tableRow = table.insertRow();
+        tableRow.insertCell().appendChild(buildElement('a', { href: 'detailpage.html?id=' + encodeURIComponent(book.id) }, [book.title]));
+
+        const seriesLink = buildSeriesLink(book); // From library.js
+        tableRow.insertCell().appendChild(seriesLink || document.createTextNode(''));
+
+        // The other people on the book, like co-authors or the translator
+        const others = book.authors.filter(person => person.name.toLowerCase() !== name.toLowerCase());
+        tableRow.insertCell().appendChild(others.length > 0 ? buildCredits(Object.assign({}, book, { authors: others })) : document.createTextNode('')); // From library.js
+
+        tableRow.insertCell().textContent = book.roles.map(role => ROLE_LABELS[role]).join(', '); // From library.js
+        tableRow.insertCell().textContent = book.status || '';
+    });
+}
+
+/**
+ * Loads the person's books and shows them
+ */
+async function displayAuthor() {
+    const name = new URLSearchParams(window.location.search).get('name') || '';
+    const result = await loadAuthorBooks(name); // From library.js
+    console.log('Books by author loaded:', result);
+
+    if (!result.success) {
+        document.getElementById('authorName').textContent = name || 'No author picked';
+        document.getElementById('authorSummary').textContent = result.error || 'Error loading the books. Please try again.';
+        return;
+    }
+
+    document.title = result.name + ' - Little Library';
+    document.getElementById('authorName').textContent = result.name;
+
+    const seriesCount = new Set(result.books.filter(book => book.series).map(book => book.series.toLowerCase())).size;
+    document.getElementById('authorSummary').textContent = countBooks(result.totalBooks) + ' in the library' +
+        (seriesCount > 0 ? ' (' + seriesCount + ' series)' : '') + '.';
+    drawAuthorBooks(result.name, result.books);
+}
+
+/**
+ * Page initialization
+ * This runs when the page finishes loading
+ */
+document.addEventListener('DOMContentLoaded', function() {
+    console.log('Author page loaded');
+
+    setupAccountButton(); // From library.js
+    displayAuthor();
+});
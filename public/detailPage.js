@@ -0,0 +1,1235 @@
+/**
+ * Little Library - Book Detail Page JavaScript
+ * This file handles the book detail page functionality
+ * 
+ * Features:
+ * - Display book information, with links to the author and series pages
+ * - Update book status
+ * - Edit all book fields, with suggestions for the tags
+ * - Track reading progress and show the reading history
+ * - Rate books and keep dated reviews
+ * - Put the book on custom shelves or take it off
+ * - Lend the book to someone, take it back and show the loan history
+ * - Delete books (they go to the trash)
+ * - Handle cover images with fallbacks
+ * - Upload a cover picture, or keep a copy of the one at the cover address
+ * - Warn when someone else changed the book in the meantime
+ * - Show who changed what, and go back to an earlier version
+ * - Show changes made in other tabs or by other people straight away
+ */
+
+// The book shown on this page, as it was when we last loaded or saved it
+// Its revision tells the server which version our changes are based on
+let currentBook = null;
+
+/**
+ * Saves some changed fields of the current book
+ * Sends the revision we loaded, so we never overwrite someone else's work
+ * without asking. If the book was changed in the meantime, the user can
+ * apply their changes on top of the latest version.
+ * Parameter: changes - object with only the changed fields
+ * Returns: The server's reply, or null if the user chose not to save
+ */
+async function saveBookChanges(changes) {
+    let result = await updateBook(currentBook.id, changes, currentBook.revision);
+    
+    // Someone else saved this book after we loaded it
+    if (result.conflict) {
+        const reapply = confirm(
+            'This book was changed by someone else while you had it open.\n\n' +
+            'Save your changes on top of the latest version?'
+        );
+        
+        if (!reapply) {
+            // Show the latest version instead
+            showBook(result.book);
+            return null;
+        }
+        
+        // Apply our changes again, this time to the latest version
+        result = await updateBook(currentBook.id, changes, result.book.revision);
+    }
+    
+    if (result.success) {
+        showBook(result.book);
+    }
+    return result;
+}
+
+/**
+ * Updates the reading status of the current book
+ * Gets the new status from the dropdown and saves it
+ */
+async function updateStatus() {
+    const bookId = getBookIdFromUrl(); // From library.js
+    const newStatus = document.getElementById('statusSelect').value;
+    
+    console.log('Updating status for book ID:', bookId, 'to:', newStatus);
+    
+    // Make sure we have a book ID
+    if (!bookId) {
+        alert('No book selected');
+        return;
+    }
+
+    try {
+        // Only send the field that changed
+        const result = await saveBookChanges({ status: newStatus });
+        console.log('Result of status update:', result);
+        
+        if (!result) {
+            return; // The user chose to keep the other version
+        }
+        
+        if (result.success) {
+            alert('Status updated to: ' + newStatus);
+            console.log('Status successfully saved to JSON');
+        } else {
+            alert('Error updating status. Please try again.');
+        }
+        
+    } catch (error) {
+        console.error('Error updating status:', error);
+        alert('Error updating status. Please try again.');
+    }
+}
+
+/**
+ * Deletes the current book from the library
+ * Shows confirmation dialog before deleting
+ */
+async function deleteBook() {
+    const bookId = getBookIdFromUrl(); // From library.js
+    
+    if (!bookId) {
+        alert('No book selected');
+        return;
+    }
+
+    try {
+        // Load the book so we can show its title
+        const book = await getBook(bookId);
+
+        if (!book) {
+            alert('Book not found');
+            return;
+        }
+
+        // Ask user to confirm deletion
+        const confirmDelete = confirm(
+            'Move "' + book.title + '" to the trash? You can restore it from the Trash page.'
+        );
+        
+        if (confirmDelete) {
+            // Ask the server to move just this book to the trash
+            // (only if nobody changed it since we loaded it above)
+            const result = await removeBook(bookId, book.revision);
+            
+            if (result.success) {
+                // The main page offers to undo this straight away
+                sessionStorage.setItem('deletedBook', JSON.stringify({ id: book.id, title: book.title }));
+                window.location.href = 'index.html'; // Go back to main page
+            } else if (result.conflict) {
+                alert('This book was just changed by someone else. Please check the latest version before deleting it.');
+                await displayBookDetails();
+            } else {
+                alert('Error deleting book. Please try again.');
+            }
+        }
+        
+    } catch (error) {
+        console.error('Error deleting book:', error);
+        alert('Error deleting book. Please try again.');
+    }
+}
+
+/**
+ * Displays all the book information on the page
+ * This is the main function that sets up the detail view
+ */
+async function displayBookDetails() {
+    const bookId = getBookIdFromUrl(); // From library.js
+    
+    // Make sure we have a book ID from the URL
+    if (!bookId) {
+        alert('No book selected');
+        window.location.href = 'index.html';
+        return;
+    }
+
+    try {
+        // Load just the book we want
+        const book = await getBook(bookId);
+
+        if (!book) {
+            alert('Book not found');
+            window.location.href = 'index.html';
+            return;
+        }
+
+        showBook(book);
+        
+    } catch (error) {
+        console.error('Error displaying book details:', error);
+        alert('Error loading book details');
+        window.location.href = 'index.html';
+    }
+}
+
+/**
+ * Fills the page with a book's information
+ * Used when the page loads and again after the book is edited
+ * Parameter: book - the book object
+ */
+function showBook(book) {
+    console.log('Displaying details for book:', book);
+    currentBook = book;
+
+    // Update the page title
+    document.title = book.title + ' - Little Library';
+
+    // Display basic book information
+    document.getElementById('bookTitle').textContent = book.title || 'Untitled';
+    const authorHeading = document.getElementById('bookAuthor');
+    clearElement(authorHeading); // From dom.js
+    authorHeading.appendChild(document.createTextNode('by '));
+    authorHeading.appendChild(buildCredits(book)); // From library.js
+    
+    // "Book 3 of The Expanse", linking to the whole series
+    const seriesLine = document.getElementById('bookSeries');
+    clearElement(seriesLine);
+    seriesLine.hidden = !book.series;
+    if (book.series) {
+        seriesLine.appendChild(buildSeriesLink(book)); // From library.js
+    }
+
+    // Handle the cover image
+    setupCoverImage(book);
+
+    // Handle optional fields (only show if they have content)
+    setupOptionalFields(book);
+
+    // Set up the status dropdown
+    setupStatusDropdown(book);
+
+    // Show how far along the reader is, and when the book was read before
+    setupProgress(book);
+    setupReadingHistory(book);
+
+    // Show the star rating and the reviews
+    setupRating(book);
+    setupReviews(book);
+
+    // Show the custom shelves the book is on
+    setupShelves(book);
+
+    // Show who has the book, or the form to lend it
+    setupLending(book);
+
+    // Display when the book was added
+    if (book.dateAdded) {
+        document.getElementById('dateAdded').textContent = 
+            new Date(book.dateAdded).toLocaleDateString();
+    }
+    
+    // Display when the book was last edited, if it ever was
+    if (book.dateModified) {
+        document.getElementById('dateModified').textContent = 
+            new Date(book.dateModified).toLocaleString();
+        document.getElementById('dateModifiedRow').style.display = 'table-row';
+    } else {
+        document.getElementById('dateModifiedRow').style.display = 'none';
+    }
+    
+    // Keep the change history up to date when it is open
+    if (document.getElementById('changeHistory').style.display !== 'none') {
+        showHistory();
+    }
+}
+
+/**
+ * Sets up the cover image with fallback handling
+ * Parameter: book - the book object
+ */
+function setupCoverImage(book) {
+    const coverImg = document.getElementById('bookCover');
+    const noCover = document.getElementById('noCover');
+    
+    // The copy saved on the server is used first, then the cover address
+    const cover = coverUrl(book, 'detail'); // From library.js
+    if (cover) {
+        // Book has a cover image
+        coverImg.src = cover;
+        
+        // If image loads successfully, show it
+        coverImg.onload = function() {
+            coverImg.style.display = 'block';
+            noCover.style.display = 'none';
+        };
+        
+        // If image fails to load, show fallback
+        coverImg.onerror = function() {
+            coverImg.style.display = 'none';
+            noCover.style.display = 'block';
+        };
+    } else {
+        // No cover image URL provided
+        coverImg.style.display = 'none';
+        noCover.style.display = 'block';
+    }
+    
+    // Where the saved copy came from, and which cover buttons make sense
+    const saved = book.coverFiles;
+    document.getElementById('coverSource').textContent = saved 
+        ? (saved.sourceUrl ? 'Showing a saved copy of ' + saved.sourceUrl : 'Showing an uploaded picture') 
+        : '';
+    document.getElementById('cacheCoverButton').style.display = !saved && book.coverImage ? 'inline' : 'none';
+    document.getElementById('removeCoverButton').style.display = saved ? 'inline' : 'none';
+    document.getElementById('coverFile').value = '';
+}
+
+/**
+ * Shows the result of a cover upload, download or removal
+ * Parameter: result - the server's reply
+ */
+function showCoverResult(result) {
+    if (result.success) {
+        showBook(result.book);
+        return;
+    }
+    if (result.conflict) {
+        alert('This book was changed by someone else. The latest version is shown now - please try again.');
+        showBook(result.book);
+        return;
+    }
+    
+    // Every cover problem goes next to the cover, whichever field it was about
+    const errors = result.errors || [{ message: result.error || 'Error saving the cover. Please try again.' }];
+    showFieldErrors(errors.map(error => ({ field: 'coverFile', message: error.message }))); // From library.js
+}
+
+/**
+ * Uploads the picture chosen next to the cover
+ */
+async function handleCoverUpload() {
+    clearFieldErrors(); // From library.js
+    
+    const file = document.getElementById('coverFile').files[0];
+    if (!file) {
+        showFieldErrors([{ field: 'coverFile', message: 'Please choose a picture first' }]);
+        return;
+    }
+    
+    try {
+        showCoverResult(await uploadCover(currentBook.id, file, currentBook.revision)); // From library.js
+    } catch (error) {
+        console.error('Error uploading cover:', error);
+        showCoverResult({ success: false });
+    }
+}
+
+/**
+ * Asks the server to keep a copy of the picture at the cover address
+ */
+async function handleCacheCover() {
+    clearFieldErrors(); // From library.js
+    
+    try {
+        showCoverResult(await downloadCover(currentBook.id, null, currentBook.revision)); // From library.js
+    } catch (error) {
+        console.error('Error saving cover copy:', error);
+        showCoverResult({ success: false });
+    }
+}
+
+/**
+ * Removes the saved cover picture - the cover address (if any) is shown again
+ */
+async function handleRemoveCover() {
+    if (!confirm('Remove the cover picture saved for this book?')) {
+        return;
+    }
+    clearFieldErrors(); // From library.js
+    
+    try {
+        showCoverResult(await removeCover(currentBook.id, currentBook.revision)); // From library.js
+    } catch (error) {
+        console.error('Error removing cover:', error);
+        showCoverResult({ success: false });
+    }
+}
+
+/**
+ * Shows or hides table rows
+ * Parameters: rowIds - ids of the rows, visible - true to show them
+ */
+function showRows(rowIds, visible) {
+    rowIds.forEach(rowId => {
+        document.getElementById(rowId).style.display = visible ? 'table-row' : 'none';
+    });
+}
+
+/**
+ * Sets up the optional fields (description, tags, ISBN)
+ * Only shows sections that have content
+ * Parameter: book - the book object
+ */
+function setupOptionalFields(book) {
+    // Handle description
+    const hasDescription = Boolean(book.description && book.description.trim());
+    document.getElementById('bookDescription').textContent = hasDescription ? book.description : '';
+    showRows(['descriptionRow', 'descriptionContentRow'], hasDescription);
+
+    // Handle tags
+    showRows(['tagsRow', 'tagsContentRow'], Boolean(book.tags && book.tags.length > 0));
+    if (book.tags && book.tags.length > 0) {
+        // Create styled tag elements - built as elements, so a tag is always shown as text
+        const tagsElement = document.getElementById('bookTags');
+        clearElement(tagsElement); // From dom.js
+        book.tags.forEach(tag => {
+            tagsElement.appendChild(buildElement('span', {
+                style: { background: '#f0f0f0', padding: '2px 6px', margin: '2px', borderRadius: '3px' }
+            }, ['[' + tag + ']']));
+            tagsElement.appendChild(document.createTextNode(' '));
+        });
+    }
+
+    // Handle ISBN - show both forms when the book has a 10 digit one too
+    if (book.isbn13) {
+        document.getElementById('bookIsbn').textContent = 
+            book.isbn13 + (book.isbn10 ? ' (ISBN-10: ' + book.isbn10 + ')' : '');
+    }
+    showRows(['isbnRow'], Boolean(book.isbn13));
+}
+
+/**
+ * Sets up the status dropdown with the current book's status
+ * Parameter: book - the book object
+ */
+function setupStatusDropdown(book) {
+    const statusSelect = document.getElementById('statusSelect');
+    
+    if (book.status) {
+        // Set dropdown to book's current status
+        statusSelect.value = book.status;
+    } else {
+        // Default to "want to read" if no status is set
+        statusSelect.value = 'want to read';
+    }
+}
+
+/**
+ * Shows the reading progress bar and the current page
+ * Parameter: book - the book object
+ */
+function setupProgress(book) {
+    const progressBar = document.getElementById('progressBar');
+    const progressText = document.getElementById('progressText');
+    const currentPage = book.currentPage || 0;
+    
+    document.getElementById('currentPage').value = currentPage;
+    
+    if (book.pageCount) {
+        progressBar.max = book.pageCount;
+        progressBar.value = Math.min(currentPage, book.pageCount);
+        progressText.textContent = currentPage + ' of ' + book.pageCount + ' pages (' +
+            Math.round((currentPage / book.pageCount) * 100) + '%)';
+    } else {
+        // Without a page count we can't work out a percentage
+        progressBar.max = 1;
+        progressBar.value = 0;
+        progressText.textContent = 'Page ' + currentPage + ' (add the page count with Edit Book to see a percentage)';
+    }
+}
+
+/**
+ * Formats a date from the reading log, e.g. "3/1/2024"
+ * Returns "unknown" for dates we don't have
+ */
+function formatReadingDate(date) {
+    return date ? new Date(date).toLocaleDateString() : 'unknown';
+}
+
+// What each kind of history entry is called on the page
+const HISTORY_ACTIONS = {
+    create: 'Added',
+    update: 'Changed',
+    delete: 'Moved to the trash',
+    restore: 'Restored from the trash',
+    revert: 'Went back to an earlier version',
+    purge: 'Deleted forever',
+    merge: 'Merged with its duplicates'
+};
+
+/**
+ * Turns a value from the change history into short text
+ * Lists of words are joined, anything longer is cut short
+ */
+function formatHistoryValue(value) {
+    if (value === undefined || value === null || value === '') {
+        return '(empty)';
+    }
+    let text;
+    if (Array.isArray(value) && value.every(item => typeof item !== 'object')) {
+        text = value.join(', ') || '(empty)';
+    } else if (Array.isArray(value)) {
+        text = value.length + (value.length === 1 ? ' entry' : ' entries');
+    } else if (typeof value === 'object') {
+        text = JSON.stringify(value);
+    } else {
+        text = String(value);
+    }
+    return text.length > 60 ? text.substring(0, 60) + '...' : text;
+}
+
+/**
+ * Shows or hides the change history
+ */
+function toggleHistory() {
+    const list = document.getElementById('changeHistory');
+    const show = list.style.display === 'none';
+    list.style.display = show ? 'block' : 'none';
+    document.getElementById('historyButton').textContent = show ? 'Hide Changes' : 'Show Changes';
+    if (show) {
+        showHistory();
+    }
+}
+
+/**
+ * Loads the book's change history and shows one line per change,
+ * with the fields that changed and a button to go back to that version
+ */
+async function showHistory() {
+    const list = document.getElementById('changeHistory');
+    const result = await loadHistory(currentBook.id); // From library.js
+    clearElement(list); // From dom.js
+    
+    if (!result.success || result.entries.length === 0) {
+        const item = document.createElement('li');
+        item.textContent = result.success ? 'No changes saved yet' : (result.error || 'Could not load the change history');
+        list.appendChild(item);
+        return;
+    }
+    
+    result.entries.forEach(entry => {
+        // textContent keeps titles and user names from being read as HTML
+        const item = document.createElement('li');
+        item.appendChild(document.createTextNode(
+            new Date(entry.date).toLocaleString() + ' - ' + entry.username + ': ' + (HISTORY_ACTIONS[entry.action] || entry.action) + ' '
+        ));
+        
+        // Every version except the one shown now can be brought back
+        if (entry.revision && entry.revision !== currentBook.revision) {
+            const revertButton = document.createElement('button');
+            revertButton.type = 'button';
+            revertButton.textContent = 'Go Back to This Version';
+            revertButton.onclick = function() {
+                handleRevert(entry);
+            };
+            item.appendChild(revertButton);
+        }
+        
+        // New books list every field, which says little - only changes are shown
+        if (entry.action === 'update' || entry.action === 'revert' || entry.action === 'merge') {
+            const changes = document.createElement('ul');
+            entry.changes.forEach(change => {
+                const line = document.createElement('li');
+                line.textContent = change.field + ': ' + formatHistoryValue(change.before) + ' → ' + formatHistoryValue(change.after);
+                changes.appendChild(line);
+            });
+            item.appendChild(changes);
+        }
+        list.appendChild(item);
+    });
+}
+
+/**
+ * Takes the book back to how it was right after a change in the history, after asking
+ * Parameter: entry - the history entry
+ */
+async function handleRevert(entry) {
+    if (!confirm('Take this book back to how it was on ' + new Date(entry.date).toLocaleString() + '?\n\n' +
+        'Loans, and other readers\' status, ratings and reviews, stay as they are.')) {
+        return;
+    }
+    
+    const result = await revertBook(currentBook.id, entry.id, currentBook.revision); // From library.js
+    if (result.success) {
+        showBook(result.book);
+    } else if (result.conflict) {
+        alert('This book was changed by someone else. The latest version is shown now - please try again.');
+        showBook(result.book);
+    } else {
+        alert(result.error || 'Error going back to that version. Please try again.');
+    }
+}
+
+/**
+ * Shows the reading history: one line for every time the book was read
+ * Parameter: book - the book object
+ */
+function setupReadingHistory(book) {
+    const list = document.getElementById('readingHistory');
+    const readings = book.readings || [];
+    clearElement(list); // From dom.js
+    
+    if (readings.length === 0) {
+        const item = document.createElement('li');
+        item.textContent = 'Not started yet';
+        list.appendChild(item);
+    }
+    
+    readings.forEach((reading, index) => {
+        let text = 'Read #' + (index + 1) + ': started ' + formatReadingDate(reading.startedAt);
+        
+        if (!reading.finishedAt) {
+            text += ' - reading now';
+        } else {
+            text += ', finished ' + formatReadingDate(reading.finishedAt);
+            
+            // Show how long it took when we know both dates
+            if (reading.startedAt) {
+                const days = Math.round((new Date(reading.finishedAt) - new Date(reading.startedAt)) / 86400000);
+                text += ' (' + days + (days === 1 ? ' day' : ' days') + ')';
+            }
+        }
+        
+        const item = document.createElement('li');
+        item.textContent = text;
+        list.appendChild(item);
+    });
+    
+    // Rereading only makes sense for a book that was finished
+    document.getElementById('rereadButton').style.display = book.status === 'read' ? 'inline' : 'none';
+}
+
+/**
+ * Saves the page the reader is on
+ * Entering a page for a book that wasn't started yet also starts it
+ */
+async function updateProgress() {
+    clearFieldErrors(); // From library.js
+    
+    const changes = { currentPage: document.getElementById('currentPage').value };
+    if (currentBook.status === 'want to read' && Number(changes.currentPage) > 0) {
+        changes.status = 'currently reading';
+    }
+    
+    try {
+        const result = await saveBookChanges(changes);
+        if (result && !result.success) {
+            showFieldErrors(result.errors || [{ field: 'currentPage', message: 'Error saving progress. Please try again.' }]);
+        }
+    } catch (error) {
+        console.error('Error saving progress:', error);
+        showFieldErrors([{ field: 'currentPage', message: 'Error saving progress. Please try again.' }]);
+    }
+}
+
+/**
+ * Starts reading a finished book again
+ * The server adds a new reading to the history
+ */
+async function startReread() {
+    try {
+        const result = await saveBookChanges({ status: 'currently reading' });
+        if (result && !result.success) {
+            alert('Error starting a reread. Please try again.');
+        }
+    } catch (error) {
+        console.error('Error starting reread:', error);
+        alert('Error starting a reread. Please try again.');
+    }
+}
+
+/**
+ * Adds an earlier read of the book to its history
+ * Uses the two date fields under the reading history
+ */
+async function addPastReading() {
+    clearFieldErrors(); // From library.js
+    
+    const startedAt = document.getElementById('pastStarted').value;
+    const finishedAt = document.getElementById('pastFinished').value;
+    if (!startedAt && !finishedAt) {
+        showFieldErrors([{ field: 'readings', message: 'Please enter a start and/or finish date' }]);
+        return;
+    }
+    
+    // Keep the history in date order
+    const readings = (currentBook.readings || []).concat([{ startedAt: startedAt, finishedAt: finishedAt }]);
+    readings.sort((a, b) => String(a.startedAt || a.finishedAt).localeCompare(String(b.startedAt || b.finishedAt)));
+    
+    try {
+        const result = await saveBookChanges({ readings: readings });
+        if (result && result.success) {
+            document.getElementById('pastStarted').value = '';
+            document.getElementById('pastFinished').value = '';
+        } else if (result) {
+            showFieldErrors(result.errors || [{ field: 'readings', message: 'Error saving the reading. Please try again.' }]);
+        }
+    } catch (error) {
+        console.error('Error adding reading:', error);
+        showFieldErrors([{ field: 'readings', message: 'Error saving the reading. Please try again.' }]);
+    }
+}
+
+/**
+ * Shows the book's star rating and selects it in the rating dropdown
+ * Parameter: book - the book object
+ */
+function setupRating(book) {
+    document.getElementById('bookRating').textContent = formatRating(book.rating) || 'Not rated';
+    document.getElementById('rating').value = book.rating ? String(book.rating) : '';
+}
+
+/**
+ * Shows the list of reviews, newest first
+ * Every review has a delete button
+ * Parameter: book - the book object
+ */
+function setupReviews(book) {
+    const list = document.getElementById('reviewList');
+    const reviews = getReviews(book); // From library.js
+    clearElement(list); // From dom.js
+    
+    if (reviews.length === 0) {
+        const item = document.createElement('li');
+        item.textContent = 'No reviews yet';
+        list.appendChild(item);
+    }
+    
+    reviews.forEach(review => {
+        const item = document.createElement('li');
+        
+        const date = document.createElement('strong');
+        date.textContent = review.date ? new Date(review.date).toLocaleDateString() : 'Undated';
+        item.appendChild(date);
+        
+        const deleteButton = document.createElement('button');
+        deleteButton.type = 'button';
+        deleteButton.textContent = 'Delete';
+        deleteButton.onclick = function() {
+            deleteReview(review);
+        };
+        item.appendChild(document.createTextNode(' '));
+        item.appendChild(deleteButton);
+        
+        // textContent keeps the review text from being read as HTML
+        const text = document.createElement('p');
+        text.textContent = review.text;
+        text.style.whiteSpace = 'pre-wrap';
+        item.appendChild(text);
+        
+        list.appendChild(item);
+    });
+    
+    // New reviews are dated today unless the user picks another day
+    document.getElementById('reviewDate').value = new Date().toISOString().substring(0, 10);
+}
+
+/**
+ * Saves the rating picked in the rating dropdown
+ */
+async function updateRating() {
+    clearFieldErrors(); // From library.js
+    
+    try {
+        const result = await saveBookChanges({ rating: document.getElementById('rating').value });
+        if (result && !result.success) {
+            showFieldErrors(result.errors || [{ field: 'rating', message: 'Error saving the rating. Please try again.' }]);
+        }
+    } catch (error) {
+        console.error('Error saving rating:', error);
+        showFieldErrors([{ field: 'rating', message: 'Error saving the rating. Please try again.' }]);
+    }
+}
+
+/**
+ * Adds a review with the date and text from the review form
+ */
+async function addReview() {
+    clearFieldErrors(); // From library.js
+    
+    const text = document.getElementById('reviewText').value.trim();
+    if (!text) {
+        showFieldErrors([{ field: 'reviews', message: 'Please write something first' }]);
+        return;
+    }
+    
+    const review = { date: document.getElementById('reviewDate').value, text: text };
+    const reviews = getReviews(currentBook).concat([review]);
+    
+    try {
+        const result = await saveBookChanges({ reviews: reviews });
+        if (result && result.success) {
+            document.getElementById('reviewText').value = '';
+        } else if (result) {
+            showFieldErrors(result.errors || [{ field: 'reviews', message: 'Error saving the review. Please try again.' }]);
+        }
+    } catch (error) {
+        console.error('Error adding review:', error);
+        showFieldErrors([{ field: 'reviews', message: 'Error saving the review. Please try again.' }]);
+    }
+}
+
+/**
+ * Deletes one review after asking the user
+ * Parameter: review - the review to delete, from getReviews()
+ */
+async function deleteReview(review) {
+    if (!confirm('Delete this review? This cannot be undone.')) {
+        return;
+    }
+    
+    // Keep every review except this one
+    const reviews = getReviews(currentBook).filter(other => 
+        other.date !== review.date || other.text !== review.text
+    );
+    
+    try {
+        const result = await saveBookChanges({ reviews: reviews });
+        if (result && !result.success) {
+            alert('Error deleting the review. Please try again.');
+        }
+    } catch (error) {
+        console.error('Error deleting review:', error);
+        alert('Error deleting the review. Please try again.');
+    }
+}
+
+/**
+ * Shows the custom shelves the book is on, each with a button to take it off,
+ * and fills the shelf picker with the other shelves
+ * Parameter: book - the book object
+ */
+async function setupShelves(book) {
+    const shelves = await loadShelves(); // From library.js
+    const onShelf = shelf => shelf.bookIds.some(id => String(id) === String(book.id));
+    
+    const list = document.getElementById('bookShelves');
+    clearElement(list); // From dom.js
+    const bookShelves = shelves.filter(onShelf);
+    if (bookShelves.length === 0) {
+        list.textContent = 'Not on any shelf yet';
+    }
+    bookShelves.forEach(shelf => {
+        const item = document.createElement('span');
+        item.style.background = '#f0f0f0';
+        item.style.padding = '2px 6px';
+        item.style.margin = '2px';
+        item.style.borderRadius = '3px';
+        
+        const link = document.createElement('a');
+        link.href = 'index.html?shelf=' + encodeURIComponent(shelf.id);
+        link.textContent = shelf.name;
+        item.appendChild(link);
+        
+        const removeButton = document.createElement('button');
+        removeButton.type = 'button';
+        removeButton.textContent = '×';
+        removeButton.title = 'Take off this shelf';
+        removeButton.onclick = function() {
+            takeBookOffShelf(shelf);
+        };
+        item.appendChild(document.createTextNode(' '));
+        item.appendChild(removeButton);
+        
+        list.appendChild(item);
+    });
+    
+    // The picker offers every shelf the book isn't on yet, or a new one
+    const picker = document.getElementById('shelfPicker');
+    clearElement(picker); // From dom.js
+    shelves.filter(shelf => !onShelf(shelf)).forEach(shelf => {
+        picker.appendChild(new Option(shelf.name, shelf.id));
+    });
+    picker.appendChild(new Option('New shelf...', 'new'));
+}
+
+/**
+ * Puts the book on the shelf picked in the shelf picker
+ * "New shelf..." asks for a name and makes the shelf first
+ */
+async function addBookToShelf() {
+    clearFieldErrors(); // From library.js
+    let shelfId = document.getElementById('shelfPicker').value;
+    
+    try {
+        if (shelfId === 'new') {
+            const name = prompt('Name of the new shelf, e.g. "Book club 2026":');
+            if (!name || !name.trim()) {
+                return;
+            }
+            const created = await createShelf({ name: name.trim() });
+            if (!created.success) {
+                showFieldErrors([{ field: 'shelf', message: (created.errors && created.errors[0].message) || 'Error adding the shelf' }]);
+                return;
+            }
+            shelfId = created.shelf.id;
+        }
+        
+        const result = await addToShelf(shelfId, currentBook.id);
+        if (!result.success) {
+            showFieldErrors([{ field: 'shelf', message: result.error || 'Error adding the book to the shelf' }]);
+        }
+    } catch (error) {
+        console.error('Error adding book to shelf:', error);
+        showFieldErrors([{ field: 'shelf', message: 'Error adding the book to the shelf' }]);
+    }
+    setupShelves(currentBook);
+}
+
+/**
+ * Takes the book off one of its shelves (the book stays in the library)
+ * Parameter: shelf - the shelf to take it off
+ */
+async function takeBookOffShelf(shelf) {
+    const result = await removeFromShelf(shelf.id, currentBook.id); // From library.js
+    if (!result.success) {
+        alert('Error taking the book off "' + shelf.name + '". Please try again.');
+    }
+    setupShelves(currentBook);
+}
+
+/**
+ * Shows whether the book is on loan, the checkout or return button,
+ * and every earlier loan
+ * Parameter: book - the book object
+ */
+function setupLending(book) {
+    const loan = currentLoan(book); // From library.js
+    const loanStatus = document.getElementById('loanStatus');
+    
+    if (loan) {
+        let text = 'On loan to ' + loan.borrower + ' since ' + formatReadingDate(loan.checkedOutAt);
+        if (loan.dueAt) {
+            text += ', due back ' + formatReadingDate(loan.dueAt);
+            const daysLate = Math.ceil((new Date() - new Date(loan.dueAt)) / 86400000);
+            if (daysLate > 0) {
+                text += ' (overdue by ' + daysLate + (daysLate === 1 ? ' day)' : ' days)');
+            }
+        }
+        loanStatus.textContent = text;
+        loanStatus.style.color = loan.dueAt && new Date(loan.dueAt) < new Date() ? '#cc0000' : '';
+    } else {
+        loanStatus.textContent = 'On the shelf';
+        loanStatus.style.color = '';
+        
+        // Suggest a due date two weeks from today
+        document.getElementById('borrower').value = '';
+        document.getElementById('dueAt').value = new Date(Date.now() + 14 * 86400000).toISOString().substring(0, 10);
+    }
+    document.getElementById('returnForm').style.display = loan ? 'block' : 'none';
+    document.getElementById('checkoutForm').style.display = loan ? 'none' : 'block';
+    
+    // Every loan, newest first
+    const list = document.getElementById('loanHistory');
+    clearElement(list); // From dom.js
+    const loans = (book.loans || []).slice().reverse();
+    if (loans.length === 0) {
+        const item = document.createElement('li');
+        item.textContent = 'Never lent out';
+        list.appendChild(item);
+    }
+    loans.forEach(past => {
+        const item = document.createElement('li');
+        item.textContent = past.borrower + ': ' + formatReadingDate(past.checkedOutAt) + ' to ' + 
+            (past.returnedAt ? formatReadingDate(past.returnedAt) : 'now') + 
+            (past.dueAt ? ' (due ' + formatReadingDate(past.dueAt) + ')' : '');
+        list.appendChild(item);
+    });
+}
+
+/**
+ * Lends the book to the person named in the checkout form
+ */
+async function handleCheckout() {
+    clearFieldErrors(); // From library.js
+    
+    const borrower = document.getElementById('borrower').value.trim();
+    if (!borrower) {
+        showFieldErrors([{ field: 'borrower', message: 'Please enter who is borrowing the book' }]);
+        return;
+    }
+    
+    try {
+        const result = await checkOutBook(currentBook.id, {
+            borrower: borrower,
+            dueAt: document.getElementById('dueAt').value
+        }, currentBook.revision);
+        
+        if (result.success) {
+            showBook(result.book);
+        } else if (result.conflict) {
+            // Someone else lent it out or changed it - show the latest version
+            alert(result.error || 'This book was changed by someone else.');
+            showBook(result.book);
+        } else {
+            showFieldErrors(result.errors || [{ field: 'loans', message: 'Error checking out the book. Please try again.' }]);
+        }
+    } catch (error) {
+        console.error('Error checking out book:', error);
+        showFieldErrors([{ field: 'loans', message: 'Error checking out the book. Please try again.' }]);
+    }
+}
+
+/**
+ * Marks the book as returned today
+ */
+async function handleReturn() {
+    try {
+        const result = await returnBook(currentBook.id, currentBook.revision); // From library.js
+        
+        if (result.success) {
+            showBook(result.book);
+        } else {
+            alert(result.error || 'Error returning the book. Please try again.');
+            if (result.book) {
+                showBook(result.book);
+            }
+        }
+    } catch (error) {
+        console.error('Error returning book:', error);
+        alert('Error returning the book. Please try again.');
+    }
+}
+
+/**
+ * Switches the page to edit mode
+ * Fills the edit form with the book's current values
+ */
+function enterEditMode() {
+    if (!currentBook) {
+        return;
+    }
+    
+    clearFieldErrors(); // From library.js
+    
+    // Copy every editable field into its input
+    ['title', 'series', 'description', 'coverImage', 'pageCount'].forEach(field => {
+        document.getElementById(field).value = currentBook[field] || '';
+    });
+    document.getElementById('seriesNumber').value = currentBook.seriesNumber === null || currentBook.seriesNumber === undefined ? '' : currentBook.seriesNumber;
+    document.getElementById('isbn').value = currentBook.isbn13 || '';
+    fillAuthorRows('authorRows', currentBook.authors); // From library.js
+    document.getElementById('tags').value = (currentBook.tags || []).join(', ');
+    
+    document.getElementById('bookView').style.display = 'none';
+    document.getElementById('bookEdit').style.display = 'block';
+    document.getElementById('title').focus();
+}
+
+/**
+ * Leaves edit mode without saving
+ */
+function exitEditMode() {
+    document.getElementById('bookEdit').style.display = 'none';
+    document.getElementById('bookView').style.display = 'block';
+}
+
+/**
+ * Works out which fields the user changed in the edit form
+ * Returns: An object with only the changed fields and their new values
+ */
+function getEditedFields() {
+    const changes = {};
+    
+    // Plain text fields
+    ['title', 'series', 'description', 'coverImage'].forEach(field => {
+        const value = document.getElementById(field).value.trim();
+        if (value !== (currentBook[field] || '')) {
+            changes[field] = value;
+        }
+    });
+    
+    // The people are compared in order, with their roles
+    const authors = readAuthorRows('authorRows'); // From library.js
+    const savedAuthors = (currentBook.authors || []).map(person => ({ name: person.name, role: person.role }));
+    if (JSON.stringify(authors) !== JSON.stringify(savedAuthors)) {
+        changes.authors = authors;
+        changes.author = formatAuthors(authors); // From library.js, shown while the change waits offline
+    }
+    
+    // The volume number is compared as a number (empty means none)
+    const seriesNumber = document.getElementById('seriesNumber').value;
+    const savedNumber = currentBook.seriesNumber === undefined ? null : currentBook.seriesNumber;
+    if ((seriesNumber === '' ? null : Number(seriesNumber)) !== savedNumber) {
+        changes.seriesNumber = seriesNumber;
+    }
+    
+    // The page count is compared as a number (empty means not known)
+    const pageCount = document.getElementById('pageCount').value;
+    if ((Number(pageCount) || null) !== (currentBook.pageCount || null)) {
+        changes.pageCount = pageCount;
+    }
+    
+    // The ISBN is unchanged if it matches either saved form (dashes don't matter)
+    const isbn = document.getElementById('isbn').value.replace(/[\s-]/g, '').toUpperCase();
+    if (isbn !== (currentBook.isbn13 || '') && isbn !== (currentBook.isbn10 || '')) {
+        changes.isbn = isbn;
+    }
+    
+    // Tags are compared as a comma separated list
+    const tags = document.getElementById('tags').value
+        .split(',')
+        .map(tag => tag.trim())
+        .filter(tag => tag);
+    if (tags.join(',') !== (currentBook.tags || []).join(',')) {
+        changes.tags = tags;
+    }
+    
+    return changes;
+}
+
+/**
+ * Saves the edit form
+ * Only the changed fields are sent to the server
+ * Parameter: event - the form submit event
+ */
+async function handleEditSubmit(event) {
+    event.preventDefault();
+    clearFieldErrors(); // From library.js
+    
+    const changes = getEditedFields();
+    console.log('Edited fields:', changes);
+    
+    // Nothing changed - nothing to save
+    if (Object.keys(changes).length === 0) {
+        exitEditMode();
+        return;
+    }
+    
+    try {
+        const result = await saveBookChanges(changes);
+        
+        if (!result || result.success) {
+            // Saved, or the user chose to keep the other version
+            exitEditMode();
+        } else if (result.errors) {
+            // Show what is wrong next to each field
+            showFieldErrors(result.errors); // From library.js
+        } else {
+            showFieldErrors([{ field: 'form', message: result.error || 'Error saving changes. Please try again.' }]);
+        }
+        
+    } catch (error) {
+        console.error('Error saving edits:', error);
+        showFieldErrors([{ field: 'form', message: 'Error saving changes. Please try again.' }]);
+    }
+}
+
+/**
+ * Shows a notice above the book about a change made somewhere else
+ * Parameters: message - the text, buttonText and onclick - the button next to it
+ */
+function showLiveNotice(message, buttonText, onclick) {
+    document.getElementById('liveMessage').textContent = message;
+    const button = document.getElementById('liveButton');
+    button.textContent = buttonText;
+    button.onclick = onclick;
+    button.hidden = false;
+    document.getElementById('liveNotice').hidden = false;
+}
+
+/**
+ * Hides the notice about a change made somewhere else
+ */
+function hideLiveNotice() {
+    document.getElementById('liveNotice').hidden = true;
+}
+
+/**
+ * Shows changes to this book made in other tabs or by other people
+ * The latest version is shown straight away, unless the edit form is open:
+ * then only a notice is shown, so nothing typed gets lost
+ * Parameter: change - a message from watchLibrary() in library.js
+ */
+async function handleLibraryChange(change) {
+    if (!currentBook) {
+        return;
+    }
+    
+    // A "reload" means changes may have been missed, so check this book too
+    const thisBook = String(change.bookId) === String(currentBook.id);
+    if (change.type !== 'reload' && !thisBook) {
+        return;
+    }
+    if (change.type === 'updated' && change.revision <= currentBook.revision) {
+        return; // Already shown
+    }
+    
+    const latest = change.type === 'deleted' ? null : await getBook(currentBook.id); // From library.js
+    if (!latest) {
+        const gone = change.action === 'purge' ? 'deleted for good' : 'moved to the trash';
+        showLiveNotice('This book was just ' + gone + ' somewhere else.', 'Back to Library', function() {
+            window.location.href = 'index.html';
+        });
+        return;
+    }
+    if (latest.revision === currentBook.revision && change.type !== 'created') {
+        return;
+    }
+    
+    const message = change.type === 'created'
+        ? 'This book was just restored from the trash.'
+        : 'This book was just changed somewhere else.';
+    if (document.getElementById('bookEdit').style.display === 'block') {
+        // Saving still works: saveBookChanges() offers to save on top of the latest version
+        showLiveNotice(message + ' You can still save your edits on top of it.', 'Show Latest Version', function() {
+            exitEditMode();
+            showBook(latest);
+            hideLiveNotice();
+        });
+        return;
+    }
+    showBook(latest);
+    showLiveNotice(message + ' The latest version is shown.', 'OK', hideLiveNotice);
+}
+
+/**
+ * Page initialization
+ * This runs when the page finishes loading
+ */
+document.addEventListener('DOMContentLoaded', function() {
+    console.log('Detail page loaded, displaying book details...');
+    displayBookDetails();
+    
+    // Only an admin can delete books, so only they see the button
+    setupAccountButton().then(function(user) {
+        document.getElementById('deleteBookButton').hidden = !user || user.role !== 'admin';
+    });
+    
+    // Set up the edit form, suggesting existing tags while typing
+    document.getElementById('editBookForm').addEventListener('submit', handleEditSubmit);
+    setupTagAutocomplete('tags'); // From library.js
+    
+    // Connect the buttons to what they do (the page has no onclick="...", see dom.js)
+    const buttonActions = {
+        editBookButton: enterEditMode,
+        cancelEditButton: exitEditMode,
+        deleteBookButton: deleteBook,
+        uploadCoverButton: handleCoverUpload,
+        cacheCoverButton: handleCacheCover,
+        removeCoverButton: handleRemoveCover,
+        saveRatingButton: updateRating,
+        addReviewButton: addReview,
+        addToShelfButton: addBookToShelf,
+        returnButton: handleReturn,
+        checkoutButton: handleCheckout,
+        saveStatusButton: updateStatus,
+        updateProgressButton: updateProgress,
+        rereadButton: startReread,
+        addPastReadingButton: addPastReading,
+        historyButton: toggleHistory,
+        addAuthorButton: () => addAuthorRow('authorRows').querySelector('.authorName').focus() // From library.js
+    };
+    Object.keys(buttonActions).forEach(buttonId => {
+        document.getElementById(buttonId).addEventListener('click', function() {
+            buttonActions[buttonId]();
+        });
+    });
+    
+    // Show changes made to this book anywhere else
+    watchLibrary(handleLibraryChange); // From library.js
+});
\ No newline at end of file
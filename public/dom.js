@@ -0,0 +1,98 @@
+/**
+ * Little Library - Safe Page Building
+ * Helpers for putting book data on the page without it ever being read as
+ * HTML. Titles, authors, tags and cover addresses are typed in by anyone
+ * with an account, so a tag like <img onerror=...> must show up as text.
+ * Used by library.js and the page scripts.
+ *
+ * Rules for the page scripts:
+ * - Never put book data into innerHTML - use buildElement() or textContent
+ * - Only use cover addresses that went through safeImageUrl()
+ * - No onclick="..." in the pages: the server's Content-Security-Policy
+ *   blocks scripts written inside HTML. Use addEventListener, or data-href
+ *   for buttons that only open another page.
+ *
+ * Functions in this file:
+ * - buildElement(): Makes an element with its properties and children
+ * - clearElement(): Removes everything inside an element
+ * - safeImageUrl(): Checks that a picture address can't run scripts
+ * - setupLinkButtons(): Makes buttons with a data-href open that page
+ */
+
+// Address schemes a picture may come from; javascript:, data: and the like are dropped
+const SAFE_IMAGE_PROTOCOLS = ['http:', 'https:'];
+
+/**
+ * Makes an element with its properties and children
+ * Text children are added as text, so they are never read as HTML
+ * Parameters:
+ * - tag: the element name, e.g. 'span'
+ * - properties: (optional) element properties like { title, className, onclick };
+ *   style can be an object like { fontSize: '9px' }
+ * - children: (optional) a list of elements and texts; null and undefined are skipped
+ * Returns: The new element
+ *
+ * Example: buildElement('small', { style: { color: 'red' } }, ['Lent to ', borrower])
+ */
+function buildElement(tag, properties, children) {
+    const element = document.createElement(tag);
+    Object.keys(properties || {}).forEach(name => {
+        if (name === 'style') {
+            Object.assign(element.style, properties.style);
+        } else {
+            element[name] = properties[name];
+        }
+    });
+    (children || []).forEach(child => {
+        if (child === null || child === undefined) {
+            return;
+        }
+        element.appendChild(typeof child === 'object' ? child : document.createTextNode(String(child)));
+    });
+    return element;
+}
+
+/**
+ * Removes everything inside an element
+ */
+function clearElement(element) {
+    while (element.firstChild) {
+        element.removeChild(element.firstChild);
+    }
+}
+
+/**
+ * Checks that a picture address can't run scripts
+ * Allowed are http and https addresses, and addresses on this site
+ * like /uploads/covers/... (but not //other-site.com/...)
+ * Returns: The address, or '' when it isn't safe to show
+ */
+function safeImageUrl(url) {
+    const text = String(url || '').trim();
+    if (!text) {
+        return '';
+    }
+    if (text.startsWith('/') && !text.startsWith('//') && !text.includes('\\')) {
+        return text;
+    }
+    try {
+        return SAFE_IMAGE_PROTOCOLS.includes(new URL(text).protocol) ? text : '';
+    } catch (error) {
+        // Not a full address (e.g. "cover.jpg") - only addresses we can check are used
+        return '';
+    }
+}
+
+/**
+ * Makes buttons with a data-href attribute open that page when clicked,
+ * e.g. <button type="button" data-href="index.html">Back to Library</button>
+ */
+function setupLinkButtons() {
+    document.querySelectorAll('button[data-href]').forEach(button => {
+        button.addEventListener('click', function() {
+            window.location.href = button.dataset.href;
+        });
+    });
+}
+
+document.addEventListener('DOMContentLoaded', setupLinkButtons);
@@ -0,0 +1,251 @@
+/**
+ * Little Library - Duplicate Books Page JavaScript
+ * This file shows the books that seem to be in the library more than once
+ *
+ * Features:
+ * - List every group of duplicates (same ISBN, or similar title and author)
+ * - Pick the book to keep and where each of its fields should come from
+ * - Pick which tags and reviews to keep
+ * - Merge a group into one book - the others move to the trash
+ */
+
+// The fields that can be picked from any book in a group, and their labels
+const MERGE_FIELDS = {
+    title: 'Title',
+    authors: 'Authors',
+    series: 'Series',
+    seriesNumber: 'Book in series',
+    isbn13: 'ISBN',
+    description: 'Description',
+    coverImage: 'Cover address',
+    pageCount: 'Pages',
+    status: 'Status',
+    rating: 'Rating',
+    currentPage: 'Current page'
+};
+
+// Longest text shown in a table cell
+const MAX_CELL_TEXT = 80;
+
+/**
+ * Turns a field value into short text for the table
+ */
+function formatMergeValue(field, value) {
+    if (value === undefined || value === null || value === '') {
+        return '(empty)';
+    }
+    if (field === 'rating') {
+        return formatRating(value) + ' ' + value;
+    }
+    if (field === 'authors') {
+        // Translators and editors are marked, e.g. "Reg Keeland (translator)"
+        value = value.map(person => person.role === 'author' ? person.name : person.name + ' (' + person.role + ')').join(', ') || '(empty)';
+    }
+    const text = String(value);
+    return text.length > MAX_CELL_TEXT ? text.substring(0, MAX_CELL_TEXT) + '...' : text;
+}
+
+/**
+ * Makes a radio button or checkbox with its label
+ * Returns: The label, with the input inside it
+ */
+function makeChoice(type, name, value, text, checked) {
+    const label = document.createElement('label');
+    const input = document.createElement('input');
+    input.type = type;
+    input.name = name;
+    input.value = value;
+    input.checked = checked;
+    label.appendChild(input);
+
+    // textContent keeps titles, tags and reviews from being read as HTML
+    label.appendChild(document.createTextNode(' ' + text));
+    return label;
+}
+
+/**
+ * Adds a row to a group's table: a label, then one cell per book
+ * Parameter: fillCell - called with (cell, book) to fill each book's cell
+ */
+function addMergeRow(table, label, books, fillCell) {
+    const tableRow = table.insertRow();
+    const heading = document.createElement('th');
+    heading.textContent = label;
+    heading.align = 'left';
+    tableRow.appendChild(heading);
+    books.forEach(book => fillCell(tableRow.insertCell(), book));
+}
+
+/**
+ * Builds the table for one group of duplicates
+ * Parameters: cluster - { reason, books } from the server, number - its
+ *   position on the page, used to name the inputs
+ * Returns: The element to add to the page
+ */
+function buildCluster(cluster, number) {
+    const section = document.createElement('div');
+    const books = cluster.books;
+    const heading = document.createElement('h4');
+    heading.textContent = books.length + ' books with ' + (cluster.reason === 'isbn' ? 'the same ISBN' : 'a similar title and author');
+    section.appendChild(heading);
+
+    const table = document.createElement('table');
+    table.border = '1';
+    table.cellPadding = '4';
+    section.appendChild(table);
+
+    // Which book is kept - the oldest one unless another is picked
+    addMergeRow(table, 'Keep', books, (cell, book) => {
+        const link = document.createElement('a');
+        link.href = 'detailpage.html?id=' + encodeURIComponent(book.id);
+        link.target = '_blank';
+        link.textContent = 'Added ' + (book.dateAdded ? new Date(book.dateAdded).toLocaleDateString() : 'on an unknown date');
+        cell.appendChild(makeChoice('radio', 'keep-' + number, book.id, '', book === books[0]));
+        cell.appendChild(link);
+    });
+
+    // Only fields where the books differ need a choice; the first filled in value is picked
+    Object.keys(MERGE_FIELDS).forEach(field => {
+        const values = books.map(book => JSON.stringify(book[field] === undefined ? null : book[field]));
+        if (values.every(value => value === values[0])) {
+            return;
+        }
+        const picked = books.find(book => book[field] !== null && book[field] !== undefined && book[field] !== '') || books[0];
+        addMergeRow(table, MERGE_FIELDS[field], books, (cell, book) => {
+            cell.appendChild(makeChoice('radio', number + '-' + field, book.id, formatMergeValue(field, book[field]), book === picked));
+        });
+    });
+
+    // Tags and reviews from every book can be kept, each one on its own
+    const tags = [];
+    const reviews = [];
+    books.forEach(book => {
+        (book.tags || []).forEach(tag => {
+            if (!tags.some(other => other.toLowerCase() === tag.toLowerCase())) {
+                tags.push(tag);
+            }
+        });
+        getReviews(book).forEach(review => { // From library.js
+            if (!reviews.some(other => other.date === review.date && other.text === review.text)) {
+                reviews.push(review);
+            }
+        });
+    });
+
+    const extras = table.insertRow();
+    const extrasHeading = document.createElement('th');
+    extrasHeading.textContent = 'Keep';
+    extrasHeading.align = 'left';
+    extras.appendChild(extrasHeading);
+    const extrasCell = extras.insertCell();
+    extrasCell.colSpan = books.length;
+
+    if (tags.length > 0) {
+        extrasCell.appendChild(document.createTextNode('Tags: '));
+        tags.forEach(tag => {
+            extrasCell.appendChild(makeChoice('checkbox', number + '-tag', tag, tag, true));
+            extrasCell.appendChild(document.createTextNode(' '));
+        });
+        extrasCell.appendChild(document.createElement('br'));
+    }
+    reviews.forEach((review, index) => {
+        const date = review.date ? new Date(review.date).toLocaleDateString() + ': ' : '';
+        extrasCell.appendChild(makeChoice('checkbox', number + '-review', index, 'Review - ' + date + formatMergeValue('review', review.text), true));
+        extrasCell.appendChild(document.createElement('br'));
+    });
+    if (tags.length === 0 && reviews.length === 0) {
+        extrasCell.textContent = 'No tags or reviews';
+    }
+
+    const mergeButton = document.createElement('button');
+    mergeButton.type = 'button';
+    mergeButton.textContent = 'Merge These Books';
+    mergeButton.onclick = function() {
+        handleMerge(section, cluster, number, reviews);
+    };
+    section.appendChild(document.createElement('br'));
+    section.appendChild(mergeButton);
+    return section;
+}
+
+/**
+ * Loads the groups of duplicates and shows them
+ */
+async function displayDuplicates() {
+    const result = await loadDuplicates(); // From library.js
+    console.log('Duplicates loaded:', result);
+
+    const summary = document.getElementById('duplicateSummary');
+    const container = document.getElementById('duplicateClusters');
+    clearElement(container); // From dom.js
+
+    if (!result.success) {
+        summary.textContent = result.error || 'Could not look for duplicates';
+        return;
+    }
+    summary.textContent = result.totalClusters === 0
+        ? 'No duplicates found - every book is in the library once.'
+        : result.totalClusters + (result.totalClusters === 1 ? ' group' : ' groups') + ' of books that look like the same book.';
+
+    result.clusters.forEach((cluster, index) => {
+        container.appendChild(buildCluster(cluster, index));
+    });
+}
+
+/**
+ * Merges one group into the book picked to keep, after asking
+ * Parameters: section - the group's part of the page, cluster - the group,
+ *   number - its position on the page, reviews - the reviews that were offered
+ */
+async function handleMerge(section, cluster, number, reviews) {
+    const checked = name => Array.from(section.querySelectorAll('input[name="' + name + '"]:checked'));
+    const keepId = checked('keep-' + number)[0].value;
+    const keep = cluster.books.find(book => String(book.id) === keepId);
+
+    const fields = {};
+    Object.keys(MERGE_FIELDS).forEach(field => {
+        const choice = checked(number + '-' + field)[0];
+        if (choice) {
+            // The server takes the ISBN in both forms from the picked book
+            fields[field === 'isbn13' ? 'isbn' : field] = choice.value;
+        }
+    });
+
+    const merge = {
+        keepId: keepId,
+        mergeIds: cluster.books.filter(book => book !== keep).map(book => book.id),
+        fields: fields,
+        tags: checked(number + '-tag').map(input => input.value),
+        reviews: checked(number + '-review').map(input => reviews[Number(input.value)])
+    };
+
+    if (!confirm('Merge these ' + cluster.books.length + ' books into one? The other copies move to the trash.')) {
+        return;
+    }
+
+    const result = await mergeBooks(merge, keep.revision); // From library.js
+    if (!result.success) {
+        const message = result.errors ? result.errors.map(error => error.message).join('\n') : result.error;
+        alert((message || 'Error merging the books. Please try again.') +
+            (result.conflict ? '\n\nThe list is loaded again with the latest changes.' : ''));
+    }
+    displayDuplicates();
+}
+
+/**
+ * Page initialization
+ * This runs when the page finishes loading
+ */
+document.addEventListener('DOMContentLoaded', async function() {
+    console.log('Duplicates page loaded');
+
+    // Merging moves books to the trash, so only admins can do it
+    const user = await setupAccountButton(true);
+    if (user && user.role !== 'admin') {
+        document.getElementById('duplicateSummary').textContent = 'Only an admin can merge duplicate books.';
+        return;
+    }
+    if (user) {
+        displayDuplicates();
+    }
+});
@@ -0,0 +1,174 @@
+/**
+ * Little Library - Import Page JavaScript
+ * This file handles importing books from a CSV, Goodreads or JSON file
+ *
+ * Features:
+ * - Read the chosen file
+ * - Show a preview of what will be imported (a "dry run" on the server)
+ * - Import the books once the user confirms
+ */
+
+// The file contents and settings from the last preview
+// Kept so the confirm button imports exactly what was previewed
+let pendingImport = null;
+
+// What each row result means, in words for the preview table
+const RESULT_LABELS = {
+    new: 'Will be added',
+    duplicate: 'Already in library',
+    invalid: 'Has errors'
+};
+
+/**
+ * Shows one line in the preview table for every row of the file
+ * Parameter: rows - the rows from the server's import reply
+ */
+function showImportRows(rows) {
+    const tbody = document.getElementById('importRows');
+    clearElement(tbody); // From dom.js
+
+    rows.forEach(row => {
+        const tableRow = tbody.insertRow();
+        const book = row.book || {};
+
+        // textContent keeps any HTML in the file from being run
+        [row.row, book.title || '', book.author || '', book.status || ''].forEach(value => {
+            tableRow.insertCell().textContent = value;
+        });
+
+        // Explain the result, with the errors or the matching book
+        let result = row.imported ? 'Imported' : RESULT_LABELS[row.result];
+        if (row.result === 'invalid') {
+            result += ': ' + row.errors.map(error => error.message).join('; ');
+        } else if (row.result === 'duplicate') {
+            result += ' (same as "' + row.duplicateOf.title + '")';
+        }
+        const resultCell = tableRow.insertCell();
+        resultCell.textContent = result;
+
+        // Colour the rows like the bookshelf does
+        if (row.result === 'invalid') {
+            tableRow.style.backgroundColor = '#ffcccc';
+        } else if (row.result === 'duplicate') {
+            tableRow.style.backgroundColor = '#fff3cd';
+        } else {
+            tableRow.style.backgroundColor = '#e8f4f8';
+        }
+    });
+}
+
+/**
+ * Shows the numbers from the server's import reply
+ * Parameter: result - the server's import reply
+ */
+function showImportSummary(result) {
+    const summary = result.summary;
+    let text = 'Found ' + summary.total + ' books (' + result.format + ' file): ' +
+        summary.new + ' new, ' + summary.duplicate + ' already in the library, ' +
+        summary.invalid + ' with errors.';
+
+    if (!result.dryRun) {
+        text = 'Imported ' + summary.imported + ' books. ' + text;
+    }
+    document.getElementById('importSummary').textContent = text;
+}
+
+/**
+ * Reads the chosen file and asks the server for a preview
+ * Parameter: event - the form submit event
+ */
+async function handlePreview(event) {
+    event.preventDefault();
+
+    const formError = document.getElementById('formError');
+    formError.textContent = '';
+    formError.style.color = '#cc0000';
+
+    const file = document.getElementById('importFile').files[0];
+    if (!file) {
+        formError.textContent = 'Please choose a file to import';
+        return;
+    }
+
+    try {
+        pendingImport = {
+            content: await file.text(),
+            format: document.getElementById('importFormat').value,
+            allowDuplicates: document.getElementById('allowDuplicates').checked
+        };
+
+        const result = await importBooks(pendingImport.content, pendingImport.format, {
+            dryRun: true,
+            allowDuplicates: pendingImport.allowDuplicates
+        });
+        console.log('Import preview:', result);
+
+        if (!result.success) {
+            formError.textContent = result.error || 'Could not preview this file';
+            return;
+        }
+
+        showImportSummary(result);
+        showImportRows(result.rows);
+        document.getElementById('importPreview').style.display = 'block';
+
+        // Only offer to import when there is something to import
+        const willImport = result.summary.new + (pendingImport.allowDuplicates ? result.summary.duplicate : 0);
+        const confirmButton = document.getElementById('confirmImportButton');
+        confirmButton.disabled = willImport === 0;
+        confirmButton.textContent = 'Import ' + willImport + ' Books';
+
+    } catch (error) {
+        console.error('Error previewing import:', error);
+        formError.textContent = 'Could not read this file. Please try again.';
+    }
+}
+
+/**
+ * Imports the previewed file for real
+ */
+async function handleConfirmImport() {
+    if (!pendingImport) {
+        return;
+    }
+
+    const confirmButton = document.getElementById('confirmImportButton');
+    confirmButton.disabled = true;
+
+    const result = await importBooks(pendingImport.content, pendingImport.format, {
+        dryRun: false,
+        allowDuplicates: pendingImport.allowDuplicates
+    });
+    console.log('Import result:', result);
+
+    if (!result.success) {
+        document.getElementById('formError').textContent = result.error || 'Error importing books. Please try again.';
+        confirmButton.disabled = false;
+        return;
+    }
+
+    showImportSummary(result);
+    showImportRows(result.rows);
+    pendingImport = null;
+
+    // The import is done - the button now goes back to the library
+    confirmButton.textContent = 'Back to Library';
+    confirmButton.disabled = false;
+    confirmButton.onclick = function() {
+        window.location.href = 'index.html';
+    };
+}
+
+/**
+ * Page initialization
+ * This runs when the page finishes loading
+ */
+document.addEventListener('DOMContentLoaded', function() {
+    console.log('Import page loaded');
+
+    // Importing adds books, so it needs an account
+    setupAccountButton(true);
+
+    document.getElementById('importForm').addEventListener('submit', handlePreview);
+    document.getElementById('confirmImportButton').addEventListener('click', handleConfirmImport);
+});
@@ -0,0 +1,827 @@
+/**
+ * Little Library - Main Page JavaScript
+ * This file handles the main library page functionality
+ * 
+ * Features:
+ * - Display books in a visual bookshelf, one page at a time
+ * - Search through books (with author:, tag:, status: and "phrases")
+ * - Sort books and filter them by status, tag and rating
+ * - Switch between custom shelves, manage them and reorder their books
+ * - Keep the current view in the address, so it can be bookmarked
+ * - Navigate to book details
+ * - Undo deleting a book, right after it was deleted
+ * - Show books added, changed or deleted in other tabs or by other people straight away
+ */
+
+// How many books are shown on one page of the shelf (6 full rows)
+const PAGE_SIZE = 48;
+
+// Most tags listed as filters (the most used ones)
+const MAX_TAG_FACETS = 20;
+
+// The books on the current page of the shelf
+let books = [];
+
+// The server's last reply: totals, filter counts, pages and search highlights
+let libraryView = null;
+
+// The custom shelves (named collections of books), for the shelf switcher
+let shelves = [];
+
+// What the shelf is showing: the custom shelf, search, sort, filters and page
+// Kept in the page address too, see readViewFromUrl() and writeViewToUrl()
+let view = {};
+
+// Waits a moment after each key press before searching
+let searchTimer = null;
+
+// How long the "moved to the trash" message with its Undo button stays, in milliseconds
+const UNDO_TIME = 10000;
+
+// Waits a moment after a live update, so many changes at once (like an import) redraw the shelf once
+let liveUpdateTimer = null;
+const LIVE_UPDATE_DELAY = 300;
+
+/**
+ * Reads the shelf view from the page address
+ * For example: index.html?shelf=12&q=hobbit&sort=title&status=read&tag=fantasy&page=2
+ */
+function readViewFromUrl() {
+    const params = new URLSearchParams(window.location.search);
+    view = {
+        shelf: params.get('shelf') || '',
+        q: params.get('q') || '',
+        sort: params.get('sort') || '',
+        order: params.get('order') || '',
+        status: params.getAll('status'),
+        tag: params.getAll('tag'),
+        rating: params.get('rating') || '',
+        page: Number(params.get('page')) || 1
+    };
+}
+
+/**
+ * Puts the shelf view into the page address, leaving out empty settings
+ * Parameter: newEntry - true to add a history entry (so Back returns to
+ *   the previous view), false to replace the current one (while typing)
+ */
+function writeViewToUrl(newEntry) {
+    const params = viewToParams();
+    const url = window.location.pathname + (params.toString() ? '?' + params.toString() : '');
+    if (newEntry) {
+        history.pushState(null, '', url);
+    } else {
+        history.replaceState(null, '', url);
+    }
+}
+
+/**
+ * Turns the shelf view into URL settings (without the page size)
+ */
+function viewToParams() {
+    const params = new URLSearchParams();
+    ['shelf', 'q', 'sort', 'order', 'rating'].forEach(setting => {
+        if (view[setting]) {
+            params.set(setting, view[setting]);
+        }
+    });
+    view.status.forEach(status => params.append('status', status));
+    view.tag.forEach(tag => params.append('tag', tag));
+    if (view.page > 1) {
+        params.set('page', view.page);
+    }
+    return params;
+}
+
+/**
+ * Loads the current page of the shelf and filters out any invalid entries
+ * Invalid books are those missing titles or corrupted data
+ */
+async function loadBooksForIndex() {
+    try {
+        console.log('Loading books for main page...', view);
+        
+        // The server sorts, filters and splits the library into pages
+        const params = viewToParams();
+        params.set('pageSize', PAGE_SIZE);
+        params.set('page', view.page);
+        libraryView = await browseLibrary(params); // From library.js
+        console.log('Library view loaded:', libraryView);
+        
+        // Filter out invalid books (empty objects, missing titles, etc.)
+        books = libraryView.books.filter(book => {
+            // Check if book is valid: has title and is a proper object
+            const isValid = book && 
+                           typeof book === 'object' && 
+                           book.title && 
+                           book.title.trim();
+            
+            // Log any invalid books we're removing
+            if (!isValid) {
+                console.log('Filtering out invalid book:', book);
+            }
+            
+            return isValid;
+        });
+        
+        console.log('Valid books after filtering:', books);
+        
+    } catch (error) {
+        console.error('Error loading books for index:', error);
+        books = []; // Set empty array if loading fails
+        libraryView = null;
+    }
+}
+
+/**
+ * Loads the shelf for the current view and shows it
+ * Parameter: newEntry - see writeViewToUrl()
+ */
+async function changeView(newEntry) {
+    writeViewToUrl(newEntry);
+    await loadBooksForIndex();
+    updateDisplay();
+}
+
+/**
+ * Navigates to the book detail page
+ * Parameter: bookIndex - position of book in the books array
+ */
+function showBookDetail(bookIndex) {
+    const book = books[bookIndex];
+    
+    // Make sure the book exists and has an ID
+    if (!book || !book.id) {
+        console.error('Cannot show details: book not found or missing ID');
+        return;
+    }
+    
+    // Navigate to detail page with book ID in URL
+    window.location.href = 'detailpage.html?id=' + book.id;
+}
+
+/**
+ * Searches through books
+ * Understands author:, tag:, status:, -tag: and "quoted phrases", forgives
+ * small typos and accents, and shows the best matches first
+ * Parameter: query - what the user typed in the search box
+ */
+async function searchBooks(query) {
+    console.log('Searching for:', query);
+    view.q = query.trim();
+    view.page = 1;
+    
+    // "Best match" only makes sense while searching
+    if (view.sort === 'relevance' && !view.q) {
+        view.sort = '';
+    }
+    await changeView(false);
+}
+
+/**
+ * Shows the search results with the matching words marked
+ * Hidden when nothing is being searched for
+ */
+function showSearchResults() {
+    const resultsBox = document.getElementById('searchResults');
+    if (!view.q || !libraryView || !libraryView.results) {
+        resultsBox.style.display = 'none';
+        return;
+    }
+    
+    document.getElementById('searchSummary').textContent = 
+        libraryView.matches + (libraryView.matches === 1 ? ' book matches' : ' books match') + ' your search';
+    
+    const list = document.getElementById('searchResultList');
+    clearElement(list); // From dom.js
+    list.start = (libraryView.page - 1) * PAGE_SIZE + 1;
+    books.forEach(book => {
+        const result = libraryView.results.find(found => found.id === book.id);
+        const highlights = (result && result.highlights) || {};
+        const item = document.createElement('li');
+        
+        // Title links to the book, with the matching words marked
+        const link = document.createElement('a');
+        link.href = 'detailpage.html?id=' + encodeURIComponent(book.id);
+        link.appendChild(highlightText(book.title, highlights.title));
+        item.appendChild(link);
+        
+        if (book.author) {
+            item.appendChild(document.createTextNode(' by '));
+            item.appendChild(highlightText(book.author, highlights.author));
+        }
+        if (highlights.tags && highlights.tags.length > 0) {
+            item.appendChild(document.createTextNode(' [' + highlights.tags.join(', ') + ']'));
+        }
+        
+        // The part of the description or review that matched
+        if (highlights.snippet) {
+            const snippet = document.createElement('div');
+            snippet.style.fontSize = 'small';
+            snippet.style.color = '#555555';
+            snippet.appendChild(highlightText(highlights.snippet.text, highlights.snippet.ranges));
+            item.appendChild(snippet);
+        }
+        
+        list.appendChild(item);
+    });
+    resultsBox.style.display = 'block';
+}
+
+/**
+ * Builds text with some parts marked, like a highlighter pen
+ * Uses text nodes and <mark> elements, so the text is never read as HTML
+ * Parameters: text - the full text, ranges - [start, end] pairs to mark
+ * Returns: A document fragment to add to the page
+ */
+function highlightText(text, ranges) {
+    const fragment = document.createDocumentFragment();
+    let position = 0;
+    
+    (ranges || []).forEach(([start, end]) => {
+        fragment.appendChild(document.createTextNode(text.slice(position, start)));
+        const mark = document.createElement('mark');
+        mark.textContent = text.slice(start, end);
+        fragment.appendChild(mark);
+        position = end;
+    });
+    fragment.appendChild(document.createTextNode(text.slice(position)));
+    return fragment;
+}
+
+/**
+ * Fills the shelf switcher with every custom shelf
+ * Also shows the rename and delete buttons when a shelf is picked
+ */
+async function showShelves() {
+    shelves = await loadShelves(); // From library.js
+    
+    const shelfSelect = document.getElementById('shelfSelect');
+    clearElement(shelfSelect); // From dom.js
+    shelfSelect.appendChild(new Option('All books', ''));
+    shelves.forEach(shelf => {
+        shelfSelect.appendChild(new Option(shelf.name + ' (' + shelf.bookCount + ')', shelf.id));
+    });
+    
+    // A bookmark can point to a shelf that has been deleted since
+    const current = currentShelf();
+    if (view.shelf && !current) {
+        view.shelf = '';
+    }
+    shelfSelect.value = view.shelf;
+    
+    ['renameShelfButton', 'deleteShelfButton'].forEach(id => {
+        document.getElementById(id).style.display = current ? 'inline' : 'none';
+    });
+    document.getElementById('shelfDescription').textContent = current ? current.description : '';
+    
+    // "Shelf order" only makes sense on a shelf
+    document.getElementById('shelfSortOption').disabled = !current;
+}
+
+/**
+ * Gets the custom shelf being shown
+ * Returns: The shelf, or undefined when all books are shown
+ */
+function currentShelf() {
+    return shelves.find(shelf => String(shelf.id) === String(view.shelf));
+}
+
+/**
+ * Asks for a name and adds a new, empty shelf, then shows it
+ */
+async function handleNewShelf() {
+    const name = prompt('Name of the new shelf, e.g. "Book club 2026":');
+    if (!name || !name.trim()) {
+        return;
+    }
+    
+    const result = await createShelf({ name: name.trim() }); // From library.js
+    if (!result.success) {
+        alert((result.errors && result.errors[0].message) || 'Error adding the shelf. Please try again.');
+        return;
+    }
+    
+    view = Object.assign(view, { shelf: String(result.shelf.id), sort: '', order: '', page: 1 });
+    await showShelves();
+    changeView(true);
+}
+
+/**
+ * Asks for a new name for the shelf being shown
+ */
+async function handleRenameShelf() {
+    const shelf = currentShelf();
+    const name = shelf && prompt('New name for "' + shelf.name + '":', shelf.name);
+    if (!name || !name.trim() || name.trim() === shelf.name) {
+        return;
+    }
+    
+    const result = await updateShelf(shelf.id, { name: name.trim() }, shelf.revision);
+    if (!result.success) {
+        alert((result.errors && result.errors[0].message) || result.error || 'Error renaming the shelf. Please try again.');
+    }
+    showShelves();
+}
+
+/**
+ * Offers to undo deleting a book, when the detail page just deleted one
+ * The detail page leaves the book's id and title in sessionStorage
+ */
+function showUndoToast() {
+    const saved = sessionStorage.getItem('deletedBook');
+    if (!saved) {
+        return;
+    }
+    sessionStorage.removeItem('deletedBook');
+    
+    const deleted = JSON.parse(saved);
+    const toast = document.getElementById('undoToast');
+    document.getElementById('undoMessage').textContent = '"' + deleted.title + '" was moved to the trash.';
+    toast.hidden = false;
+    const timer = setTimeout(function() {
+        toast.hidden = true;
+    }, UNDO_TIME);
+    
+    document.getElementById('undoButton').onclick = async function() {
+        clearTimeout(timer);
+        toast.hidden = true;
+        const result = await restoreBook(deleted.id); // From library.js
+        if (!result.success) {
+            alert(result.error || 'Error restoring the book. It is still in the trash.');
+            return;
+        }
+        await loadBooksForIndex();
+        updateDisplay();
+    };
+}
+
+/**
+ * Deletes the shelf being shown, after asking - its books stay in the library
+ */
+async function handleDeleteShelf() {
+    const shelf = currentShelf();
+    if (!shelf || !confirm('Delete the shelf "' + shelf.name + '"? The books on it stay in your library.')) {
+        return;
+    }
+    
+    const result = await removeShelf(shelf.id, shelf.revision);
+    if (!result.success) {
+        alert(result.conflict 
+            ? 'This shelf was changed by someone else. Please have a look and try again.' 
+            : 'Error deleting the shelf. Please try again.');
+        showShelves();
+        return;
+    }
+    
+    view = Object.assign(view, { shelf: '', sort: '', order: '', page: 1 });
+    await showShelves();
+    changeView(true);
+}
+
+/**
+ * Tells whether books can be moved around on the shelf right now
+ * Only when a shelf is shown in its own order, without a search or filters
+ * (otherwise moving next to a hidden book would look like nothing happened)
+ */
+function canReorderShelf() {
+    return Boolean(currentShelf()) && libraryView && libraryView.sort === 'shelf' && 
+        libraryView.order === 'asc' && !view.q && view.status.length === 0 && 
+        view.tag.length === 0 && !view.rating;
+}
+
+/**
+ * Moves a book one place earlier or later on the shelf being shown
+ * Parameters: book - the book to move, step - -1 for earlier, 1 for later
+ */
+async function moveOnShelf(book, step) {
+    const shelf = currentShelf();
+    const bookIds = shelf.bookIds.slice();
+    const from = bookIds.findIndex(id => String(id) === String(book.id));
+    const to = from + step;
+    if (from === -1 || to < 0 || to >= bookIds.length) {
+        return;
+    }
+    
+    // Swap the book with its neighbour
+    bookIds[from] = bookIds[to];
+    bookIds[to] = book.id;
+    
+    const result = await updateShelf(shelf.id, { bookIds: bookIds }, shelf.revision);
+    if (!result.success) {
+        alert(result.conflict 
+            ? 'This shelf was changed by someone else. Showing the latest version.' 
+            : 'Error moving the book. Please try again.');
+    }
+    await showShelves();
+    await loadBooksForIndex();
+    updateDisplay();
+}
+
+/**
+ * Shows the status and tag filters, with how many books each would show
+ * Parameter: facets - the counts from the server
+ */
+function showFacets(facets) {
+    const statusBox = document.getElementById('statusFacets');
+    const tagBox = document.getElementById('tagFacets');
+    clearElement(statusBox); // From dom.js
+    clearElement(tagBox);
+    if (!facets) {
+        return;
+    }
+    
+    Object.keys(facets.status).forEach(status => {
+        statusBox.appendChild(facetCheckbox('status', status, facets.status[status]));
+    });
+    
+    // Picked tags always stay visible, even when no book is left with them
+    const tags = facets.tags.slice(0, MAX_TAG_FACETS);
+    view.tag.forEach(tag => {
+        if (!tags.some(facet => facet.tag === tag)) {
+            tags.push({ tag: tag, count: 0 });
+        }
+    });
+    tags.forEach(facet => {
+        tagBox.appendChild(facetCheckbox('tag', facet.tag, facet.count));
+    });
+    if (tags.length === 0) {
+        tagBox.textContent = 'No tags';
+    }
+}
+
+/**
+ * Builds one filter checkbox, e.g. "[x] fantasy (12)"
+ * Parameters: setting - "status" or "tag", value - the status or tag,
+ *   count - how many books picking it would show
+ * Returns: The label element holding the checkbox
+ */
+function facetCheckbox(setting, value, count) {
+    const label = document.createElement('label');
+    label.style.display = 'block';
+    
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = view[setting].includes(value);
+    checkbox.disabled = count === 0 && !checkbox.checked;
+    checkbox.onchange = function() {
+        view[setting] = checkbox.checked 
+            ? view[setting].concat([value]) 
+            : view[setting].filter(picked => picked !== value);
+        view.page = 1;
+        changeView(true);
+    };
+    
+    label.appendChild(checkbox);
+    label.appendChild(document.createTextNode(' ' + value + ' (' + count + ')'));
+    return label;
+}
+
+/**
+ * Shows the page buttons under the shelf
+ * Parameter: current - the page shown, pages - how many pages there are
+ */
+function showPagination(current, pages) {
+    document.getElementById('pagination').style.display = pages > 1 ? 'block' : 'none';
+    document.getElementById('pageInfo').textContent = 'Page ' + current + ' of ' + pages;
+    document.getElementById('previousPage').disabled = current <= 1;
+    document.getElementById('nextPage').disabled = current >= pages;
+}
+
+/**
+ * Goes to another page of the shelf
+ * Parameter: step - 1 for the next page, -1 for the previous one
+ */
+function goToPage(step) {
+    view.page = Math.max(1, view.page + step);
+    changeView(true);
+    window.scrollTo(0, 0);
+}
+
+/**
+ * Sets the search box, sort and rating controls to match the view
+ * Used when the page loads and when the user goes back or forward
+ */
+function showViewInControls() {
+    document.getElementById('searchInput').value = view.q;
+    document.getElementById('sortSelect').value = (libraryView && libraryView.sort) || view.sort || 'dateAdded';
+    document.getElementById('orderSelect').value = (libraryView && libraryView.order) || view.order || 'desc';
+    document.getElementById('ratingFilter').value = view.rating;
+    document.getElementById('clearFilters').style.display = 
+        view.status.length > 0 || view.tag.length > 0 || view.rating ? 'inline' : 'none';
+}
+
+/**
+ * Updates the page title and shows/hides empty library message
+ * This function manages the overall display state
+ */
+function updateDisplay() {
+    const totalBooks = libraryView ? libraryView.totalBooks : 0;
+    
+    // Update the library title with book count (or the shelf's name and size)
+    const titleElement = document.querySelector('h3');
+    const shelf = currentShelf();
+    titleElement.textContent = shelf 
+        ? shelf.name + ' (' + shelf.bookCount + ' books)' 
+        : 'Your Library (' + totalBooks + ' books)';
+    
+    // Find the empty library message elements
+    const emptyTitle = document.querySelector('h4');
+    const emptyMessage = document.querySelector('center p');
+    
+    // Show or hide empty library message based on book count
+    if (totalBooks === 0) {
+        // Show empty library message
+        if (emptyTitle) emptyTitle.style.display = 'block';
+        if (emptyMessage) emptyMessage.style.display = 'block';
+    } else {
+        // Hide empty library message
+        if (emptyTitle) emptyTitle.style.display = 'none';
+        if (emptyMessage) emptyMessage.style.display = 'none';
+    }
+    
+    // Update the bookshelf with this page of books
+    updateBookshelf(books);
+    showFacets(libraryView && libraryView.facets);
+    showPagination(libraryView ? libraryView.page : 1, libraryView ? libraryView.pages : 1);
+    showSearchResults();
+    showViewInControls();
+}
+
+/**
+ * Creates and displays the visual bookshelf
+ * Parameter: booksToShow - array of books to display (for search results)
+ */
+function updateBookshelf(booksToShow) {
+    console.log('Updating bookshelf with books:', booksToShow);
+    
+    // Get the table where we'll show books
+    const table = document.getElementById('bookshelf-table');
+    const booksPerRow = 8; // How many books fit in one row
+    
+    // Clear any existing books from the table
+    clearElement(table); // From dom.js
+    
+    // If no books to show, display a message
+    if (!booksToShow || booksToShow.length === 0) {
+        const row = table.insertRow();
+        const cell = row.insertCell();
+        cell.colSpan = booksPerRow; // Make cell span the full width
+        cell.appendChild(buildElement('p', {}, ['No books to display'])); // From dom.js
+        cell.style.textAlign = 'center';
+        cell.style.padding = '20px';
+        return;
+    }
+    
+    // Calculate how many rows we need
+    const totalRows = Math.ceil(booksToShow.length / booksPerRow);
+    let bookIndex = 0; // Keep track of which book we're on
+    
+    // Create each row of the bookshelf
+    for (let row = 0; row < totalRows; row++) {
+        const tableRow = table.insertRow();
+        
+        // Calculate how many books go in this row
+        const cellsInThisRow = Math.min(booksPerRow, booksToShow.length - bookIndex);
+        
+        // Create each book cell in this row
+        for (let col = 0; col < cellsInThisRow; col++) {
+            const cell = tableRow.insertCell();
+            
+            // Set cell appearance
+            cell.width = '60';
+            cell.height = '80';
+            cell.align = 'center';
+            cell.style.verticalAlign = 'top';
+            cell.style.padding = '5px';
+            
+            const book = booksToShow[bookIndex];
+            console.log('Processing book at index', bookIndex, ':', book);
+            
+            if (book && book.title) {
+                // Find this book's position in the main books array
+                const originalIndex = books.indexOf(book);
+                const title = String(book.title).trim();
+                const author = book.author ? String(book.author).trim() : 'Unknown';
+                const stars = formatRating(book.rating); // From library.js
+                
+                // Show cover image if available, otherwise show book emoji
+                // (the small copy saved on the server, or the cover address)
+                // Everything is built as elements, so a title is always shown as text
+                const cover = coverUrl(book, 'shelf'); // From library.js
+                if (cover) {
+                    // Cover image, with the emoji shown instead if it fails to load
+                    const fallback = buildElement('div', { style: { display: 'none' } }, ['📚']); // From dom.js
+                    const image = buildElement('img', {
+                        src: cover,
+                        width: 50,
+                        height: 65,
+                        alt: '',
+                        style: { objectFit: 'cover', borderRadius: '3px' },
+                        onerror: function() {
+                            image.style.display = 'none';
+                            fallback.style.display = 'block';
+                        }
+                    });
+                    cell.appendChild(image);
+                    cell.appendChild(fallback);
+                    cell.appendChild(document.createElement('br'));
+                    cell.appendChild(buildElement('small', { style: { fontSize: '9px' } }, [
+                        title.length > 8 ? title.substring(0, 8) + '...' : title
+                    ]));
+                } else {
+                    // No cover image, just show emoji and title
+                    cell.appendChild(document.createTextNode('📚'));
+                    cell.appendChild(document.createElement('br'));
+                    cell.appendChild(buildElement('small', {}, [
+                        title.length > 6 ? title.substring(0, 6) + '...' : title
+                    ]));
+                }
+                
+                // Show the star rating under the title
+                if (stars) {
+                    cell.appendChild(document.createElement('br'));
+                    cell.appendChild(buildElement('small', { style: { fontSize: '9px', color: '#b8860b' } }, [stars]));
+                }
+                
+                // Show who has the book when it is lent out (red when it is late)
+                const loan = currentLoan(book); // From library.js
+                if (loan) {
+                    const overdue = loan.dueAt && new Date(loan.dueAt) < new Date();
+                    const badge = document.createElement('small');
+                    badge.textContent = overdue ? 'Overdue' : 'On loan';
+                    badge.title = 'Lent to ' + loan.borrower;
+                    badge.style.fontSize = '9px';
+                    badge.style.color = overdue ? '#cc0000' : '#8a6d3b';
+                    cell.appendChild(document.createElement('br'));
+                    cell.appendChild(badge);
+                }
+                
+                // Make cell clickable
+                cell.onclick = function() { 
+                    showBookDetail(originalIndex); 
+                };
+                cell.title = title + ' by ' + author + (loan ? ' - lent to ' + loan.borrower : ''); // Tooltip on hover
+                cell.style.cursor = 'pointer';
+                cell.style.backgroundColor = '#e8f4f8';
+                
+                // Buttons to move the book along its custom shelf
+                if (canReorderShelf()) {
+                    cell.appendChild(document.createElement('br'));
+                    [['◀', -1, 'Move earlier'], ['▶', 1, 'Move later']].forEach(([label, step, hint]) => {
+                        const button = document.createElement('button');
+                        button.type = 'button';
+                        button.textContent = label;
+                        button.title = hint;
+                        button.style.fontSize = '9px';
+                        button.onclick = function(event) {
+                            event.stopPropagation(); // Don't open the book
+                            moveOnShelf(book, step);
+                        };
+                        cell.appendChild(button);
+                    });
+                }
+                
+            } else {
+                // Invalid book - show error indicator
+                console.log('Invalid book found:', book);
+                cell.textContent = '❓';
+                cell.style.cursor = 'default';
+                cell.style.backgroundColor = '#ffcccc';
+            }
+            
+            bookIndex++; // Move to next book
+        }
+    }
+}
+
+/**
+ * Shows books added, changed or deleted in other tabs or by other people
+ * Called by watchLibrary() for every change. The current page of the shelf
+ * is loaded again with the same search, filters and page, because a change
+ * can move any book into or out of it.
+ */
+function handleLibraryChange() {
+    clearTimeout(liveUpdateTimer);
+    liveUpdateTimer = setTimeout(async function() {
+        console.log('Library changed elsewhere, updating display');
+        await showShelves();
+        await loadBooksForIndex();
+        updateDisplay();
+    }, LIVE_UPDATE_DELAY);
+}
+
+/**
+ * Page initialization
+ * This runs when the page finishes loading
+ */
+document.addEventListener('DOMContentLoaded', async function() {
+    console.log('Main page loaded, initializing...');
+    
+    // Anyone can look around; statuses and ratings are the logged in user's own
+    // Only admins delete books, so only they see the trash and can merge duplicates
+    setupAccountButton().then(function(user) {
+        document.getElementById('trashButton').hidden = !user || user.role !== 'admin';
+        document.getElementById('duplicatesButton').hidden = !user || user.role !== 'admin';
+    });
+    showUndoToast();
+    
+    // Show the view from the address (e.g. a bookmark), or the whole library
+    readViewFromUrl();
+    await showShelves();
+    await loadBooksForIndex();
+    
+    // Update the display
+    updateDisplay();
+    
+    // Keep the shelf up to date with changes made anywhere else
+    watchLibrary(handleLibraryChange); // From library.js
+    
+    // Set up search functionality
+    const searchInput = document.getElementById('searchInput');
+    if (searchInput) {
+        searchInput.addEventListener('input', function(e) {
+            clearTimeout(searchTimer);
+            searchTimer = setTimeout(function() {
+                searchBooks(e.target.value);
+            }, 250);
+        });
+    }
+    
+    // Switching shelves starts over with the shelf's own order and no filters
+    document.getElementById('shelfSelect').addEventListener('change', function(e) {
+        view = Object.assign(view, { shelf: e.target.value, sort: '', order: '', status: [], tag: [], rating: '', page: 1 });
+        showShelves();
+        changeView(true);
+    });
+    document.getElementById('newShelfButton').addEventListener('click', handleNewShelf);
+    document.getElementById('renameShelfButton').addEventListener('click', handleRenameShelf);
+    document.getElementById('deleteShelfButton').addEventListener('click', handleDeleteShelf);
+    
+    // Sorting and the rating filter reload the shelf from the first page
+    document.getElementById('sortSelect').addEventListener('change', function(e) {
+        view.sort = e.target.value;
+        view.order = ''; // Every sort starts in its own natural order
+        view.page = 1;
+        changeView(true);
+    });
+    document.getElementById('orderSelect').addEventListener('change', function(e) {
+        view.order = e.target.value;
+        view.page = 1;
+        changeView(true);
+    });
+    document.getElementById('ratingFilter').addEventListener('change', function(e) {
+        view.rating = e.target.value;
+        view.page = 1;
+        changeView(true);
+    });
+    document.getElementById('clearFilters').addEventListener('click', function() {
+        view.status = [];
+        view.tag = [];
+        view.rating = '';
+        view.page = 1;
+        changeView(true);
+    });
+    document.getElementById('previousPage').addEventListener('click', function() {
+        goToPage(-1);
+    });
+    document.getElementById('nextPage').addEventListener('click', function() {
+        goToPage(1);
+    });
+});
+
+/**
+ * Shows the right view when the user goes back or forward
+ */
+window.addEventListener('popstate', async function() {
+    readViewFromUrl();
+    await showShelves();
+    await loadBooksForIndex();
+    updateDisplay();
+});
+
+/**
+ * Show the books again once changes made offline reach the server (see offline.js)
+ */
+window.addEventListener('offlinechangessent', async function() {
+    await loadBooksForIndex();
+    updateDisplay();
+});
+
+/**
+ * Refresh books when user returns to this page
+ * This handles the case where user adds a book and comes back
+ */
+window.addEventListener('focus', async function() {
+    console.log('Page focused, checking for new books...');
+    
+    const oldRevision = libraryView ? libraryView.revision : null;
+    await showShelves();
+    await loadBooksForIndex();
+    
+    // If the library changed, update the display
+    if (!libraryView || libraryView.revision !== oldRevision) {
+        console.log('Books changed, updating display');
+        updateDisplay();
+    }
+});
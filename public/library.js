@@ -0,0 +1,1106 @@
+/**
+ * Little Library - Shared JavaScript Functions
+ * This file contains functions that are used across multiple pages
+ * When the server can't be reached, books come from the copy saved in the
+ * browser and changes wait in offline.js until the server is back
+ * 
+ * Functions in this file:
+ * - loadBooks(): Gets all books from the server
+ * - refreshOfflineCopy(): Saves a fresh copy of the library for offline use
+ * - getBook(): Gets a single book from the server
+ * - browseLibrary(): Gets one sorted, filtered page of books from the server
+ * - createBook(): Adds a new book on the server
+ * - updateBook(): Changes some fields of a book on the server
+ * - removeBook(): Moves a book to the trash on the server
+ * - restoreBook(): Takes a book back out of the trash
+ * - loadHistory(): Gets the change history of one book, or of the whole library
+ * - revertBook(): Takes a book back to an earlier version from its history
+ * - loadTrash(), purgeBook(), emptyTrash(): Show the trash and remove books from it for good
+ * - checkDuplicates(): Finds books in the library that look like a new book
+ * - loadDuplicates(), mergeBooks(): Show the groups of duplicate books and merge them
+ * - loadTags(): Gets every tag in the library with how many books have it
+ * - renameTag(), mergeTags(), deleteTag(): Change a tag on every book at once
+ * - loadAuthorBooks(), loadSeriesBooks(): Get every book by one person or in one series
+ * - lookupIsbn(): Finds book details for an ISBN
+ * - uploadCover(), downloadCover(), removeCover(): Keep a copy of a book's cover on the server
+ * - coverUrl(): Gets the address of the cover picture to show for a book
+ * - watchLibrary(): Listens for books being added, changed or deleted anywhere
+ * - importBooks(): Sends a CSV or JSON file to the server to import
+ * - loadShelves(): Gets the list of shelves (named collections of books)
+ * - createShelf(), updateShelf(), removeShelf(): Add, change and delete shelves
+ * - addToShelf(), removeFromShelf(): Put a book on a shelf or take it off
+ * - checkOutBook(), returnBook(): Lend a book to someone and take it back
+ * - loadLoans(): Gets the books that are on loan right now
+ * - currentLoan(): Gets the loan of a book that is still out
+ * - loadStats(): Gets the reading statistics for the stats page
+ * - saveReadingGoal(): Changes how many books the user wants to read in a year
+ * - getCurrentUser(): Asks the server who is logged in
+ * - logIn(), signUp(), logOut(): Log in, create an account and log out
+ * - goToLogin(): Sends the browser to the login page, and back here afterwards
+ * - setupAccountButton(): Turns the header button into Log In or Log Out
+ * - getBookIdFromUrl(): Extracts book ID from page URL
+ * - formatRating(): Turns a star rating into stars like ★★★½☆
+ * - getReviews(): Gets a book's reviews, newest first
+ * - clearFieldErrors(): Removes error messages from a form
+ * - showFieldErrors(): Shows error messages next to form fields
+ * - setupTagAutocomplete(): Suggests the library's tags while typing in a tags box
+ * - addAuthorRow(), fillAuthorRows(), readAuthorRows(): The list of people in the book forms
+ * - formatAuthors(): Joins a book's main authors into one text, like "Neil Gaiman & Terry Pratchett"
+ * - buildCredits(): Shows a book's authors, translators and editors as links
+ * - buildSeriesLink(): Shows a book's place in its series, e.g. "Book 3 of The Expanse"
+ */
+
+// A random name for this browser tab, sent with every change so the live
+// updates can leave out the changes this tab made itself (see watchLibrary())
+const CLIENT_ID = Math.random().toString(36).substring(2) + Date.now().toString(36);
+
+/**
+ * Loads all books from the server
+ * This function makes an API call to get the current list of books
+ * Every time it works, the books are saved in the browser for offline use
+ * Returns: Array of book objects (the saved copy when the server is away)
+ */
+async function loadBooks() {
+    let response;
+    try {
+        console.log('Loading books from server...');
+        
+        // Make a request to our server's /books endpoint
+        response = await fetch('/books');
+        markServerReachable(true); // From offline.js
+    } catch (error) {
+        console.error('Server not reachable, using the saved copy:', error);
+        markServerReachable(false);
+        return await loadOfflineBooks(); // From offline.js
+    }
+    
+    try {
+        const data = await response.json();
+        
+        console.log('Raw data from server:', data);
+        
+        // Extract the books array from the response
+        // If no books exist, return an empty array
+        await saveOfflineBooks(data.books || [], data.revision); // From offline.js
+        return data.books || [];
+        
+    } catch (error) {
+        console.error('Error loading books:', error);
+        return []; // Return empty array if something goes wrong
+    }
+}
+
+/**
+ * Saves a fresh copy of the library for offline use, when it changed
+ * since the last copy was saved
+ * Parameter: revision - the library revision the server just sent
+ */
+async function refreshOfflineCopy(revision) {
+    try {
+        if (revision !== undefined && revision !== await loadOfflineValue('revision')) { // From offline.js
+            await loadBooks();
+        }
+    } catch (error) {
+        console.error('Error saving the library for offline use:', error);
+    }
+}
+
+/**
+ * Gets a single book from the server
+ * Parameter: id - the id of the book to load
+ * Returns: The book object, or null if it was not found
+ */
+async function getBook(id) {
+    let response;
+    try {
+        console.log('Loading book from server...', id);
+        
+        response = await fetch('/books/' + encodeURIComponent(id));
+        markServerReachable(true); // From offline.js
+    } catch (error) {
+        console.error('Server not reachable, using the saved copy:', error);
+        markServerReachable(false);
+        return await getOfflineBook(id); // From offline.js
+    }
+    
+    try {
+        // A 404 means there is no book with this id
+        if (!response.ok) {
+            return null;
+        }
+        
+        const book = await response.json();
+        await saveOfflineBook(book); // From offline.js
+        return book;
+        
+    } catch (error) {
+        console.error('Error loading book:', error);
+        return null;
+    }
+}
+
+/**
+ * Gets one sorted, filtered page of books from the server
+ * Parameter: params - URLSearchParams with the view settings, e.g.
+ *   q, sort, order, status, tag, rating, page and pageSize
+ * Returns: { books, totalBooks, matches, facets, page, pages, sort, order,
+ *   revision, results } - results has the search highlights when searching
+ */
+async function browseLibrary(params) {
+    let response;
+    try {
+        console.log('Browsing books on server...', params.toString());
+        
+        response = await fetch('/books?' + params.toString());
+        markServerReachable(true); // From offline.js
+    } catch (error) {
+        console.error('Server not reachable, using the saved copy:', error);
+        markServerReachable(false);
+        return await browseOfflineBooks(params); // From offline.js
+    }
+    
+    try {
+        const data = await response.json();
+        
+        data.books = data.books || [];
+        
+        // Keep the offline copy up to date in the background
+        refreshOfflineCopy(data.revision);
+        return data;
+        
+    } catch (error) {
+        console.error('Error browsing books:', error);
+        return { books: [], totalBooks: 0, matches: 0, page: 1, pages: 1 };
+    }
+}
+
+/**
+ * Sends a request for one book to the server and reads the reply
+ * Used by the book and shelf functions below
+ * Parameter: revision - (optional) the book revision we last saw.
+ *   If someone else saved the book since then, the server refuses the change
+ * Returns: The server's reply, with success set to true or false,
+ *   and conflict set to true when the book was changed by someone else.
+ *   Changes need an account: when nobody is logged in the browser is
+ *   sent to the login page.
+ *   When the server can't be reached, adding, changing and deleting books
+ *   is kept to send later (see offline.js) and queued is set to true.
+ */
+async function sendBookRequest(method, url, body, revision) {
+    let response;
+    try {
+        const options = { method: method, headers: { 'X-Client-Id': CLIENT_ID } };
+        
+        // Only send a body when there is something to send
+        if (body !== undefined) {
+            options.headers['Content-Type'] = 'application/json';
+            options.body = JSON.stringify(body);
+        }
+        
+        // Tell the server which version of the book we are changing
+        if (revision !== undefined) {
+            options.headers['If-Match'] = '"' + revision + '"';
+        }
+        
+        response = await fetch(url, options);
+        markServerReachable(true); // From offline.js
+        
+    } catch (error) {
+        console.error('Error sending ' + method + ' ' + url + ':', error);
+        markServerReachable(false);
+        if (canQueueChange(method, url)) { // From offline.js
+            return await queueOfflineChange(method, url, body, revision);
+        }
+        return { success: false, error: 'The server can\'t be reached - please try again when you are back online' };
+    }
+    
+    try {
+        const data = await response.json();
+        
+        if (response.status === 401) {
+            goToLogin();
+        }
+        
+        data.success = response.ok;
+        data.conflict = response.status === 409;
+        return data;
+        
+    } catch (error) {
+        console.error('Error sending ' + method + ' ' + url + ':', error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Adds a new book to the library
+ * The server picks the book's id
+ * Parameter: book - the book object to add (without an id)
+ * Returns: { success, book } where book is the saved book
+ */
+async function createBook(book) {
+    console.log('Creating book on server...', book);
+    return sendBookRequest('POST', '/books', book);
+}
+
+/**
+ * Changes some fields of an existing book
+ * Only the fields in "changes" are sent, everything else stays the same
+ * Parameters: id - the book's id, changes - object with the new values,
+ *   revision - (optional) the revision of the book we are changing
+ * Returns: { success, book } where book is the updated book.
+ *   On a conflict: { success: false, conflict: true, book } with the latest book
+ */
+async function updateBook(id, changes, revision) {
+    console.log('Updating book on server...', id, changes);
+    return sendBookRequest('PATCH', '/books/' + encodeURIComponent(id), changes, revision);
+}
+
+/**
+ * Deletes a book from the library
+ * The book goes into the trash, where it can be restored for a while
+ * Parameters: id - the id of the book to delete,
+ *   revision - (optional) the revision of the book we are deleting
+ * Returns: { success, book }, or { success: false, conflict: true, book } on a conflict
+ */
+async function removeBook(id, revision) {
+    console.log('Removing book on server...', id);
+    return sendBookRequest('DELETE', '/books/' + encodeURIComponent(id), undefined, revision);
+}
+
+/**
+ * Gets the change history, newest first
+ * Parameters: bookId - (optional) only this book's changes,
+ *   page - (optional) which page of changes, counting from 1
+ * Returns: { totalEntries, page, pages, entries } - every entry has
+ *   { id, date, action, username, revision, changes: [{ field, before, after }] }
+ */
+async function loadHistory(bookId, page) {
+    const params = new URLSearchParams();
+    if (bookId) {
+        params.set('bookId', bookId);
+    }
+    if (page) {
+        params.set('page', page);
+    }
+    return sendBookRequest('GET', '/audit?' + params.toString());
+}
+
+/**
+ * Takes a book back to how it was right after one of its history entries
+ * Parameters: id - the book's id, auditId - the history entry,
+ *   revision - (optional) the revision of the book we are changing
+ * Returns: { success, book }, or { success: false, conflict: true, book }
+ */
+async function revertBook(id, auditId, revision) {
+    console.log('Reverting book...', id, 'to', auditId);
+    return sendBookRequest('POST', '/books/' + encodeURIComponent(id) + '/revert', { auditId: auditId }, revision);
+}
+
+/**
+ * Takes a book back out of the trash
+ * Returns: { success, book }
+ */
+async function restoreBook(id) {
+    console.log('Restoring book...', id);
+    return sendBookRequest('POST', '/books/' + encodeURIComponent(id) + '/restore');
+}
+
+/**
+ * Gets the books in the trash, most recently deleted first
+ * Returns: { totalBooks, trashDays, books } - every book has deletedAt and
+ *   purgeAt (when it will be removed for good, null for never)
+ */
+async function loadTrash() {
+    return sendBookRequest('GET', '/trash');
+}
+
+/**
+ * Removes a book in the trash for good
+ * Returns: { success }
+ */
+async function purgeBook(id) {
+    console.log('Removing book from trash...', id);
+    return sendBookRequest('DELETE', '/trash/' + encodeURIComponent(id));
+}
+
+/**
+ * Removes every book in the trash for good
+ * Returns: { success, removed } - removed is the number of books
+ */
+async function emptyTrash() {
+    console.log('Emptying trash...');
+    return sendBookRequest('DELETE', '/trash');
+}
+
+/**
+ * Finds books in the library that look like the same book as a new one
+ * Parameter: book - { title, author, isbn } as typed on the add book page
+ * Returns: A list of { reason, book } - reason is 'isbn' or 'title and author'
+ *   and book is { id, title, author, isbn13 }. Empty when nothing matches
+ *   (or the server could not be reached)
+ */
+async function checkDuplicates(book) {
+    try {
+        const params = new URLSearchParams({
+            title: book.title || '',
+            author: book.author || '',
+            isbn: book.isbn || ''
+        });
+        const response = await fetch('/duplicates/check?' + params.toString());
+        const result = await response.json();
+        return result.duplicates || [];
+        
+    } catch (error) {
+        console.error('Error checking for duplicates:', error);
+        return [];
+    }
+}
+
+/**
+ * Gets every group of books that look like the same book (admins only)
+ * Returns: { success, totalClusters, clusters } - every cluster is
+ *   { reason, books }, the oldest book first
+ */
+async function loadDuplicates() {
+    return sendBookRequest('GET', '/duplicates');
+}
+
+/**
+ * Merges duplicate books into one (admins only)
+ * Parameters:
+ * - merge: { keepId, mergeIds, fields, tags, reviews } - fields says which
+ *   book each field comes from, e.g. { title: <book id> }; tags and reviews
+ *   are the lists to keep
+ * - revision: (optional) the revision of the kept book we last saw
+ * Returns: { success, book, merged }, or { success: false, errors },
+ *   or { success: false, conflict: true }
+ */
+async function mergeBooks(merge, revision) {
+    console.log('Merging books...', merge);
+    return sendBookRequest('POST', '/duplicates/merge', merge, revision);
+}
+
+/**
+ * Gets every tag in the library with how many books have it
+ * Tags that only differ in upper/lower case count as one tag
+ * Returns: { success, totalTags, tags } - tags is a list of
+ *   { tag, count, spellings } sorted A to Z
+ */
+async function loadTags() {
+    return sendBookRequest('GET', '/tags');
+}
+
+/**
+ * Renames a tag on every book that has it (admins only)
+ * Renaming to a tag that already exists merges the two
+ * Returns: { success, tag, changedBooks }, or { success: false, errors }
+ */
+async function renameTag(from, to) {
+    console.log('Renaming tag...', from, to);
+    return sendBookRequest('POST', '/tags/rename', { from: from, to: to });
+}
+
+/**
+ * Puts one tag in place of several on every book (admins only)
+ * Parameters: tags - the tags to merge, into - the tag they become
+ *   (one of them, or a new one)
+ * Returns: { success, tag, changedBooks }, or { success: false, errors }
+ */
+async function mergeTags(tags, into) {
+    console.log('Merging tags...', tags, into);
+    return sendBookRequest('POST', '/tags/merge', { tags: tags, into: into });
+}
+
+/**
+ * Removes a tag from every book (admins only) - the books stay
+ * Returns: { success, changedBooks }
+ */
+async function deleteTag(tag) {
+    console.log('Deleting tag...', tag);
+    return sendBookRequest('DELETE', '/tags/' + encodeURIComponent(tag));
+}
+
+/**
+ * Gets every book by one person, whether they wrote, translated or edited it
+ * Returns: { success, name, totalBooks, books } - each book has the
+ *   person's roles on it, e.g. roles: ['translator']; books in a series
+ *   come together in volume order
+ */
+async function loadAuthorBooks(name) {
+    return sendBookRequest('GET', '/authors/' + encodeURIComponent(name));
+}
+
+/**
+ * Gets every book in one series, in volume order
+ * Returns: { success, series, totalBooks, books }
+ */
+async function loadSeriesBooks(name) {
+    return sendBookRequest('GET', '/series/' + encodeURIComponent(name));
+}
+
+/**
+ * Finds book details (title, author, ...) for an ISBN
+ * The server looks in its local catalog and/or online
+ * Parameter: isbn - a 10 or 13 digit ISBN, dashes allowed
+ * Returns: { success, isbn13, isbn10, source, book } - success is false
+ *   when the ISBN is not valid (errors) or not found (error)
+ */
+async function lookupIsbn(isbn) {
+    console.log('Looking up ISBN...', isbn);
+    return sendBookRequest('GET', '/isbn/' + encodeURIComponent(isbn.trim()));
+}
+
+/**
+ * Uploads a cover picture for a book
+ * The server checks the picture and makes small copies for the shelf
+ * and the detail page
+ * Parameters: id - the book's id, file - a File from an <input type="file">,
+ *   revision - (optional) the revision of the book we are changing
+ * Returns: { success, book }, or { success: false, error, errors }
+ */
+async function uploadCover(id, file, revision) {
+    console.log('Uploading cover...', id, file.name);
+    try {
+        const headers = { 'Content-Type': file.type || 'application/octet-stream', 'X-Client-Id': CLIENT_ID };
+        if (revision !== undefined) {
+            headers['If-Match'] = '"' + revision + '"';
+        }
+        
+        // The picture is sent as it is, not as JSON
+        const response = await fetch('/books/' + encodeURIComponent(id) + '/cover', {
+            method: 'POST',
+            headers: headers,
+            body: file
+        });
+        const data = await response.json();
+        
+        if (response.status === 401) {
+            goToLogin();
+        }
+        
+        data.success = response.ok;
+        data.conflict = response.status === 409;
+        return data;
+        
+    } catch (error) {
+        console.error('Error uploading cover:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Asks the server to download a book's cover from the web and keep a copy
+ * Parameters: id - the book's id, url - (optional) the address of the
+ *   picture, the book's cover address if left out, revision - (optional)
+ * Returns: { success, book }, or { success: false, error, errors }
+ */
+async function downloadCover(id, url, revision) {
+    console.log('Saving a copy of the cover...', id);
+    return sendBookRequest('POST', '/books/' + encodeURIComponent(id) + '/cover/fetch', url ? { url: url } : {}, revision);
+}
+
+/**
+ * Removes the server's copy of a book's cover (the cover address stays)
+ * Returns: { success, book }
+ */
+async function removeCover(id, revision) {
+    console.log('Removing saved cover...', id);
+    return sendBookRequest('DELETE', '/books/' + encodeURIComponent(id) + '/cover', undefined, revision);
+}
+
+/**
+ * Gets the address of the cover picture to show for a book
+ * A copy saved on the server is used first, then the cover address
+ * Parameters: book - the book, size - 'shelf' or 'detail'
+ * Returns: The address, or '' when the book has no cover (or its address
+ *   isn't a safe http, https or /uploads one)
+ */
+function coverUrl(book, size) {
+    if (book.coverFiles && book.coverFiles[size]) {
+        return safeImageUrl(book.coverFiles[size]); // From dom.js
+    }
+    return safeImageUrl(book.coverImage); // From dom.js
+}
+
+/**
+ * Listens for books being added, changed or deleted - by other people, or
+ * in other tabs - using the server's live updates (GET /events)
+ * Changes made by this tab are left out, the page already shows them.
+ * The browser connects again by itself when the connection is lost.
+ * Parameter: onChange - called with { type, action, bookId, title, revision }
+ *   for every change (type is "created", "updated" or "deleted"), or with
+ *   { type: "reload" } when changes may have been missed
+ * Returns: The EventSource, or null when the browser can't listen
+ */
+function watchLibrary(onChange) {
+    if (!window.EventSource) {
+        return null;
+    }
+    
+    const source = new EventSource('/events');
+    source.addEventListener('book', function(event) {
+        const change = JSON.parse(event.data);
+        console.log('Live update:', change);
+        if (change.clientId !== CLIENT_ID) {
+            onChange(change);
+        }
+    });
+    source.addEventListener('reload', function() {
+        console.log('Live updates were missed, loading again');
+        onChange({ type: 'reload' });
+    });
+    return source;
+}
+
+/**
+ * Sends an import file (CSV, Goodreads CSV or JSON) to the server
+ * Parameters:
+ * - content: the text of the file
+ * - format: "auto", "csv", "goodreads" or "json"
+ * - options: { dryRun, allowDuplicates } - with dryRun the server only
+ *   reports what would happen, without saving anything
+ * Returns: { success, dryRun, format, summary, rows }
+ */
+async function importBooks(content, format, options) {
+    console.log('Sending import file to server...', format, options);
+    return sendBookRequest('POST', '/import', {
+        content: content,
+        format: format,
+        dryRun: options.dryRun,
+        allowDuplicates: options.allowDuplicates
+    });
+}
+
+/**
+ * Gets the list of shelves (named collections of books)
+ * Offline, the copy saved the last time they loaded is used
+ * Returns: Array of shelf objects { id, name, description, bookIds, bookCount, revision }
+ */
+async function loadShelves() {
+    try {
+        console.log('Loading shelves from server...');
+        
+        const response = await fetch('/shelves');
+        const data = await response.json();
+        
+        if (response.ok) {
+            await saveOfflineShelves(data.shelves || []); // From offline.js
+        }
+        return data.shelves || [];
+        
+    } catch (error) {
+        console.error('Error loading shelves:', error);
+        return await loadOfflineShelves(); // From offline.js
+    }
+}
+
+/**
+ * Adds a new shelf
+ * Parameter: shelf - { name, description } (description is optional)
+ * Returns: { success, shelf }, or { success: false, errors } when the
+ *   name is missing or already used
+ */
+async function createShelf(shelf) {
+    console.log('Creating shelf on server...', shelf);
+    return sendBookRequest('POST', '/shelves', shelf);
+}
+
+/**
+ * Changes a shelf: its name, description or the order of its books
+ * Parameters: id - the shelf's id, changes - e.g. { name } or { bookIds },
+ *   revision - (optional) the revision of the shelf we are changing
+ * Returns: { success, shelf }, or { success: false, conflict: true, shelf } on a conflict
+ */
+async function updateShelf(id, changes, revision) {
+    console.log('Updating shelf on server...', id, changes);
+    return sendBookRequest('PATCH', '/shelves/' + encodeURIComponent(id), changes, revision);
+}
+
+/**
+ * Deletes a shelf - the books on it stay in the library
+ * Parameters: id - the shelf's id, revision - (optional) the revision we last saw
+ * Returns: { success }, or { success: false, conflict: true, shelf } on a conflict
+ */
+async function removeShelf(id, revision) {
+    console.log('Removing shelf on server...', id);
+    return sendBookRequest('DELETE', '/shelves/' + encodeURIComponent(id), undefined, revision);
+}
+
+/**
+ * Puts a book on a shelf, at the end
+ * Returns: { success, shelf } with the changed shelf
+ */
+async function addToShelf(shelfId, bookId) {
+    console.log('Adding book to shelf...', shelfId, bookId);
+    return sendBookRequest('PUT', '/shelves/' + encodeURIComponent(shelfId) + '/books/' + encodeURIComponent(bookId), {});
+}
+
+/**
+ * Takes a book off a shelf (the book stays in the library)
+ * Returns: { success, shelf } with the changed shelf
+ */
+async function removeFromShelf(shelfId, bookId) {
+    console.log('Removing book from shelf...', shelfId, bookId);
+    return sendBookRequest('DELETE', '/shelves/' + encodeURIComponent(shelfId) + '/books/' + encodeURIComponent(bookId));
+}
+
+/**
+ * Lends a book to someone
+ * Parameters: id - the book's id, loan - { borrower, dueAt } (the server
+ *   picks a due date when none is given), revision - (optional) the
+ *   revision of the book we last saw
+ * Returns: { success, book }, or { success: false, errors } when the
+ *   borrower or due date is wrong, or { success: false, conflict: true, book }
+ *   when the book is already on loan or was changed by someone else
+ */
+async function checkOutBook(id, loan, revision) {
+    console.log('Checking out book...', id, loan);
+    return sendBookRequest('POST', '/books/' + encodeURIComponent(id) + '/checkout', loan, revision);
+}
+
+/**
+ * Marks a lent book as returned (today)
+ * Returns: { success, book }, or { success: false, conflict: true, book }
+ */
+async function returnBook(id, revision) {
+    console.log('Returning book...', id);
+    return sendBookRequest('POST', '/books/' + encodeURIComponent(id) + '/return', {}, revision);
+}
+
+/**
+ * Gets the books that are on loan right now, the ones due first at the top
+ * Parameter: overdueOnly - true to get only the loans that are late
+ * Returns: { totalLoans, overdue, loans } - every loan has
+ *   { bookId, title, author, loan, daysOverdue }
+ */
+async function loadLoans(overdueOnly) {
+    try {
+        console.log('Loading loans from server...');
+        
+        const response = await fetch('/loans' + (overdueOnly ? '?overdue=true' : ''));
+        return await response.json();
+        
+    } catch (error) {
+        console.error('Error loading loans:', error);
+        return { totalLoans: 0, overdue: 0, loans: [] };
+    }
+}
+
+/**
+ * Gets the loan of a book that is still out (not returned yet)
+ * Returns: { borrower, checkedOutAt, dueAt }, or null when the book is on the shelf
+ */
+function currentLoan(book) {
+    return (book.loans || []).find(loan => !loan.returnedAt) || null;
+}
+
+/**
+ * Gets the reading statistics for the stats page
+ * Parameter: year - (optional) the year for the monthly chart and the goal,
+ *   this year when left out
+ * Returns: The numbers from the server (see readingStats.js), or { error }
+ */
+async function loadStats(year) {
+    try {
+        console.log('Loading statistics from server...');
+        
+        const response = await fetch('/stats' + (year ? '?year=' + encodeURIComponent(year) : ''));
+        return await response.json();
+        
+    } catch (error) {
+        console.error('Error loading statistics:', error);
+        return { error: error.message };
+    }
+}
+
+/**
+ * Changes how many books the logged in user wants to read in a year
+ * Parameter: goal - a whole number, or null to go back to the library's default
+ * Returns: { success, user }, or { success: false, errors } when the goal is wrong
+ */
+async function saveReadingGoal(goal) {
+    console.log('Saving reading goal...', goal);
+    return sendBookRequest('PATCH', '/me', { readingGoal: goal });
+}
+
+/**
+ * Asks the server who is logged in
+ * Returns: { user, canSignUp } - user is { id, username, role, readingGoal } or null,
+ *   canSignUp is true when new accounts can be created on the login page
+ */
+async function getCurrentUser() {
+    try {
+        const response = await fetch('/me');
+        const account = await response.json();
+        
+        // Remembered so the pages still know who is logged in while offline
+        await saveOfflineValue('account', account); // From offline.js
+        return account;
+        
+    } catch (error) {
+        console.error('Error checking login:', error);
+        return (await loadOfflineValue('account')) || { user: null, canSignUp: false };
+    }
+}
+
+/**
+ * Sends a user name and password to the server, for logging in or signing up
+ * Not sent through sendBookRequest(): a wrong password must stay on the login page
+ * Returns: { success, user }, or { success: false, error, errors }
+ */
+async function sendAccountRequest(url, username, password) {
+    try {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ username: username, password: password })
+        });
+        const data = await response.json();
+        data.success = response.ok;
+        
+        // Someone else's offline copy must not show up in this account
+        const saved = await loadOfflineValue('account'); // From offline.js
+        if (data.success && saved && saved.user && saved.user.id !== data.user.id) {
+            await clearOfflineData();
+        }
+        return data;
+        
+    } catch (error) {
+        console.error('Error sending ' + url + ':', error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Logs in - the server remembers the login in a cookie
+ * Returns: { success, user }, or { success: false, error }
+ */
+async function logIn(username, password) {
+    console.log('Logging in...', username);
+    return sendAccountRequest('/login', username, password);
+}
+
+/**
+ * Creates an account and logs in with it
+ * The very first account becomes the library's admin
+ * Returns: { success, user }, or { success: false, error, errors }
+ */
+async function signUp(username, password) {
+    console.log('Creating account...', username);
+    return sendAccountRequest('/register', username, password);
+}
+
+/**
+ * Logs out
+ * Returns: { success }
+ */
+async function logOut() {
+    console.log('Logging out...');
+    const result = await sendBookRequest('POST', '/logout');
+    
+    // The next person on this computer shouldn't see this library offline
+    if (result.success) {
+        await clearOfflineData(); // From offline.js
+    }
+    return result;
+}
+
+/**
+ * Sends the browser to the login page
+ * The login page comes back to the current page afterwards
+ */
+function goToLogin() {
+    const here = window.location.pathname + window.location.search;
+    window.location.href = 'login.html?next=' + encodeURIComponent(here);
+}
+
+/**
+ * Turns the "Logout" button in the page header into Log In or Log Out
+ * Parameter: loginRequired - true on pages that only work when logged in,
+ *   like the add book page - visitors are sent to the login page
+ * Returns: The logged in user, or null
+ */
+async function setupAccountButton(loginRequired) {
+    const account = await getCurrentUser();
+    const user = account.user;
+    if (!user && loginRequired) {
+        goToLogin();
+        return null;
+    }
+    
+    const button = document.getElementById('accountButton');
+    if (button) {
+        button.textContent = user ? 'Log Out (' + user.username + ')' : 'Log In';
+        button.onclick = async function() {
+            if (!user) {
+                goToLogin();
+                return;
+            }
+            
+            // Changes made offline are lost when logging out before they are sent
+            const waiting = await loadQueuedChanges(); // From offline.js
+            if (waiting.length > 0 && !confirm(waiting.length + (waiting.length === 1 ? ' change' : ' changes') +
+                ' made offline have not been saved yet and will be lost. Log out anyway?')) {
+                return;
+            }
+            await logOut();
+            window.location.reload();
+        };
+    }
+    return user;
+}
+
+/**
+ * Gets the book ID from the current page URL
+ * Used on the detail page to know which book to display
+ * For example: detailpage.html?id=123 returns "123"
+ * Returns: The book ID as a string, or null if not found
+ */
+function getBookIdFromUrl() {
+    // URLSearchParams helps us read URL parameters easily
+    const urlParams = new URLSearchParams(window.location.search);
+    return urlParams.get('id');
+}
+
+/**
+ * Turns a star rating into text stars, e.g. 3.5 becomes "★★★½☆"
+ * Parameter: rating - 0.5 to 5, or null for no rating
+ * Returns: The stars, or '' when the book has no rating
+ */
+function formatRating(rating) {
+    if (!rating) {
+        return '';
+    }
+    const fullStars = Math.floor(rating);
+    const halfStar = rating % 1 !== 0;
+    return '★'.repeat(fullStars) + (halfStar ? '½' : '') + '☆'.repeat(5 - fullStars - (halfStar ? 1 : 0));
+}
+
+/**
+ * Gets a book's reviews, newest first
+ * Older books have a single "review" text instead of a list - it is
+ * shown as one review without a date
+ * Returns: A list of { date, text } objects
+ */
+function getReviews(book) {
+    if (!book.reviews) {
+        return book.review ? [{ date: null, text: book.review }] : [];
+    }
+    return book.reviews.slice().sort((a, b) => String(b.date || '').localeCompare(String(a.date || '')));
+}
+
+/**
+ * Removes all error messages from the form
+ * Called before every new attempt to save
+ * Used by the add book page and the edit mode of the detail page
+ */
+function clearFieldErrors() {
+    document.querySelectorAll('.field-error').forEach(element => {
+        element.textContent = '';
+    });
+}
+
+/**
+ * Shows error messages next to the fields they belong to
+ * Parameter: errors - list of { field, message } objects from the server
+ * Errors for fields without a spot on the form are shown above the form
+ */
+function showFieldErrors(errors) {
+    const formError = document.getElementById('formError');
+    
+    errors.forEach(error => {
+        // Each field has a matching span, e.g. "titleError" for "title"
+        const element = document.getElementById(error.field + 'Error') || formError;
+        element.textContent = element.textContent 
+            ? element.textContent + ' ' + error.message 
+            : error.message;
+        element.style.color = '#cc0000';
+    });
+    
+    // Put the cursor in the first field that has a problem
+    const firstField = errors.length > 0 && document.getElementById(errors[0].field);
+    if (firstField) {
+        firstField.focus();
+    }
+}
+
+// Most tags suggested at once while typing in a tags box
+const MAX_TAG_SUGGESTIONS = 10;
+
+/**
+ * Suggests the tags the library already uses while typing in a tags box,
+ * so "scifi" isn't added next to "Science Fiction"
+ * The box holds comma separated tags; the suggestions complete the last
+ * one, e.g. "classic, sci" can become "classic, Science Fiction"
+ * Parameter: inputId - the id of the tags input
+ */
+async function setupTagAutocomplete(inputId) {
+    const input = document.getElementById(inputId);
+    const suggestions = document.createElement('datalist');
+    suggestions.id = inputId + 'Suggestions';
+    input.after(suggestions);
+    input.setAttribute('list', suggestions.id);
+    input.autocomplete = 'off';
+    
+    // The tags are loaded once; the most used are suggested first
+    const result = await loadTags();
+    const libraryTags = result.success ? result.tags.slice().sort((a, b) => b.count - a.count) : [];
+    
+    input.addEventListener('input', function() {
+        const parts = input.value.split(',');
+        const typed = parts.pop().trim().toLowerCase();
+        const done = parts.map(part => part.trim()).filter(part => part);
+        const doneKeys = done.map(tag => tag.toLowerCase());
+        
+        clearElement(suggestions); // From dom.js
+        if (!typed) {
+            return;
+        }
+        libraryTags
+            .filter(entry => entry.tag.toLowerCase().startsWith(typed) && !doneKeys.includes(entry.tag.toLowerCase()))
+            .slice(0, MAX_TAG_SUGGESTIONS)
+            .forEach(entry => {
+                // Picking a suggestion replaces the whole box, so it keeps the tags before it
+                const option = document.createElement('option');
+                option.value = done.concat(entry.tag).join(', ');
+                option.label = entry.tag + ' (' + entry.count + (entry.count === 1 ? ' book)' : ' books)');
+                suggestions.appendChild(option);
+            });
+    });
+}
+
+// What a person can have done on a book, and what each role is called on the pages
+const ROLE_LABELS = {
+    author: 'Author',
+    translator: 'Translator',
+    editor: 'Editor'
+};
+
+// How the people who didn't write the book are mentioned after the authors
+const ROLE_PHRASES = {
+    translator: 'translated by',
+    editor: 'edited by'
+};
+
+/**
+ * Adds one person to the list of people in a book form: a name box,
+ * a role dropdown and a button to take the person off again
+ * Parameters: containerId - the element holding the rows,
+ *   person - (optional) the { name, role } to fill in
+ * Returns: The new row
+ */
+function addAuthorRow(containerId, person) {
+    const container = document.getElementById(containerId);
+    const roleSelect = buildElement('select', { className: 'authorRole', title: 'Role' }, // From dom.js
+        Object.keys(ROLE_LABELS).map(role => buildElement('option', { value: role }, [ROLE_LABELS[role]])));
+    roleSelect.value = (person && person.role) || 'author';
+    
+    const removeButton = buildElement('button', { type: 'button' }, ['Remove']);
+    const row = buildElement('div', { className: 'authorRow' }, [
+        buildElement('input', { type: 'text', className: 'authorName', placeholder: 'Name', size: 30, value: (person && person.name) || '' }),
+        ' ',
+        roleSelect,
+        ' ',
+        removeButton
+    ]);
+    
+    // There is always at least one row to type in
+    removeButton.addEventListener('click', function() {
+        row.remove();
+        if (!container.querySelector('.authorRow')) {
+            addAuthorRow(containerId);
+        }
+    });
+    container.appendChild(row);
+    return row;
+}
+
+/**
+ * Fills the list of people in a book form, one row per person in cover order
+ * A book without people gets one empty row
+ * Parameters: containerId - the element holding the rows, authors - the book's authors
+ */
+function fillAuthorRows(containerId, authors) {
+    clearElement(document.getElementById(containerId)); // From dom.js
+    (authors && authors.length > 0 ? authors : [null]).forEach(person => addAuthorRow(containerId, person));
+}
+
+/**
+ * Reads the people typed into a book form, in order
+ * Rows without a name are left out
+ * Returns: A list of { name, role }
+ */
+function readAuthorRows(containerId) {
+    return Array.from(document.getElementById(containerId).querySelectorAll('.authorRow'))
+        .map(row => ({ name: row.querySelector('.authorName').value.trim(), role: row.querySelector('.authorRole').value }))
+        .filter(person => person.name);
+}
+
+/**
+ * Joins a book's main authors into one text, the same way the server
+ * fills in a book's "author" (see contributors.js), e.g. "Neil Gaiman & Terry Pratchett"
+ * Anthologies without authors show their editors instead
+ */
+function formatAuthors(authors) {
+    const people = authors || [];
+    const writers = people.filter(person => person.role === 'author');
+    const names = (writers.length > 0 ? writers : people).map(person => person.name);
+    return names.length > 1 ? names.slice(0, -1).join(', ') + ' & ' + names[names.length - 1] : names.join('');
+}
+
+/**
+ * Shows a book's people as links to their author pages, e.g.
+ * "Stieg Larsson, translated by Reg Keeland"
+ * Books saved before they had a list of people show their author text
+ * Returns: A span to put on the page
+ */
+function buildCredits(book) {
+    const credits = buildElement('span', {}); // From dom.js
+    const authors = book.authors || [];
+    if (authors.length === 0) {
+        credits.textContent = book.author || 'Unknown Author';
+        return credits;
+    }
+    
+    // The authors come first; a book without any (like an anthology) starts with its editors
+    const writers = authors.filter(person => person.role === 'author');
+    const groups = writers.length > 0 ? [{ role: 'author', people: writers }] : [];
+    Object.keys(ROLE_PHRASES).forEach(role => {
+        const people = authors.filter(person => person.role === role);
+        if (people.length > 0) {
+            groups.push({ role: role, people: people });
+        }
+    });
+    
+    groups.forEach((group, groupIndex) => {
+        if (groupIndex > 0) {
+            credits.appendChild(document.createTextNode(', '));
+        }
+        if (group.role !== 'author') {
+            credits.appendChild(document.createTextNode(ROLE_PHRASES[group.role] + ' '));
+        }
+        group.people.forEach((person, index) => {
+            if (index > 0) {
+                credits.appendChild(document.createTextNode(index === group.people.length - 1 ? ' & ' : ', '));
+            }
+            credits.appendChild(buildElement('a', { href: 'author.html?name=' + encodeURIComponent(person.name) }, [person.name]));
+        });
+    });
+    return credits;
+}
+
+/**
+ * Shows a book's place in its series, e.g. "Book 3 of The Expanse",
+ * with the series name linking to the series page
+ * Returns: A span to put on the page, or null when the book is not in a series
+ */
+function buildSeriesLink(book) {
+    if (!book.series) {
+        return null;
+    }
+    const hasNumber = book.seriesNumber !== null && book.seriesNumber !== undefined;
+    return buildElement('span', {}, [ // From dom.js
+        hasNumber ? 'Book ' + book.seriesNumber + ' of ' : 'Part of ',
+        buildElement('a', { href: 'series.html?name=' + encodeURIComponent(book.series) }, [book.series])
+    ]);
+}
@@ -0,0 +1,112 @@
+/**
+ * Little Library - Loans Page JavaScript
+ * This file shows every book that is lent out
+ *
+ * Features:
+ * - List the books on loan, the ones due first at the top
+ * - Mark overdue books in red, or show only those
+ * - Mark a book as returned straight from the list
+ */
+
+/**
+ * Formats a date for the table, e.g. "3/1/2024"
+ */
+function formatLoanDate(date) {
+    return date ? new Date(date).toLocaleDateString() : '-';
+}
+
+/**
+ * Shows one row for every book on loan
+ * Parameter: loans - the loans from the server
+ */
+function showLoanRows(loans) {
+    const tbody = document.getElementById('loanRows');
+    clearElement(tbody); // From dom.js
+
+    if (loans.length === 0) {
+        const cell = tbody.insertRow().insertCell();
+        cell.colSpan = 6;
+        cell.textContent = 'No books to show';
+        cell.style.textAlign = 'center';
+        return;
+    }
+
+    loans.forEach(entry => {
+        const tableRow = tbody.insertRow();
+
+        // The title links to the book's detail page
+        const link = document.createElement('a');
+        link.href = 'detailpage.html?id=' + encodeURIComponent(entry.bookId);
+        link.textContent = entry.title;
+        tableRow.insertCell().appendChild(link);
+
+        // textContent keeps names and titles from being read as HTML
+        let due = formatLoanDate(entry.loan.dueAt);
+        if (entry.daysOverdue > 0) {
+            due += ' (' + entry.daysOverdue + (entry.daysOverdue === 1 ? ' day' : ' days') + ' late)';
+        }
+        [entry.author || '', entry.loan.borrower, formatLoanDate(entry.loan.checkedOutAt), due].forEach(value => {
+            tableRow.insertCell().textContent = value;
+        });
+
+        const returnButton = document.createElement('button');
+        returnButton.type = 'button';
+        returnButton.textContent = 'Returned';
+        returnButton.onclick = function() {
+            handleReturn(entry);
+        };
+        tableRow.insertCell().appendChild(returnButton);
+
+        // Late books stand out in red
+        tableRow.style.backgroundColor = entry.daysOverdue > 0 ? '#ffcccc' : '#e8f4f8';
+    });
+}
+
+/**
+ * Loads the loans and shows them
+ * Uses the "only overdue" checkbox to pick which ones
+ */
+async function displayLoans() {
+    const overdueOnly = document.getElementById('overdueOnly').checked;
+    const result = await loadLoans(overdueOnly); // From library.js
+    console.log('Loans loaded:', result);
+
+    document.getElementById('loanSummary').textContent = overdueOnly
+        ? result.totalLoans + ' overdue books'
+        : result.totalLoans + ' books on loan, ' + result.overdue + ' overdue';
+    showLoanRows(result.loans);
+}
+
+/**
+ * Marks a book from the list as returned today
+ * Parameter: entry - the loan from the list
+ */
+async function handleReturn(entry) {
+    if (!confirm('Has ' + entry.loan.borrower + ' returned "' + entry.title + '"?')) {
+        return;
+    }
+
+    const result = await returnBook(entry.bookId); // From library.js
+    if (!result.success) {
+        alert(result.error || 'Error returning the book. Please try again.');
+    }
+    displayLoans();
+}
+
+/**
+ * Page initialization
+ * This runs when the page finishes loading
+ */
+document.addEventListener('DOMContentLoaded', function() {
+    console.log('Loans page loaded');
+
+    setupAccountButton();
+
+    document.getElementById('overdueOnly').addEventListener('change', displayLoans);
+
+    // Open the overdue list straight away with loans.html?overdue=true
+    if (new URLSearchParams(window.location.search).get('overdue') === 'true') {
+        document.getElementById('overdueOnly').checked = true;
+    }
+    displayLoans();
+});
@@ -0,0 +1,100 @@
+/**
+ * Little Library - Login Page JavaScript
+ * This file logs people in and creates new accounts
+ *
+ * Features:
+ * - Log in with a user name and password
+ * - Create an account (the very first one becomes the admin)
+ * - Go back to the page that sent the user here (login.html?next=...)
+ */
+
+/**
+ * Gets the page to go to after logging in
+ * Only pages on this site are allowed, so a link can't send people elsewhere.
+ * The address is read the way the browser would read it: browsers take
+ * "/\evil.com" to mean "//evil.com", another site.
+ */
+function pageAfterLogin() {
+    const next = new URLSearchParams(window.location.search).get('next') || '';
+    if (!next.startsWith('/')) {
+        return 'index.html';
+    }
+
+    let url;
+    try {
+        url = new URL(next, window.location.origin);
+    } catch (error) {
+        return 'index.html';
+    }
+    if (url.origin !== window.location.origin || url.pathname === '/login.html') {
+        return 'index.html';
+    }
+    return url.pathname + url.search + url.hash;
+}
+
+/**
+ * Handles the login form
+ */
+async function handleLogin(event) {
+    event.preventDefault();
+    const loginError = document.getElementById('loginError');
+    loginError.textContent = '';
+
+    const result = await logIn(document.getElementById('loginUsername').value, document.getElementById('loginPassword').value);
+    if (result.success) {
+        window.location.href = pageAfterLogin();
+        return;
+    }
+
+    loginError.textContent = result.error || 'Could not log in';
+    loginError.style.color = '#cc0000';
+    document.getElementById('loginPassword').value = '';
+    document.getElementById('loginPassword').focus();
+}
+
+/**
+ * Handles the create account form
+ * The two passwords are compared here; everything else is checked by the server
+ */
+async function handleSignup(event) {
+    event.preventDefault();
+    clearFieldErrors();
+
+    const password = document.getElementById('password').value;
+    if (password !== document.getElementById('confirmPassword').value) {
+        showFieldErrors([{ field: 'confirmPassword', message: 'The passwords are not the same' }]);
+        return;
+    }
+
+    const result = await signUp(document.getElementById('username').value, password);
+    if (result.success) {
+        alert('Welcome, ' + result.user.username + '!' +
+            (result.user.role === 'admin' ? ' Yours is the first account, so you are the library\'s admin.' : ''));
+        window.location.href = pageAfterLogin();
+        return;
+    }
+
+    showFieldErrors(result.errors || [{ field: 'form', message: result.error || 'Could not create the account' }]);
+}
+
+/**
+ * Shows the create account form when the library allows it
+ * Someone who is already logged in is sent straight on
+ */
+async function setupLoginPage() {
+    const account = await getCurrentUser();
+    if (account.user) {
+        window.location.href = pageAfterLogin();
+        return;
+    }
+    document.getElementById('signupSection').hidden = !account.canSignUp;
+}
+
+// Set up the page when it loads
+document.addEventListener('DOMContentLoaded', function() {
+    console.log('Login page loaded');
+
+    document.getElementById('loginForm').addEventListener('submit', handleLogin);
+    document.getElementById('signupForm').addEventListener('submit', handleSignup);
+    setupLoginPage();
+});
@@ -0,0 +1,643 @@
+/**
+ * Little Library - Offline Support
+ * Keeps a copy of the library in the browser (IndexedDB), so the pages
+ * still work when the server can't be reached. Used by library.js.
+ *
+ * The database "little-library" has three stores:
+ * - books: the books as the logged in user last saw them, { key, book }
+ * - outbox: changes made while offline, waiting to be sent, oldest first:
+ *   { queueId, method, url, body, revision, title, status, error, serverBook }
+ *   status is "waiting", "conflict" (someone else changed the book first)
+ *   or "failed" (the server refused the change)
+ * - meta: other saved values, like the library revision, the shelves and
+ *   the logged in user
+ *
+ * Books added while offline get a temporary id like "offline-1727000000000"
+ * until the server has saved them. Changes to such a book are folded into
+ * the waiting "add" instead of being queued on their own. Several changes
+ * to one book are sent one after the other, each on top of the last.
+ * Only one open tab sends the waiting changes at a time (see claimQueuedChanges()).
+ *
+ * Functions in this file:
+ * - saveOfflineBooks(), loadOfflineBooks(): Keep the copy of the whole library
+ * - saveOfflineBook(), getOfflineBook(): Keep the copy of one book
+ * - saveOfflineValue(), loadOfflineValue(): Keep other values, like the logged in user
+ * - browseOfflineBooks(): Sorts, filters and pages the saved copy like GET /books does
+ * - canQueueChange(), queueOfflineChange(): Keep a change to send later
+ * - saveOfflineShelves(), loadOfflineShelves(): Keep the copy of the shelves
+ * - syncQueuedChanges(): Sends the waiting changes to the server
+ * - resolveConflict(), dismissChange(): Deal with changes the server didn't take
+ * - markServerReachable(): Remembers whether the last request reached the server
+ * - clearOfflineData(): Forgets everything saved in the browser (after logging out)
+ * - showOfflineBanner(): Shows the offline notice and the waiting changes
+ */
+
+// Name and version of the browser database
+const OFFLINE_DB_NAME = 'little-library';
+const OFFLINE_DB_VERSION = 1;
+
+// How often to try sending waiting changes while the server is away, in milliseconds
+const SYNC_INTERVAL = 30000;
+
+// The open database, once openOfflineDb() has been called
+let offlineDb = null;
+
+// False after a request failed because the server could not be reached
+let serverReachable = true;
+
+// True while syncQueuedChanges() is busy in this tab (other tabs are kept
+// out by claimQueuedChanges())
+let syncRunning = false;
+
+// How long one tab may keep the waiting changes to itself, in milliseconds.
+// The tab renews its claim before each change it sends; when a tab is
+// closed halfway, another one takes over after this time.
+const SYNC_CLAIM_TIME = 60000;
+
+/**
+ * Opens the browser database, creating its stores the first time
+ * Returns: A promise of the database, or null when the browser has no IndexedDB
+ */
+function openOfflineDb() {
+    if (!window.indexedDB) {
+        return Promise.resolve(null);
+    }
+    if (!offlineDb) {
+        offlineDb = new Promise(resolve => {
+            const request = indexedDB.open(OFFLINE_DB_NAME, OFFLINE_DB_VERSION);
+            request.onupgradeneeded = function() {
+                const db = request.result;
+                db.createObjectStore('books', { keyPath: 'key' });
+                db.createObjectStore('outbox', { keyPath: 'queueId', autoIncrement: true });
+                db.createObjectStore('meta');
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = function() {
+                console.error('Could not open the offline copy:', request.error);
+                resolve(null);
+            };
+        });
+    }
+    return offlineDb;
+}
+
+/**
+ * Runs some work on one store of the browser database
+ * Parameters: storeName - 'books', 'outbox' or 'meta', mode - 'readonly'
+ *   or 'readwrite', work - called with the store; may return a request
+ * Returns: A promise of the request's result once everything is saved
+ *   (undefined when there is no database)
+ */
+async function useOfflineStore(storeName, mode, work) {
+    const db = await openOfflineDb();
+    if (!db) {
+        return undefined;
+    }
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeName, mode);
+        const request = work(transaction.objectStore(storeName));
+        transaction.oncomplete = () => resolve(request ? request.result : undefined);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+/**
+ * Saves a value that isn't a book, e.g. the library revision
+ */
+async function saveOfflineValue(name, value) {
+    return useOfflineStore('meta', 'readwrite', store => store.put(value, name));
+}
+
+/**
+ * Loads a value saved with saveOfflineValue()
+ * Returns: The value, or undefined when it was never saved
+ */
+async function loadOfflineValue(name) {
+    return useOfflineStore('meta', 'readonly', store => store.get(name));
+}
+
+/**
+ * Replaces the saved copy of the library with the books from the server
+ * Changes still waiting to be sent are put on top again, so they don't disappear
+ * Parameters: books - every book, revision - the library revision they belong to
+ */
+async function saveOfflineBooks(books, revision) {
+    await useOfflineStore('books', 'readwrite', store => {
+        store.clear();
+        books.forEach(book => store.put({ key: String(book.id), book: book }));
+    });
+    await saveOfflineValue('revision', revision);
+
+    const waiting = await loadQueuedChanges();
+    for (const change of waiting) {
+        await applyChangeLocally(change);
+    }
+}
+
+/**
+ * Loads the saved copy of the library
+ * Returns: A list of books (empty when nothing was saved)
+ */
+async function loadOfflineBooks() {
+    const records = await useOfflineStore('books', 'readonly', store => store.getAll());
+    return (records || []).map(record => record.book);
+}
+
+/**
+ * Saves the copy of one book
+ */
+async function saveOfflineBook(book) {
+    return useOfflineStore('books', 'readwrite', store => store.put({ key: String(book.id), book: book }));
+}
+
+/**
+ * Gets the saved copy of one book
+ * Returns: The book, or null when there is no copy of it
+ */
+async function getOfflineBook(id) {
+    const record = await useOfflineStore('books', 'readonly', store => store.get(String(id)));
+    return record ? record.book : null;
+}
+
+/**
+ * Removes the saved copy of one book
+ */
+async function removeOfflineBook(id) {
+    return useOfflineStore('books', 'readwrite', store => store.delete(String(id)));
+}
+
+/**
+ * Saves the copy of the shelves, so a shelf can still be shown offline
+ */
+async function saveOfflineShelves(shelves) {
+    return saveOfflineValue('shelves', shelves);
+}
+
+/**
+ * Loads the saved copy of the shelves
+ * Returns: A list of shelves (empty when nothing was saved)
+ */
+async function loadOfflineShelves() {
+    return (await loadOfflineValue('shelves')) || [];
+}
+
+/**
+ * Sorts, filters and pages the saved copy of the library
+ * A simpler version of what the server does (see browse.js): searches
+ * look for every word in the title, authors, series and tags. A shelf shows
+ * the books on the saved copy of that shelf, in its order.
+ * Parameter: params - URLSearchParams like those sent to GET /books
+ * Returns: The same shape as GET /books, with offline set to true
+ */
+async function browseOfflineBooks(params) {
+    let allBooks = await loadOfflineBooks();
+
+    // Only the books on the picked shelf, in the shelf's order
+    let shelfOrder = null;
+    if (params.get('shelf')) {
+        const shelf = (await loadOfflineShelves()).find(saved => String(saved.id) === params.get('shelf'));
+        shelfOrder = (shelf ? shelf.bookIds : []).map(id => String(id));
+        allBooks = allBooks.filter(book => shelfOrder.includes(String(book.id)));
+    }
+
+    const words = (params.get('q') || '').toLowerCase().split(/\s+/).filter(word => word);
+    const statuses = params.getAll('status').join(',').split(',').filter(status => status);
+    const tags = params.getAll('tag').join(',').split(',').filter(tag => tag).map(tag => tag.toLowerCase());
+    const rating = params.get('rating');
+
+    const found = allBooks.filter(book => {
+        const people = (book.authors || []).map(person => person.name);
+        const text = [book.title, book.author, book.series || ''].concat(people, book.tags || []).join(' ').toLowerCase();
+        const bookTags = (book.tags || []).map(tag => tag.toLowerCase());
+        return words.every(word => text.includes(word)) &&
+            (statuses.length === 0 || statuses.includes(book.status)) &&
+            tags.every(tag => bookTags.includes(tag)) &&
+            (!rating || (rating === 'unrated' ? !book.rating : book.rating >= Number(rating)));
+    });
+
+    // Titles, authors and shelves A to Z, everything else newest or best first
+    const sorts = shelfOrder ? ['shelf', 'title', 'author', 'rating', 'dateAdded'] : ['title', 'author', 'rating', 'dateAdded'];
+    const sort = sorts.includes(params.get('sort')) ? params.get('sort') : sorts[shelfOrder ? 0 : 3];
+    const ascending = params.get('order') ? params.get('order') === 'asc' : ['shelf', 'title', 'author'].includes(sort);
+    found.sort((a, b) => {
+        if (sort === 'shelf') {
+            const order = shelfOrder.indexOf(String(a.id)) - shelfOrder.indexOf(String(b.id));
+            return ascending ? order : -order;
+        }
+        const first = a[sort] === undefined || a[sort] === null ? '' : a[sort];
+        const second = b[sort] === undefined || b[sort] === null ? '' : b[sort];
+        const order = typeof first === 'number' && typeof second === 'number'
+            ? first - second
+            : String(first).localeCompare(String(second));
+        return ascending ? order : -order;
+    });
+
+    const pageSize = Number(params.get('pageSize')) || found.length || 1;
+    const pages = Math.max(1, Math.ceil(found.length / pageSize));
+    const page = Math.min(pages, Math.max(1, Number(params.get('page')) || 1));
+    return {
+        books: found.slice((page - 1) * pageSize, page * pageSize),
+        totalBooks: allBooks.length,
+        matches: found.length,
+        page: page,
+        pages: pages,
+        sort: sort,
+        order: ascending ? 'asc' : 'desc',
+        revision: await loadOfflineValue('revision'),
+        offline: true
+    };
+}
+
+/**
+ * Reads the book id from a book address like /books/123
+ * Returns: The id as text, or null for /books itself
+ */
+function bookIdFromUrl(url) {
+    const match = /^\/books\/([^/?]+)$/.exec(url);
+    return match ? decodeURIComponent(match[1]) : null;
+}
+
+/**
+ * Checks if a request can wait until the server is back
+ * Only adding, changing and deleting books are kept - covers, loans and
+ * shelves need the server straight away
+ */
+function canQueueChange(method, url) {
+    if (method === 'POST') {
+        return url === '/books';
+    }
+    return ['PUT', 'PATCH', 'DELETE'].includes(method) && bookIdFromUrl(url) !== null;
+}
+
+/**
+ * Makes a waiting change to the saved copy of the library, so the pages
+ * show it straight away
+ * Returns: The book after the change (null after deleting it)
+ */
+async function applyChangeLocally(change) {
+    const id = change.method === 'POST' ? change.localId : bookIdFromUrl(change.url);
+    const existing = await getOfflineBook(id);
+
+    if (change.method === 'DELETE') {
+        await removeOfflineBook(id);
+        return null;
+    }
+    const book = Object.assign({ status: 'want to read', tags: [], reviews: [], readings: [] }, existing, change.body, { id: existing ? existing.id : id });
+    if (change.method === 'POST') {
+        book.dateAdded = book.dateAdded || change.dateQueued;
+    }
+    await saveOfflineBook(book);
+    return book;
+}
+
+/**
+ * Gets the changes that were made offline, oldest first
+ */
+async function loadQueuedChanges() {
+    return (await useOfflineStore('outbox', 'readonly', store => store.getAll())) || [];
+}
+
+/**
+ * Keeps a change to send when the server is back, and makes it in the saved copy
+ * Parameters: the same as sendBookRequest() in library.js
+ * Returns: A reply like the server's, with queued set to true - book is
+ *   the saved copy after the change
+ */
+async function queueOfflineChange(method, url, body, revision) {
+    const now = new Date().toISOString();
+    const id = bookIdFromUrl(url);
+    const waiting = await loadQueuedChanges();
+    const existing = id ? await getOfflineBook(id) : null;
+
+    // A book added offline isn't on the server yet: change the waiting "add" instead
+    const add = id && waiting.find(change => change.method === 'POST' && change.localId === id);
+    let change;
+    if (add && method === 'DELETE') {
+        await useOfflineStore('outbox', 'readwrite', store => store.delete(add.queueId));
+        await removeOfflineBook(id);
+        showOfflineBanner();
+        return { success: true, queued: true, book: null };
+    } else if (add) {
+        change = add;
+        change.body = Object.assign({}, add.body, body);
+        delete change.body.id;
+        change.title = change.body.title || change.title;
+    } else {
+        change = {
+            method: method,
+            url: url,
+            body: body,
+            revision: revision,
+            title: (body && body.title) || (existing && existing.title) || '',
+            status: 'waiting',
+            dateQueued: now
+        };
+        if (method === 'POST') {
+            change.localId = 'offline-' + Date.now();
+        }
+    }
+
+    await useOfflineStore('outbox', 'readwrite', store => store.put(change));
+    const book = await applyChangeLocally(change);
+    showOfflineBanner();
+    return { success: true, queued: true, book: book };
+}
+
+/**
+ * Remembers whether the last request reached the server, and shows or
+ * hides the offline notice. When the server is back, waiting changes are sent.
+ */
+function markServerReachable(reachable) {
+    const cameBack = reachable && !serverReachable;
+    serverReachable = reachable;
+    if (cameBack) {
+        syncQueuedChanges();
+    } else {
+        showOfflineBanner();
+    }
+}
+
+/**
+ * Claims the waiting changes for this tab, so two open tabs never send the
+ * same change. Read-write transactions on one store run one after the
+ * other, even in different tabs, so only one tab can find the claim free.
+ * Calling it again while holding the claim makes it last longer.
+ * Returns: true when this tab holds the claim
+ */
+async function claimQueuedChanges() {
+    let claimed = false;
+    await useOfflineStore('meta', 'readwrite', store => {
+        const request = store.get('syncClaim');
+        request.onsuccess = function() {
+            const claim = request.result;
+            if (!claim || claim.tabId === CLIENT_ID || claim.until < Date.now()) { // CLIENT_ID from library.js
+                store.put({ tabId: CLIENT_ID, until: Date.now() + SYNC_CLAIM_TIME }, 'syncClaim');
+                claimed = true;
+            }
+        };
+    });
+    return claimed;
+}
+
+/**
+ * Gives up this tab's claim on the waiting changes, so other tabs can send them
+ */
+async function releaseQueuedChanges() {
+    await useOfflineStore('meta', 'readwrite', store => {
+        const request = store.get('syncClaim');
+        request.onsuccess = function() {
+            if (request.result && request.result.tabId === CLIENT_ID) {
+                store.delete('syncClaim');
+            }
+        };
+    });
+}
+
+/**
+ * Gives the changes still waiting for a book the revision the server just
+ * saved, since they were made on top of the change that was sent. Saved
+ * right away, so a later sync (maybe in another tab) sends them correctly.
+ * Parameters: url - the book's address, sentRevision - the revision the
+ *   sent change was made on, newRevision - the book's revision now
+ */
+async function moveLaterChangesOn(url, sentRevision, newRevision) {
+    const later = (await loadQueuedChanges()).filter(change => {
+        return change.status === 'waiting' && change.url === url && change.revision === sentRevision;
+    });
+    if (later.length > 0) {
+        await useOfflineStore('outbox', 'readwrite', store => {
+            later.forEach(change => {
+                change.revision = newRevision;
+                store.put(change);
+            });
+        });
+    }
+}
+
+/**
+ * Sends the waiting changes to the server, oldest first
+ * Stops at the first change that can't reach the server, so the order is kept
+ * Does nothing while another tab is sending them
+ * Returns: { sent, conflicts, failed } - how many of each
+ */
+async function syncQueuedChanges() {
+    const counts = { sent: 0, conflicts: 0, failed: 0 };
+    if (syncRunning) {
+        return counts;
+    }
+    syncRunning = true;
+
+    try {
+        const queueIds = (await loadQueuedChanges())
+            .filter(change => change.status === 'waiting')
+            .map(change => change.queueId);
+        for (const queueId of queueIds) {
+            if (!(await claimQueuedChanges())) {
+                break;
+            }
+
+            // Read the change again: another tab may have sent it, or moved its revision on
+            const change = await useOfflineStore('outbox', 'readonly', store => store.get(queueId));
+            if (!change || change.status !== 'waiting') {
+                continue;
+            }
+
+            const options = { method: change.method, headers: {} };
+            if (change.body !== undefined) {
+                options.headers['Content-Type'] = 'application/json';
+                options.body = JSON.stringify(change.body);
+            }
+            if (change.revision !== undefined) {
+                options.headers['If-Match'] = '"' + change.revision + '"';
+            }
+
+            let response;
+            let data;
+            try {
+                response = await fetch(change.url, options);
+                data = await response.json();
+            } catch (error) {
+                serverReachable = false;
+                break;
+            }
+            serverReachable = true;
+
+            // Logged out in the meantime - keep the changes until someone logs in again
+            if (response.status === 401) {
+                break;
+            }
+
+            // The library is busy saving something else - try again next time
+            if (response.status === 503) {
+                break;
+            }
+
+            if (response.ok) {
+                await useOfflineStore('outbox', 'readwrite', store => store.delete(change.queueId));
+                if (change.localId) {
+                    await removeOfflineBook(change.localId);
+                }
+                if (data.book && change.method !== 'DELETE') {
+                    await saveOfflineBook(data.book);
+                    await moveLaterChangesOn(change.url, change.revision, data.book.revision);
+                }
+                counts.sent++;
+            } else if (response.status === 409) {
+                change.status = 'conflict';
+                change.serverBook = data.book || null;
+                await useOfflineStore('outbox', 'readwrite', store => store.put(change));
+                counts.conflicts++;
+            } else {
+                change.status = 'failed';
+                change.error = data.errors ? data.errors.map(error => error.message).join(' ') : (data.error || 'The server refused this change');
+                await useOfflineStore('outbox', 'readwrite', store => store.put(change));
+                counts.failed++;
+            }
+        }
+    } finally {
+        await releaseQueuedChanges();
+        syncRunning = false;
+    }
+
+    console.log('Offline changes sent:', counts);
+    await showOfflineBanner(counts.sent > 0 ? counts.sent + (counts.sent === 1 ? ' change' : ' changes') + ' made offline saved.' : '');
+    if (counts.sent > 0) {
+        // Pages can listen for this to show the saved changes
+        window.dispatchEvent(new CustomEvent('offlinechangessent', { detail: counts }));
+    }
+    return counts;
+}
+
+/**
+ * Deals with a change that clashed with someone else's
+ * Parameters: queueId - the change, keepMine - true to send it again over
+ *   the other change, false to drop it and use the server's version
+ */
+async function resolveConflict(queueId, keepMine) {
+    const change = (await loadQueuedChanges()).find(queued => queued.queueId === queueId);
+    if (!change) {
+        return;
+    }
+
+    if (keepMine && change.serverBook) {
+        change.status = 'waiting';
+        change.revision = change.serverBook.revision;
+        delete change.serverBook;
+        await useOfflineStore('outbox', 'readwrite', store => store.put(change));
+        await syncQueuedChanges();
+        return;
+    }
+
+    await useOfflineStore('outbox', 'readwrite', store => store.delete(queueId));
+    if (change.serverBook) {
+        await saveOfflineBook(change.serverBook);
+    }
+    showOfflineBanner();
+}
+
+/**
+ * Drops a change the server refused
+ * The saved copy is fixed the next time the library is loaded
+ */
+async function dismissChange(queueId) {
+    await useOfflineStore('outbox', 'readwrite', store => store.delete(queueId));
+    await saveOfflineValue('revision', null);
+    showOfflineBanner();
+}
+
+/**
+ * Forgets everything saved in the browser - called after logging out, so
+ * the next person on this computer doesn't see someone else's library
+ */
+async function clearOfflineData() {
+    await useOfflineStore('books', 'readwrite', store => store.clear());
+    await useOfflineStore('outbox', 'readwrite', store => store.clear());
+    await useOfflineStore('meta', 'readwrite', store => store.clear());
+}
+
+/**
+ * Adds a button to the offline notice
+ */
+function addBannerButton(parent, text, onclick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = text;
+    button.onclick = onclick;
+    parent.appendChild(document.createTextNode(' '));
+    parent.appendChild(button);
+}
+
+/**
+ * Shows the notice at the top of the page: whether the server can be
+ * reached, how many changes are waiting, and the ones that need a decision
+ * Parameter: message - (optional) extra text, e.g. that changes were saved
+ */
+async function showOfflineBanner(message) {
+    if (!document.body) {
+        return;
+    }
+    let banner = document.getElementById('offlineBanner');
+    if (!banner) {
+        banner = document.createElement('div');
+        banner.id = 'offlineBanner';
+        banner.style.cssText = 'background: #fff8e0; border-bottom: 1px solid #c90; padding: 6px;';
+        document.body.insertBefore(banner, document.body.firstChild);
+    }
+
+    const changes = await loadQueuedChanges();
+    const waiting = changes.filter(change => change.status === 'waiting');
+    const lines = [];
+    if (!serverReachable) {
+        lines.push('You are offline - showing the copy of your library saved on this device.');
+    }
+    if (waiting.length > 0) {
+        lines.push(waiting.length + (waiting.length === 1 ? ' change' : ' changes') + ' will be saved when the server can be reached again.');
+    }
+    if (message) {
+        lines.push(message);
+    }
+
+    // A text node keeps book titles from being read as HTML
+    clearElement(banner); // From dom.js
+    banner.appendChild(document.createTextNode(lines.join(' ')));
+
+    changes.filter(change => change.status !== 'waiting').forEach(change => {
+        const line = document.createElement('div');
+        const title = '"' + (change.title || 'a book') + '"';
+        if (change.status === 'conflict') {
+            line.textContent = 'Your offline change to ' + title + ' clashes with a change someone else saved first.';
+            addBannerButton(line, 'Keep Mine', () => resolveConflict(change.queueId, true));
+            addBannerButton(line, 'Use Theirs', () => resolveConflict(change.queueId, false));
+        } else {
+            line.textContent = 'Your offline change to ' + title + ' could not be saved: ' + change.error;
+            addBannerButton(line, 'Dismiss', () => dismissChange(change.queueId));
+        }
+        banner.appendChild(line);
+    });
+
+    banner.hidden = lines.length === 0 && changes.length === waiting.length;
+}
+
+/**
+ * Page initialization
+ * Starts the service worker (so the pages load offline), sends any
+ * changes left from last time and keeps trying while the server is away
+ */
+document.addEventListener('DOMContentLoaded', function() {
+    if ('serviceWorker' in navigator) {
+        navigator.serviceWorker.register('service-worker.js').catch(error => {
+            console.error('Could not start the service worker:', error);
+        });
+    }
+
+    showOfflineBanner();
+    syncQueuedChanges();
+    window.addEventListener('online', syncQueuedChanges);
+    setInterval(async function() {
+        const changes = await loadQueuedChanges();
+        if (changes.some(change => change.status === 'waiting')) {
+            syncQueuedChanges();
+        }
+    }, SYNC_INTERVAL);
+});
@@ -0,0 +1,72 @@
+/**
+ * Little Library - Series Page JavaScript
+ * This file shows every book in one series: series.html?name=The Expanse
+ *
+ * Features:
+ * - List the books of a series in volume order
+ * - Show who wrote each book, with links to the author pages
+ * - Show how much of the series has been read
+ */
+
+/**
+ * Shows "1 book" or "3 books"
+ */
+function countBooks(count) {
+    return count + (count === 1 ? ' book' : ' books');
+}
+
+/**
+ * Fills the table with the books of the series
+ * Parameter: books - from the server, in volume order
+ */
+function drawSeriesBooks(books) {
+    const table = document.getElementById('seriesBooks');
+    clearElement(table); // From dom.js
+
+    const header = table.insertRow();
+    ['Book', 'Title', 'By', 'Status'].forEach(text => {
+        header.appendChild(buildElement('th', {}, [text])); // From dom.js
+    });
+
+    books.forEach(book => {
+        const tableRow = table.insertRow();
+        const hasNumber = book.seriesNumber !== null && book.seriesNumber !== undefined;
+        tableRow.insertCell().textContent = hasNumber ? book.seriesNumber : '?';
+        tableRow.insertCell().appendChild(buildElement('a', { href: 'detailpage.html?id=' + encodeURIComponent(book.id) }, [book.title]));
+        tableRow.insertCell().appendChild(buildCredits(book)); // From library.js
+        tableRow.insertCell().textContent = book.status || '';
+    });
+}
+
+/**
+ * Loads the books of the series and shows them
+ */
+async function displaySeries() {
+    const name = new URLSearchParams(window.location.search).get('name') || '';
+    const result = await loadSeriesBooks(name); // From library.js
+    console.log('Series loaded:', result);
+
+    if (!result.success) {
+        document.getElementById('seriesName').textContent = name || 'No series picked';
+        document.getElementById('seriesSummary').textContent = result.error || 'Error loading the series. Please try again.';
+        return;
+    }
+
+    document.title = result.series + ' - Little Library';
+    document.getElementById('seriesName').textContent = result.series;
+
+    const read = result.books.filter(book => book.status === 'read').length;
+    document.getElementById('seriesSummary').textContent = countBooks(result.totalBooks) + ' in the library, ' + read + ' read.';
+    drawSeriesBooks(result.books);
+}
+
+/**
+ * Page initialization
+ * This runs when the page finishes loading
+ */
+document.addEventListener('DOMContentLoaded', function() {
+    console.log('Series page loaded');
+
+    setupAccountButton(); // From library.js
+    displaySeries();
+});
@@ -0,0 +1,126 @@
+/**
+ * Little Library - Service Worker
+ * Lets the pages open when the server can't be reached. The browser runs
+ * this file in the background once offline.js has registered it.
+ *
+ * - The pages and their scripts are saved when the service worker is
+ *   installed. They always come from the server when it can be reached,
+ *   so changes to them show up straight away; the saved copy is only
+ *   used when the server is away.
+ * - Cover pictures from /uploads are saved the first time they are shown.
+ * - Books are not handled here: library.js keeps them in IndexedDB (see offline.js).
+ */
+
+// Change the version to throw away the old saved pages
+const CACHE_NAME = 'little-library-v4';
+const COVER_CACHE_NAME = 'little-library-covers';
+
+// Everything a page needs to open offline
+const APP_FILES = [
+    'index.html',
+    'detailpage.html',
+    'addBook.html',
+    'importBooks.html',
+    'loans.html',
+    'login.html',
+    'stats.html',
+    'trash.html',
+    'duplicates.html',
+    'tags.html',
+    'author.html',
+    'series.html',
+    'index.css',
+    'dom.js',
+    'offline.js',
+    'library.js',
+    'index.js',
+    'detailPage.js',
+    'addBook.js',
+    'importBooks.js',
+    'loans.js',
+    'login.js',
+    'stats.js',
+    'trash.js',
+    'duplicates.js',
+    'tags.js',
+    'author.js',
+    'series.js',
+    'manifest.webmanifest',
+    'icon.svg',
+    'icon-192.png',
+    'icon-512.png'
+];
+
+/**
+ * Saves the pages when the service worker is installed
+ */
+self.addEventListener('install', function(event) {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(APP_FILES))
+            .then(() => self.skipWaiting())
+    );
+});
+
+/**
+ * Throws away pages saved by older versions of this file
+ */
+self.addEventListener('activate', function(event) {
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(names
+                .filter(name => name !== CACHE_NAME && name !== COVER_CACHE_NAME)
+                .map(name => caches.delete(name))))
+            .then(() => self.clients.claim())
+    );
+});
+
+/**
+ * Checks if an address is one of the saved pages (or the site itself, "/")
+ */
+function isAppFile(url) {
+    const path = url.pathname.replace(/^\//, '');
+    return path === '' || APP_FILES.includes(path);
+}
+
+/**
+ * Answers the browser's requests for pages and covers
+ * Everything else (books, logging in, ...) goes to the server as usual
+ */
+self.addEventListener('fetch', function(event) {
+    const url = new URL(event.request.url);
+    if (event.request.method !== 'GET' || url.origin !== self.location.origin) {
+        return;
+    }
+
+    // Pages: from the server, and the saved copy when it can't be reached
+    // (detailpage.html?id=1 uses the saved detailpage.html)
+    if (isAppFile(url)) {
+        event.respondWith(
+            fetch(event.request)
+                .then(response => {
+                    if (response.ok) {
+                        const copy = response.clone();
+                        caches.open(CACHE_NAME).then(cache => cache.put(url.pathname === '/' ? 'index.html' : url.pathname, copy));
+                    }
+                    return response;
+                })
+                .catch(() => caches.match(url.pathname === '/' ? 'index.html' : url.pathname, { ignoreSearch: true }))
+        );
+        return;
+    }
+
+    // Covers never change (a new cover gets a new name), so a saved copy is always right
+    if (url.pathname.startsWith('/uploads/covers/')) {
+        event.respondWith(
+            caches.open(COVER_CACHE_NAME).then(cache => cache.match(event.request).then(saved => {
+                return saved || fetch(event.request).then(response => {
+                    if (response.ok) {
+                        cache.put(event.request, response.clone());
+                    }
+                    return response;
+                });
+            }))
+        );
+    }
+});
@@ -0,0 +1,202 @@
+/**
+ * Little Library - Stats Page JavaScript
+ * This file shows the reading statistics worked out by the server
+ *
+ * Features:
+ * - Books read per month and per year, and pages read per year, as bar charts
+ * - How many books have each reading status
+ * - The most common authors and tags
+ * - Average rating and how long a book takes from start to finish
+ * - A yearly reading goal, with a bar that fills up as books are finished
+ */
+
+// Month names for the monthly chart
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June',
+    'July', 'August', 'September', 'October', 'November', 'December'];
+
+// Width of the longest bar in a chart, in pixels
+const CHART_WIDTH = 300;
+
+// The logged in user, or null for visitors
+let currentUser = null;
+
+/**
+ * Shows "1 book" or "3 books"
+ */
+function countBooks(count) {
+    return count + (count === 1 ? ' book' : ' books');
+}
+
+/**
+ * Draws a bar chart as a table: a label, a bar and the number on each row
+ * Parameters: tableId - the table to fill, items - a list of { label, value },
+ *   emptyText - what to show when there is nothing to draw
+ */
+function drawBarChart(tableId, items, emptyText) {
+    const table = document.getElementById(tableId);
+    clearElement(table); // From dom.js
+
+    if (items.length === 0) {
+        table.insertRow().insertCell().textContent = emptyText;
+        return;
+    }
+
+    // The biggest value gets the full width, the others are scaled to it
+    const biggest = Math.max(1, ...items.map(item => item.value));
+    items.forEach(item => {
+        const tableRow = table.insertRow();
+
+        // textContent keeps author names and tags from being read as HTML
+        tableRow.insertCell().textContent = item.label;
+
+        const bar = document.createElement('div');
+        bar.style.width = Math.round(item.value / biggest * CHART_WIDTH) + 'px';
+        bar.style.height = '14px';
+        bar.style.background = '#4a90d9';
+        tableRow.insertCell().appendChild(bar);
+
+        tableRow.insertCell().textContent = item.value.toLocaleString();
+    });
+}
+
+/**
+ * Fills the year list with every year something was read, and this year
+ * Parameter: stats - the statistics from the server
+ */
+function fillYearSelect(stats) {
+    const select = document.getElementById('statsYear');
+    const years = new Set(stats.years.map(entry => entry.year));
+    years.add(new Date().getFullYear());
+    years.add(stats.year);
+
+    clearElement(select);
+    Array.from(years).sort((a, b) => b - a).forEach(year => {
+        const option = document.createElement('option');
+        option.value = year;
+        option.textContent = year;
+        select.appendChild(option);
+    });
+    select.value = stats.year;
+}
+
+/**
+ * Shows the totals above the charts
+ * Parameter: stats - the statistics from the server
+ */
+function showSummary(stats) {
+    const lines = [
+        countBooks(stats.totalBooks) + ' in the library, ' + countBooks(stats.booksRead) + ' read (' +
+            stats.pagesRead.toLocaleString() + ' pages).'
+    ];
+
+    if (stats.averageRating !== null) {
+        // The stars are rounded to the nearest half, the number is shown as it is
+        lines.push('Average rating: ' + formatRating(Math.round(stats.averageRating * 2) / 2) + ' ' + stats.averageRating +
+            ' (from ' + countBooks(stats.ratedBooks) + ').');
+    }
+    if (stats.averageDaysToFinish !== null) {
+        lines.push('On average a book takes ' + stats.averageDaysToFinish + ' days from start to finish.');
+    }
+    if (!currentUser) {
+        lines.push('Log in to see your own reading statistics.');
+    }
+
+    document.getElementById('statsSummary').textContent = lines.join(' ');
+}
+
+/**
+ * Shows how far along the reading goal is for the chosen year
+ * Parameter: stats - the statistics from the server
+ */
+function showGoal(stats) {
+    const goal = stats.goal;
+    let text = goal.booksRead + ' of ' + countBooks(goal.target) + ' read in ' + stats.year + ' (' + goal.percent + '%).';
+
+    // Only this year can be ahead of or behind schedule
+    if (stats.year === new Date().getFullYear() && goal.booksRead < goal.target) {
+        const difference = goal.booksRead - goal.expectedByNow;
+        if (difference > 0) {
+            text += ' ' + countBooks(difference) + ' ahead of schedule.';
+        } else if (difference < 0) {
+            text += ' ' + countBooks(-difference) + ' behind schedule.';
+        } else {
+            text += ' Right on schedule.';
+        }
+    } else if (goal.booksRead >= goal.target) {
+        text += ' Goal reached!';
+    }
+
+    document.getElementById('goalProgress').textContent = text;
+    document.getElementById('goalBar').style.width = Math.min(100, goal.percent) + '%';
+
+    // Everyone with an account can pick their own goal
+    document.getElementById('goalForm').style.display = currentUser ? 'block' : 'none';
+    document.getElementById('goalInput').value = goal.target;
+    document.getElementById('resetGoalButton').disabled = !currentUser || !currentUser.readingGoal;
+}
+
+/**
+ * Loads the statistics for the chosen year and shows them
+ */
+async function displayStats() {
+    const stats = await loadStats(document.getElementById('statsYear').value); // From library.js
+    console.log('Statistics loaded:', stats);
+
+    if (stats.error) {
+        document.getElementById('statsSummary').textContent = stats.error;
+        return;
+    }
+
+    fillYearSelect(stats);
+    showSummary(stats);
+    showGoal(stats);
+
+    drawBarChart('monthChart', stats.months.map(entry => ({ label: MONTH_NAMES[entry.month - 1], value: entry.booksRead })),
+        'No books read yet');
+    drawBarChart('yearChart', stats.years.map(entry => ({ label: String(entry.year), value: entry.booksRead })),
+        'No books read yet');
+    drawBarChart('pageChart', stats.years.map(entry => ({ label: String(entry.year), value: entry.pagesRead })),
+        'No books read yet');
+    drawBarChart('statusChart', Object.keys(stats.statusCounts).map(status => ({ label: status, value: stats.statusCounts[status] })),
+        'No books yet');
+    drawBarChart('authorChart', stats.topAuthors.map(entry => ({ label: entry.name, value: entry.count })),
+        'No authors yet');
+    drawBarChart('tagChart', stats.topTags.map(entry => ({ label: entry.name, value: entry.count })),
+        'No tags yet');
+}
+
+/**
+ * Saves a new reading goal and shows the statistics again
+ * Parameter: goal - a whole number, or null for the library's default
+ */
+async function handleSaveGoal(goal) {
+    const errorElement = document.getElementById('goalError');
+    errorElement.textContent = '';
+
+    const result = await saveReadingGoal(goal); // From library.js
+    if (!result.success) {
+        errorElement.textContent = result.errors ? result.errors[0].message : (result.error || 'Error saving the goal. Please try again.');
+        return;
+    }
+    currentUser = result.user;
+    displayStats();
+}
+
+/**
+ * Page initialization
+ * This runs when the page finishes loading
+ */
+document.addEventListener('DOMContentLoaded', async function() {
+    console.log('Stats page loaded');
+
+    currentUser = await setupAccountButton();
+
+    document.getElementById('statsYear').addEventListener('change', displayStats);
+    document.getElementById('saveGoalButton').addEventListener('click', function() {
+        handleSaveGoal(document.getElementById('goalInput').value);
+    });
+    document.getElementById('resetGoalButton').addEventListener('click', function() {
+        handleSaveGoal(null);
+    });
+    displayStats();
+});
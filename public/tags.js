@@ -0,0 +1,221 @@
+/**
+ * Little Library - Tags Page JavaScript
+ * This file shows every tag in the library and lets admins tidy them up
+ *
+ * Features:
+ * - A tag cloud: the more books have a tag, the bigger it is
+ * - Click a tag to see its books on the bookshelf
+ * - Find a tag by typing part of it
+ * - Admins can rename, merge and delete tags on every book at once
+ */
+
+// Smallest and biggest text size in the tag cloud, in pixels
+const SMALLEST_TAG_SIZE = 12;
+const BIGGEST_TAG_SIZE = 32;
+
+// Every tag in the library, as loaded from the server
+let libraryTags = [];
+
+// True when the logged in user can change tags
+let canManageTags = false;
+
+/**
+ * Shows "1 book" or "3 books"
+ */
+function countBooks(count) {
+    return count + (count === 1 ? ' book' : ' books');
+}
+
+/**
+ * Gets the tags whose name contains the text in the filter box
+ */
+function filteredTags() {
+    const typed = document.getElementById('tagFilter').value.trim().toLowerCase();
+    return libraryTags.filter(entry => entry.tag.toLowerCase().includes(typed));
+}
+
+/**
+ * Draws the tag cloud - each tag links to the bookshelf showing its books
+ * Parameter: tags - the tags to show
+ */
+function drawTagCloud(tags) {
+    const cloud = document.getElementById('tagCloud');
+    clearElement(cloud); // From dom.js
+
+    // The most used tag gets the biggest size, the others are scaled to it
+    const biggest = Math.max(1, ...tags.map(entry => entry.count));
+    tags.forEach(entry => {
+        const size = SMALLEST_TAG_SIZE + Math.round((entry.count - 1) / Math.max(1, biggest - 1) * (BIGGEST_TAG_SIZE - SMALLEST_TAG_SIZE));
+        cloud.appendChild(buildElement('a', { // From dom.js
+            href: 'index.html?tag=' + encodeURIComponent(entry.tag),
+            title: countBooks(entry.count),
+            style: { fontSize: size + 'px', marginRight: '12px', whiteSpace: 'nowrap' }
+        }, [entry.tag]));
+        cloud.appendChild(document.createTextNode(' '));
+    });
+}
+
+/**
+ * Draws the admin table: one row per tag with its buttons
+ * Parameter: tags - the tags to show
+ */
+function drawTagTable(tags) {
+    const table = document.getElementById('tagTable');
+    clearElement(table);
+
+    const header = table.insertRow();
+    ['', 'Tag', 'Books', 'Spellings in use', ''].forEach(text => {
+        header.appendChild(buildElement('th', {}, [text]));
+    });
+
+    tags.forEach(entry => {
+        const tableRow = table.insertRow();
+
+        const checkbox = buildElement('input', { type: 'checkbox', className: 'tagCheckbox', value: entry.tag });
+        checkbox.addEventListener('change', updateMergeButton);
+        tableRow.insertCell().appendChild(checkbox);
+
+        tableRow.insertCell().textContent = entry.tag;
+        tableRow.insertCell().textContent = entry.count;
+        tableRow.insertCell().textContent = entry.spellings.length > 1 ? entry.spellings.join(', ') : '';
+
+        const renameButton = buildElement('button', { type: 'button' }, ['Rename']);
+        renameButton.addEventListener('click', () => handleRenameTag(entry));
+        const deleteButton = buildElement('button', { type: 'button' }, ['Delete']);
+        deleteButton.addEventListener('click', () => handleDeleteTag(entry));
+        const buttons = tableRow.insertCell();
+        buttons.appendChild(renameButton);
+        buttons.appendChild(document.createTextNode(' '));
+        buttons.appendChild(deleteButton);
+    });
+}
+
+/**
+ * Shows the tags that match the filter box
+ */
+function showTags() {
+    const tags = filteredTags();
+
+    let summary = 'No tags yet - add some to your books.';
+    if (tags.length < libraryTags.length) {
+        summary = tags.length + ' of ' + libraryTags.length + ' tags match.';
+    } else if (libraryTags.length > 0) {
+        summary = libraryTags.length + (libraryTags.length === 1 ? ' tag' : ' tags') + ' in the library. Click a tag to see its books.';
+    }
+    document.getElementById('tagSummary').textContent = summary;
+
+    drawTagCloud(tags);
+    if (canManageTags) {
+        drawTagTable(tags);
+        updateMergeButton();
+    }
+}
+
+/**
+ * Loads the tags from the server and shows them
+ */
+async function displayTags() {
+    const result = await loadTags(); // From library.js
+    console.log('Tags loaded:', result);
+
+    if (!result.success) {
+        document.getElementById('tagSummary').textContent = result.error || 'Error loading the tags. Please try again.';
+        return;
+    }
+    libraryTags = result.tags;
+    showTags();
+}
+
+/**
+ * Gets the tags ticked in the admin table
+ */
+function selectedTags() {
+    return Array.from(document.querySelectorAll('.tagCheckbox:checked')).map(checkbox => checkbox.value);
+}
+
+/**
+ * Only lets the merge button be clicked when two or more tags are ticked
+ */
+function updateMergeButton() {
+    document.getElementById('mergeTagsButton').disabled = selectedTags().length < 2;
+}
+
+/**
+ * Shows what a tag change did, or why it didn't work, and loads the tags again
+ * Parameters: result - the answer from the server, failMessage - shown when
+ *   the server didn't say what went wrong
+ */
+function showTagResult(result, failMessage) {
+    if (!result.success) {
+        alert((result.errors && result.errors[0].message) || result.error || failMessage);
+    } else {
+        console.log('Tag changed on ' + countBooks(result.changedBooks));
+    }
+    displayTags();
+}
+
+/**
+ * Asks for a new name for a tag and renames it on every book
+ * Parameter: entry - the tag from the list
+ */
+async function handleRenameTag(entry) {
+    const name = prompt('New name for "' + entry.tag + '" (on ' + countBooks(entry.count) + '):', entry.tag);
+    if (!name || !name.trim() || name.trim() === entry.tag) {
+        return;
+    }
+
+    const result = await renameTag(entry.tag, name.trim()); // From library.js
+    showTagResult(result, 'Error renaming the tag. Please try again.');
+}
+
+/**
+ * Takes a tag off every book, after asking first
+ * Parameter: entry - the tag from the list
+ */
+async function handleDeleteTag(entry) {
+    if (!confirm('Remove the tag "' + entry.tag + '" from ' + countBooks(entry.count) + '? The books stay in the library.')) {
+        return;
+    }
+
+    const result = await deleteTag(entry.tag); // From library.js
+    showTagResult(result, 'Error deleting the tag. Please try again.');
+}
+
+/**
+ * Merges the ticked tags into one, asking for its name
+ * The most used of them is offered as the name
+ */
+async function handleMergeTags() {
+    const tags = selectedTags();
+    if (tags.length < 2) {
+        return;
+    }
+
+    const mostUsed = libraryTags
+        .filter(entry => tags.includes(entry.tag))
+        .reduce((winner, entry) => entry.count > winner.count ? entry : winner);
+    const name = prompt('Merge ' + tags.join(', ') + ' into one tag called:', mostUsed.tag);
+    if (!name || !name.trim()) {
+        return;
+    }
+
+    const result = await mergeTags(tags, name.trim()); // From library.js
+    showTagResult(result, 'Error merging the tags. Please try again.');
+}
+
+/**
+ * Page initialization
+ * This runs when the page finishes loading
+ */
+document.addEventListener('DOMContentLoaded', async function() {
+    console.log('Tags page loaded');
+
+    // Everyone can look at the tags, only admins can change them
+    const user = await setupAccountButton(); // From library.js
+    canManageTags = Boolean(user && user.role === 'admin');
+    document.getElementById('tagTools').hidden = !canManageTags;
+
+    document.getElementById('tagFilter').addEventListener('input', showTags);
+    document.getElementById('mergeTagsButton').addEventListener('click', handleMergeTags);
+    displayTags();
+});
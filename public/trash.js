@@ -0,0 +1,139 @@
+/**
+ * Little Library - Trash Page JavaScript
+ * This file shows the books that were deleted
+ *
+ * Features:
+ * - List the deleted books, the most recently deleted first
+ * - Show when each one will be removed for good
+ * - Restore a book, or remove it for good straight away
+ * - Empty the whole trash
+ */
+
+/**
+ * Formats a date for the table, e.g. "3/1/2024"
+ */
+function formatTrashDate(date) {
+    return date ? new Date(date).toLocaleDateString() : 'Never';
+}
+
+/**
+ * Shows one row for every book in the trash
+ * Parameter: books - the deleted books from the server
+ */
+function showTrashRows(books) {
+    const tbody = document.getElementById('trashRows');
+    clearElement(tbody); // From dom.js
+
+    if (books.length === 0) {
+        const cell = tbody.insertRow().insertCell();
+        cell.colSpan = 5;
+        cell.textContent = 'The trash is empty';
+        cell.style.textAlign = 'center';
+        return;
+    }
+
+    books.forEach(book => {
+        const tableRow = tbody.insertRow();
+
+        // textContent keeps titles from being read as HTML
+        [book.title, book.author || '', formatTrashDate(book.deletedAt), formatTrashDate(book.purgeAt)].forEach(value => {
+            tableRow.insertCell().textContent = value;
+        });
+
+        const buttons = tableRow.insertCell();
+        const restoreButton = document.createElement('button');
+        restoreButton.type = 'button';
+        restoreButton.textContent = 'Restore';
+        restoreButton.onclick = function() {
+            handleRestore(book);
+        };
+        buttons.appendChild(restoreButton);
+
+        const purgeButton = document.createElement('button');
+        purgeButton.type = 'button';
+        purgeButton.textContent = 'Delete Forever';
+        purgeButton.onclick = function() {
+            handlePurge(book);
+        };
+        buttons.appendChild(purgeButton);
+    });
+}
+
+/**
+ * Loads the trash and shows it
+ */
+async function displayTrash() {
+    const result = await loadTrash(); // From library.js
+    console.log('Trash loaded:', result);
+
+    const summary = document.getElementById('trashSummary');
+    if (!result.success) {
+        summary.textContent = result.error || 'Could not load the trash';
+        showTrashRows([]);
+        return;
+    }
+
+    summary.textContent = result.totalBooks + (result.totalBooks === 1 ? ' book' : ' books') + ' in the trash. ' +
+        (result.trashDays 
+            ? 'Deleted books are removed for good after ' + result.trashDays + ' days.' 
+            : 'Deleted books stay here until the trash is emptied.');
+    document.getElementById('emptyTrashButton').disabled = result.totalBooks === 0;
+    showTrashRows(result.books);
+}
+
+/**
+ * Puts a book from the trash back in the library
+ * Parameter: book - the book from the list
+ */
+async function handleRestore(book) {
+    const result = await restoreBook(book.id); // From library.js
+    if (!result.success) {
+        alert(result.error || 'Error restoring the book. Please try again.');
+    }
+    displayTrash();
+}
+
+/**
+ * Removes a book from the trash for good, after asking
+ * Parameter: book - the book from the list
+ */
+async function handlePurge(book) {
+    if (!confirm('Delete "' + book.title + '" forever? This cannot be undone.')) {
+        return;
+    }
+
+    const result = await purgeBook(book.id); // From library.js
+    if (!result.success) {
+        alert(result.error || 'Error deleting the book. Please try again.');
+    }
+    displayTrash();
+}
+
+/**
+ * Removes every book in the trash for good, after asking
+ */
+async function handleEmptyTrash() {
+    if (!confirm('Delete every book in the trash forever? This cannot be undone.')) {
+        return;
+    }
+
+    const result = await emptyTrash(); // From library.js
+    if (!result.success) {
+        alert(result.error || 'Error emptying the trash. Please try again.');
+    }
+    displayTrash();
+}
+
+/**
+ * Page initialization
+ * This runs when the page finishes loading
+ */
+document.addEventListener('DOMContentLoaded', function() {
+    console.log('Trash page loaded');
+
+    // Only admins can see the trash
+    setupAccountButton(true);
+
+    document.getElementById('emptyTrashButton').addEventListener('click', handleEmptyTrash);
+    displayTrash();
+});
@@ -0,0 +1,92 @@
+/**
+ * Little Library - Each Reader's Own Shelf
+ * The catalog (title, author, cover, loans, ...) is shared by everyone, but
+ * every account keeps its own status, rating, reviews and reading progress.
+ * Those fields are saved inside the book, one entry per user id:
+ *   readers: { '1727000000000': { status: 'read', rating: 4, reviews: [...] } }
+ * The pages never see "readers" - the server sends each user the book with
+ * their own fields filled in, as if they were the only reader.
+ *
+ * Functions in this file:
+ * - personalize(): Builds a book the way one user sees it
+ * - saveReaderFields(): Moves one user's fields back into the book's readers
+ * - claimReaderFields(): Hands reading data saved before accounts existed to a user
+ */
+
+// The fields each reader has their own copy of
+// ("review" is the single review text saved by old versions)
+const READER_FIELDS = ['status', 'rating', 'reviews', 'review', 'readings', 'currentPage'];
+
+// What a reader who never touched a book sees
+const READER_DEFAULTS = {
+    status: 'want to read',
+    rating: null,
+    reviews: [],
+    readings: [],
+    currentPage: null
+};
+
+/**
+ * Builds a book the way one user sees it
+ * Parameters: book - the saved book, userId - the user's id, or null for
+ *   visitors who are not logged in (they see the defaults)
+ * Returns: A copy of the book with the user's own fields and without readers
+ */
+function personalize(book, userId) {
+    const view = Object.assign({}, book);
+    delete view.readers;
+    READER_FIELDS.forEach(field => {
+        delete view[field];
+    });
+
+    const own = userId !== null && userId !== undefined ? (book.readers || {})[String(userId)] : null;
+    return Object.assign(view, READER_DEFAULTS, own);
+}
+
+/**
+ * Moves one user's fields from a book they edited back into its readers
+ * The other readers' entries are kept as they are
+ * Parameters:
+ * - view: the book as the user sees it, with their changes
+ * - existing: the saved book (null for a new book)
+ * - userId: the user who made the changes
+ * Returns: The book ready to be saved
+ */
+function saveReaderFields(view, existing, userId) {
+    const book = Object.assign({}, view);
+    const own = {};
+    READER_FIELDS.forEach(field => {
+        if (field in book) {
+            own[field] = book[field];
+        }
+        delete book[field];
+    });
+
+    book.readers = Object.assign({}, existing && existing.readers);
+    book.readers[String(userId)] = own;
+    return book;
+}
+
+/**
+ * Hands reading data saved before accounts existed to a user
+ * Old books keep status, rating and so on at the top level; the first
+ * admin account takes them over so nothing is lost.
+ * Returns: The changed book, or null when it had nothing to hand over
+ */
+function claimReaderFields(book, userId) {
+    if (!READER_FIELDS.some(field => field in book)) {
+        return null;
+    }
+    const readers = book.readers || {};
+    if (readers[String(userId)]) {
+        return null;
+    }
+    return saveReaderFields(book, book, userId);
+}
+
+module.exports = {
+    READER_DEFAULTS,
+    personalize,
+    saveReaderFields,
+    claimReaderFields
+};
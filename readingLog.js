@@ -0,0 +1,83 @@
+/**
+ * Little Library - Reading Log
+ * Keeps track of when a book was started and finished
+ *
+ * Every book has a list of "readings", one for each time it was read:
+ *   readings: [{ startedAt: '2024-01-03T...', finishedAt: '2024-02-01T...' }]
+ * A reading without finishedAt is still going on. startedAt can be null
+ * when a book was marked as read without ever being started.
+ *
+ * Functions in this file:
+ * - applyStatusChange(): Stamps start and finish dates when the status changes
+ * - lastFinishedAt(): Gets the date a book was last finished
+ */
+
+/**
+ * Finds the reading that is still going on (not finished yet)
+ * Returns: The reading, or undefined if there is none
+ */
+function openReading(readings) {
+    return readings.find(reading => !reading.finishedAt);
+}
+
+/**
+ * Stamps start and finish dates when a book's status changes
+ * - "currently reading": starts a new reading (a reread if it was read before)
+ * - "read": finishes the current reading, or records a finished one
+ * - "want to read": nothing is stamped
+ * Parameters:
+ * - previous: the book before the change (null for a new book)
+ * - book: the book after the change - updated in place
+ * - now: the time of the change, as an ISO date
+ */
+function applyStatusChange(previous, book, now) {
+    const oldStatus = previous ? previous.status : null;
+    if (book.status === oldStatus) {
+        return book;
+    }
+
+    const readings = (book.readings || []).map(reading => Object.assign({}, reading));
+    const current = openReading(readings);
+
+    if (book.status === 'currently reading' && !current) {
+        readings.push({ startedAt: now, finishedAt: null });
+
+        // Starting again after finishing it - begin from page 0
+        if (oldStatus === 'read') {
+            book.currentPage = 0;
+        }
+    }
+
+    if (book.status === 'read') {
+        if (current) {
+            current.finishedAt = now;
+        } else {
+            readings.push({ startedAt: null, finishedAt: now });
+        }
+
+        // A finished book has been read to the last page
+        if (book.pageCount) {
+            book.currentPage = book.pageCount;
+        }
+    }
+
+    book.readings = readings;
+    return book;
+}
+
+/**
+ * Gets the date a book was last finished
+ * Returns: An ISO date, or null if the book was never finished
+ */
+function lastFinishedAt(book) {
+    return (book.readings || [])
+        .map(reading => reading.finishedAt)
+        .filter(date => date)
+        .sort()
+        .pop() || null;
+}
+
+module.exports = {
+    applyStatusChange,
+    lastFinishedAt
+};
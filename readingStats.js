@@ -0,0 +1,158 @@
+/**
+ * Little Library - Reading Statistics
+ * Works out the numbers for the stats page from the books as one user sees
+ * them (see readers.js), so everybody gets their own statistics.
+ *
+ * A book counts as read once for every finished reading (see readingLog.js),
+ * so a book read twice in a year counts twice. Its pages count as read in
+ * the month it was finished.
+ *
+ * Functions in this file:
+ * - finishedReadings(): Lists every finished reading with its book
+ * - countTop(): Finds the most common values, e.g. the top authors
+ * - readingStats(): Works out all the numbers for the stats page
+ */
+
+const { STATUSES } = require('./validation');
+const { mainAuthors } = require('./contributors');
+
+// One day in milliseconds
+const DAY = 24 * 60 * 60 * 1000;
+
+// How many authors and tags the top lists show
+const TOP_COUNT = 10;
+
+/**
+ * Lists every finished reading of the books, with the book it belongs to
+ * Returns: A list of { book, startedAt, finishedAt }, oldest first
+ */
+function finishedReadings(books) {
+    const readings = [];
+    books.forEach(book => {
+        (book.readings || [])
+            .filter(reading => reading.finishedAt)
+            .forEach(reading => readings.push({ book: book, startedAt: reading.startedAt, finishedAt: reading.finishedAt }));
+    });
+    return readings.sort((a, b) => a.finishedAt.localeCompare(b.finishedAt));
+}
+
+/**
+ * Finds the most common values, e.g. the authors with the most books
+ * Values that only differ in upper and lower case count as one; the
+ * spelling seen first is shown
+ * Parameter: values - one value per book (lists of tags and authors are flattened)
+ * Returns: Up to TOP_COUNT of { name, count }, most common first
+ */
+function countTop(values) {
+    const counts = new Map();
+    values.forEach(value => {
+        const name = String(value || '').trim();
+        if (!name) {
+            return;
+        }
+        const key = name.toLowerCase();
+        const entry = counts.get(key) || { name: name, count: 0 };
+        entry.count++;
+        counts.set(key, entry);
+    });
+    return Array.from(counts.values())
+        .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name))
+        .slice(0, TOP_COUNT);
+}
+
+/**
+ * Rounds a number to one decimal place, or gives null when there is nothing to round
+ */
+function roundOrNull(number) {
+    return number === null || isNaN(number) ? null : Math.round(number * 10) / 10;
+}
+
+/**
+ * Works out all the numbers for the stats page
+ * Parameters:
+ * - books: the books as the user sees them (without the trash)
+ * - options: { year, goal, now } - the year the monthly chart and the goal
+ *   are for, the number of books the user wants to read that year, and
+ *   the current time (ISO date)
+ * Returns: {
+ *   year, totalBooks, booksRead, pagesRead,
+ *   statusCounts: { 'want to read': 3, ... },
+ *   years: [{ year, booksRead, pagesRead }] - every year something was finished, oldest first
+ *   months: [{ month, booksRead, pagesRead }] - January to December of the year
+ *   topAuthors, topTags: [{ name, count }],
+ *   averageRating, ratedBooks, averageDaysToFinish, timedReadings,
+ *   goal: { target, booksRead, percent, expectedByNow }
+ * }
+ */
+function readingStats(books, options) {
+    const year = options.year;
+    const readings = finishedReadings(books);
+
+    const statusCounts = {};
+    STATUSES.forEach(status => {
+        statusCounts[status] = books.filter(book => book.status === status).length;
+    });
+
+    // Books and pages per year, and per month of the chosen year
+    const years = new Map();
+    const months = [];
+    for (let month = 1; month <= 12; month++) {
+        months.push({ month: month, booksRead: 0, pagesRead: 0 });
+    }
+    readings.forEach(reading => {
+        const finished = new Date(reading.finishedAt);
+        const pages = reading.book.pageCount || 0;
+        const yearEntry = years.get(finished.getFullYear()) || { year: finished.getFullYear(), booksRead: 0, pagesRead: 0 };
+        yearEntry.booksRead++;
+        yearEntry.pagesRead += pages;
+        years.set(finished.getFullYear(), yearEntry);
+
+        if (finished.getFullYear() === year) {
+            months[finished.getMonth()].booksRead++;
+            months[finished.getMonth()].pagesRead += pages;
+        }
+    });
+
+    const rated = books.filter(book => typeof book.rating === 'number');
+    const ratingTotal = rated.reduce((total, book) => total + book.rating, 0);
+
+    // Only readings with both dates say how long a book took
+    const timed = readings.filter(reading => reading.startedAt);
+    const dayTotal = timed.reduce((total, reading) => {
+        return total + Math.max(0, Date.parse(reading.finishedAt) - Date.parse(reading.startedAt)) / DAY;
+    }, 0);
+
+    // Where the goal should be by today, if books were read at an even pace
+    const yearStart = new Date(year, 0, 1).getTime();
+    const yearEnd = new Date(year + 1, 0, 1).getTime();
+    const yearPassed = Math.min(1, Math.max(0, (Date.parse(options.now) - yearStart) / (yearEnd - yearStart)));
+    const readThisYear = years.has(year) ? years.get(year).booksRead : 0;
+
+    return {
+        year: year,
+        totalBooks: books.length,
+        booksRead: readings.length,
+        pagesRead: readings.reduce((total, reading) => total + (reading.book.pageCount || 0), 0),
+        statusCounts: statusCounts,
+        years: Array.from(years.values()).sort((a, b) => a.year - b.year),
+        months: months,
+        topAuthors: countTop([].concat(...books.map(book => mainAuthors(book.authors).map(person => person.name)))),
+        topTags: countTop([].concat(...books.map(book => book.tags || []))),
+        averageRating: rated.length > 0 ? roundOrNull(ratingTotal / rated.length) : null,
+        ratedBooks: rated.length,
+        averageDaysToFinish: timed.length > 0 ? roundOrNull(dayTotal / timed.length) : null,
+        timedReadings: timed.length,
+        goal: {
+            target: options.goal,
+            booksRead: readThisYear,
+            percent: options.goal ? Math.round(readThisYear / options.goal * 100) : 0,
+            expectedByNow: Math.floor(options.goal * yearPassed)
+        }
+    };
+}
+
+module.exports = {
+    finishedReadings,
+    countTop,
+    readingStats
+};
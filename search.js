@@ -0,0 +1,404 @@
+/**
+ * Little Library - Search
+ * Finds books for a search query and ranks them by how well they match
+ *
+ * Functions in this file:
+ * - parseQuery(): Splits a search query into terms
+ * - searchBooks(): Finds the books matching a query, best match first
+ * - normalize(), editDistance(): Compare words the forgiving way searches do
+ *
+ * A query is a list of words, for example:
+ *   author:tolkien tag:fantasy status:read -tag:dnf "exact phrase"
+ * - a plain word is looked for in the title, authors, series, tags, description and reviews
+ * - "field:word" only looks in one field (title, author, series, tag,
+ *   status, description or review) - author: also finds translators and editors
+ * - "quoted words" must appear together, in that order
+ * - a leading minus leaves out books that match
+ * Every term must match for a book to be found. Upper/lower case and
+ * accents don't matter ("bronte" finds "Brontë"), and small typos are
+ * forgiven ("tolkein" finds "Tolkien").
+ */
+
+const { mainAuthors } = require('./contributors');
+
+// How much a match in each field counts towards a book's score
+const FIELD_WEIGHTS = {
+    title: 10,
+    author: 6,
+    series: 5,
+    tags: 5,
+    description: 2,
+    reviews: 1
+};
+
+// Query qualifiers and the field each one searches
+const QUALIFIERS = {
+    title: 'title',
+    author: 'author',
+    series: 'series',
+    tag: 'tags',
+    tags: 'tags',
+    status: 'status',
+    description: 'description',
+    review: 'reviews',
+    reviews: 'reviews'
+};
+
+// How good each kind of match is, from a whole word down to a typo
+const MATCH_QUALITY = {
+    word: 1,
+    prefix: 0.8,
+    inside: 0.5,
+    typo: 0.4
+};
+
+// Shortened statuses people are likely to type, e.g. status:reading
+const STATUS_ALIASES = {
+    'to read': 'want to read',
+    'want': 'want to read',
+    'reading': 'currently reading',
+    'current': 'currently reading',
+    'finished': 'read'
+};
+
+// Characters of context shown around a match in a description or review
+const SNIPPET_CONTEXT = 60;
+const SNIPPET_LENGTH = 160;
+
+/**
+ * Lowercases text and removes accents, e.g. "Brontë" becomes "bronte"
+ */
+function normalize(text) {
+    return String(text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+/**
+ * Normalizes text and remembers where every character came from,
+ * so matches in the normalized text can be highlighted in the original
+ * Returns: { text, starts, ends } - starts[i] and ends[i] are the position
+ *   of normalized character i in the original text
+ */
+function normalizeWithPositions(original) {
+    let text = '';
+    const starts = [];
+    const ends = [];
+    let position = 0;
+    for (const character of String(original || '')) {
+        const normalized = normalize(character);
+        for (const part of normalized) {
+            text += part;
+            starts.push(position);
+            ends.push(position + character.length);
+        }
+        position += character.length;
+    }
+    return { text: text, starts: starts, ends: ends };
+}
+
+/**
+ * Counts the edits (added, removed, changed or swapped letters) that turn
+ * one word into another, giving up once there are more than "limit"
+ */
+function editDistance(a, b, limit) {
+    if (Math.abs(a.length - b.length) > limit) {
+        return limit + 1;
+    }
+    let before = null;
+    let previous = Array.from({ length: b.length + 1 }, (value, index) => index);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowBest = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            let distance = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            if (before && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                distance = Math.min(distance, before[j - 2] + 1);
+            }
+            current.push(distance);
+            rowBest = Math.min(rowBest, distance);
+        }
+        if (rowBest > limit) {
+            return limit + 1;
+        }
+        before = previous;
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+/**
+ * How many typos a word of this length may have and still match
+ * Short words must be spelled right, or almost everything would match
+ */
+function allowedTypos(word) {
+    if (word.length >= 8) {
+        return 2;
+    }
+    return word.length >= 4 ? 1 : 0;
+}
+
+/**
+ * Splits a search query into terms
+ * Returns: A list of { field, text, phrase, exclude } - field is null
+ *   for terms that search every field, text is normalized
+ */
+function parseQuery(query) {
+    const terms = [];
+    const pattern = /(-?)(?:([a-z]+):)?(?:"([^"]*)"?|(\S+))/gi;
+    let match;
+    while ((match = pattern.exec(String(query || ''))) !== null) {
+        const [whole, minus, qualifier, quoted, word] = match;
+        let field = null;
+        let text = quoted !== undefined ? quoted : word;
+
+        if (qualifier && QUALIFIERS[qualifier.toLowerCase()]) {
+            field = QUALIFIERS[qualifier.toLowerCase()];
+        } else if (qualifier) {
+            // Not a field we know, e.g. "note:something" - search for it as it is
+            text = whole.slice(minus.length);
+        }
+
+        text = normalize(text).replace(/"/g, '').trim().replace(/\s+/g, ' ');
+        if (!text) {
+            continue;
+        }
+        terms.push({
+            field: field,
+            text: text,
+            phrase: quoted !== undefined && text.includes(' '),
+            exclude: minus === '-'
+        });
+    }
+    return terms;
+}
+
+/**
+ * Looks for one term in one piece of text
+ * Parameters: value - the normalized text, term - from parseQuery(),
+ *   fuzzy - whether typos are allowed
+ * Returns: { quality, ranges } with the matched parts of the normalized
+ *   text as [start, end] pairs, or null when the term is not found
+ */
+function matchText(value, term, fuzzy) {
+    const ranges = [];
+    let quality = 0;
+
+    // Phrases, and terms with spaces or punctuation like "j.r.r.", must appear exactly
+    if (term.phrase || /[^\p{L}\p{N}]/u.test(term.text)) {
+        let start = value.indexOf(term.text);
+        while (start !== -1) {
+            ranges.push([start, start + term.text.length]);
+            start = value.indexOf(term.text, start + term.text.length);
+        }
+        return ranges.length > 0 ? { quality: MATCH_QUALITY.word, ranges: ranges } : null;
+    }
+
+    const typos = fuzzy ? allowedTypos(term.text) : 0;
+    const wordPattern = /[\p{L}\p{N}]+/gu;
+    let found;
+    while ((found = wordPattern.exec(value)) !== null) {
+        const word = found[0];
+        const start = found.index;
+        let wordQuality = 0;
+        let range = [start, start + word.length];
+
+        if (word === term.text) {
+            wordQuality = MATCH_QUALITY.word;
+        } else if (word.startsWith(term.text)) {
+            wordQuality = MATCH_QUALITY.prefix;
+            range = [start, start + term.text.length];
+        } else if (term.text.length >= 3 && word.includes(term.text)) {
+            wordQuality = MATCH_QUALITY.inside;
+            const inside = start + word.indexOf(term.text);
+            range = [inside, inside + term.text.length];
+        } else if (typos > 0 && (editDistance(word, term.text, typos) <= typos ||
+            (word.length > term.text.length && editDistance(word.slice(0, term.text.length), term.text, typos) <= typos))) {
+            // A typo, or a typo in the start of a longer word
+            wordQuality = MATCH_QUALITY.typo;
+        }
+
+        if (wordQuality > 0) {
+            ranges.push(range);
+            quality = Math.max(quality, wordQuality);
+        }
+    }
+    return ranges.length > 0 ? { quality: quality, ranges: ranges } : null;
+}
+
+/**
+ * Checks a book's status against a status: term
+ * Accepts spellings like "read", "to-read", "currently_reading" or "reading"
+ */
+function matchStatus(book, term) {
+    const wanted = term.text.replace(/[-_]+/g, ' ');
+    const status = STATUS_ALIASES[wanted] || wanted;
+    return normalize(book.status) === status || normalize(book.status).startsWith(status + ' ');
+}
+
+/**
+ * Gets the texts of a book that can be searched, normalized once per book
+ * Returns: { title, author, series, tags, description, reviews } - each
+ *   a list of texts. The author list starts with the author text shown on
+ *   the page, followed by the translators and editors
+ */
+function searchableFields(book) {
+    const reviews = book.reviews || (book.review ? [{ text: book.review }] : []);
+    const others = (book.authors || []).filter(person => !mainAuthors(book.authors).includes(person));
+    return {
+        title: [normalizeWithPositions(book.title)],
+        author: [book.author].concat(others.map(person => person.name)).map(text => normalizeWithPositions(text)),
+        series: [normalizeWithPositions(book.series)],
+        tags: (book.tags || []).map(tag => normalizeWithPositions(tag)),
+        description: [normalizeWithPositions(book.description)],
+        reviews: reviews.map(review => normalizeWithPositions(review.text))
+    };
+}
+
+/**
+ * Turns ranges in normalized text back into ranges in the original text
+ */
+function originalRanges(normalized, ranges) {
+    return ranges.map(([start, end]) => [normalized.starts[start], normalized.ends[end - 1]]);
+}
+
+/**
+ * Sorts ranges and joins the ones that overlap, so nothing is highlighted twice
+ */
+function mergeRanges(ranges) {
+    const merged = [];
+    ranges.slice().sort((a, b) => a[0] - b[0]).forEach(range => {
+        const last = merged[merged.length - 1];
+        if (last && range[0] <= last[1]) {
+            last[1] = Math.max(last[1], range[1]);
+        } else {
+            merged.push([range[0], range[1]]);
+        }
+    });
+    return merged;
+}
+
+/**
+ * Cuts the part of a long text around its first match, for showing under a result
+ * Returns: { text, ranges } with the ranges moved to fit the cut text
+ */
+function makeSnippet(original, ranges) {
+    const text = String(original);
+    const start = Math.max(0, ranges[0][0] - SNIPPET_CONTEXT);
+    const end = Math.min(text.length, start + SNIPPET_LENGTH);
+    const prefix = start > 0 ? '…' : '';
+    const suffix = end < text.length ? '…' : '';
+    return {
+        text: prefix + text.slice(start, end) + suffix,
+        ranges: ranges
+            .filter(([from, to]) => from >= start && to <= end)
+            .map(([from, to]) => [from - start + prefix.length, to - start + prefix.length])
+    };
+}
+
+/**
+ * Scores one book against the parsed terms
+ * Returns: { score, highlights }, or null when the book doesn't match
+ */
+function scoreBook(book, terms) {
+    const fields = searchableFields(book);
+    const found = { title: [], author: [], series: [], tags: [], description: [], reviews: [] };
+    let score = 0;
+
+    for (const term of terms) {
+        if (term.field === 'status') {
+            if (matchStatus(book, term) === term.exclude) {
+                return null;
+            }
+            score += term.exclude ? 0 : 1;
+            continue;
+        }
+
+        // The best field counts fully, other fields that match add a little
+        // Left out books are only found by exact words, never by typos
+        let best = 0;
+        let total = 0;
+        const searchIn = term.field ? [term.field] : Object.keys(FIELD_WEIGHTS);
+        for (const field of searchIn) {
+            fields[field].forEach((value, index) => {
+                const match = matchText(value.text, term, !term.exclude);
+                if (!match) {
+                    return;
+                }
+                const fieldScore = FIELD_WEIGHTS[field] * match.quality;
+                best = Math.max(best, fieldScore);
+                total += fieldScore;
+                found[field].push({ index: index, ranges: match.ranges });
+            });
+        }
+
+        if (term.exclude ? best > 0 : best === 0) {
+            return null;
+        }
+        if (!term.exclude) {
+            // A whole phrase matching counts double
+            const termScore = best + (total - best) * 0.1;
+            score += term.phrase ? termScore * 2 : termScore;
+        }
+    }
+
+    return { score: score, highlights: buildHighlights(book, fields, found) };
+}
+
+/**
+ * Builds the highlights for a found book
+ * Returns: { title, author, tags, snippet } - title and author are lists of
+ *   [start, end] ranges, tags the matching tags, snippet the part of the
+ *   description or a review around the first match (or null)
+ */
+function buildHighlights(book, fields, found) {
+    // Only the first text of a field is shown on the page, e.g. the author text
+    const rangesIn = field => {
+        const ranges = [].concat(...found[field].filter(match => match.index === 0).map(match => match.ranges));
+        return mergeRanges(originalRanges(fields[field][0], ranges));
+    };
+
+    let snippet = null;
+    if (found.description.length > 0) {
+        snippet = Object.assign({ field: 'description' }, makeSnippet(book.description, rangesIn('description')));
+    } else if (found.reviews.length > 0) {
+        const first = found.reviews[0];
+        const reviews = book.reviews || [{ text: book.review }];
+        const ranges = mergeRanges(originalRanges(fields.reviews[first.index], first.ranges));
+        snippet = Object.assign({ field: 'review' }, makeSnippet(reviews[first.index].text, ranges));
+    }
+
+    return {
+        title: rangesIn('title'),
+        author: rangesIn('author'),
+        tags: [...new Set(found.tags.map(match => book.tags[match.index]))],
+        snippet: snippet
+    };
+}
+
+/**
+ * Finds the books matching a query, best match first
+ * Books that match equally well are sorted by title
+ * Returns: A list of { book, score, highlights }
+ */
+function searchBooks(books, query) {
+    const terms = parseQuery(query);
+    if (terms.length === 0) {
+        return books.map(book => ({ book: book, score: 0, highlights: null }));
+    }
+
+    const results = [];
+    books.forEach(book => {
+        const result = scoreBook(book, terms);
+        if (result) {
+            results.push({ book: book, score: Math.round(result.score * 100) / 100, highlights: result.highlights });
+        }
+    });
+    return results.sort((a, b) => b.score - a.score || String(a.book.title).localeCompare(String(b.book.title)));
+}
+
+module.exports = {
+    normalize,
+    editDistance,
+    parseQuery,
+    searchBooks
+};
@@ -1,38 +1,1641 @@
-const express = require('express');
-const fs = require('fs');
 const path = require('path');
+const express = require('express');
+const config = require('./config');
+const { createStore, isLockedError } = require('./storage');
+const { createIsbnLookup } = require('./metadata');
+const { parseIsbn } = require('./isbn');
+const { ROLES, validateBook, validateShelf, validateAccount, validateReadingGoal, validateTagName } = require('./validation');
+const { IMPORT_FORMATS, exportBooks, planImport } = require('./importExport');
+const { applyStatusChange } = require('./readingLog');
+const { currentLoan, checkOut, checkIn, daysOverdue } = require('./lending');
+const { parseBrowseOptions, browseBooks } = require('./browse');
+const { hashPassword, checkPassword, publicUser, createSessions } = require('./accounts');
+const { personalize, saveReaderFields } = require('./readers');
+const { createCoverStore } = require('./covers');
+const { isTrashed, purgeDate, expiredBooks } = require('./deletion');
+const { keepCoverFiles, createCatalog } = require('./catalog');
+const { auditEntry, undoChanges, entryForUser } = require('./audit');
+const { readingStats } = require('./readingStats');
+const { findDuplicates, findDuplicateClusters, mergeReaders } = require('./dedupe');
+const { createLiveUpdates } = require('./liveUpdates');
+const { buildTagIndex, replaceTags } = require('./tagIndex');
+const { personKey, contributorRoles, compareSeriesOrder, upgradeAuthors } = require('./contributors');
 const app = express();
 
-app.use(express.json());
-app.use(express.static('.'));
+// Where the books are kept - a JSON file or SQLite, see config.js
+// The server never waits while the command line tool has the library
+// locked: waiting would hold up every other request too, so the change
+// is answered with 503 instead (see sendServerError())
+const store = createStore(config, console.log, 0);
+
+// Finds book details for an ISBN - a local catalog and/or Open Library, see config.js
+const isbnLookup = createIsbnLookup(config);
+
+// Uploaded and downloaded covers, with their thumbnails - see covers.js
+const covers = createCoverStore(config);
+
+// Logging in and out - sessions are kept in the store, see accounts.js
+const sessions = createSessions(store, config);
+
+// Tells open pages about every book change as it happens, see liveUpdates.js
+const liveUpdates = createLiveUpdates();
+
+// Adding, changing and deleting books, the same way the command line tool does - see catalog.js
+const catalog = createCatalog(store, liveUpdates.broadcast);
+const { getLiveBook, listLiveBooks, spellTagsLikeLibrary, spellSeriesLikeLibrary } = catalog;
+
+// Imports can send a whole spreadsheet at once, so allow big request bodies
+app.use(express.json({ limit: '10mb' }));
+
+// What the browser may load on our pages. Scripts only come from our own
+// files, so a title or tag that sneaks HTML onto a page still can't run.
+// Cover addresses can point at any web site; page layouts use style="...".
+const CONTENT_SECURITY_POLICY = [
+    "default-src 'self'",
+    "script-src 'self'",
+    "style-src 'self' 'unsafe-inline'",
+    "img-src 'self' http: https:",
+    "object-src 'none'",
+    "base-uri 'self'",
+    "form-action 'self'",
+    "frame-ancestors 'none'"
+].join('; ');
+
+// Security headers on every reply
+app.disable('x-powered-by');
+app.use((req, res, next) => {
+    res.set({
+        'Content-Security-Policy': CONTENT_SECURITY_POLICY,
+        // Files are only used as the type we send, e.g. a cover is never run as a script
+        'X-Content-Type-Options': 'nosniff',
+        // No other site may show our pages in a frame (clickjacking)
+        'X-Frame-Options': 'DENY',
+        // Cover sites don't need to know which book page they were shown on
+        'Referrer-Policy': 'same-origin'
+    });
+    next();
+});
+
+app.use('/uploads', express.static(config.uploadDir));
+// Only the public folder is sent as plain files: the library file, the
+// database and the backups (which hold every password hash) are kept
+// outside it, so no spelling of their address can reach them
+app.use(express.static(path.join(__dirname, 'public')));
+
+// Every request after this knows who is logged in (req.user, or null)
+app.use(sessions.loadUser);
+
+/**
+ * Turns a revision number into an ETag header value, e.g. 3 becomes "3"
+ */
+function revisionTag(revision) {
+    return '"' + (revision || 0) + '"';
+}
+
+/**
+ * Checks the If-Match header against the current revision of a book
+ * Browsers send the revision they last saw; if the book has been saved
+ * since then, their change would overwrite someone else's work.
+ * Requests without If-Match are always allowed.
+ * Routes read, check and save inside one store.transaction(), so the
+ * command line tool can't save the book in between (see storage/index.js).
+ */
+function revisionMatches(req, revision) {
+    const ifMatch = req.get('If-Match');
+    if (!ifMatch || ifMatch.trim() === '*') {
+        return true;
+    }
+    return ifMatch.split(',').some(tag => {
+        return tag.trim().replace(/^W\//, '') === revisionTag(revision);
+    });
+}
+
+/**
+ * Sends a 409 reply with the latest version of the book (or shelf)
+ * The page can use it to reload and apply its change again
+ * Parameter: kind - (optional) "book" or "shelf", the name of the reply field
+ */
+function sendConflict(res, record, kind) {
+    kind = kind || 'book';
+    console.log('Revision conflict for ' + kind, record.id);
+    const reply = { error: 'This ' + kind + ' was changed by someone else' };
+    reply[kind] = record;
+    res.status(409)
+        .set('ETag', revisionTag(record.revision))
+        .json(reply);
+}
+
+// The loan history is only changed by checking a book out and returning
+// it (see lending.js), never by editing the book
+const LOANS_NOT_EDITABLE = { field: 'loans', message: 'Loans can only be changed by checking the book out and returning it' };
+
+/**
+ * Sends a 400 reply listing every field that failed validation
+ * The add book page uses the field names to show each message next to its input
+ * Parameter: kind - (optional) "Book", "Shelf", "Account", "Cover", "Reading goal", "Tag"
+ *   or "ISBN", for the error message
+ */
+function sendValidationErrors(res, errors, kind) {
+    kind = kind || 'Book';
+    console.log(kind + ' failed validation:', errors);
+    res.status(400).json({ error: kind + ' is not valid', errors: errors });
+}
+
+/**
+ * Sends the reply for an error the route didn't expect
+ * When another program has the library locked the browser is asked to
+ * try again in a moment (503 with Retry-After); anything else is a 500
+ */
+function sendServerError(res, error) {
+    if (isLockedError(error)) {
+        return res.status(503).set('Retry-After', '1').json({ error: 'The library is busy saving another change - please try again in a moment' });
+    }
+    res.status(500).json({ error: error.message });
+}
+
+/**
+ * Saves change history entries, all in one go, and tells the open pages
+ * (see recordChanges() in catalog.js)
+ * Parameters: entries - the entries, req - (optional) the request that made
+ *   the changes, so the browser tab that sent it can skip them
+ */
+function recordChanges(entries, req) {
+    catalog.recordChanges(entries, clientId(req));
+}
+
+/**
+ * Gets the browser tab that sent a request (see liveUpdates.js), or null
+ */
+function clientId(req) {
+    return req ? req.get('X-Client-Id') || null : null;
+}
+
+/**
+ * Gives every book saved before books had an authors list its list, made
+ * from its author text (see upgradeAuthors() in contributors.js)
+ * Runs once when the server starts; upgraded books are left alone after that
+ */
+function upgradeOldAuthors() {
+    try {
+        store.transaction(() => {
+            const books = store.list('books');
+            const upgraded = books.map(upgradeAuthors).filter(book => book);
+            if (upgraded.length > 0) {
+                store.importRecords('books', upgraded);
+                recordChanges(upgraded.map(book => {
+                    const before = books.find(other => other.id === book.id);
+                    return auditEntry(null, 'update', before, book);
+                }));
+                console.log('Added author lists to ' + upgraded.length + ' books');
+            }
+        });
+    } catch (error) {
+        console.log('Error upgrading authors:', error.message);
+    }
+}
+
+/**
+ * Removes a book for good: its saved cover goes, and so does its place on every shelf
+ */
+function purgeBook(book) {
+    const removed = store.delete('books', book.id);
+    if (!removed) {
+        return null;
+    }
+    covers.remove(removed.coverFiles);
+
+    store.list('shelves').forEach(shelf => {
+        if (shelf.bookIds.some(id => String(id) === String(removed.id))) {
+            store.update('shelves', shelf.id, Object.assign({}, shelf, {
+                bookIds: shelf.bookIds.filter(id => String(id) !== String(removed.id)),
+                revision: (shelf.revision || 0) + 1
+            }));
+        }
+    });
+    return removed;
+}
+
+/**
+ * Removes the books that have been in the trash longer than config.trashDays
+ * Runs when the server starts and then every hour
+ */
+function purgeExpiredBooks() {
+    try {
+        store.transaction(() => {
+            const expired = expiredBooks(store.list('books'), new Date().toISOString(), config.trashDays);
+            expired.forEach(purgeBook);
+            recordChanges(expired.map(book => auditEntry(null, 'purge', book, null)));
+            if (expired.length > 0) {
+                console.log('Removed ' + expired.length + ' books from the trash for good');
+            }
+        });
+    } catch (error) {
+        console.log('Error emptying the trash:', error.message);
+    }
+}
+
+/**
+ * A book in the trash as one user sees it, with the date it will be removed for good
+ */
+function trashSummary(book, userId) {
+    return Object.assign(personalize(book, userId), { purgeAt: purgeDate(book, config.trashDays) });
+}
+
+/**
+ * Gets the id of the logged in user, or null for visitors
+ * Each user has their own status, rating and reviews, see readers.js
+ */
+function readerId(req) {
+    return req.user ? req.user.id : null;
+}
+
+/**
+ * Gets every book the way the logged in user sees it
+ */
+function listBooksFor(req) {
+    return listLiveBooks().map(book => personalize(book, readerId(req)));
+}
+
+app.post('/register', async (req, res) => {
+    console.log('POST /register requested');
+    try {
+        const { account, errors } = validateAccount(req.body);
+        if (errors.length > 0) {
+            return sendValidationErrors(res, errors, 'Account');
+        }
+
+        // The password is hashed first - checking it takes a moment, and
+        // the list of users could change in the meantime
+        const passwordHash = await hashPassword(account.password);
+
+        store.transaction(() => {
+            const users = store.list('users');
+            const firstUser = users.length === 0;
+            const isAdmin = req.user && req.user.role === 'admin';
+            if (!firstUser && !config.allowSignup && !isAdmin) {
+                return res.status(403).json({ error: 'New accounts can only be created by an admin' });
+            }
+            if (users.some(user => user.username.toLowerCase() === account.username.toLowerCase())) {
+                return sendValidationErrors(res, [{ field: 'username', message: 'The user name "' + account.username + '" is taken' }], 'Account');
+            }
+
+            // The first account looks after the library
+            const user = store.create('users', {
+                username: account.username,
+                passwordHash: passwordHash,
+                role: firstUser ? 'admin' : 'member',
+                dateCreated: new Date().toISOString()
+            });
+            if (firstUser) {
+                const claimed = catalog.claimOldReadingData(user);
+                if (claimed > 0) {
+                    console.log('Gave the reading data of ' + claimed + ' books to ' + user.username);
+                }
+            }
+
+            // An admin making an account for someone else stays logged in as themselves
+            if (!req.user) {
+                sessions.start(res, user);
+            }
+            res.status(201).json({ success: true, user: publicUser(user) });
+        });
+    } catch (error) {
+        console.log('Error creating account:', error.message);
+        sendServerError(res, error);
+    }
+});
+
+app.post('/login', async (req, res) => {
+    const body = req.body || {};
+    const username = String(body.username || '').trim();
+    console.log('POST /login requested for', username);
+    try {
+        const user = store.list('users').find(other => other.username.toLowerCase() === username.toLowerCase());
+        const passwordIsRight = user ? await checkPassword(String(body.password || ''), user.passwordHash) : false;
+
+        // The same message either way, so nobody can find out which user names exist
+        if (!passwordIsRight) {
+            return res.status(401).json({ error: 'Wrong user name or password' });
+        }
+
+        sessions.start(res, user);
+        res.json({ success: true, user: publicUser(user) });
+    } catch (error) {
+        console.log('Error logging in:', error.message);
+        sendServerError(res, error);
+    }
+});
+
+app.post('/logout', (req, res) => {
+    console.log('POST /logout requested');
+    try {
+        sessions.end(req, res);
+        res.json({ success: true });
+    } catch (error) {
+        console.log('Error logging out:', error.message);
+        sendServerError(res, error);
+    }
+});
+
+app.get('/me', (req, res) => {
+    console.log('GET /me requested');
+    try {
+        // canSignUp tells the login page whether to offer "Create an account"
+        res.json({
+            user: req.user ? publicUser(req.user) : null,
+            canSignUp: config.allowSignup || store.list('users').length === 0
+        });
+    } catch (error) {
+        console.log('Error reading user:', error.message);
+        sendServerError(res, error);
+    }
+});
+
+// Changes the logged in user's own settings: { readingGoal } (null for the library's default)
+app.patch('/me', sessions.requireUser, (req, res) => {
+    console.log('PATCH /me requested');
+    try {
+        store.transaction(() => {
+            const { goal, errors } = validateReadingGoal(req.body ? req.body.readingGoal : undefined);
+            if (errors.length > 0) {
+                return sendValidationErrors(res, errors, 'Reading goal');
+            }
+
+            const user = store.update('users', req.user.id, Object.assign({}, store.get('users', req.user.id), { readingGoal: goal }));
+            res.json({ success: true, user: publicUser(user) });
+        });
+    } catch (error) {
+        console.log('Error updating user:', error.message);
+        sendServerError(res, error);
+    }
+});
+
+app.get('/users', sessions.requireAdmin, (req, res) => {
+    console.log('GET /users requested');
+    try {
+        const users = store.list('users').map(publicUser);
+        res.json({ totalUsers: users.length, users: users });
+    } catch (error) {
+        console.log('Error reading users:', error.message);
+        sendServerError(res, error);
+    }
+});
+
+app.patch('/users/:id', sessions.requireAdmin, (req, res) => {
+    console.log('PATCH /users/' + req.params.id + ' requested');
+    try {
+        store.transaction(() => {
+            const existing = store.get('users', req.params.id);
+
+            if (!existing) {
+                return res.status(404).json({ error: 'User not found' });
+            }
+
+            // Only the role can be changed here: { role: 'admin' } or { role: 'member' }
+            const role = req.body && req.body.role;
+            if (!ROLES.includes(role)) {
+                return sendValidationErrors(res, [{ field: 'role', message: 'Role must be one of: ' + ROLES.join(', ') }], 'Account');
+            }
+            const otherAdmins = store.list('users').filter(user => user.role === 'admin' && String(user.id) !== String(existing.id));
+            if (role !== 'admin' && otherAdmins.length === 0) {
+                return sendValidationErrors(res, [{ field: 'role', message: 'The library needs at least one admin' }], 'Account');
+            }
+
+            const user = store.update('users', existing.id, Object.assign({}, existing, { role: role }));
+            res.json({ success: true, user: publicUser(user) });
+        });
+    } catch (error) {
+        console.log('Error updating user:', error.message);
+        sendServerError(res, error);
+    }
+});
+
+// Live updates: the page keeps this request open and gets a message for
+// every book that is added, changed or deleted (see liveUpdates.js)
+app.get('/events', (req, res) => {
+    console.log('GET /events requested');
+    liveUpdates.subscribe(req, res);
+});
 
 app.get('/books', (req, res) => {
     console.log('GET /books requested');
     try {
-        const data = fs.readFileSync('books.json', 'utf8');
-        console.log('Books file read successfully');
-        res.json(JSON.parse(data));
+        // Same shape as books.json, whichever storage is used
+        const info = store.info();
+        const books = listBooksFor(req);
+        const library = {
+            library: info.library,
+            lastUpdated: info.lastUpdated,
+            revision: info.revision,
+            totalBooks: books.length,
+            books: books
+        };
+
+        // With a search, sort, filter or page setting (see browse.js) only
+        // the books for that view are sent, plus counts for the filters.
+        // Searches also get the score and the parts to highlight for each book.
+        const browseSettings = ['q', 'sort', 'order', 'status', 'tag', 'rating', 'shelf', 'page', 'pageSize'];
+        if (browseSettings.some(setting => setting in req.query)) {
+            const options = parseBrowseOptions(req.query);
+
+            // Only the books on the picked shelf, in the shelf's order
+            if (options.shelf) {
+                const shelf = store.get('shelves', options.shelf);
+                if (!shelf) {
+                    return res.status(404).json({ error: 'Shelf not found' });
+                }
+                options.shelfBookIds = shelf.bookIds;
+            }
+
+            const view = browseBooks(books, options);
+            Object.assign(library, view, { query: options.q, sort: options.sort, order: options.order });
+        }
+
+        res.set('ETag', revisionTag(info.revision)).json(library);
     } catch (error) {
-        console.log('Books file not found, returning empty array');
-        res.json({ books: [] });
+        console.log('Error reading books:', error.message);
+        sendServerError(res, error);
     }
 });
 
-app.post('/books', (req, res) => {
+app.get('/books/:id', (req, res) => {
+    console.log('GET /books/' + req.params.id + ' requested');
+    try {
+        const book = getLiveBook(req.params.id);
+
+        if (!book) {
+            return res.status(404).json({ error: 'Book not found' });
+        }
+
+        res.set('ETag', revisionTag(book.revision)).json(personalize(book, readerId(req)));
+    } catch (error) {
+        console.log('Error reading books:', error.message);
+        sendServerError(res, error);
+    }
+});
+
+app.post('/books', sessions.requireUser, (req, res) => {
     console.log('POST /books requested');
     console.log('Request body:', req.body);
     try {
-        fs.writeFileSync('books.json', JSON.stringify(req.body, null, 2));
-        console.log('Books file written successfully');
-        console.log('File contents:', JSON.stringify(req.body, null, 2));
-        res.json({ success: true });
+        const { book: fields, errors } = validateBook(req.body, false);
+        if (errors.length > 0) {
+            return sendValidationErrors(res, errors);
+        }
+        // The status, rating and reviews sent are the new book's first reader's
+        const book = catalog.addBook(fields, req.user, { keepReadings: 'readings' in req.body, clientId: clientId(req) });
+        res.status(201).set('ETag', revisionTag(book.revision)).json({ success: true, book: book });
+    } catch (error) {
+        console.log('Error adding book:', error.message);
+        sendServerError(res, error);
+    }
+});
+
+app.put('/books/:id', sessions.requireUser, (req, res) => {
+    console.log('PUT /books/' + req.params.id + ' requested');
+    try {
+        store.transaction(() => {
+            const saved = getLiveBook(req.params.id);
+
+            if (!saved) {
+                return res.status(404).json({ error: 'Book not found' });
+            }
+            // Everything below works on the book as this user sees it
+            const existing = personalize(saved, req.user.id);
+
+            if (req.body && 'loans' in req.body) {
+                return sendValidationErrors(res, [LOANS_NOT_EDITABLE]);
+            }
+            const { book: fields, errors } = validateBook(req.body, false, existing);
+            if (errors.length > 0) {
+                return sendValidationErrors(res, errors);
+            }
+            if (!revisionMatches(req, existing.revision)) {
+                return sendConflict(res, existing);
+            }
+            fields.tags = spellTagsLikeLibrary(fields.tags, existing.id);
+            fields.series = spellSeriesLikeLibrary(fields.series, existing.id);
+
+            // Replace every field, but never the id, the original dateAdded,
+            // the loan history or the reading log (unless a new one was sent)
+            const now = new Date().toISOString();
+            const newBook = Object.assign({}, fields, {
+                dateAdded: fields.dateAdded || existing.dateAdded,
+                readings: 'readings' in req.body ? fields.readings : (existing.readings || []),
+                loans: existing.loans || [],
+                dateModified: now,
+                revision: (existing.revision || 0) + 1
+            });
+            if (!('readings' in req.body)) {
+                applyStatusChange(existing, newBook, now);
+            }
+            const oldCover = keepCoverFiles(existing, newBook);
+
+            const book = store.update('books', existing.id, saveReaderFields(newBook, saved, req.user.id));
+            covers.remove(oldCover);
+            recordChanges([auditEntry(req.user, 'update', saved, book)], req);
+            res.set('ETag', revisionTag(book.revision)).json({ success: true, book: personalize(book, req.user.id) });
+        });
+    } catch (error) {
+        console.log('Error replacing book:', error.message);
+        sendServerError(res, error);
+    }
+});
+
+app.patch('/books/:id', sessions.requireUser, (req, res) => {
+    console.log('PATCH /books/' + req.params.id + ' requested');
+    console.log('Changes:', req.body);
+    try {
+        store.transaction(() => {
+            const saved = getLiveBook(req.params.id);
+
+            if (!saved) {
+                return res.status(404).json({ error: 'Book not found' });
+            }
+            // Everything below works on the book as this user sees it
+            const existing = personalize(saved, req.user.id);
+
+            if (req.body && 'loans' in req.body) {
+                return sendValidationErrors(res, [LOANS_NOT_EDITABLE]);
+            }
+            const { book: changes, errors } = validateBook(req.body, true, existing);
+            if (errors.length > 0) {
+                return sendValidationErrors(res, errors);
+            }
+            if (!revisionMatches(req, existing.revision)) {
+                return sendConflict(res, existing);
+            }
+            const { book, oldCover } = catalog.changeBook(saved.id, changes, req.user, { keepReadings: 'readings' in changes, clientId: clientId(req) });
+            covers.remove(oldCover);
+            res.set('ETag', revisionTag(book.revision)).json({ success: true, book: book });
+        });
+    } catch (error) {
+        console.log('Error updating book:', error.message);
+        sendServerError(res, error);
+    }
+});
+
+// Books are shared by every reader, so only an admin can remove one
+// The book goes into the trash (see deletion.js) and can be restored from there
+app.delete('/books/:id', sessions.requireAdmin, (req, res) => {
+    console.log('DELETE /books/' + req.params.id + ' requested');
+    try {
+        store.transaction(() => {
+            const existing = getLiveBook(req.params.id);
+
+            if (!existing) {
+                return res.status(404).json({ error: 'Book not found' });
+            }
+            if (!revisionMatches(req, existing.revision)) {
+                return sendConflict(res, personalize(existing, req.user.id));
+            }
+
+            const book = catalog.trashBook(existing.id, req.user, clientId(req));
+            res.json({ success: true, book: trashSummary(book, req.user.id) });
+        });
+    } catch (error) {
+        console.log('Error deleting book:', error.message);
+        sendServerError(res, error);
+    }
+});
+
+/**
+ * Puts a new cover (from covers.save or covers.download) on a book
+ * The book is read again first: making the thumbnails takes a moment,
+ * and someone may have changed or deleted the book in the meantime
+ * Parameter: result - { coverFiles } or { error }
+ */
+function saveCoverFiles(req, res, bookId, result) {
+    if (result.error) {
+        return sendValidationErrors(res, [{ field: 'coverFile', message: result.error }], 'Cover');
+    }
+
+    store.transaction(() => {
+        const existing = getLiveBook(bookId);
+        if (!existing) {
+            covers.remove(result.coverFiles);
+            return res.status(404).json({ error: 'Book not found' });
+        }
+        if (!revisionMatches(req, existing.revision)) {
+            covers.remove(result.coverFiles);
+            return sendConflict(res, personalize(existing, req.user.id));
+        }
+
+        const book = store.update('books', existing.id, Object.assign({}, existing, {
+            coverFiles: result.coverFiles,
+            dateModified: new Date().toISOString(),
+            revision: (existing.revision || 0) + 1
+        }));
+        covers.remove(existing.coverFiles);
+        recordChanges([auditEntry(req.user, 'update', existing, book)], req);
+        res.set('ETag', revisionTag(book.revision)).json({ success: true, book: personalize(book, req.user.id) });
+    });
+}
+
+// Fields a revert leaves as they are now: loans record what really
+// happened, and the trash and saved covers are handled on their own
+const KEEP_ON_REVERT = ['id', 'loans', 'deletedAt', 'deletedBy', 'mergedInto', 'coverFiles'];
+
+// Takes a book back to how it was right after one of its history entries: { auditId }
+// Only the shared fields and the user's own reading data go back - other
+// readers keep their status, rating and reviews
+app.post('/books/:id/revert', sessions.requireUser, (req, res) => {
+    console.log('POST /books/' + req.params.id + '/revert requested');
+    try {
+        store.transaction(() => {
+            const saved = getLiveBook(req.params.id);
+
+            if (!saved) {
+                return res.status(404).json({ error: 'Book not found' });
+            }
+            const target = req.body && req.body.auditId !== undefined ? store.get('audit', req.body.auditId) : null;
+            if (!target || String(target.bookId) !== String(saved.id) || target.revision === null) {
+                return res.status(404).json({ error: 'That version of the book was not found' });
+            }
+            if (!revisionMatches(req, saved.revision)) {
+                return sendConflict(res, personalize(saved, req.user.id));
+            }
+
+            // Undo every later change, newest first
+            const later = store.list('audit')
+                .filter(entry => String(entry.bookId) === String(saved.id) && Number(entry.id) > Number(target.id))
+                .sort((a, b) => Number(b.id) - Number(a.id));
+            const version = later.reduce((book, entry) => undoChanges(book, entry.changes), saved);
+
+            // Versions from before books had an authors list get one again
+            const newBook = Object.assign({}, upgradeAuthors(version) || version, {
+                dateModified: new Date().toISOString(),
+                revision: (saved.revision || 0) + 1
+            });
+            KEEP_ON_REVERT.forEach(field => {
+                delete newBook[field];
+                if (field in saved) {
+                    newBook[field] = saved[field];
+                }
+            });
+            const userKey = String(req.user.id);
+            newBook.readers = Object.assign({}, saved.readers);
+            if (version.readers && version.readers[userKey]) {
+                newBook.readers[userKey] = version.readers[userKey];
+            } else {
+                delete newBook.readers[userKey];
+            }
+            const oldCover = keepCoverFiles(saved, newBook);
+
+            const book = store.update('books', saved.id, newBook);
+            covers.remove(oldCover);
+            recordChanges([Object.assign(auditEntry(req.user, 'revert', saved, book), { revertedTo: target.id })], req);
+            res.set('ETag', revisionTag(book.revision)).json({ success: true, book: personalize(book, req.user.id) });
+        });
+    } catch (error) {
+        console.log('Error reverting book:', error.message);
+        sendServerError(res, error);
+    }
+});
+
+// The change history, newest first: ?bookId= for one book, ?page= and ?pageSize=
+app.get('/audit', sessions.requireUser, (req, res) => {
+    console.log('GET /audit requested');
+    try {
+        let entries = store.list('audit');
+        if (req.query.bookId) {
+            entries = entries.filter(entry => String(entry.bookId) === String(req.query.bookId));
+        }
+
+        // Each user only sees the reading data they may see, see audit.js
+        const usernames = new Map(store.list('users').map(user => [String(user.id), user.username]));
+        entries = entries
+            .slice()
+            .reverse()
+            .map(entry => entryForUser(entry, req.user, usernames))
+            .filter(entry => entry);
+
+        const pageSize = Math.min(500, Math.max(1, Math.floor(Number(req.query.pageSize)) || 50));
+        const pages = Math.max(1, Math.ceil(entries.length / pageSize));
+        const page = Math.min(pages, Math.max(1, Math.floor(Number(req.query.page)) || 1));
+        res.json({
+            totalEntries: entries.length,
+            page: page,
+            pageSize: pageSize,
+            pages: pages,
+            entries: entries.slice((page - 1) * pageSize, page * pageSize)
+        });
     } catch (error) {
-        console.log('Error writing books file:', error.message);
-        res.status(500).json({ error: error.message });
+        console.log('Error reading change history:', error.message);
+        sendServerError(res, error);
     }
 });
 
-app.listen(3000, () => {
-    console.log('Server running at http://localhost:3000');
-    console.log('Open your browser and go to http://localhost:3000');
-});
\ No newline at end of file
+app.post('/books/:id/restore', sessions.requireAdmin, (req, res) => {
+    console.log('POST /books/' + req.params.id + '/restore requested');
+    try {
+        store.transaction(() => {
+            const existing = store.get('books', req.params.id);
+
+            if (!existing || !isTrashed(existing)) {
+                return res.status(404).json({ error: 'This book is not in the trash' });
+            }
+
+            const newBook = Object.assign({}, existing, {
+                dateModified: new Date().toISOString(),
+                revision: (existing.revision || 0) + 1
+            });
+            delete newBook.deletedAt;
+            delete newBook.deletedBy;
+            delete newBook.mergedInto;
+
+            const book = store.update('books', existing.id, newBook);
+            recordChanges([auditEntry(req.user, 'restore', existing, book)], req);
+            res.set('ETag', revisionTag(book.revision)).json({ success: true, book: personalize(book, req.user.id) });
+        });
+    } catch (error) {
+        console.log('Error restoring book:', error.message);
+        sendServerError(res, error);
+    }
+});
+
+app.get('/trash', sessions.requireAdmin, (req, res) => {
+    console.log('GET /trash requested');
+    try {
+        // Most recently deleted first
+        const books = store.list('books')
+            .filter(isTrashed)
+            .sort((a, b) => String(b.deletedAt).localeCompare(String(a.deletedAt)))
+            .map(book => trashSummary(book, req.user.id));
+        res.json({ totalBooks: books.length, trashDays: config.trashDays, books: books });
+    } catch (error) {
+        console.log('Error reading trash:', error.message);
+        sendServerError(res, error);
+    }
+});
+
+app.delete('/trash/:id', sessions.requireAdmin, (req, res) => {
+    console.log('DELETE /trash/' + req.params.id + ' requested');
+    try {
+        store.transaction(() => {
+            const existing = store.get('books', req.params.id);
+
+            if (!existing || !isTrashed(existing)) {
+                return res.status(404).json({ error: 'This book is not in the trash' });
+            }
+
+            const removed = purgeBook(existing);
+            recordChanges([auditEntry(req.user, 'purge', removed, null)], req);
+            res.json({ success: true, book: personalize(removed, req.user.id) });
+        });
+    } catch (error) {
+        console.log('Error removing book from trash:', error.message);
+        sendServerError(res, error);
+    }
+});
+
+// Empties the whole trash
+app.delete('/trash', sessions.requireAdmin, (req, res) => {
+    console.log('DELETE /trash requested');
+    try {
+        store.transaction(() => {
+            const trashed = store.list('books').filter(isTrashed);
+            trashed.forEach(purgeBook);
+            recordChanges(trashed.map(book => auditEntry(req.user, 'purge', book, null)), req);
+            res.json({ success: true, removed: trashed.length });
+        });
+    } catch (error) {
+        console.log('Error emptying trash:', error.message);
+        sendServerError(res, error);
+    }
+});
+
+// Checks if a book that is about to be added is already in the library:
+// ?title=&author=&isbn= - used by the add book page to warn about duplicates
+app.get('/duplicates/check', (req, res) => {
+    console.log('GET /duplicates/check requested');
+    try {
+        const isbn = parseIsbn(req.query.isbn || '');
+        const candidate = {
+            title: String(req.query.title || ''),
+            author: String(req.query.author || ''),
+            isbn13: isbn ? isbn.isbn13 : ''
+        };
+        const duplicates = findDuplicates(candidate, listLiveBooks()).map(match => ({
+            reason: match.reason,
+            book: { id: match.book.id, title: match.book.title, author: match.book.author, isbn13: match.book.isbn13 }
+        }));
+        res.json({ totalDuplicates: duplicates.length, duplicates: duplicates });
+    } catch (error) {
+        console.log('Error checking for duplicates:', error.message);
+        sendServerError(res, error);
+    }
+});
+
+// Every group of books that look like the same book, for the duplicates page
+app.get('/duplicates', sessions.requireAdmin, (req, res) => {
+    console.log('GET /duplicates requested');
+    try {
+        const clusters = findDuplicateClusters(listLiveBooks()).map(cluster => ({
+            reason: cluster.reason,
+            books: cluster.books.map(book => personalize(book, req.user.id))
+        }));
+        res.json({ totalClusters: clusters.length, clusters: clusters });
+    } catch (error) {
+        console.log('Error finding duplicates:', error.message);
+        sendServerError(res, error);
+    }
+});
+
+// The fields that can be picked from any of the books being merged
+// (status, rating and current page are the admin's own, see readers.js)
+const MERGE_FIELDS = ['title', 'authors', 'series', 'seriesNumber', 'description', 'coverImage', 'isbn', 'pageCount', 'status', 'rating', 'currentPage'];
+
+// Merges duplicate books into one:
+// { keepId, mergeIds: [...], fields: { title: <book id>, ... }, tags: [...], reviews: [...] }
+// Fields that aren't picked come from the kept book; tags and reviews default
+// to those of all the books. Loans, readings and other readers' data are combined.
+// The other books go to the trash, and the kept one takes their place on shelves.
+app.post('/duplicates/merge', sessions.requireAdmin, (req, res) => {
+    console.log('POST /duplicates/merge requested');
+    try {
+        store.transaction(() => {
+            const body = req.body || {};
+            const keep = getLiveBook(body.keepId);
+            const mergeIds = Array.isArray(body.mergeIds) ? body.mergeIds.map(String) : [];
+
+            if (!keep) {
+                return res.status(404).json({ error: 'Book not found' });
+            }
+            if (mergeIds.length === 0 || mergeIds.includes(String(keep.id)) || new Set(mergeIds).size !== mergeIds.length) {
+                return sendValidationErrors(res, [{ field: 'mergeIds', message: 'Pick at least one other book to merge' }]);
+            }
+            const others = mergeIds.map(getLiveBook);
+            if (others.some(book => !book)) {
+                return res.status(404).json({ error: 'Book not found' });
+            }
+            if (!revisionMatches(req, keep.revision)) {
+                return sendConflict(res, personalize(keep, req.user.id));
+            }
+            const all = [keep].concat(others);
+
+            // Only one of the copies can be out on loan at a time
+            if (all.filter(book => currentLoan(book)).length > 1) {
+                return res.status(409).json({ error: 'More than one of these books is on loan. Mark them as returned first.' });
+            }
+
+            // Work on the kept book as the admin sees it, with everyone's reading data combined
+            const combined = Object.assign({}, keep, { readers: mergeReaders(all) });
+            const existing = personalize(combined, req.user.id);
+
+            const changes = {};
+            const picks = body.fields && typeof body.fields === 'object' ? body.fields : {};
+            const errors = [];
+            Object.keys(picks).forEach(field => {
+                const source = all.find(book => String(book.id) === String(picks[field]));
+                if (!MERGE_FIELDS.includes(field) || !source) {
+                    errors.push({ field: field, message: 'Pick ' + field + ' from one of the books being merged' });
+                    return;
+                }
+                const view = personalize(source, req.user.id);
+                changes[field] = field === 'isbn' ? view.isbn13 : view[field];
+            });
+            if (errors.length > 0) {
+                return sendValidationErrors(res, errors);
+            }
+
+            // Tags that only differ in upper and lower case are kept once
+            const allTags = [].concat(...all.map(book => book.tags || []));
+            changes.tags = Array.isArray(body.tags) ? body.tags : allTags.filter((tag, index) => {
+                return allTags.findIndex(other => other.toLowerCase() === tag.toLowerCase()) === index;
+            });
+            if (Array.isArray(body.reviews)) {
+                changes.reviews = body.reviews;
+            }
+            changes.loans = [].concat(...all.map(book => book.loans || []))
+                .sort((a, b) => String(a.checkedOutAt).localeCompare(String(b.checkedOutAt)));
+
+            const { book: fields, errors: fieldErrors } = validateBook(changes, true, existing);
+            if (fieldErrors.length > 0) {
+                return sendValidationErrors(res, fieldErrors);
+            }
+
+            // The merged book was in the library since the first copy was added
+            const now = new Date().toISOString();
+            const newBook = Object.assign({}, existing, fields, {
+                dateAdded: all.map(book => book.dateAdded).filter(date => date).sort()[0] || existing.dateAdded,
+                dateModified: now,
+                revision: (keep.revision || 0) + 1
+            });
+
+            // A saved cover goes along with the cover address it was saved from
+            const oldCover = keepCoverFiles(existing, newBook);
+            const coverSource = all.find(book => String(book.id) === String(picks.coverImage));
+            const movedCover = coverSource && coverSource !== keep && coverSource.coverImage === newBook.coverImage ? coverSource.coverFiles : null;
+            if (movedCover) {
+                newBook.coverFiles = movedCover;
+            }
+
+            const book = store.update('books', keep.id, saveReaderFields(newBook, combined, req.user.id));
+            covers.remove(oldCover);
+            const entries = [Object.assign(auditEntry(req.user, 'merge', keep, book), { mergedFrom: others.map(other => other.id) })];
+
+            // The other copies go to the trash, so a wrong merge can still be undone by hand
+            others.forEach(other => {
+                const trashed = Object.assign({}, other, {
+                    deletedAt: now,
+                    deletedBy: req.user.id,
+                    mergedInto: keep.id,
+                    revision: (other.revision || 0) + 1
+                });
+                if (other === coverSource && movedCover) {
+                    delete trashed.coverFiles;
+                }
+                entries.push(Object.assign(auditEntry(req.user, 'delete', other, store.update('books', other.id, trashed)), { mergedInto: keep.id }));
+            });
+            recordChanges(entries, req);
+
+            // The kept book takes the others' places on shelves
+            store.list('shelves').forEach(shelf => {
+                if (!shelf.bookIds.some(id => mergeIds.includes(String(id)))) {
+                    return;
+                }
+                const bookIds = [];
+                shelf.bookIds.forEach(id => {
+                    const isMerged = mergeIds.includes(String(id)) || String(id) === String(keep.id);
+                    if (!isMerged) {
+                        bookIds.push(id);
+                    } else if (!bookIds.some(other => String(other) === String(keep.id))) {
+                        bookIds.push(keep.id);
+                    }
+                });
+                store.update('shelves', shelf.id, Object.assign({}, shelf, {
+                    bookIds: bookIds,
+                    dateModified: now,
+                    revision: (shelf.revision || 0) + 1
+                }));
+            });
+
+            res.set('ETag', revisionTag(book.revision)).json({ success: true, book: personalize(book, req.user.id), merged: others.length });
+        });
+    } catch (error) {
+        console.log('Error merging books:', error.message);
+        sendServerError(res, error);
+    }
+});
+
+// Every tag in the library with how many books have it, A to Z
+// (the tags page and the tag suggestions in the tags boxes use this)
+app.get('/tags', (req, res) => {
+    console.log('GET /tags requested');
+    try {
+        const tags = buildTagIndex(listLiveBooks());
+        res.json({ totalTags: tags.length, tags: tags });
+    } catch (error) {
+        console.log('Error listing tags:', error.message);
+        sendServerError(res, error);
+    }
+});
+
+// Every book by one person, whatever their role, series books in volume order
+// Each book says what the person did on it in "roles", e.g. ['translator']
+app.get('/authors/:name', (req, res) => {
+    console.log('GET /authors/' + req.params.name + ' requested');
+    try {
+        const books = listBooksFor(req)
+            .map(book => Object.assign(book, { roles: contributorRoles(book, req.params.name) }))
+            .filter(book => book.roles.length > 0)
+            .sort(compareSeriesOrder);
+
+        if (books.length === 0) {
+            return res.status(404).json({ error: 'No books by ' + req.params.name });
+        }
+
+        // The name is shown as the first book spells it
+        const key = personKey(req.params.name);
+        const name = books[0].authors.find(person => personKey(person.name) === key).name;
+        res.json({ name: name, totalBooks: books.length, books: books });
+    } catch (error) {
+        console.log('Error listing books by author:', error.message);
+        sendServerError(res, error);
+    }
+});
+
+// Every book in one series, in volume order
+app.get('/series/:name', (req, res) => {
+    console.log('GET /series/' + req.params.name + ' requested');
+    try {
+        const key = personKey(req.params.name);
+        const books = listBooksFor(req)
+            .filter(book => book.series && personKey(book.series) === key)
+            .sort(compareSeriesOrder);
+
+        if (books.length === 0) {
+            return res.status(404).json({ error: 'No books in the series ' + req.params.name });
+        }
+        res.json({ series: books[0].series, totalBooks: books.length, books: books });
+    } catch (error) {
+        console.log('Error listing series:', error.message);
+        sendServerError(res, error);
+    }
+});
+
+/**
+ * Puts a new tag in place of some old ones on every book that has them,
+ * or removes them (renaming, merging and deleting tags all use this)
+ * Parameters: fromTags - the tags to replace, in any upper/lower case,
+ *   newTag - the tag to put instead, or null to remove them
+ */
+function retagBooks(req, res, fromTags, newTag) {
+    const now = new Date().toISOString();
+    const entries = [];
+    store.transaction(() => {
+        listLiveBooks().forEach(existing => {
+            const tags = replaceTags(existing.tags, fromTags, newTag);
+            if (!tags) {
+                return;
+            }
+            const book = store.update('books', existing.id, Object.assign({}, existing, {
+                tags: tags,
+                dateModified: now,
+                revision: (existing.revision || 0) + 1
+            }));
+            entries.push(auditEntry(req.user, 'update', existing, book));
+        });
+        recordChanges(entries, req);
+    });
+    console.log('Changed the tags of ' + entries.length + ' books');
+    res.json({ success: true, tag: newTag, changedBooks: entries.length });
+}
+
+// Renames a tag on every book: { from: 'scifi', to: 'Science Fiction' }
+// Renaming to a tag that already exists merges the two
+app.post('/tags/rename', sessions.requireAdmin, (req, res) => {
+    console.log('POST /tags/rename requested', req.body);
+    try {
+        const from = validateTagName(req.body.from);
+        const to = validateTagName(req.body.to);
+        const errors = from.errors.map(error => Object.assign(error, { field: 'from' }))
+            .concat(to.errors.map(error => Object.assign(error, { field: 'to' })));
+        if (errors.length > 0) {
+            return sendValidationErrors(res, errors, 'Tag');
+        }
+        retagBooks(req, res, [from.tag], to.tag);
+    } catch (error) {
+        console.log('Error renaming tag:', error.message);
+        sendServerError(res, error);
+    }
+});
+
+// Merges several tags into one on every book: { tags: ['Sci-Fi', 'scifi'], into: 'Science Fiction' }
+app.post('/tags/merge', sessions.requireAdmin, (req, res) => {
+    console.log('POST /tags/merge requested', req.body);
+    try {
+        const tags = Array.isArray(req.body.tags) ? req.body.tags.map(validateTagName) : [];
+        const into = validateTagName(req.body.into);
+        const errors = tags.length === 0
+            ? [{ field: 'tags', message: 'Pick the tags to merge' }]
+            : tags.reduce((all, tag) => all.concat(tag.errors), []);
+        errors.push(...into.errors.map(error => Object.assign(error, { field: 'into' })));
+        if (errors.length > 0) {
+            return sendValidationErrors(res, errors, 'Tag');
+        }
+        retagBooks(req, res, tags.map(tag => tag.tag), into.tag);
+    } catch (error) {
+        console.log('Error merging tags:', error.message);
+        sendServerError(res, error);
+    }
+});
+
+// Removes a tag from every book (the books themselves stay)
+app.delete('/tags/:tag', sessions.requireAdmin, (req, res) => {
+    console.log('DELETE /tags/' + req.params.tag + ' requested');
+    try {
+        const { tag, errors } = validateTagName(req.params.tag);
+        if (errors.length > 0) {
+            return sendValidationErrors(res, errors, 'Tag');
+        }
+        retagBooks(req, res, [tag], null);
+    } catch (error) {
+        console.log('Error deleting tag:', error.message);
+        sendServerError(res, error);
+    }
+});
+
+// The picture itself is the request body, with its type as the Content-Type
+// (e.g. image/png) - anything else leaves req.body empty
+app.post('/books/:id/cover', sessions.requireUser, express.raw({ type: 'image/*', limit: config.maxCoverBytes }), async (req, res) => {
+    console.log('POST /books/' + req.params.id + '/cover requested');
+    try {
+        const existing = getLiveBook(req.params.id);
+
+        if (!existing) {
+            return res.status(404).json({ error: 'Book not found' });
+        }
+        if (!revisionMatches(req, existing.revision)) {
+            return sendConflict(res, personalize(existing, req.user.id));
+        }
+        if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+            return sendValidationErrors(res, [{ field: 'coverFile', message: 'Choose a JPEG, PNG, GIF or WebP picture to upload' }], 'Cover');
+        }
+
+        const result = await covers.save(existing.id, req.body, null);
+        saveCoverFiles(req, res, existing.id, result);
+    } catch (error) {
+        console.log('Error uploading cover:', error.message);
+        sendServerError(res, error);
+    }
+});
+
+// Keeps a copy of a cover from the web: { url } - defaults to the book's cover address
+app.post('/books/:id/cover/fetch', sessions.requireUser, async (req, res) => {
+    console.log('POST /books/' + req.params.id + '/cover/fetch requested');
+    try {
+        const existing = getLiveBook(req.params.id);
+
+        if (!existing) {
+            return res.status(404).json({ error: 'Book not found' });
+        }
+        if (!revisionMatches(req, existing.revision)) {
+            return sendConflict(res, personalize(existing, req.user.id));
+        }
+
+        // The address is checked like the cover address of a book
+        const { book: checked, errors } = validateBook({ coverImage: (req.body && req.body.url) || existing.coverImage }, true);
+        if (errors.length > 0) {
+            return sendValidationErrors(res, errors);
+        }
+        if (!checked.coverImage) {
+            return sendValidationErrors(res, [{ field: 'coverImage', message: 'This book has no cover address to download' }]);
+        }
+
+        const result = await covers.download(existing.id, checked.coverImage);
+        saveCoverFiles(req, res, existing.id, result);
+    } catch (error) {
+        console.log('Error downloading cover:', error.message);
+        sendServerError(res, error);
+    }
+});
+
+app.delete('/books/:id/cover', sessions.requireUser, (req, res) => {
+    console.log('DELETE /books/' + req.params.id + '/cover requested');
+    try {
+        store.transaction(() => {
+            const existing = getLiveBook(req.params.id);
+
+            if (!existing) {
+                return res.status(404).json({ error: 'Book not found' });
+            }
+            if (!existing.coverFiles) {
+                return res.status(404).json({ error: 'This book has no saved cover' });
+            }
+            if (!revisionMatches(req, existing.revision)) {
+                return sendConflict(res, personalize(existing, req.user.id));
+            }
+
+            // The cover address (if any) is kept, only the saved copy goes
+            const newBook = Object.assign({}, existing, {
+                dateModified: new Date().toISOString(),
+                revision: (existing.revision || 0) + 1
+            });
+            delete newBook.coverFiles;
+            const book = store.update('books', existing.id, newBook);
+            covers.remove(existing.coverFiles);
+            recordChanges([auditEntry(req.user, 'update', existing, book)], req);
+            res.set('ETag', revisionTag(book.revision)).json({ success: true, book: personalize(book, req.user.id) });
+        });
+    } catch (error) {
+        console.log('Error removing cover:', error.message);
+        sendServerError(res, error);
+    }
+});
+
+/**
+ * Saves a book's new loan list, after a checkout or a return
+ * Checks the list like any other book change, including the If-Match revision
+ */
+function saveLoans(req, res, existing, loans) {
+    const { book: changes, errors } = validateBook({ loans: loans }, true, existing);
+    if (errors.length > 0) {
+        return sendValidationErrors(res, errors);
+    }
+    if (!revisionMatches(req, existing.revision)) {
+        return sendConflict(res, personalize(existing, req.user.id));
+    }
+
+    const book = store.update('books', existing.id, Object.assign({}, existing, changes, {
+        dateModified: new Date().toISOString(),
+        revision: (existing.revision || 0) + 1
+    }));
+    recordChanges([auditEntry(req.user, 'update', existing, book)], req);
+    res.set('ETag', revisionTag(book.revision)).json({ success: true, book: personalize(book, req.user.id) });
+}
+
+app.post('/books/:id/checkout', sessions.requireUser, (req, res) => {
+    console.log('POST /books/' + req.params.id + '/checkout requested');
+    try {
+        store.transaction(() => {
+            const existing = getLiveBook(req.params.id);
+
+            if (!existing) {
+                return res.status(404).json({ error: 'Book not found' });
+            }
+
+            // Lend the book: { borrower, dueAt } - the due date defaults to config.loanDays from now
+            const result = checkOut(existing, req.body || {}, new Date().toISOString(), config.loanDays);
+            if (result.error) {
+                return res.status(409).json({ error: result.error, book: personalize(existing, req.user.id) });
+            }
+            saveLoans(req, res, existing, result.loans);
+        });
+    } catch (error) {
+        console.log('Error checking out book:', error.message);
+        sendServerError(res, error);
+    }
+});
+
+app.post('/books/:id/return', sessions.requireUser, (req, res) => {
+    console.log('POST /books/' + req.params.id + '/return requested');
+    try {
+        store.transaction(() => {
+            const existing = getLiveBook(req.params.id);
+
+            if (!existing) {
+                return res.status(404).json({ error: 'Book not found' });
+            }
+
+            const returnedAt = (req.body && req.body.returnedAt) || new Date().toISOString();
+            const result = checkIn(existing, returnedAt);
+            if (result.error) {
+                return res.status(409).json({ error: result.error, book: personalize(existing, req.user.id) });
+            }
+            saveLoans(req, res, existing, result.loans);
+        });
+    } catch (error) {
+        console.log('Error returning book:', error.message);
+        sendServerError(res, error);
+    }
+});
+
+app.get('/loans', (req, res) => {
+    console.log('GET /loans requested');
+    try {
+        // Every book that is out right now, the ones due first at the top
+        // With ?overdue=true only the ones that are late
+        const now = new Date().toISOString();
+        let loans = listLiveBooks()
+            .filter(book => currentLoan(book))
+            .map(book => {
+                const loan = currentLoan(book);
+                return {
+                    bookId: book.id,
+                    title: book.title,
+                    author: book.author,
+                    loan: loan,
+                    daysOverdue: daysOverdue(loan, now)
+                };
+            });
+        if (req.query.overdue === 'true') {
+            loans = loans.filter(entry => entry.daysOverdue > 0);
+        }
+        loans.sort((a, b) => String(a.loan.dueAt || '9999').localeCompare(String(b.loan.dueAt || '9999')));
+
+        res.json({ totalLoans: loans.length, overdue: loans.filter(entry => entry.daysOverdue > 0).length, loans: loans });
+    } catch (error) {
+        console.log('Error reading loans:', error.message);
+        sendServerError(res, error);
+    }
+});
+
+// Reading statistics for the stats page, see readingStats.js
+// ?year= picks the year for the monthly chart and the goal (this year by default)
+app.get('/stats', (req, res) => {
+    console.log('GET /stats requested');
+    try {
+        const now = new Date();
+        const year = Number(req.query.year);
+        const stats = readingStats(listBooksFor(req), {
+            year: Number.isInteger(year) && year >= 1000 && year <= 9999 ? year : now.getFullYear(),
+            goal: (req.user && req.user.readingGoal) || config.readingGoal,
+            now: now.toISOString()
+        });
+        res.json(Object.assign(stats, { defaultGoal: config.readingGoal }));
+    } catch (error) {
+        console.log('Error working out statistics:', error.message);
+        sendServerError(res, error);
+    }
+});
+
+/**
+ * Checks the books listed for a shelf against the library
+ * Ids from the browser can be strings, so they are swapped for the real ids
+ * Returns: { bookIds, errors }
+ */
+function checkShelfBooks(bookIds) {
+    // Books in the trash count too - they are still on their shelves
+    const books = store.list('books');
+    const errors = [];
+    const ids = bookIds.map(id => {
+        const book = books.find(other => String(other.id) === String(id));
+        if (!book) {
+            errors.push({ field: 'bookIds', message: 'Book ' + id + ' is not in the library' });
+        }
+        return book ? book.id : id;
+    });
+    return { bookIds: ids, errors: errors };
+}
+
+/**
+ * Checks that no other shelf already has this name (upper/lower case doesn't matter)
+ * Returns: A list with one error, or an empty list
+ */
+function checkShelfName(name, shelfId) {
+    const taken = store.list('shelves').some(shelf => {
+        return String(shelf.id) !== String(shelfId) && shelf.name.toLowerCase() === name.toLowerCase();
+    });
+    return taken ? [{ field: 'name', message: 'There is already a shelf called "' + name + '"' }] : [];
+}
+
+/**
+ * Adds the number of books to a shelf, for lists of shelves
+ * Books in the trash stay on their shelves, but are not counted
+ * Parameter: liveIds - (optional) the ids of the books not in the trash, as text
+ */
+function shelfSummary(shelf, liveIds) {
+    liveIds = liveIds || new Set(listLiveBooks().map(book => String(book.id)));
+    return Object.assign({}, shelf, { bookCount: shelf.bookIds.filter(id => liveIds.has(String(id))).length });
+}
+
+app.get('/shelves', (req, res) => {
+    console.log('GET /shelves requested');
+    try {
+        const liveIds = new Set(listLiveBooks().map(book => String(book.id)));
+        const shelves = store.list('shelves').map(shelf => shelfSummary(shelf, liveIds));
+        res.json({ totalShelves: shelves.length, shelves: shelves });
+    } catch (error) {
+        console.log('Error reading shelves:', error.message);
+        sendServerError(res, error);
+    }
+});
+
+app.get('/shelves/:id', (req, res) => {
+    console.log('GET /shelves/' + req.params.id + ' requested');
+    try {
+        const shelf = store.get('shelves', req.params.id);
+
+        if (!shelf) {
+            return res.status(404).json({ error: 'Shelf not found' });
+        }
+
+        // The books themselves, in shelf order
+        const books = listBooksFor(req);
+        const shelfBooks = shelf.bookIds
+            .map(id => books.find(book => String(book.id) === String(id)))
+            .filter(book => book);
+
+        res.set('ETag', revisionTag(shelf.revision)).json(Object.assign(shelfSummary(shelf), { books: shelfBooks }));
+    } catch (error) {
+        console.log('Error reading shelf:', error.message);
+        sendServerError(res, error);
+    }
+});
+
+app.post('/shelves', sessions.requireUser, (req, res) => {
+    console.log('POST /shelves requested');
+    try {
+        store.transaction(() => {
+            const { shelf: fields, errors } = validateShelf(req.body, false);
+            if (errors.length > 0) {
+                return sendValidationErrors(res, errors, 'Shelf');
+            }
+
+            const books = checkShelfBooks(fields.bookIds);
+            const nameErrors = checkShelfName(fields.name, null);
+            if (books.errors.length > 0 || nameErrors.length > 0) {
+                return sendValidationErrors(res, nameErrors.concat(books.errors), 'Shelf');
+            }
+
+            const now = new Date().toISOString();
+            const shelf = store.create('shelves', Object.assign({}, fields, {
+                bookIds: books.bookIds,
+                dateCreated: now,
+                revision: 1
+            }));
+            res.status(201).set('ETag', revisionTag(shelf.revision)).json({ success: true, shelf: shelfSummary(shelf) });
+        });
+    } catch (error) {
+        console.log('Error adding shelf:', error.message);
+        sendServerError(res, error);
+    }
+});
+
+app.patch('/shelves/:id', sessions.requireUser, (req, res) => {
+    console.log('PATCH /shelves/' + req.params.id + ' requested');
+    try {
+        store.transaction(() => {
+            const existing = store.get('shelves', req.params.id);
+
+            if (!existing) {
+                return res.status(404).json({ error: 'Shelf not found' });
+            }
+
+            // Renaming, a new description, or a new order of books
+            const { shelf: changes, errors } = validateShelf(req.body, true);
+            if (errors.length > 0) {
+                return sendValidationErrors(res, errors, 'Shelf');
+            }
+            const moreErrors = ('name' in changes ? checkShelfName(changes.name, existing.id) : [])
+                .concat('bookIds' in changes ? checkShelfBooks(changes.bookIds).errors : []);
+            if (moreErrors.length > 0) {
+                return sendValidationErrors(res, moreErrors, 'Shelf');
+            }
+            if (!revisionMatches(req, existing.revision)) {
+                return sendConflict(res, existing, 'shelf');
+            }
+
+            if ('bookIds' in changes) {
+                changes.bookIds = checkShelfBooks(changes.bookIds).bookIds;
+            }
+            const shelf = store.update('shelves', existing.id, Object.assign({}, existing, changes, {
+                dateModified: new Date().toISOString(),
+                revision: (existing.revision || 0) + 1
+            }));
+            res.set('ETag', revisionTag(shelf.revision)).json({ success: true, shelf: shelfSummary(shelf) });
+        });
+    } catch (error) {
+        console.log('Error updating shelf:', error.message);
+        sendServerError(res, error);
+    }
+});
+
+app.delete('/shelves/:id', sessions.requireUser, (req, res) => {
+    console.log('DELETE /shelves/' + req.params.id + ' requested');
+    try {
+        store.transaction(() => {
+            const existing = store.get('shelves', req.params.id);
+
+            if (!existing) {
+                return res.status(404).json({ error: 'Shelf not found' });
+            }
+            if (!revisionMatches(req, existing.revision)) {
+                return sendConflict(res, existing, 'shelf');
+            }
+
+            // The books stay in the library, only the shelf goes
+            const removed = store.delete('shelves', existing.id);
+            res.json({ success: true, shelf: removed });
+        });
+    } catch (error) {
+        console.log('Error deleting shelf:', error.message);
+        sendServerError(res, error);
+    }
+});
+
+// Putting a book on a shelf and taking it off don't need a revision:
+// doing either twice has the same result as doing it once
+app.put('/shelves/:id/books/:bookId', sessions.requireUser, (req, res) => {
+    console.log('PUT /shelves/' + req.params.id + '/books/' + req.params.bookId + ' requested');
+    try {
+        store.transaction(() => {
+            const existing = store.get('shelves', req.params.id);
+            const book = getLiveBook(req.params.bookId);
+
+            if (!existing || !book) {
+                return res.status(404).json({ error: existing ? 'Book not found' : 'Shelf not found' });
+            }
+
+            // New books go at the end, unless a position is sent (0 is the start)
+            const bookIds = existing.bookIds.filter(id => String(id) !== String(book.id));
+            const position = req.body && Number.isInteger(req.body.position) ? req.body.position : bookIds.length;
+            bookIds.splice(Math.max(0, Math.min(position, bookIds.length)), 0, book.id);
+
+            const shelf = store.update('shelves', existing.id, Object.assign({}, existing, {
+                bookIds: bookIds,
+                dateModified: new Date().toISOString(),
+                revision: (existing.revision || 0) + 1
+            }));
+            res.set('ETag', revisionTag(shelf.revision)).json({ success: true, shelf: shelfSummary(shelf) });
+        });
+    } catch (error) {
+        console.log('Error adding book to shelf:', error.message);
+        sendServerError(res, error);
+    }
+});
+
+app.delete('/shelves/:id/books/:bookId', sessions.requireUser, (req, res) => {
+    console.log('DELETE /shelves/' + req.params.id + '/books/' + req.params.bookId + ' requested');
+    try {
+        store.transaction(() => {
+            const existing = store.get('shelves', req.params.id);
+
+            if (!existing) {
+                return res.status(404).json({ error: 'Shelf not found' });
+            }
+
+            const shelf = store.update('shelves', existing.id, Object.assign({}, existing, {
+                bookIds: existing.bookIds.filter(id => String(id) !== String(req.params.bookId)),
+                dateModified: new Date().toISOString(),
+                revision: (existing.revision || 0) + 1
+            }));
+            res.set('ETag', revisionTag(shelf.revision)).json({ success: true, shelf: shelfSummary(shelf) });
+        });
+    } catch (error) {
+        console.log('Error removing book from shelf:', error.message);
+        sendServerError(res, error);
+    }
+});
+
+app.get('/isbn/:isbn', async (req, res) => {
+    console.log('GET /isbn/' + req.params.isbn + ' requested');
+    if (!parseIsbn(req.params.isbn)) {
+        return sendValidationErrors(res, [{ field: 'isbn', message: 'ISBN is not valid - check that all digits are correct' }], 'ISBN');
+    }
+
+    try {
+        const result = await isbnLookup.lookup(req.params.isbn);
+        if (!result) {
+            return res.status(404).json({ error: 'No book found for this ISBN' });
+        }
+        res.json(Object.assign({ success: true }, result));
+    } catch (error) {
+        console.log('Error looking up ISBN:', error.message);
+        sendServerError(res, error);
+    }
+});
+
+app.get('/export', (req, res) => {
+    console.log('GET /export requested, format:', req.query.format);
+    const format = req.query.format || 'json';
+    if (format !== 'csv' && format !== 'json') {
+        return res.status(400).json({ error: 'Format must be csv or json' });
+    }
+
+    try {
+        // Each user exports their own statuses, ratings and reviews
+        const file = exportBooks(listBooksFor(req), format);
+        const fileName = 'little-library-' + new Date().toISOString().slice(0, 10) + '.' + file.extension;
+        res.set('Content-Type', file.contentType)
+            .set('Content-Disposition', 'attachment; filename="' + fileName + '"')
+            .send(file.body);
+    } catch (error) {
+        console.log('Error exporting books:', error.message);
+        sendServerError(res, error);
+    }
+});
+
+app.post('/import', sessions.requireUser, (req, res) => {
+    const dryRun = req.body.dryRun !== false;
+    console.log('POST /import requested, format:', req.body.format, 'dry run:', dryRun);
+    const format = req.body.format || 'auto';
+    if (!IMPORT_FORMATS.includes(format)) {
+        return res.status(400).json({ error: 'Format must be one of: ' + IMPORT_FORMATS.join(', ') });
+    }
+    if (typeof req.body.content !== 'string') {
+        return res.status(400).json({ error: 'Send the text of the file to import as content' });
+    }
+
+    try {
+        // The duplicates are found and the books saved with the library
+        // locked, so a book added meanwhile can't slip past the check
+        store.transaction(() => {
+            let plan;
+            try {
+                plan = planImport(req.body.content, format, listBooksFor(req));
+            } catch (error) {
+                console.log('Could not read import file:', error.message);
+                return res.status(400).json({ error: 'Could not read the file: ' + error.message });
+            }
+
+            // Duplicates are only imported when asked for
+            const result = catalog.importBooks(plan, {
+                dryRun: dryRun,
+                allowDuplicates: Boolean(req.body.allowDuplicates),
+                clientId: clientId(req)
+            }, req.user);
+            res.json(Object.assign({ success: true }, result));
+        });
+    } catch (error) {
+        console.log('Error importing books:', error.message);
+        sendServerError(res, error);
+    }
+});
+
+// Request bodies that are too big or can't be read get a JSON reply,
+// like every other error, instead of Express's HTML error page
+app.use((error, req, res, next) => {
+    console.log('Error reading request:', error.message);
+    if (error.type === 'entity.too.large') {
+        const limit = req.path.endsWith('/cover') ? config.maxCoverBytes : error.limit;
+        return res.status(413).json({ error: 'What was sent is too big - the limit is ' + Math.floor(limit / 1024 / 1024) + ' MB' });
+    }
+    res.status(error.status || 500).json({ error: error.message });
+});
+
+// Books saved with only an author text get an authors list
+upgradeOldAuthors();
+
+// Books left in the trash too long are removed now and then every hour
+purgeExpiredBooks();
+setInterval(purgeExpiredBooks, 60 * 60 * 1000).unref();
+
+app.listen(config.port, () => {
+    // Changes made with the command line tool reach the open pages too
+    catalog.watchOtherPrograms();
+    console.log('Server running at http://localhost:' + config.port);
+    console.log('Open your browser and go to http://localhost:' + config.port);
+});
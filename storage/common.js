@@ -0,0 +1,68 @@
+/**
+ * Little Library - Helpers shared by the storage backends
+ *
+ * Functions in this file:
+ * - nextId(): Picks a new unique id for a record
+ * - matchesFilter(): Checks a record against a query filter
+ * - backupFileName(): Builds a dated file name for a backup
+ * - pruneBackups(): Removes the oldest backups
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Picks a new unique id for a record
+ * Ids are timestamps, bumped past the largest existing id if needed
+ * Parameter: maxId - the largest id already in use (0 if there are none)
+ */
+function nextId(maxId) {
+    return Math.max(Date.now(), (Number(maxId) || 0) + 1);
+}
+
+/**
+ * Checks if a record matches a query filter
+ * The filter is an object of field names and the values they must have,
+ * for example { status: 'read', tags: 'fiction' }.
+ * For list fields (like tags) the list only has to contain the value.
+ */
+function matchesFilter(record, filter) {
+    return Object.keys(filter || {}).every(field => {
+        const value = record[field];
+        if (Array.isArray(value)) {
+            return value.includes(filter[field]);
+        }
+        return value === filter[field];
+    });
+}
+
+/**
+ * Builds a backup file name with the current time in it,
+ * e.g. "books-2025-09-20T12-26-41-255Z.json"
+ * The timestamp in the name keeps the backups in date order
+ */
+function backupFileName(prefix, extension) {
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    return prefix + '-' + stamp + extension;
+}
+
+/**
+ * Removes old backups so only the newest few are kept
+ * Parameters: dir - the backup folder, prefix/extension - which files
+ *   belong to this store, keep - how many backups to keep
+ */
+function pruneBackups(dir, prefix, extension, keep) {
+    const backups = fs.readdirSync(dir)
+        .filter(name => name.startsWith(prefix + '-') && name.endsWith(extension))
+        .sort();
+    backups.slice(0, Math.max(0, backups.length - keep)).forEach(name => {
+        fs.unlinkSync(path.join(dir, name));
+    });
+}
+
+module.exports = {
+    nextId,
+    matchesFilter,
+    backupFileName,
+    pruneBackups
+};
@@ -0,0 +1,71 @@
+/**
+ * Little Library - Storage
+ * Picks where the library is kept, based on the "storage" setting in config.js
+ *
+ * Storage backends:
+ * - "json": one JSON file (storage/jsonStore.js) - the default
+ * - "sqlite": an embedded SQLite database (storage/sqliteStore.js)
+ *
+ * Every backend offers the same functions. Records live in named
+ * collections, e.g. store.get('books', 123):
+ * - info(): { library, revision, lastUpdated } for the whole library
+ * - list(collection): All records, in the order they were added
+ * - get(collection, id): One record, or null
+ * - query(collection, filter, { offset, limit }): Records matching a filter
+ *   like { status: 'read', tags: 'fiction' }
+ * - create(collection, record): Saves a new record with a new id, returns it
+ * - createMany(collection, records): Saves several new records in one go, returns them
+ * - update(collection, id, record): Replaces a record, returns it (or null)
+ * - delete(collection, id): Removes a record, returns it (or null)
+ * - importRecords(collection, records): Saves records keeping their ids
+ * - transaction(action): Runs action() with the library locked, so another
+ *   program (the server or the command line tool) can't change it in
+ *   between; returns what action() returns
+ * - backup(): Saves a copy of the library, returns the backup file path
+ * - close(): Closes files or connections
+ *
+ * The server and the command line tool (bin/little-library.js) may use the
+ * same library at the same time: each change is saved while the library
+ * is locked, so neither can overwrite what the other just saved. A change
+ * that finds the library locked waits for it (see lockTimeout below), and
+ * fails with an error isLockedError() knows when it waited too long.
+ */
+
+const { createJsonStore } = require('./jsonStore');
+
+/**
+ * Creates the store selected by the settings
+ * Parameters: config - the settings from config.js, log - (optional) where
+ *   the store's messages go, console.log unless given, lockTimeout -
+ *   (optional) how long a change waits while another program has the
+ *   library locked, in milliseconds: 5 seconds unless given, 0 to give up
+ *   at once
+ */
+function createStore(config, log, lockTimeout) {
+    log = log || console.log;
+    const options = { backupDir: config.backupDir, maxBackups: config.maxBackups, log: log, lockTimeout: lockTimeout };
+
+    if (config.storage === 'json') {
+        log('Using JSON file storage:', config.booksFile);
+        return createJsonStore(Object.assign({ file: config.booksFile }, options));
+    }
+
+    if (config.storage === 'sqlite') {
+        // Only load the SQLite driver when it is actually used
+        const { createSqliteStore } = require('./sqliteStore');
+        log('Using SQLite storage:', config.sqliteFile);
+        return createSqliteStore(Object.assign({ file: config.sqliteFile }, options));
+    }
+
+    throw new Error('Unknown storage "' + config.storage + '" - use "json" or "sqlite"');
+}
+
+/**
+ * Checks if an error means another program had the library locked,
+ * so trying again in a moment will probably work
+ */
+function isLockedError(error) {
+    return Boolean(error) && (error.code === 'ELOCKED' || error.code === 'SQLITE_BUSY');
+}
+
+module.exports = { createStore, isLockedError };
@@ -0,0 +1,329 @@
+/**
+ * Little Library - JSON File Storage
+ * Keeps the whole library in one JSON file (books.json by default)
+ *
+ * The file looks like this:
+ *   { library, lastUpdated, revision, totalBooks, books: [...] }
+ * Every collection (books, ...) is a list at the top level of the file.
+ *
+ * Writes are crash-safe: the new contents go to a temporary file first,
+ * which then replaces the real file in one step. Before each change to
+ * the books the previous version is copied into the backup folder.
+ * Logins, history entries and shelves don't make a backup of their own,
+ * so they can't push the older versions of the books out of the folder.
+ *
+ * Other programs can use the same file (see storage/index.js): a change
+ * holds a lock file (books.json.lock) from reading the file until the new
+ * contents are in place, and waits while another program holds it - for
+ * up to options.lockTimeout milliseconds, then it fails with the code
+ * "ELOCKED".
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { nextId, matchesFilter, backupFileName, pruneBackups } = require('./common');
+
+// How long a change waits for another program to finish its own, in
+// milliseconds, unless options.lockTimeout says otherwise
+const LOCK_TIMEOUT = 5000;
+
+// A lock this old was left behind by a program that stopped halfway (milliseconds)
+const STALE_LOCK_AGE = 30000;
+
+// How long to sleep between looks at the lock file, in milliseconds
+const LOCK_RETRY_DELAY = 20;
+
+/**
+ * Waits without doing anything - the store is synchronous, so it can't
+ * hand the time to other work while it waits for the lock
+ */
+function sleep(milliseconds) {
+    Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, milliseconds);
+}
+
+/**
+ * Creates a store that reads and writes a JSON file
+ * Parameter: options - { file, backupDir, maxBackups, log, lockTimeout }
+ * Returns: An object with the storage functions (see storage/index.js)
+ */
+function createJsonStore(options) {
+    const file = options.file;
+    const backupPrefix = path.basename(file, '.json');
+    const log = options.log || console.log;
+
+    // The lock file, and how many nested changes of this program hold it
+    const lockFile = file + '.lock';
+    const lockTimeout = options.lockTimeout !== undefined ? options.lockTimeout : LOCK_TIMEOUT;
+    let lockDepth = 0;
+
+    /**
+     * Reads the whole library document from the file
+     * Returns an empty library if the file does not exist yet
+     */
+    function readDocument() {
+        try {
+            const document = JSON.parse(fs.readFileSync(file, 'utf8'));
+            document.books = document.books || [];
+            document.revision = document.revision || 0;
+            return document;
+        } catch (error) {
+            // A broken file is an error - we must not overwrite it with an empty library
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+            log('Books file not found, starting with an empty library');
+            return { library: 'Little Library', revision: 0, books: [] };
+        }
+    }
+
+    /**
+     * Copies the current file into the backup folder
+     * Only the newest few copies are kept, older ones are removed
+     * Returns: The path of the new backup, or null if there was nothing to copy
+     */
+    function backup() {
+        if (!fs.existsSync(file)) {
+            return null;
+        }
+        fs.mkdirSync(options.backupDir, { recursive: true });
+
+        const backupFile = path.join(options.backupDir, backupFileName(backupPrefix, '.json'));
+        fs.copyFileSync(file, backupFile);
+        pruneBackups(options.backupDir, backupPrefix, '.json', options.maxBackups);
+        return backupFile;
+    }
+
+    /**
+     * Writes the library document back to the file
+     * Keeps the lastUpdated, totalBooks and revision fields up to date
+     * Parameter: collection - the collection that changed; only a change
+     *   to the books makes a backup first
+     */
+    function writeDocument(document, collection) {
+        document.library = document.library || 'Little Library';
+        document.lastUpdated = new Date().toISOString();
+        document.totalBooks = document.books.length;
+        document.revision = (document.revision || 0) + 1;
+
+        const tempFile = file + '.' + process.pid + '.tmp';
+        const fileHandle = fs.openSync(tempFile, 'w');
+        try {
+            fs.writeSync(fileHandle, JSON.stringify(document, null, 2));
+            fs.fsyncSync(fileHandle); // Make sure the data is really on disk
+        } finally {
+            fs.closeSync(fileHandle);
+        }
+
+        if (collection === 'books') {
+            backup();
+        }
+        fs.renameSync(tempFile, file);
+        log('Books file written successfully, revision', document.revision);
+    }
+
+    /**
+     * Checks if the lock file was left behind: the program that made it
+     * has stopped, or it is much older than any change takes
+     */
+    function lockIsStale() {
+        try {
+            const pid = Number(fs.readFileSync(lockFile, 'utf8'));
+            if (pid && pid !== process.pid) {
+                try {
+                    process.kill(pid, 0); // Only checks that the program is still running
+                } catch (error) {
+                    if (error.code === 'ESRCH') {
+                        return true;
+                    }
+                }
+            }
+            return Date.now() - fs.statSync(lockFile).mtimeMs > STALE_LOCK_AGE;
+        } catch (error) {
+            // The lock was removed while we looked at it
+            return false;
+        }
+    }
+
+    /**
+     * Runs a change while holding the lock file
+     * Changes made inside it (like the writes of a transaction) reuse the lock
+     * Returns: What action() returns
+     */
+    function withLock(action) {
+        if (lockDepth > 0) {
+            lockDepth++;
+            try {
+                return action();
+            } finally {
+                lockDepth--;
+            }
+        }
+
+        const giveUpAt = Date.now() + lockTimeout;
+        for (;;) {
+            try {
+                // "wx" only creates the file if no one else has
+                fs.writeFileSync(lockFile, String(process.pid), { flag: 'wx' });
+                break;
+            } catch (error) {
+                if (error.code !== 'EEXIST') {
+                    throw error;
+                }
+                if (lockIsStale()) {
+                    fs.rmSync(lockFile, { force: true });
+                } else if (Date.now() >= giveUpAt) {
+                    const locked = new Error('The library is locked by another program - try again, or remove ' + lockFile + ' if nothing else is running');
+                    locked.code = 'ELOCKED';
+                    throw locked;
+                } else {
+                    sleep(LOCK_RETRY_DELAY);
+                }
+            }
+        }
+
+        lockDepth = 1;
+        try {
+            return action();
+        } finally {
+            lockDepth = 0;
+            fs.rmSync(lockFile, { force: true });
+        }
+    }
+
+    /**
+     * Finds the position of a record in a list by its id
+     * Ids in URLs are strings, so compare them as strings
+     */
+    function findIndex(records, id) {
+        return records.findIndex(record => record && String(record.id) === String(id));
+    }
+
+    /**
+     * Gets a collection's list from the document, creating it if needed
+     */
+    function collectionOf(document, collection) {
+        document[collection] = document[collection] || [];
+        return document[collection];
+    }
+
+    return {
+        info() {
+            const document = readDocument();
+            return {
+                library: document.library,
+                revision: document.revision,
+                lastUpdated: document.lastUpdated
+            };
+        },
+
+        list(collection) {
+            return readDocument()[collection] || [];
+        },
+
+        get(collection, id) {
+            const records = readDocument()[collection] || [];
+            const index = findIndex(records, id);
+            return index === -1 ? null : records[index];
+        },
+
+        query(collection, filter, queryOptions) {
+            const offset = (queryOptions && queryOptions.offset) || 0;
+            const limit = queryOptions && queryOptions.limit;
+            const matches = (readDocument()[collection] || []).filter(record => matchesFilter(record, filter));
+            return limit ? matches.slice(offset, offset + limit) : matches.slice(offset);
+        },
+
+        create(collection, record) {
+            return withLock(() => {
+                const document = readDocument();
+                const records = collectionOf(document, collection);
+                const maxId = records.reduce((max, existing) => Math.max(max, Number(existing.id) || 0), 0);
+
+                const saved = Object.assign({}, record, { id: nextId(maxId) });
+                records.push(saved);
+                writeDocument(document, collection);
+                return saved;
+            });
+        },
+
+        createMany(collection, newRecords) {
+            return withLock(() => {
+                const document = readDocument();
+                const records = collectionOf(document, collection);
+                let maxId = records.reduce((max, existing) => Math.max(max, Number(existing.id) || 0), 0);
+
+                // All records are saved in one write
+                const saved = newRecords.map(record => {
+                    maxId = nextId(maxId);
+                    return Object.assign({}, record, { id: maxId });
+                });
+                records.push(...saved);
+                writeDocument(document, collection);
+                return saved;
+            });
+        },
+
+        update(collection, id, record) {
+            return withLock(() => {
+                const document = readDocument();
+                const records = collectionOf(document, collection);
+                const index = findIndex(records, id);
+                if (index === -1) {
+                    return null;
+                }
+
+                // The id always stays the same
+                const saved = Object.assign({}, record, { id: records[index].id });
+                records[index] = saved;
+                writeDocument(document, collection);
+                return saved;
+            });
+        },
+
+        delete(collection, id) {
+            return withLock(() => {
+                const document = readDocument();
+                const records = collectionOf(document, collection);
+                const index = findIndex(records, id);
+                if (index === -1) {
+                    return null;
+                }
+
+                const removed = records.splice(index, 1)[0];
+                writeDocument(document, collection);
+                return removed;
+            });
+        },
+
+        importRecords(collection, newRecords) {
+            return withLock(() => {
+                const document = readDocument();
+                const records = collectionOf(document, collection);
+
+                // Records keep their ids; one with an id we already have replaces it
+                newRecords.forEach(record => {
+                    const index = findIndex(records, record.id);
+                    if (index === -1) {
+                        records.push(record);
+                    } else {
+                        records[index] = record;
+                    }
+                });
+                writeDocument(document, collection);
+                return newRecords.length;
+            });
+        },
+
+        transaction(action) {
+            return withLock(action);
+        },
+
+        backup,
+
+        close() {
+            // Nothing to close - the file is opened fresh for every read and write
+        }
+    };
+}
+
+module.exports = { createJsonStore };
@@ -0,0 +1,66 @@
+/**
+ * Little Library - Move books.json into SQLite
+ * Copies every book, shelf, account, login and history entry (with their
+ * ids) from a JSON library file into the SQLite database, so the server
+ * can be switched to STORAGE=sqlite.
+ *
+ * Usage:
+ *   npm run migrate                      (uses BOOKS_FILE and SQLITE_FILE from config.js)
+ *   node storage/migrate.js other.json   (imports a different JSON file)
+ *   node storage/migrate.js --force      (imports even if the database already has books)
+ *
+ * The JSON file itself is not changed.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const { createJsonStore } = require('./jsonStore');
+const { createSqliteStore } = require('./sqliteStore');
+
+/**
+ * Copies every collection from the JSON store into the SQLite store
+ * Returns: An object with the number of records copied per collection
+ */
+function migrate(jsonStore, sqliteStore) {
+    const counts = {};
+    const collections = ['books', 'shelves', 'users', 'sessions', 'audit'];
+
+    collections.forEach(collection => {
+        // Skip empty records, like the "{}" entries old versions could save
+        const records = jsonStore.list(collection).filter(record => record && record.id !== undefined);
+        counts[collection] = records.length > 0 ? sqliteStore.importRecords(collection, records) : 0;
+    });
+    return counts;
+}
+
+// Run the migration when this file is started from the command line
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const force = args.includes('--force');
+    const jsonFile = path.resolve(args.find(arg => !arg.startsWith('--')) || config.booksFile);
+
+    if (!fs.existsSync(jsonFile)) {
+        console.error('Cannot find ' + jsonFile);
+        process.exit(1);
+    }
+
+    const jsonStore = createJsonStore({ file: jsonFile, backupDir: config.backupDir, maxBackups: config.maxBackups });
+    const sqliteStore = createSqliteStore({ file: config.sqliteFile, backupDir: config.backupDir, maxBackups: config.maxBackups });
+
+    try {
+        if (sqliteStore.list('books').length > 0 && !force) {
+            console.error(config.sqliteFile + ' already has books. Use --force to import anyway.');
+            process.exitCode = 1;
+        } else {
+            const counts = migrate(jsonStore, sqliteStore);
+            console.log('Imported ' + counts.books + ' books, ' + counts.shelves + ' shelves and ' + counts.users + ' accounts from ' +
+                jsonFile + ' into ' + config.sqliteFile);
+            console.log('Start the server with STORAGE=sqlite to use the database.');
+        }
+    } finally {
+        sqliteStore.close();
+    }
+}
+
+module.exports = { migrate };
@@ -0,0 +1,212 @@
+/**
+ * Little Library - SQLite Storage
+ * Keeps the library in an embedded SQLite database file (library.db by default)
+ *
+ * Every record is saved as JSON text in one "records" table, next to the
+ * name of its collection (books, ...) and its id. That way new book fields
+ * don't need a database change. A small "meta" table keeps the library
+ * revision and the time of the last change.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { nextId, backupFileName, pruneBackups } = require('./common');
+
+/**
+ * Creates a store that reads and writes an SQLite database
+ * Parameter: options - { file, backupDir, maxBackups, lockTimeout }
+ * Returns: An object with the storage functions (see storage/index.js)
+ */
+function createSqliteStore(options) {
+    // How long a change waits for another program's transaction, in
+    // milliseconds - then it fails with the code "SQLITE_BUSY"
+    const db = new Database(options.file, {
+        timeout: options.lockTimeout !== undefined ? options.lockTimeout : 5000
+    });
+    const backupPrefix = path.basename(options.file, path.extname(options.file));
+
+    // WAL mode lets readers carry on while something is being written
+    db.pragma('journal_mode = WAL');
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS records (
+            collection TEXT NOT NULL,
+            id INTEGER NOT NULL,
+            data TEXT NOT NULL,
+            PRIMARY KEY (collection, id)
+        );
+        CREATE TABLE IF NOT EXISTS meta (
+            key TEXT PRIMARY KEY,
+            value TEXT
+        );
+    `);
+
+    const statements = {
+        list: db.prepare('SELECT data FROM records WHERE collection = ? ORDER BY rowid'),
+        get: db.prepare('SELECT data FROM records WHERE collection = ? AND id = ?'),
+        maxId: db.prepare('SELECT MAX(id) AS maxId FROM records WHERE collection = ?'),
+        insert: db.prepare('INSERT INTO records (collection, id, data) VALUES (?, ?, ?)'),
+        // Updates an existing record in its place: INSERT OR REPLACE would delete
+        // and add it again, moving it to the end of list()
+        upsert: db.prepare(
+            'INSERT INTO records (collection, id, data) VALUES (?, ?, ?)' +
+            ' ON CONFLICT (collection, id) DO UPDATE SET data = excluded.data'
+        ),
+        update: db.prepare('UPDATE records SET data = ? WHERE collection = ? AND id = ?'),
+        delete: db.prepare('DELETE FROM records WHERE collection = ? AND id = ?'),
+        getMeta: db.prepare('SELECT value FROM meta WHERE key = ?'),
+        setMeta: db.prepare('INSERT OR REPLACE INTO meta (key, value) VALUES (?, ?)')
+    };
+
+    /**
+     * Reads a value from the meta table
+     */
+    function getMeta(key) {
+        const row = statements.getMeta.get(key);
+        return row ? row.value : null;
+    }
+
+    /**
+     * Marks the library as changed: bumps the revision and the last update time
+     * Called inside the same transaction as the change itself
+     */
+    function touch() {
+        const revision = (Number(getMeta('revision')) || 0) + 1;
+        statements.setMeta.run('revision', String(revision));
+        statements.setMeta.run('lastUpdated', new Date().toISOString());
+    }
+
+    /**
+     * Reads one record, or null if there is none with this id
+     */
+    function getRecord(collection, id) {
+        const row = statements.get.get(collection, Number(id));
+        return row ? JSON.parse(row.data) : null;
+    }
+
+    /**
+     * Builds the WHERE clause for a query filter
+     * A filter like { status: 'read', tags: 'fiction' } checks each field
+     * inside the JSON; for list fields the list only has to contain the value.
+     */
+    function filterToSql(filter) {
+        const clauses = [];
+        const values = [];
+        Object.keys(filter || {}).forEach(field => {
+            const jsonPath = '$.' + field.replace(/[^A-Za-z0-9_]/g, '');
+            // SQLite keeps true/false inside JSON as 1/0
+            const value = typeof filter[field] === 'boolean' ? Number(filter[field]) : filter[field];
+            clauses.push(
+                '(CASE WHEN json_type(data, ?) = \'array\'' +
+                ' THEN EXISTS (SELECT 1 FROM json_each(data, ?) WHERE value = ?)' +
+                ' ELSE json_extract(data, ?) = ? END)'
+            );
+            values.push(jsonPath, jsonPath, value, jsonPath, value);
+        });
+        return { where: clauses.length ? ' AND ' + clauses.join(' AND ') : '', values: values };
+    }
+
+    const createRecord = db.transaction((collection, record) => {
+        const saved = Object.assign({}, record, { id: nextId(statements.maxId.get(collection).maxId) });
+        statements.insert.run(collection, saved.id, JSON.stringify(saved));
+        touch();
+        return saved;
+    });
+
+    const createRecords = db.transaction((collection, records) => {
+        let maxId = statements.maxId.get(collection).maxId;
+        const saved = records.map(record => {
+            maxId = nextId(maxId);
+            return Object.assign({}, record, { id: maxId });
+        });
+        saved.forEach(record => statements.insert.run(collection, record.id, JSON.stringify(record)));
+        touch();
+        return saved;
+    });
+
+    const updateRecord = db.transaction((collection, id, record) => {
+        const existing = getRecord(collection, id);
+        if (!existing) {
+            return null;
+        }
+
+        // The id always stays the same
+        const saved = Object.assign({}, record, { id: existing.id });
+        statements.update.run(JSON.stringify(saved), collection, existing.id);
+        touch();
+        return saved;
+    });
+
+    const deleteRecord = db.transaction((collection, id) => {
+        const existing = getRecord(collection, id);
+        if (!existing) {
+            return null;
+        }
+        statements.delete.run(collection, existing.id);
+        touch();
+        return existing;
+    });
+
+    const importRecords = db.transaction((collection, records) => {
+        // Records keep their ids; one with an id we already have replaces it
+        records.forEach(record => {
+            statements.upsert.run(collection, Number(record.id), JSON.stringify(record));
+        });
+        touch();
+        return records.length;
+    });
+
+    return {
+        info() {
+            return {
+                library: 'Little Library',
+                revision: Number(getMeta('revision')) || 0,
+                lastUpdated: getMeta('lastUpdated') || undefined
+            };
+        },
+
+        list(collection) {
+            return statements.list.all(collection).map(row => JSON.parse(row.data));
+        },
+
+        get: getRecord,
+
+        query(collection, filter, queryOptions) {
+            const offset = (queryOptions && queryOptions.offset) || 0;
+            const limit = (queryOptions && queryOptions.limit) || -1; // -1 means no limit
+            const sql = filterToSql(filter);
+            return db.prepare(
+                'SELECT data FROM records WHERE collection = ?' + sql.where +
+                ' ORDER BY rowid LIMIT ? OFFSET ?'
+            ).all(collection, ...sql.values, limit, offset).map(row => JSON.parse(row.data));
+        },
+
+        create: createRecord,
+        createMany: createRecords,
+        update: updateRecord,
+        delete: deleteRecord,
+        importRecords,
+
+        // IMMEDIATE takes the write lock at the start, so reads inside the
+        // transaction can't go stale before its writes
+        transaction(action) {
+            return db.transaction(action).immediate();
+        },
+
+        backup() {
+            fs.mkdirSync(options.backupDir, { recursive: true });
+            const backupFile = path.join(options.backupDir, backupFileName(backupPrefix, '.db'));
+
+            // VACUUM INTO writes a complete, consistent copy of the database
+            db.prepare('VACUUM INTO ?').run(backupFile);
+            pruneBackups(options.backupDir, backupPrefix, '.db', options.maxBackups);
+            return backupFile;
+        },
+
+        close() {
+            db.close();
+        }
+    };
+}
+
+module.exports = { createSqliteStore };
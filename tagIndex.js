@@ -0,0 +1,109 @@
+/**
+ * Little Library - Tags
+ * Works out which tags the library uses and how often, and changes tags
+ * on many books at once.
+ *
+ * Tags are compared without caring about upper/lower case: "SciFi" and
+ * "scifi" are the same tag. The library keeps one spelling of each tag -
+ * the one most books use - and new books are given that spelling too.
+ *
+ * Functions in this file:
+ * - tagKey(): Turns a tag into the text used to compare it
+ * - hasTag(): Checks if a book has a tag
+ * - buildTagIndex(): Lists every tag in the library with how many books have it
+ * - useLibrarySpelling(): Spells tags the way the library already does
+ * - replaceTags(): Renames, merges or removes tags in one book's tag list
+ */
+
+/**
+ * Turns a tag into the text used to compare it: "  Sci-Fi " becomes "sci-fi"
+ */
+function tagKey(tag) {
+    return String(tag).trim().toLowerCase();
+}
+
+/**
+ * Checks if a book has a tag, in any spelling
+ */
+function hasTag(book, tag) {
+    const key = tagKey(tag);
+    return (book.tags || []).some(other => tagKey(other) === key);
+}
+
+/**
+ * Lists every tag in the library with how many books have it
+ * Parameter: books - the books to look at
+ * Returns: A list of { tag, count, spellings } sorted A to Z - tag is the
+ *   spelling most books use, spellings lists every spelling in use
+ */
+function buildTagIndex(books) {
+    const entries = new Map();
+    books.forEach(book => {
+        (book.tags || []).forEach(tag => {
+            const key = tagKey(tag);
+            const entry = entries.get(key) || { count: 0, spellings: new Map() };
+            entry.count++;
+            entry.spellings.set(tag, (entry.spellings.get(tag) || 0) + 1);
+            entries.set(key, entry);
+        });
+    });
+
+    return Array.from(entries.values())
+        .map(entry => {
+            // The spelling used most wins; on a tie the first one seen
+            const spellings = Array.from(entry.spellings.entries());
+            const best = spellings.reduce((winner, spelling) => spelling[1] > winner[1] ? spelling : winner);
+            return { tag: best[0], count: entry.count, spellings: spellings.map(spelling => spelling[0]) };
+        })
+        .sort((a, b) => tagKey(a.tag).localeCompare(tagKey(b.tag)));
+}
+
+/**
+ * Spells tags the way the library already does, so "scifi" on a new book
+ * becomes "SciFi" when other books already have that tag
+ * Parameters: tags - the tags to check, index - from buildTagIndex()
+ * Returns: The tags, respelled where needed (repeats are removed)
+ */
+function useLibrarySpelling(tags, index) {
+    const spellings = new Map(index.map(entry => [tagKey(entry.tag), entry.tag]));
+    const result = [];
+    tags.forEach(tag => {
+        const spelled = spellings.get(tagKey(tag)) || tag;
+        if (!result.some(other => tagKey(other) === tagKey(spelled))) {
+            result.push(spelled);
+        }
+    });
+    return result;
+}
+
+/**
+ * Renames, merges or removes tags in one book's tag list
+ * Every tag matching one of fromTags (in any spelling) is replaced by the
+ * new tag, in the place of the first one; the book keeps its other tags
+ * Parameters: tags - the book's tags, fromTags - the tags to replace,
+ *   newTag - the tag to put instead, or null to remove them
+ * Returns: The new tag list, or null when it stays the same
+ */
+function replaceTags(tags, fromTags, newTag) {
+    const fromKeys = fromTags.map(tagKey);
+    if (!(tags || []).some(tag => fromKeys.includes(tagKey(tag)))) {
+        return null;
+    }
+
+    const result = [];
+    tags.forEach(tag => {
+        const replaced = fromKeys.includes(tagKey(tag)) ? newTag : tag;
+        if (replaced !== null && !result.some(other => tagKey(other) === tagKey(replaced))) {
+            result.push(replaced);
+        }
+    });
+    return result.join('\n') === tags.join('\n') ? null : result;
+}
+
+module.exports = {
+    tagKey,
+    hasTag,
+    buildTagIndex,
+    useLibrarySpelling,
+    replaceTags
+};
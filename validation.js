@@ -0,0 +1,659 @@
+/**
+ * Little Library - Book Validation
+ * This file checks book data before the server saves it
+ *
+ * Functions in this file:
+ * - validateBook(): Checks a book and returns a cleaned-up copy plus any errors
+ * - validateShelf(): Checks a shelf (a named list of books) the same way
+ * - validateAccount(): Checks a user name and password for a new account
+ * - validateReadingGoal(): Checks how many books someone wants to read in a year
+ * - validateTagName(): Checks a new name for a tag, when tags are renamed or merged
+ *
+ * Every error is an object like { field: 'title', message: 'Title is required' }
+ * so the add book page can show it next to the right input.
+ */
+
+const { parseIsbn } = require('./isbn');
+const { CONTRIBUTOR_ROLES, personKey, parseAuthorText, authorSummary } = require('./contributors');
+
+// The reading statuses a book can have (same as the dropdowns on the pages)
+const STATUSES = ['want to read', 'currently reading', 'read'];
+
+// What an account is allowed to do - only admins can delete books
+const ROLES = ['admin', 'member'];
+
+// Longest text we accept for each text field
+const MAX_LENGTHS = {
+    title: 200,
+    author: 200,
+    series: 200,
+    description: 5000,
+    coverImage: 2000,
+    review: 10000,
+    tag: 50,
+    shelfName: 100,
+    borrower: 100,
+    shelfDescription: 1000,
+    username: 40,
+    password: 200
+};
+
+// Shortest password we accept
+const MIN_PASSWORD_LENGTH = 8;
+
+// Biggest yearly reading goal we accept
+const MAX_READING_GOAL = 1000;
+
+// Most tags a single book can have
+const MAX_TAGS = 50;
+
+// Most people (authors, translators and editors) a single book can have
+const MAX_AUTHORS = 50;
+
+// Highest volume number in a series
+const MAX_SERIES_NUMBER = 10000;
+
+// Longest book we accept, in pages
+const MAX_PAGES = 100000;
+
+// Most readings (start/finish records) a single book can have
+const MAX_READINGS = 100;
+
+// Most reviews a single book can have
+const MAX_REVIEWS = 100;
+
+// Most loans kept in a single book's loan history
+const MAX_LOANS = 500;
+
+// Most books a single shelf can hold
+const MAX_SHELF_BOOKS = 10000;
+
+/**
+ * Checks a text field
+ * Returns: { value } with the trimmed text, or { error } with a message
+ */
+function checkText(value, label, maxLength, required) {
+    if (value === undefined || value === null) {
+        value = '';
+    }
+    if (typeof value !== 'string') {
+        return { error: label + ' must be text' };
+    }
+    value = value.trim();
+    if (required && !value) {
+        return { error: label + ' is required' };
+    }
+    if (value.length > maxLength) {
+        return { error: label + ' must be at most ' + maxLength + ' characters' };
+    }
+    return { value: value };
+}
+
+/**
+ * Checks that a date is a valid ISO date string like "2025-09-20T12:26:41.255Z"
+ * Returns: { value } with the date in full ISO format, or { error }
+ */
+function checkDate(value, label) {
+    const isoPattern = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})?)?$/;
+    if (typeof value !== 'string' || !isoPattern.test(value) || isNaN(Date.parse(value))) {
+        return { error: label + ' must be an ISO date like 2024-01-31' };
+    }
+    return { value: new Date(value).toISOString() };
+}
+
+/**
+ * Checks a cover image address
+ * Only http and https addresses are allowed, an empty string means no cover
+ */
+function checkCoverImage(value) {
+    const text = checkText(value, 'Cover image URL', MAX_LENGTHS.coverImage, false);
+    if (text.error || !text.value) {
+        return text;
+    }
+    try {
+        const url = new URL(text.value);
+        if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+            return { error: 'Cover image URL must start with http:// or https://' };
+        }
+    } catch (error) {
+        return { error: 'Cover image URL is not a valid web address' };
+    }
+    return text;
+}
+
+/**
+ * Checks the tag list
+ * Tags must be an array of strings; blanks are dropped and repeats removed
+ * ("Fantasy" and "fantasy" count as a repeat, the first one is kept)
+ */
+function checkTags(value) {
+    if (value === undefined || value === null) {
+        return { value: [] };
+    }
+    if (!Array.isArray(value)) {
+        return { error: 'Tags must be a list' };
+    }
+    if (value.length > MAX_TAGS) {
+        return { error: 'A book can have at most ' + MAX_TAGS + ' tags' };
+    }
+
+    const tags = [];
+    for (const tag of value) {
+        if (typeof tag !== 'string') {
+            return { error: 'Every tag must be text' };
+        }
+        const trimmed = tag.trim();
+        if (trimmed.length > MAX_LENGTHS.tag) {
+            return { error: 'Tags must be at most ' + MAX_LENGTHS.tag + ' characters' };
+        }
+        if (trimmed && !tags.some(other => other.toLowerCase() === trimmed.toLowerCase())) {
+            tags.push(trimmed);
+        }
+    }
+    return { value: tags };
+}
+
+/**
+ * Checks the people behind a book: a list of { name, role } in cover order
+ * A plain name counts as an author, and a text like "Neil Gaiman & Terry
+ * Pratchett" is split into people (see parseAuthorText() in contributors.js).
+ * The same person with the same role is only kept once.
+ */
+function checkAuthors(value) {
+    if (value === undefined || value === null) {
+        return { value: [] };
+    }
+    if (typeof value === 'string') {
+        value = parseAuthorText(value);
+    }
+    if (!Array.isArray(value)) {
+        return { error: 'Authors must be a list' };
+    }
+    if (value.length > MAX_AUTHORS) {
+        return { error: 'A book can have at most ' + MAX_AUTHORS + ' authors, translators and editors' };
+    }
+
+    const authors = [];
+    for (const person of value) {
+        const entry = typeof person === 'string' ? { name: person } : person;
+        if (!entry || typeof entry !== 'object') {
+            return { error: 'Every author must have a name' };
+        }
+        const name = checkText(entry.name, 'Author name', MAX_LENGTHS.author, false);
+        if (name.error) {
+            return name;
+        }
+        const role = entry.role === undefined || entry.role === null || entry.role === '' ? 'author' : entry.role;
+        if (!CONTRIBUTOR_ROLES.includes(role)) {
+            return { error: 'Role must be one of: ' + CONTRIBUTOR_ROLES.join(', ') };
+        }
+        // Empty rows are dropped, like blank tags
+        const repeat = authors.some(other => personKey(other.name) === personKey(name.value) && other.role === role);
+        if (name.value && !repeat) {
+            authors.push({ name: name.value, role: role });
+        }
+    }
+    return { value: authors };
+}
+
+/**
+ * Checks a book's volume number in its series
+ * Numbers like 2.5 are allowed for the short stories between two books,
+ * and 0 for a prequel
+ */
+function checkSeriesNumber(value) {
+    if (value === undefined || value === null || value === '') {
+        return { value: null };
+    }
+    const number = Number(value);
+    if (!Number.isFinite(number) || number < 0 || number > MAX_SERIES_NUMBER) {
+        return { error: 'Volume number must be a number from 0 to ' + MAX_SERIES_NUMBER };
+    }
+    return { value: Math.round(number * 100) / 100 };
+}
+
+/**
+ * Checks an ISBN (10 or 13 digits, dashes and spaces allowed)
+ * A valid ISBN is saved in both forms, as isbn13 and isbn10
+ */
+function checkIsbn(value) {
+    if (value === undefined || value === null || String(value).trim() === '') {
+        return { values: { isbn13: '', isbn10: '' } };
+    }
+    const isbn = parseIsbn(value);
+    if (!isbn) {
+        return { error: 'ISBN is not valid - check that all digits are correct' };
+    }
+    return { values: isbn };
+}
+
+/**
+ * Checks a whole number of pages
+ * Empty values are allowed (the page count is not always known)
+ */
+function checkPages(value, label, min) {
+    if (value === undefined || value === null || value === '') {
+        return { value: null };
+    }
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < min || number > MAX_PAGES) {
+        return { error: label + ' must be a whole number from ' + min + ' to ' + MAX_PAGES };
+    }
+    return { value: number };
+}
+
+/**
+ * Checks the reading log: a list of { startedAt, finishedAt } dates
+ * Either date can be empty, but a reading can't finish before it started
+ */
+function checkReadings(value) {
+    if (value === undefined || value === null) {
+        return { value: [] };
+    }
+    if (!Array.isArray(value)) {
+        return { error: 'Readings must be a list' };
+    }
+    if (value.length > MAX_READINGS) {
+        return { error: 'A book can have at most ' + MAX_READINGS + ' readings' };
+    }
+
+    const readings = [];
+    for (const reading of value) {
+        if (!reading || typeof reading !== 'object') {
+            return { error: 'Every reading must have a start and/or finish date' };
+        }
+
+        const dates = {};
+        for (const field of ['startedAt', 'finishedAt']) {
+            if (reading[field] === undefined || reading[field] === null || reading[field] === '') {
+                dates[field] = null;
+                continue;
+            }
+            const date = checkDate(reading[field], field === 'startedAt' ? 'Start date' : 'Finish date');
+            if (date.error) {
+                return date;
+            }
+            dates[field] = date.value;
+        }
+
+        if (!dates.startedAt && !dates.finishedAt) {
+            return { error: 'Every reading must have a start and/or finish date' };
+        }
+        if (dates.startedAt && dates.finishedAt && dates.finishedAt < dates.startedAt) {
+            return { error: 'A reading can\'t finish before it started' };
+        }
+        readings.push(dates);
+    }
+    return { value: readings };
+}
+
+/**
+ * Checks a star rating: 0.5 to 5 stars in half star steps
+ * Empty values mean the book has no rating
+ */
+function checkRating(value) {
+    if (value === undefined || value === null || value === '') {
+        return { value: null };
+    }
+    const number = Number(value);
+    if (!Number.isFinite(number) || number < 0.5 || number > 5 || number * 2 !== Math.round(number * 2)) {
+        return { error: 'Rating must be from 0.5 to 5 stars, in half stars' };
+    }
+    return { value: number };
+}
+
+/**
+ * Checks the review list: a list of { date, text } entries
+ * The text is required; the date can be empty for old undated reviews
+ */
+function checkReviews(value) {
+    if (value === undefined || value === null) {
+        return { value: [] };
+    }
+    if (!Array.isArray(value)) {
+        return { error: 'Reviews must be a list' };
+    }
+    if (value.length > MAX_REVIEWS) {
+        return { error: 'A book can have at most ' + MAX_REVIEWS + ' reviews' };
+    }
+
+    const reviews = [];
+    for (const review of value) {
+        if (!review || typeof review !== 'object') {
+            return { error: 'Every review must have some text' };
+        }
+        const text = checkText(review.text, 'Review', MAX_LENGTHS.review, true);
+        if (text.error) {
+            return text;
+        }
+
+        let date = null;
+        if (review.date !== undefined && review.date !== null && review.date !== '') {
+            const checked = checkDate(review.date, 'Review date');
+            if (checked.error) {
+                return checked;
+            }
+            date = checked.value;
+        }
+        reviews.push({ date: date, text: text.value });
+    }
+    return { value: reviews };
+}
+
+/**
+ * Checks the loan history: a list of { borrower, checkedOutAt, dueAt, returnedAt }
+ * A loan without returnedAt is still out; only one loan can be out at a time
+ */
+function checkLoans(value) {
+    if (value === undefined || value === null) {
+        return { value: [] };
+    }
+    if (!Array.isArray(value)) {
+        return { error: 'Loans must be a list' };
+    }
+    if (value.length > MAX_LOANS) {
+        return { error: 'A book can have at most ' + MAX_LOANS + ' loans' };
+    }
+
+    const loans = [];
+    for (const loan of value) {
+        if (!loan || typeof loan !== 'object') {
+            return { error: 'Every loan must have a borrower and a checkout date' };
+        }
+        const borrower = checkText(loan.borrower, 'Borrower', MAX_LENGTHS.borrower, true);
+        if (borrower.error) {
+            return borrower;
+        }
+
+        const dates = {};
+        const labels = { checkedOutAt: 'Checkout date', dueAt: 'Due date', returnedAt: 'Return date' };
+        for (const field of Object.keys(labels)) {
+            if (loan[field] === undefined || loan[field] === null || loan[field] === '') {
+                dates[field] = null;
+                continue;
+            }
+            const date = checkDate(loan[field], labels[field]);
+            if (date.error) {
+                return date;
+            }
+            dates[field] = date.value;
+        }
+
+        if (!dates.checkedOutAt) {
+            return { error: 'Checkout date is required' };
+        }
+        if (dates.dueAt && dates.dueAt < dates.checkedOutAt) {
+            return { error: 'The due date can\'t be before the checkout date' };
+        }
+        if (dates.returnedAt && dates.returnedAt < dates.checkedOutAt) {
+            return { error: 'A book can\'t be returned before it was checked out' };
+        }
+        loans.push(Object.assign({ borrower: borrower.value }, dates));
+    }
+
+    if (loans.filter(loan => !loan.returnedAt).length > 1) {
+        return { error: 'A book can only be on loan to one person at a time' };
+    }
+    return { value: loans };
+}
+
+/**
+ * Checks the reading status
+ * Books without a status start as "want to read"
+ */
+function checkStatus(value) {
+    if (value === undefined || value === null || value === '') {
+        return { value: 'want to read' };
+    }
+    if (!STATUSES.includes(value)) {
+        return { error: 'Status must be one of: ' + STATUSES.join(', ') };
+    }
+    return { value: value };
+}
+
+// One check for every field a book can have
+// Fields that are not listed here are dropped when a book is saved
+const FIELD_CHECKS = {
+    title: value => checkText(value, 'Title', MAX_LENGTHS.title, true),
+    authors: checkAuthors,
+    series: value => checkText(value, 'Series', MAX_LENGTHS.series, false),
+    seriesNumber: checkSeriesNumber,
+    description: value => checkText(value, 'Description', MAX_LENGTHS.description, false),
+    coverImage: checkCoverImage,
+    isbn: checkIsbn,
+    rating: checkRating,
+    reviews: checkReviews,
+    tags: checkTags,
+    status: checkStatus,
+    pageCount: value => checkPages(value, 'Page count', 1),
+    currentPage: value => checkPages(value, 'Current page', 0),
+    readings: checkReadings,
+    loans: checkLoans,
+    dateAdded: value => checkDate(value, 'Date added')
+};
+
+/**
+ * Checks the list of books on a shelf, in shelf order
+ * Every id may only be listed once; whether the books exist is
+ * checked by the server, which knows the library
+ */
+function checkBookIds(value) {
+    if (value === undefined || value === null) {
+        return { value: [] };
+    }
+    if (!Array.isArray(value)) {
+        return { error: 'Books on a shelf must be a list of book ids' };
+    }
+    if (value.length > MAX_SHELF_BOOKS) {
+        return { error: 'A shelf can hold at most ' + MAX_SHELF_BOOKS + ' books' };
+    }
+    const ids = [];
+    for (const id of value) {
+        if ((typeof id !== 'number' && typeof id !== 'string') || String(id).trim() === '') {
+            return { error: 'Every book on a shelf must be a book id' };
+        }
+        if (ids.some(other => String(other) === String(id))) {
+            return { error: 'A book can only be on a shelf once' };
+        }
+        ids.push(id);
+    }
+    return { value: ids };
+}
+
+/**
+ * Checks a book and builds a cleaned-up copy of it
+ * Parameters:
+ * - input: the book data sent by the browser
+ * - partial: true when only some fields are being changed (PATCH),
+ *   so missing fields are left alone instead of being required
+ * - existing: (optional) the saved book being changed, used to check
+ *   fields that depend on each other, like current page and page count
+ * Returns: { book, errors } - errors is empty when the book is valid
+ */
+function validateBook(input, partial, existing) {
+    const errors = [];
+    const book = {};
+
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        errors.push({ field: 'book', message: 'Book data must be an object' });
+        return { book: book, errors: errors };
+    }
+
+    // Saved books have isbn13/isbn10 instead of isbn - accept those too
+    if (!('isbn' in input) && (input.isbn13 || input.isbn10)) {
+        input = Object.assign({}, input, { isbn: input.isbn13 || input.isbn10 });
+    }
+
+    // Books used to have a single "author" text instead of a list of people
+    if (!('authors' in input) && 'author' in input) {
+        input = Object.assign({}, input, { authors: input.author });
+    }
+
+    // Books used to have a single "review" text instead of a list of reviews
+    if (!('reviews' in input) && 'review' in input) {
+        const text = typeof input.review === 'string' ? input.review.trim() : input.review;
+        input = Object.assign({}, input, { reviews: text ? [{ date: null, text: text }] : [] });
+    }
+
+    for (const field of Object.keys(FIELD_CHECKS)) {
+        // When changing a book, only check the fields that were sent
+        if (partial && !(field in input)) {
+            continue;
+        }
+        // dateAdded is filled in by the server when it is missing
+        if (field === 'dateAdded' && input[field] === undefined) {
+            continue;
+        }
+
+        const result = FIELD_CHECKS[field](input[field]);
+        if (result.error) {
+            errors.push({ field: field, message: result.error });
+        } else if (result.values) {
+            // Some checks save more than one field (like isbn)
+            Object.assign(book, result.values);
+        } else {
+            book[field] = result.value;
+        }
+    }
+
+    // The author text is always worked out from the list, for sorting and older pages
+    if (book.authors) {
+        book.author = authorSummary(book.authors);
+    }
+
+    // A book that leaves its series loses its volume number too
+    if ('series' in book && !book.series && !('seriesNumber' in input)) {
+        book.seriesNumber = null;
+    }
+
+    // A volume number needs a series, and the current page can't be past the last page
+    const merged = Object.assign({}, existing, book);
+    if (merged.seriesNumber !== null && merged.seriesNumber !== undefined && !merged.series && !errors.some(error => error.field === 'seriesNumber')) {
+        errors.push({ field: 'seriesNumber', message: 'Volume number needs a series name' });
+    }
+    if (merged.pageCount && merged.currentPage > merged.pageCount && !errors.some(error => error.field === 'currentPage')) {
+        errors.push({ field: 'currentPage', message: 'Current page can\'t be more than the page count (' + merged.pageCount + ')' });
+    }
+
+    return { book: book, errors: errors };
+}
+
+// One check for every field a shelf can have
+const SHELF_CHECKS = {
+    name: value => checkText(value, 'Shelf name', MAX_LENGTHS.shelfName, true),
+    description: value => checkText(value, 'Description', MAX_LENGTHS.shelfDescription, false),
+    bookIds: checkBookIds
+};
+
+/**
+ * Checks a shelf and builds a cleaned-up copy of it
+ * Parameters:
+ * - input: the shelf data sent by the browser
+ * - partial: true when only some fields are being changed (PATCH)
+ * Returns: { shelf, errors } - errors is empty when the shelf is valid
+ */
+function validateShelf(input, partial) {
+    const errors = [];
+    const shelf = {};
+
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        errors.push({ field: 'shelf', message: 'Shelf data must be an object' });
+        return { shelf: shelf, errors: errors };
+    }
+
+    for (const field of Object.keys(SHELF_CHECKS)) {
+        if (partial && !(field in input)) {
+            continue;
+        }
+        const result = SHELF_CHECKS[field](input[field]);
+        if (result.error) {
+            errors.push({ field: field, message: result.error });
+        } else {
+            shelf[field] = result.value;
+        }
+    }
+
+    return { shelf: shelf, errors: errors };
+}
+
+/**
+ * Checks a user name and password for a new account
+ * User names are letters, digits, dots, dashes and underscores, so they are
+ * easy to type on the login page. Whether a name is taken is checked by the
+ * server, which knows the other accounts.
+ * Parameter: input - { username, password } from the browser
+ * Returns: { account, errors } - account has the trimmed username and
+ *   the password as it was typed
+ */
+function validateAccount(input) {
+    const errors = [];
+    const account = {};
+
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        errors.push({ field: 'account', message: 'Account data must be an object' });
+        return { account: account, errors: errors };
+    }
+
+    const username = checkText(input.username, 'User name', MAX_LENGTHS.username, true);
+    if (username.error) {
+        errors.push({ field: 'username', message: username.error });
+    } else if (!/^[A-Za-z0-9._-]+$/.test(username.value)) {
+        errors.push({ field: 'username', message: 'User name can only use letters, digits, dots, dashes and underscores' });
+    } else {
+        account.username = username.value;
+    }
+
+    // Passwords are not trimmed - spaces are allowed anywhere in them
+    const password = input.password;
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        errors.push({ field: 'password', message: 'Password must be at least ' + MIN_PASSWORD_LENGTH + ' characters' });
+    } else if (password.length > MAX_LENGTHS.password) {
+        errors.push({ field: 'password', message: 'Password must be at most ' + MAX_LENGTHS.password + ' characters' });
+    } else {
+        account.password = password;
+    }
+
+    return { account: account, errors: errors };
+}
+
+/**
+ * Checks how many books someone wants to read in a year
+ * Parameter: value - a whole number, or null to use the library's default goal
+ * Returns: { goal, errors }
+ */
+function validateReadingGoal(value) {
+    if (value === null || value === '') {
+        return { goal: null, errors: [] };
+    }
+    const number = Number(value);
+    if (typeof value === 'boolean' || !Number.isInteger(number) || number < 1 || number > MAX_READING_GOAL) {
+        return { goal: null, errors: [{ field: 'readingGoal', message: 'Reading goal must be a whole number from 1 to ' + MAX_READING_GOAL }] };
+    }
+    return { goal: number, errors: [] };
+}
+
+/**
+ * Checks a tag name for renaming or merging tags
+ * Returns: { tag, errors } - tag is the trimmed name
+ */
+function validateTagName(value) {
+    const text = checkText(value, 'Tag', MAX_LENGTHS.tag, true);
+    if (text.error) {
+        return { tag: null, errors: [{ field: 'tag', message: text.error }] };
+    }
+    if (text.value.includes(',')) {
+        return { tag: null, errors: [{ field: 'tag', message: 'Tag can\'t contain a comma' }] };
+    }
+    return { tag: text.value, errors: [] };
+}
+
+module.exports = {
+    STATUSES,
+    ROLES,
+    CONTRIBUTOR_ROLES,
+    validateBook,
+    validateShelf,
+    validateAccount,
+    validateReadingGoal,
+    validateTagName
+};